@@ -0,0 +1,145 @@
+const AuthService = require('../services/AuthService');
+
+/**
+ * Resolve the caller from an `Authorization: Bearer <jwt>` or `X-API-Key` header
+ * Requests without credentials continue anonymously (req.auth = null); invalid
+ * credentials are rejected so a typo never silently downgrades a caller to public.
+ */
+async function authenticate(req, res, next) {
+    try {
+        const apiKey = req.get('X-API-Key');
+        const authorization = req.get('Authorization') || '';
+        const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+
+        if (!apiKey && !bearer) {
+            req.auth = null;
+            return next();
+        }
+
+        const principal = apiKey
+            ? await AuthService.authenticateApiKey(apiKey)
+            : await AuthService.authenticateToken(bearer[1]);
+
+        if (!principal) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: apiKey ? 'Invalid or revoked API key' : 'Invalid or expired token'
+            });
+        }
+
+        req.auth = principal;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Require the caller to hold one of the given roles ('admin' always passes)
+ * The matched role is stored on req.auth.role so handlers can record it.
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Authentication required'
+            });
+        }
+
+        const role = AuthService.matchRole(req.auth, roles);
+        if (!role) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Requires one of the roles: ${roles.join(', ')}`
+            });
+        }
+
+        req.auth.role = role;
+        next();
+    };
+}
+
+/**
+ * Compile an Express-style path ('/api/x/:id', '/api/x/*') into an anchored regex
+ * @param {string} routePath - Route path
+ * @returns {RegExp} - Matcher that also accepts a trailing slash
+ */
+function compileRoutePath(routePath) {
+    const pattern = routePath
+        .split('/')
+        .map(segment => {
+            if (segment === '*') {
+                return '.*';
+            }
+            if (segment.startsWith(':')) {
+                return '[^/]+';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return new RegExp(`^${pattern}/?$`, 'i');
+}
+
+/**
+ * Enforce an access policy on every request, denying anything it does not list
+ * Rules are [method, paths, roles] and the first match wins; a null roles entry
+ * marks the paths public. A route added without a rule is refused, never exposed.
+ * @param {Array} rules - Access rules
+ * @returns {Function} - Express middleware
+ */
+function authorizeRoutes(rules) {
+    const compiled = rules.map(([method, paths, roles]) => ({
+        method: method.toUpperCase(),
+        matchers: paths.map(compileRoutePath),
+        guard: roles ? requireRole(...roles) : null
+    }));
+
+    return (req, res, next) => {
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        const rule = compiled.find(entry =>
+            entry.method === method && entry.matchers.some(matcher => matcher.test(req.path))
+        );
+
+        if (!rule) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `No access rule permits ${req.method} ${req.path}`
+            });
+        }
+
+        if (!rule.guard) {
+            return next();
+        }
+
+        rule.guard(req, res, next);
+    };
+}
+
+/**
+ * Describe who performed an action, for recording alongside state changes
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Username, role and authentication method, or null for anonymous callers
+ */
+function actorOf(req) {
+    if (!req.auth) {
+        return null;
+    }
+
+    return {
+        username: req.auth.username,
+        role: req.auth.role || null,
+        authMethod: req.auth.authMethod,
+        ...(req.auth.keyId && { keyId: req.auth.keyId })
+    };
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+    authorizeRoutes,
+    actorOf
+};
@@ -0,0 +1,92 @@
+const express = require('express');
+const Joi = require('joi');
+
+const AuditService = require('../services/AuditService');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/audit
+ * @desc Query the audit log by session, certificate, batch, actor, action and time range (?format=csv to export)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string().optional(),
+            certificateId: Joi.string().optional(),
+            batchId: Joi.string().optional(),
+            actor: Joi.string().optional(),
+            action: Joi.string().optional(),
+            from: Joi.date().iso().optional(),
+            to: Joi.date().iso().optional(),
+            offset: Joi.number().integer().min(0).default(0),
+            limit: Joi.number().integer().min(1).max(1000).optional(),
+            format: Joi.string().valid('json', 'csv').default('json')
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const { offset, limit, format, ...filters } = value;
+
+        // CSV exports are for accreditation reviews, so they include every match
+        if (format === 'csv') {
+            const { entries } = await AuditService.query(filters);
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+            });
+            return res.send(AuditService.toCsv(entries));
+        }
+
+        const { entries, total } = await AuditService.query(filters, { offset, limit: limit || 100 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                total,
+                offset,
+                entries
+            }
+        });
+
+    } catch (error) {
+        console.error('Audit query error:', error);
+        res.status(500).json({
+            error: 'Audit Query Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route GET /api/audit/verify
+ * @desc Check the hash chain of the audit log
+ */
+router.get('/verify', async (req, res) => {
+    try {
+        const result = await AuditService.verify();
+
+        res.status(200).json({
+            success: true,
+            message: result.valid
+                ? `Audit log intact (${result.totalEntries} entries)`
+                : `Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Audit verification error:', error);
+        res.status(500).json({
+            error: 'Audit Verification Failed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const Joi = require('joi');
+
+const AuthService = require('../services/AuthService');
+
+const router = express.Router();
+
+// Object property names are reserved: usernames are keys of the user store
+const usernameSchema = Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).min(3).max(64)
+    .invalid('__proto__', 'constructor', 'prototype');
+const rolesSchema = Joi.array().items(Joi.string().valid(...AuthService.ROLES)).min(1).unique();
+
+// Error codes thrown by AuthService and the responses they map to
+const AUTH_ERRORS = {
+    USER_EXISTS: { status: 409, error: 'User Exists' },
+    USER_NOT_FOUND: { status: 404, error: 'User Not Found' },
+    API_KEY_NOT_FOUND: { status: 404, error: 'API Key Not Found' },
+    INVALID_ROLE: { status: 400, error: 'Invalid Role' }
+};
+
+/**
+ * Send an AuthService error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by AuthService
+ * @param {string} fallbackTitle - Error title for unexpected failures
+ */
+function sendAuthError(res, error, fallbackTitle) {
+    const known = AUTH_ERRORS[error.code];
+    if (known) {
+        return res.status(known.status).json({ error: known.error, message: error.message });
+    }
+
+    console.error(`${fallbackTitle}:`, error);
+    res.status(500).json({ error: fallbackTitle, message: error.message });
+}
+
+/**
+ * @route POST /api/auth/login
+ * @desc Exchange a username and password for a JWT
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            username: Joi.string().required(),
+            password: Joi.string().required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const session = await AuthService.login(value.username, value.password);
+        if (!session) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid username or password'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'Login Failed');
+    }
+});
+
+/**
+ * @route GET /api/auth/me
+ * @desc Get the authenticated caller and their roles
+ */
+router.get('/me', (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            username: req.auth.username,
+            roles: req.auth.roles,
+            authMethod: req.auth.authMethod,
+            keyId: req.auth.keyId || null
+        }
+    });
+});
+
+/**
+ * @route GET /api/auth/users
+ * @desc List users
+ */
+router.get('/users', async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await AuthService.listUsers()
+        });
+    } catch (error) {
+        sendAuthError(res, error, 'User Listing Failed');
+    }
+});
+
+/**
+ * @route POST /api/auth/users
+ * @desc Create a user
+ */
+router.post('/users', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            username: usernameSchema.required(),
+            password: Joi.string().min(8).max(256).required(),
+            roles: rolesSchema.required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const user = await AuthService.createUser(value, req.auth.username);
+
+        res.status(201).json({
+            success: true,
+            message: `User ${user.username} created`,
+            data: user
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'User Creation Failed');
+    }
+});
+
+/**
+ * @route PUT /api/auth/users/:username
+ * @desc Change a user's roles or disable the account
+ */
+router.put('/users/:username', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            roles: rolesSchema,
+            disabled: Joi.boolean()
+        }).or('roles', 'disabled');
+
+        // The username is a key of the user store, so it must be a valid username
+        const params = Joi.object({ username: usernameSchema.required() }).validate(req.params);
+        if (params.error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: params.error.details
+            });
+        }
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const user = await AuthService.updateUser(params.value.username, value);
+
+        res.status(200).json({
+            success: true,
+            message: `User ${user.username} updated`,
+            data: user
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'User Update Failed');
+    }
+});
+
+/**
+ * @route GET /api/auth/api-keys
+ * @desc List the caller's API keys
+ */
+router.get('/api-keys', async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await AuthService.listApiKeys(req.auth.username)
+        });
+    } catch (error) {
+        sendAuthError(res, error, 'API Key Listing Failed');
+    }
+});
+
+/**
+ * @route POST /api/auth/api-keys
+ * @desc Create an API key for the caller, optionally limited to some of their roles
+ */
+router.post('/api-keys', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            name: Joi.string().min(1).max(100).required(),
+            roles: rolesSchema.optional()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const apiKey = await AuthService.createApiKey(req.auth.username, value);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created; store it now, it will not be shown again',
+            data: apiKey
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'API Key Creation Failed');
+    }
+});
+
+/**
+ * @route DELETE /api/auth/api-keys/:keyId
+ * @desc Revoke an API key (own keys, or any key for admins)
+ */
+router.delete('/api-keys/:keyId', async (req, res) => {
+    try {
+        const apiKey = await AuthService.getApiKey(req.params.keyId);
+        if (!apiKey || (apiKey.username !== req.auth.username && !req.auth.roles.includes('admin'))) {
+            return res.status(404).json({
+                error: 'API Key Not Found',
+                message: `API key ${req.params.keyId} does not exist`
+            });
+        }
+
+        const revoked = await AuthService.revokeApiKey(apiKey.keyId);
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked',
+            data: revoked
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, 'API Key Revocation Failed');
+    }
+});
+
+module.exports = router;
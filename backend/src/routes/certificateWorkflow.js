@@ -8,9 +8,311 @@ const crypto = require('crypto');
 const DynamicCertificateService = require('../services/DynamicCertificateService');
 const MerkleService = require('../services/MerkleService');
 const CertificateService = require('../services/CertificateService');
+const BlockchainService = require('../services/BlockchainService');
+const { createSessionStore } = require('../services/SessionStore');
+const AuditService = require('../services/AuditService');
+const GradeScale = require('../services/GradeScale');
+const ZKProofService = require('../services/ZKProofService');
+const CertificateBundleService = require('../services/CertificateBundleService');
+const IssuedBatchStore = require('../services/IssuedBatchStore');
+const ProcessedCertificateStore = require('../services/ProcessedCertificateStore');
+const { actorOf } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Processed certificates are kept beside the session, which only records how many there are
+const processedCertificates = new ProcessedCertificateStore(
+    process.env.PROCESSED_CERTIFICATE_STORE_PATH || path.join(__dirname, '../../data/processed')
+);
+
+// Workflow sessions expire after 1 hour; expired uploads and processed certificates are removed by the sweeper
+const sessionStore = createSessionStore('workflow', {
+    ttlMs: 60 * 60 * 1000,
+    sweepIntervalMs: 30 * 60 * 1000,
+    onExpire: (session, sessionId) => {
+        if (session.filePath && fs.existsSync(session.filePath)) {
+            fs.unlinkSync(session.filePath);
+        }
+        processedCertificates.remove(sessionId).catch(error => {
+            console.error('Processed certificate cleanup error:', error);
+        });
+    }
+});
+sessionStore.startSweeper();
+
+// Processed certificates returned per page by /process and GET /session/:sessionId/certificates
+const CERTIFICATE_PAGE_SIZE = 100;
+const MAX_CERTIFICATE_PAGE_SIZE = 1000;
+
+// Sessions submitted for approval are kept for a week so reviewers have time to respond
+const APPROVAL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Issued batches outlive their session: revocation, PDFs and bundles read them from here
+const issuedBatches = new IssuedBatchStore(
+    process.env.ISSUED_BATCH_STORE_PATH || path.join(__dirname, '../../data/batches')
+);
+
+// Steps in which the processed data is under review and must not change
+const REVIEW_STEPS = ['pending_approval', 'approved'];
+
+// Steps in which the batch has been proposed or issued on-chain; its data is final
+const ISSUANCE_STEPS = ['awaiting_signatures', 'deployed'];
+
+// Sessions with an on-chain operation (deploy or proposal sync) in flight, so two
+// concurrent requests cannot both anchor or record one batch
+const chainOperations = new Set();
+
+/**
+ * Append an entry to a session's approval history
+ * @param {Object} session - Workflow session
+ * @param {string} action - submitted, approved or rejected
+ * @param {Object} req - Express request of the acting user
+ * @param {string} [comment] - Reviewer or submitter comment
+ * @returns {Array<Object>} - Updated history
+ */
+function withApprovalEvent(session, action, req, comment) {
+    return [
+        ...(session.approvalHistory || []),
+        {
+            action,
+            merkleRoot: session.merkleRoot,
+            comment: comment || null,
+            by: actorOf(req),
+            at: new Date().toISOString()
+        }
+    ];
+}
+
+// Certificates whose validity windows are recorded per transaction
+const VALIDITY_WINDOW_CHUNK = 100;
+
+/**
+ * On-chain keys of an issued certificate: its commitment and, in batches with a
+ * disclosure root, its disclosure commitment; revocations and validity windows cover both
+ * @param {Object} certificate - Issued certificate
+ * @returns {Array<string>} - Keys as 32-byte hex
+ */
+function certificateKeys(certificate) {
+    return [certificate.commitment, certificate.disclosure?.commitment]
+        .filter(Boolean)
+        .map(key => '0x' + key.replace(/^0x/, ''));
+}
+
+/**
+ * Record per-certificate validity windows of issued certificates on their batch
+ * Certificates with their own window in the commitment data get it recorded on-chain in
+ * chunked transactions; the batch stays issued if a chunk fails, and the IDs of the
+ * certificates in failed chunks are returned so they can be retried.
+ * @param {AsyncIterable<Object>|Iterable<Object>} certificates - Issued certificates, read as a stream
+ * @param {string} batchId - Issued batch ID
+ * @returns {Object} - Number of windows recorded, the number expected and the failed certificate IDs
+ */
+async function recordCertificateWindows(certificates, batchId) {
+    let recorded = 0;
+    let expected = 0;
+    const failed = [];
+    let chunk = [];
+
+    const recordChunk = async () => {
+        try {
+            await BlockchainService.setCertificateValidityBatch(batchId, chunk.flatMap(window => window.windows));
+            recorded += chunk.length;
+        } catch (validityError) {
+            console.error('Certificate validity error:', validityError);
+            failed.push(...chunk.map(window => window.id));
+        }
+        chunk = [];
+    };
+
+    for await (const certificate of certificates) {
+        const { validFrom, validUntil } = certificate.commitmentData || {};
+        if (!validFrom && !validUntil) {
+            continue;
+        }
+
+        expected++;
+        chunk.push({
+            id: certificate.id,
+            windows: certificateKeys(certificate).map(certificateKey => ({ certificateKey, validFrom, validUntil }))
+        });
+        if (chunk.length >= VALIDITY_WINDOW_CHUNK) {
+            await recordChunk();
+        }
+    }
+
+    if (chunk.length > 0) {
+        await recordChunk();
+    }
+
+    return { recorded, expected, failed };
+}
+
+/**
+ * One page of a session's processed certificates
+ * @param {string} sessionId - Session ID
+ * @param {number} total - Number of certificates the session processed
+ * @param {number} offset - Certificates to skip
+ * @param {number} limit - Maximum certificates to return
+ * @returns {Object} - certificates and page ({ offset, limit, total })
+ */
+async function certificatePage(sessionId, total, offset, limit) {
+    return {
+        certificates: await processedCertificates.page(sessionId, offset, limit),
+        page: { offset, limit, total }
+    };
+}
+
+/**
+ * Bring a session waiting for on-chain co-signers up to date with its batch proposal
+ * Sends transactions and rewrites session state, so only POST /sync-proposal calls it.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Workflow session
+ * @param {string} actor - User syncing the proposal
+ * @returns {Object} - The session, marked deployed once the proposal has executed
+ */
+async function syncBatchProposal(sessionId, session, actor) {
+    if (session.step !== 'awaiting_signatures') {
+        return session;
+    }
+
+    let proposal;
+    try {
+        proposal = await BlockchainService.getBatchProposal(session.deploymentData.proposalId);
+    } catch (chainError) {
+        console.error('Batch proposal lookup error:', chainError);
+        return session;
+    }
+    if (proposal && proposal.executable) {
+        // The threshold was lowered after the last approval; issue it now
+        try {
+            const execution = await BlockchainService.executeBatchProposal(proposal.proposalId);
+            proposal = { ...proposal, batchId: execution.batchId, status: 'executed' };
+        } catch (chainError) {
+            console.error('Batch proposal execution error:', chainError);
+            return session;
+        }
+    }
+    if (!proposal || proposal.status === 'pending') {
+        return session;
+    }
+
+    if (proposal.status === 'cancelled') {
+        return sessionStore.update(sessionId, { step: 'approved', deploymentData: null });
+    }
+
+    const windows = await recordCertificateWindows(processedCertificates.certificates(sessionId), proposal.batchId);
+    await AuditService.record(actor, 'workflow.deploy', {
+        sessionId,
+        batchId: proposal.batchId,
+        details: {
+            proposalId: proposal.proposalId,
+            approvals: proposal.approvals,
+            merkleRoot: proposal.merkleRoot,
+            failedValidityWindows: windows.failed
+        }
+    });
+    const deployed = await sessionStore.update(sessionId, {
+        step: 'deployed',
+        deploymentData: {
+            ...session.deploymentData,
+            batchId: proposal.batchId,
+            approvals: proposal.approvals,
+            certificateWindowsSet: windows.recorded,
+            certificateWindowsFailed: windows.failed,
+            deployedAt: new Date().toISOString()
+        }
+    });
+
+    try {
+        await storeIssuedBatch(sessionId, deployed);
+    } catch (storeError) {
+        console.error('Issued batch record error:', storeError);
+    }
+    return deployed;
+}
+
+/**
+ * Store a deployed session's batch and certificates in the durable issued-batch store
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Deployed workflow session
+ * @returns {Object} - Stored batch record
+ */
+async function storeIssuedBatch(sessionId, session) {
+    const { deploymentData } = session;
+
+    return issuedBatches.save({
+        batchId: deploymentData.batchId,
+        contractAddress: deploymentData.contractAddress,
+        chainId: deploymentData.chainId,
+        sessionId,
+        fileName: session.originalName,
+        merkleRoot: session.merkleRoot,
+        disclosureRoot: session.disclosureRoot || null,
+        merkleTreeStats: session.merkleTreeStats,
+        zkConfig: session.zkConfig || null,
+        deployment: deploymentData,
+        // Certificates whose validity windows still have to be recorded on-chain
+        pendingValidityWindows: deploymentData.certificateWindowsFailed || []
+    }, processedCertificates.certificates(sessionId));
+}
+
+/**
+ * Get the issued-batch record of a deployed session
+ * A record that could not be stored at deployment is stored now, while the session lives.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Deployed workflow session
+ * @returns {Object} - Batch record
+ */
+async function loadIssuedBatch(sessionId, session) {
+    const { contractAddress, batchId } = session.deploymentData;
+    return (await issuedBatches.get(contractAddress, batchId)) || storeIssuedBatch(sessionId, session);
+}
+
+/**
+ * Resolve the issued batch a request refers to, by batchId or through its workflow session
+ * Sends the error response when there is none.
+ * @param {Object} res - Express response
+ * @param {Object} reference - sessionId or batchId
+ * @param {string} notDeployedMessage - Message for a session whose batch is not issued yet
+ * @returns {Object|null} - Batch record, or null if a response was sent
+ */
+async function resolveIssuedBatch(res, { sessionId, batchId }, notDeployedMessage) {
+    if (batchId) {
+        const batch = await issuedBatches.get(BlockchainService.getContractAddress(), batchId);
+        if (!batch) {
+            res.status(404).json({
+                success: false,
+                error: 'Batch Not Found',
+                message: `Batch ${batchId} was not issued through this backend`
+            });
+        }
+        return batch;
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session || sessionStore.isExpired(session)) {
+        res.status(410).json({
+            success: false,
+            error: 'Session expired or not found',
+            message: 'Refer to an issued batch by its batchId once its session has expired'
+        });
+        return null;
+    }
+
+    if (!session.deploymentData?.batchId) {
+        res.status(409).json({
+            success: false,
+            error: 'Batch Not Deployed',
+            message: session.step === 'awaiting_signatures'
+                ? `${notDeployedMessage}; once co-signers have approved its proposal, sync it with POST /api/workflow/sync-proposal`
+                : notDeployedMessage
+        });
+        return null;
+    }
+
+    return loadIssuedBatch(sessionId, session);
+}
+
 // Configure storage for complete certificate workflow
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -64,19 +366,19 @@ router.post('/parse', upload.single('file'), async (req, res) => {
         // Analyze file structure with dynamic service
         const analysis = await DynamicCertificateService.analyzeFileStructure(req.file.path);
 
-        // Generate session for workflow tracking
-        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        // Store session data
-        global.certificateWorkflowSessions = global.certificateWorkflowSessions || {};
-        global.certificateWorkflowSessions[sessionId] = {
+        // Create session for workflow tracking
+        const { sessionId } = await sessionStore.create({
             filePath: req.file.path,
             originalName: req.file.originalname,
             analysis: analysis,
-            createdAt: new Date(),
-            expiresAt: new Date(Date.now() + 60 * 60 * 1000), // 1 hour
-            step: 'parsed'
-        };
+            step: 'parsed',
+            createdBy: actorOf(req)
+        });
+
+        await AuditService.record(actorOf(req), 'workflow.parse', {
+            sessionId,
+            details: { fileName: req.file.originalname, fileSize: req.file.size, totalRows: analysis.totalRows }
+        });
 
         res.json({
             success: true,
@@ -102,9 +404,13 @@ router.post('/parse', upload.single('file'), async (req, res) => {
 
 /**
  * @route POST /api/workflow/process
- * @desc Step 2: Process data with field mappings and generate Merkle tree
+ * @desc Step 2: Stream every row through the field mappings into the certificate store and the
+ *       Merkle trees; responds with a summary and the first page of certificates
  */
 router.post('/process', async (req, res) => {
+    // Set once the session is marked as processing; undoes the run if it fails
+    let abandonProcessing = null;
+
     try {
         const schema = Joi.object({
             sessionId: Joi.string().required(),
@@ -112,7 +418,9 @@ router.post('/process', async (req, res) => {
             processingOptions: Joi.object({
                 requiredFields: Joi.array().items(Joi.string()),
                 skipEmptyRows: Joi.boolean().default(true),
-                validateEmails: Joi.boolean().default(true)
+                validateEmails: Joi.boolean().default(true),
+                chunkSize: Joi.number().integer().min(1).max(10000),
+                gradeScale: Joi.string().valid(...Object.keys(GradeScale.SCALES)).default(GradeScale.DEFAULT)
             }).optional()
         });
 
@@ -127,46 +435,127 @@ router.post('/process', async (req, res) => {
 
         const { sessionId, fieldMappings, processingOptions } = value;
 
+        const subjectColumns = Array.isArray(fieldMappings.subjects) ? fieldMappings.subjects : [];
+        if (subjectColumns.length > ZKProofService.MAX_SUBJECTS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too Many Subjects',
+                message: `At most ${ZKProofService.MAX_SUBJECTS} subject columns are supported`
+            });
+        }
+
         // Retrieve session
-        const session = global.certificateWorkflowSessions?.[sessionId];
-        if (!session || new Date() > session.expiresAt) {
+        const session = await sessionStore.get(sessionId);
+        if (!session || sessionStore.isExpired(session)) {
             return res.status(410).json({
                 success: false,
                 error: 'Session expired or not found'
             });
         }
 
-        // Re-parse file for processing
-        const analysis = await DynamicCertificateService.analyzeFileStructure(session.filePath);
-        const rawData = analysis.sampleData; // In real implementation, get full data
-
-        // Process data with user mappings
-        const processingResult = DynamicCertificateService.processStudentData(
-            rawData,
-            fieldMappings,
-            processingOptions || {}
-        );
+        if (REVIEW_STEPS.includes(session.step)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Session Under Review',
+                message: 'The processed data has been submitted for approval; have an approver reject it before reprocessing'
+            });
+        }
 
-        if (!processingResult.success) {
-            return res.status(400).json({
+        // Reprocessing would replace the certificates behind a proposed or issued root
+        if (ISSUANCE_STEPS.includes(session.step)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Data Processing Failed',
-                details: processingResult.errors
+                error: 'Batch Already Issued',
+                message: `Session is '${session.step}'; upload the file again to issue a new batch`
             });
         }
 
-        // Generate certificate commitments for Merkle tree
-        const certificatesWithCommitments = processingResult.processedData.map(student => {
-            // Create commitment hash for each student
+        // Stream the whole file through the user mappings, recording progress on the session
+        const totalRows = session.analysis?.totalRows || null;
+        await sessionStore.update(sessionId, {
+            step: 'processing',
+            progress: { processedRows: 0, totalRows }
+        });
+
+        // A failed run drops its staged rows and returns the session to its previous step, so
+        // the file can be processed again. Once the run has replaced the stored certificates,
+        // the previous result is gone and the session goes back to 'parsed'.
+        const previousStep = session.step === 'processing' ? 'parsed' : session.step;
+        let replacedCertificates = false;
+        abandonProcessing = async () => {
+            await processedCertificates.remove(sessionId, { staged: !replacedCertificates });
+            await sessionStore.update(sessionId, replacedCertificates
+                ? { step: 'parsed', progress: null, processedCount: 0, merkleRoot: null, disclosureRoot: null }
+                : { step: previousStep, progress: null });
+        };
+
+        // Batches with subject grades are committed with Poseidon over a per-student salt, the
+        // leaf the ZK circuits prove, so holders can generate proofs from their bundle later
+        const zkBatch = subjectColumns.length > 0;
+
+        // Only the tree leaves are held in memory; the certificates are staged in the store
+        const leaves = [];
+        const disclosureLeaves = [];
+        let processedRows = 0;
+        const processingErrors = [];
+        const validityErrors = [];
+        const disclosureErrors = [];
+
+        const commitCertificate = async ({ raw, ...student }) => {
+            // Per-certificate validity windows come from the mapped valid_from / valid_until columns
+            let validity;
+            try {
+                validity = CertificateService.normalizeValidityWindow({
+                    validFrom: student.valid_from,
+                    validUntil: student.valid_until
+                });
+            } catch (validityError) {
+                validityErrors.push({ row: student.id, error: validityError.message });
+                return null;
+            }
+
+            // Create commitment hash for each student; a validity window is only included when set
+            const { validFrom, validUntil } = validity;
             const commitmentData = {
                 name: student.name,
                 email: student.email || '',
                 course: student.course || '',
                 grade: student.grade || '',
                 studentId: student.student_id || student.id,
+                ...(student.subjects && { subjects: student.subjects, gradeScale: student.gradeScale }),
+                ...(validFrom && { validFrom }),
+                ...(validUntil && { validUntil }),
                 timestamp: new Date().toISOString()
             };
 
+            if (zkBatch) {
+                const salt = crypto.randomBytes(32).toString('hex');
+                const commitment = await ZKProofService.calculateCommitment({
+                    studentId: String(commitmentData.studentId),
+                    salt,
+                    subjects: student.subjects.map(subject => subject.grade),
+                    gradeScale: student.gradeScale
+                });
+
+                // The selective disclosure leaf, Poseidon(salt, fields...), goes in the batch's disclosure tree
+                const disclosureRecord = ZKProofService.toDisclosureRecord(student);
+                let disclosureCommitment;
+                try {
+                    disclosureCommitment = await ZKProofService.calculateDisclosureCommitment(disclosureRecord, salt);
+                } catch (disclosureError) {
+                    disclosureErrors.push({ row: student.id, error: disclosureError.message });
+                    return null;
+                }
+
+                return {
+                    ...student,
+                    salt,
+                    commitment,
+                    commitmentData,
+                    disclosure: { record: disclosureRecord, commitment: disclosureCommitment }
+                };
+            }
+
             const commitment = crypto.createHash('sha256')
                 .update(JSON.stringify(commitmentData))
                 .digest('hex');
@@ -176,35 +565,117 @@ router.post('/process', async (req, res) => {
                 commitment: commitment,
                 commitmentData: commitmentData
             };
-        });
+        };
+
+        // Generate certificate commitments for Merkle tree, a chunk of rows at a time
+        async function* commitRows() {
+            const rowChunks = DynamicCertificateService.processRows(session.filePath, fieldMappings, processingOptions || {});
+            for await (const chunk of rowChunks) {
+                processedRows = chunk.processedRows;
+                processingErrors.push(...chunk.errors);
+
+                for (const certificate of await Promise.all(chunk.processedData.map(commitCertificate))) {
+                    if (certificate) {
+                        leaves.push(certificate.commitment);
+                        if (certificate.disclosure) {
+                            disclosureLeaves.push(certificate.disclosure.commitment);
+                        }
+                        yield certificate;
+                    }
+                }
+
+                await sessionStore.update(sessionId, {
+                    progress: {
+                        processedRows,
+                        successfulRows: leaves.length,
+                        errorRows: processingErrors.length + validityErrors.length + disclosureErrors.length,
+                        totalRows
+                    }
+                });
+            }
+        }
+
+        await processedCertificates.save(sessionId, commitRows(), { staged: true });
+
+        if (validityErrors.length > 0 || disclosureErrors.length > 0) {
+            await abandonProcessing();
+            return res.status(400).json({
+                success: false,
+                error: validityErrors.length > 0 ? 'Invalid Validity Window' : 'Invalid Disclosure Field',
+                details: validityErrors.length > 0 ? validityErrors : disclosureErrors
+            });
+        }
+
+        const summary = {
+            totalRows: processedRows,
+            successfulRows: leaves.length,
+            errorRows: processingErrors.length
+        };
 
         // Build Merkle tree
-        let merkleTree, merkleRoot, certificatesWithProofs;
+        let merkleRoot, disclosureRoot = null, treeStats, zkConfig;
 
         try {
-            merkleTree = MerkleService.buildMerkleTree(certificatesWithCommitments);
+            const merkleTree = await MerkleService.buildMerkleTree(leaves.map(commitment => ({ commitment })), {
+                hash: zkBatch ? 'poseidon' : 'sha256'
+            });
             merkleRoot = '0x' + merkleTree.getRoot().toString('hex');
 
-            // Generate proofs for each certificate 
-            certificatesWithProofs = certificatesWithCommitments.map(cert => {
-                const proof = MerkleService.generateMerkleProof(merkleTree, cert.commitment);
-                return {
-                    ...cert,
-                    merkleProof: proof
-                };
-            });
+            // Disclosure proofs are made against a second tree whose root is anchored with the batch
+            const disclosureTree = zkBatch
+                ? await MerkleService.buildMerkleTree(disclosureLeaves.map(commitment => ({ commitment })), { hash: 'poseidon' })
+                : null;
+            disclosureRoot = disclosureTree ? '0x' + disclosureTree.getRoot().toString('hex') : null;
+
+            // Generate proofs for each certificate as the staged certificates are stored
+            async function* proveCertificates() {
+                let index = 0;
+                for await (const cert of processedCertificates.certificates(sessionId, { staged: true })) {
+                    yield {
+                        ...cert,
+                        merkleProof: MerkleService.generateMerkleProof(merkleTree, cert.commitment, index),
+                        ...(disclosureTree && {
+                            disclosure: {
+                                ...cert.disclosure,
+                                merkleProof: MerkleService.generateMerkleProof(disclosureTree, cert.disclosure.commitment, index)
+                            }
+                        })
+                    };
+                    index++;
+                }
+            }
+            await processedCertificates.save(sessionId, proveCertificates());
+            replacedCertificates = true;
+            await processedCertificates.remove(sessionId, { staged: true });
 
             // Get tree statistics
-            const treeStats = MerkleService.getTreeStats(merkleTree);
+            treeStats = MerkleService.getTreeStats(merkleTree);
+
+            // Subject proofs for this batch need the circuit variant built for its shape
+            const gradeScale = processingOptions?.gradeScale || GradeScale.DEFAULT;
+            zkConfig = subjectColumns.length > 0 ? {
+                gradeScale,
+                subjectCount: subjectColumns.length,
+                circuit: ZKProofService.findCircuitVariant(subjectColumns.length, gradeScale)?.name || null
+            } : null;
 
             // Update session with processed data
-            session.processedData = certificatesWithProofs;
-            session.merkleRoot = merkleRoot;
-            session.merkleTreeStats = treeStats;
-            session.step = 'processed';
+            await sessionStore.update(sessionId, {
+                processedCount: leaves.length,
+                merkleRoot: merkleRoot,
+                disclosureRoot,
+                merkleTreeStats: treeStats,
+                zkConfig,
+                step: 'processed',
+                processedBy: actorOf(req),
+                processingSummary: summary,
+                processingErrors
+            });
+            abandonProcessing = null;
 
         } catch (merkleError) {
             console.error('Merkle tree generation error:', merkleError);
+            await abandonProcessing();
             return res.status(500).json({
                 success: false,
                 error: 'Merkle Tree Generation Failed',
@@ -212,18 +683,41 @@ router.post('/process', async (req, res) => {
             });
         }
 
+        await AuditService.record(actorOf(req), 'workflow.process', {
+            sessionId,
+            details: {
+                fieldMappings,
+                processedCount: leaves.length,
+                errorCount: processingErrors.length,
+                merkleRoot,
+                disclosureRoot,
+                zkConfig
+            }
+        });
+
+        // The certificates are returned a page at a time; GET /session/:sessionId/certificates reads the rest
+        const { certificates, page } = await certificatePage(sessionId, leaves.length, 0, CERTIFICATE_PAGE_SIZE);
+
         res.json({
             success: true,
-            message: `Successfully processed ${certificatesWithProofs.length} certificates`,
-            summary: processingResult.summary,
-            certificates: certificatesWithProofs,
+            message: `Successfully processed ${leaves.length} certificates`,
+            summary,
+            certificates,
+            page,
             merkleRoot: merkleRoot,
-            merkleTreeStats: session.merkleTreeStats,
-            errors: processingResult.errors
+            disclosureRoot,
+            merkleTreeStats: treeStats,
+            zkConfig,
+            errors: processingErrors
         });
 
     } catch (error) {
         console.error('Data processing error:', error);
+        if (abandonProcessing) {
+            await abandonProcessing().catch(cleanupError => {
+                console.error('Processing cleanup error:', cleanupError);
+            });
+        }
         res.status(500).json({
             success: false,
             error: 'Processing Failed',
@@ -234,14 +728,18 @@ router.post('/process', async (req, res) => {
 
 /**
  * @route POST /api/workflow/generate-pdf
- * @desc Step 3: Generate PDF certificate for individual student
+ * @desc Step 3: Generate PDF certificate for individual student; with the batchId of an issued
+ *       batch, or the sessionId that deployed it, the PDF carries a signed QR code for the
+ *       certificate with ID studentData.id
  */
 router.post('/generate-pdf', async (req, res) => {
     try {
         const schema = Joi.object({
             studentData: Joi.object().required(),
-            template: Joi.object().optional()
-        });
+            template: Joi.object().optional(),
+            sessionId: Joi.string().optional(),
+            batchId: Joi.string().pattern(/^\d+$/).optional()
+        }).oxor('sessionId', 'batchId');
 
         const { error, value } = schema.validate(req.body);
         if (error) {
@@ -252,7 +750,65 @@ router.post('/generate-pdf', async (req, res) => {
             });
         }
 
-        const { studentData, template } = value;
+        const { studentData, template, sessionId, batchId } = value;
+
+        // The QR reference comes from the issued batch, never from the posted student data
+        let verificationQR = null;
+        if (sessionId || batchId) {
+            let batch = null;
+            let certificate = null;
+
+            if (batchId) {
+                batch = await resolveIssuedBatch(res, { batchId });
+                if (!batch) {
+                    return;
+                }
+            } else {
+                const session = await sessionStore.get(sessionId);
+                if (!session || sessionStore.isExpired(session)) {
+                    return res.status(410).json({
+                        success: false,
+                        error: 'Session expired or not found'
+                    });
+                }
+
+                if (session.deploymentData?.batchId) {
+                    batch = await loadIssuedBatch(sessionId, session);
+                } else {
+                    certificate = await processedCertificates.find(sessionId, studentData.id);
+                }
+            }
+
+            if (batch) {
+                certificate = await issuedBatches.findCertificate(batch.contractAddress, batch.batchId, studentData.id);
+            }
+            if (!certificate) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Certificate Not Found',
+                    message: `No certificate with ID ${studentData.id} in this ${batch ? 'batch' : 'session'}`
+                });
+            }
+
+            if (batch) {
+                try {
+                    verificationQR = await CertificateService.generateQRCodeData({
+                        batchId: batch.batchId,
+                        commitment: certificate.commitment,
+                        contractAddress: batch.contractAddress,
+                        chainId: batch.chainId
+                    });
+                } catch (chainError) {
+                    console.error('QR signing error:', chainError);
+                    const { status, error: errorName, message } = BlockchainService.describeError(chainError, 'QR Signing Failed');
+                    return res.status(status).json({
+                        success: false,
+                        error: errorName,
+                        message
+                    });
+                }
+            }
+        }
 
         // Generate PDF using dynamic service
         const pdfBuffer = await DynamicCertificateService.generateDynamicPDFCertificate(
@@ -264,7 +820,8 @@ router.post('/generate-pdf', async (req, res) => {
                     secondary: '#3498db',
                     accent: '#e74c3c'
                 }
-            }
+            },
+            verificationQR
         );
 
         const fileName = `${(studentData.name || 'certificate').replace(/[^a-zA-Z0-9]/g, '_')}_certificate.pdf`;
@@ -275,6 +832,11 @@ router.post('/generate-pdf', async (req, res) => {
             'Content-Length': pdfBuffer.length
         });
 
+        await AuditService.record(actorOf(req), 'workflow.generate_pdf', {
+            certificateId: studentData.certificateId || studentData.id,
+            details: { studentId: studentData.student_id || null, fileName, signedQR: Boolean(verificationQR) }
+        });
+
         res.send(pdfBuffer);
 
     } catch (error) {
@@ -288,16 +850,66 @@ router.post('/generate-pdf', async (req, res) => {
 });
 
 /**
- * @route POST /api/workflow/deploy
- * @desc Step 4: Deploy certificates to blockchain (simulated)
+ * Load a live session for an approval action, sending the error response if there is none
+ * @param {Object} res - Express response
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} allowedSteps - Steps the action may start from
+ * @returns {Object|null} - Session, or null if a response was sent
  */
-router.post('/deploy', async (req, res) => {
+async function loadSessionForReview(res, sessionId, allowedSteps) {
+    const session = await sessionStore.get(sessionId);
+    if (!session || sessionStore.isExpired(session)) {
+        res.status(410).json({
+            success: false,
+            error: 'Session expired or not found'
+        });
+        return null;
+    }
+
+    if (!allowedSteps.includes(session.step)) {
+        res.status(409).json({
+            success: false,
+            error: 'Invalid Session Step',
+            message: `Session is '${session.step}', expected ${allowedSteps.map(step => `'${step}'`).join(' or ')}`
+        });
+        return null;
+    }
+
+    return session;
+}
+
+/**
+ * Summarise a session for reviewers
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Workflow session
+ * @returns {Object} - What an approver needs to decide
+ */
+function toReviewSummary(sessionId, session) {
+    return {
+        sessionId,
+        fileName: session.originalName,
+        step: session.step,
+        merkleRoot: session.merkleRoot,
+        disclosureRoot: session.disclosureRoot || null,
+        merkleTreeStats: session.merkleTreeStats,
+        processedCount: session.processedCount || 0,
+        summary: session.processingSummary || null,
+        errors: session.processingErrors || [],
+        approval: session.approval || null,
+        approvalHistory: session.approvalHistory || [],
+        processedBy: session.processedBy || null
+    };
+}
+
+/**
+ * @route POST /api/workflow/submit
+ * @desc Submit a processed session for a second person's approval
+ */
+router.post('/submit', async (req, res) => {
     try {
         const schema = Joi.object({
-            sessionId: Joi.string().optional(),
-            merkleRoot: Joi.string().required(),
-            certificates: Joi.array().optional(),
-            totalCertificates: Joi.number().required()
+            sessionId: Joi.string().required(),
+            comment: Joi.string().max(1000).allow('').optional()
         });
 
         const { error, value } = schema.validate(req.body);
@@ -309,138 +921,1050 @@ router.post('/deploy', async (req, res) => {
             });
         }
 
-        const { sessionId, merkleRoot, certificates, totalCertificates } = value;
+        const session = await loadSessionForReview(res, value.sessionId, ['processed']);
+        if (!session) {
+            return;
+        }
 
-        // Simulate blockchain deployment
-        const transactionHash = `0x${crypto.randomBytes(32).toString('hex')}`;
-        const blockNumber = Math.floor(Math.random() * 1000000) + 18500000;
-        const gasUsed = Math.floor(Math.random() * 200000) + 21000;
+        const updated = await sessionStore.update(value.sessionId, {
+            step: 'pending_approval',
+            approval: {
+                status: 'pending',
+                merkleRoot: session.merkleRoot,
+                submittedBy: actorOf(req),
+                submittedAt: new Date().toISOString(),
+                comment: value.comment || null
+            },
+            approvalHistory: withApprovalEvent(session, 'submitted', req, value.comment),
+            expiresAt: new Date(Date.now() + APPROVAL_TTL_MS)
+        });
 
-        // If session provided, mark as deployed
-        if (sessionId && global.certificateWorkflowSessions?.[sessionId]) {
-            global.certificateWorkflowSessions[sessionId].step = 'deployed';
-            global.certificateWorkflowSessions[sessionId].deploymentData = {
-                transactionHash,
-                blockNumber,
-                gasUsed,
-                deployedAt: new Date().toISOString()
-            };
-        }
+        await AuditService.record(actorOf(req), 'workflow.submit', {
+            sessionId: value.sessionId,
+            details: { merkleRoot: session.merkleRoot, comment: value.comment || null }
+        });
 
         res.json({
             success: true,
-            message: 'Certificates deployed to blockchain successfully',
-            transactionHash: transactionHash,
-            blockNumber: blockNumber,
-            gasUsed: gasUsed,
-            merkleRoot: merkleRoot,
-            totalCertificates: totalCertificates,
-            timestamp: new Date().toISOString()
+            message: 'Session submitted for approval',
+            session: toReviewSummary(value.sessionId, updated)
         });
 
     } catch (error) {
-        console.error('Deployment error:', error);
+        console.error('Approval submission error:', error);
         res.status(500).json({
             success: false,
-            error: 'Deployment Failed',
+            error: 'Submission Failed',
             message: error.message
         });
     }
 });
 
 /**
- * @route GET /api/workflow/session/:sessionId
- * @desc Get session status and data
+ * @route GET /api/workflow/approvals
+ * @desc List sessions waiting for approval
  */
-router.get('/session/:sessionId', (req, res) => {
+router.get('/approvals', async (req, res) => {
     try {
-        const sessionId = req.params.sessionId;
-        const session = global.certificateWorkflowSessions?.[sessionId];
+        const sessions = await sessionStore.list();
+        const pending = sessions
+            .filter(session => session.step === 'pending_approval')
+            .map(({ sessionId, ...session }) => toReviewSummary(sessionId, session));
+
+        res.json({
+            success: true,
+            sessions: pending
+        });
+
+    } catch (error) {
+        console.error('Approval listing error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Approval Listing Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route POST /api/workflow/approve
+ * @desc Approve a submitted session so it can be deployed (not by the person who submitted or processed it)
+ */
+router.post('/approve', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string().required(),
+            merkleRoot: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required(),
+            comment: Joi.string().max(1000).allow('').optional()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
 
+        const session = await loadSessionForReview(res, value.sessionId, ['pending_approval']);
         if (!session) {
-            return res.status(404).json({
+            return;
+        }
+
+        // The approver confirms the exact root they reviewed
+        if (value.merkleRoot.toLowerCase() !== session.approval.merkleRoot.toLowerCase()) {
+            return res.status(409).json({
                 success: false,
-                error: 'Session not found'
+                error: 'Merkle Root Mismatch',
+                message: 'The Merkle root does not match the one submitted for approval'
             });
         }
 
-        if (new Date() > session.expiresAt) {
-            delete global.certificateWorkflowSessions[sessionId];
-            return res.status(410).json({
+        const approver = actorOf(req);
+        const preparers = [session.approval.submittedBy, session.processedBy]
+            .filter(Boolean)
+            .map(actor => actor.username);
+        if (approver && preparers.includes(approver.username)) {
+            return res.status(403).json({
                 success: false,
-                error: 'Session expired'
+                error: 'Separation Of Duties',
+                message: 'A session must be approved by someone other than the person who processed or submitted it'
             });
         }
 
+        const updated = await sessionStore.update(value.sessionId, {
+            step: 'approved',
+            approval: {
+                ...session.approval,
+                status: 'approved',
+                approvedBy: approver,
+                approvedAt: new Date().toISOString(),
+                reviewComment: value.comment || null
+            },
+            approvalHistory: withApprovalEvent(session, 'approved', req, value.comment)
+        });
+
+        await AuditService.record(actorOf(req), 'workflow.approve', {
+            sessionId: value.sessionId,
+            details: { merkleRoot: session.merkleRoot, comment: value.comment || null }
+        });
+
         res.json({
             success: true,
-            session: {
-                sessionId: sessionId,
-                fileName: session.originalName,
-                step: session.step,
-                processedCount: session.processedData?.length || 0,
-                merkleRoot: session.merkleRoot,
-                merkleTreeStats: session.merkleTreeStats,
-                createdAt: session.createdAt,
-                expiresAt: session.expiresAt
-            }
+            message: 'Session approved for deployment',
+            session: toReviewSummary(value.sessionId, updated)
         });
 
     } catch (error) {
-        console.error('Session retrieval error:', error);
+        console.error('Approval error:', error);
         res.status(500).json({
             success: false,
-            error: 'Session retrieval failed'
+            error: 'Approval Failed',
+            message: error.message
         });
     }
 });
 
 /**
- * @route DELETE /api/workflow/cleanup/:sessionId
- * @desc Clean up session and temporary files
+ * @route POST /api/workflow/reject
+ * @desc Reject a submitted or approved session, sending it back to 'processed'
  */
-router.delete('/cleanup/:sessionId', (req, res) => {
+router.post('/reject', async (req, res) => {
     try {
-        const sessionId = req.params.sessionId;
-        const session = global.certificateWorkflowSessions?.[sessionId];
+        const schema = Joi.object({
+            sessionId: Joi.string().required(),
+            comment: Joi.string().min(1).max(1000).required()
+        });
 
-        if (session) {
-            // Clean up file
-            if (fs.existsSync(session.filePath)) {
-                fs.unlinkSync(session.filePath);
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const session = await loadSessionForReview(res, value.sessionId, REVIEW_STEPS);
+        if (!session) {
+            return;
+        }
+
+        const updated = await sessionStore.update(value.sessionId, {
+            step: 'processed',
+            approval: {
+                ...session.approval,
+                status: 'rejected',
+                rejectedBy: actorOf(req),
+                rejectedAt: new Date().toISOString(),
+                reviewComment: value.comment
+            },
+            approvalHistory: withApprovalEvent(session, 'rejected', req, value.comment)
+        });
+
+        await AuditService.record(actorOf(req), 'workflow.reject', {
+            sessionId: value.sessionId,
+            details: { merkleRoot: session.merkleRoot, previousStep: session.step, comment: value.comment }
+        });
+
+        res.json({
+            success: true,
+            message: 'Session rejected and returned to processed',
+            session: toReviewSummary(value.sessionId, updated)
+        });
+
+    } catch (error) {
+        console.error('Rejection error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Rejection Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route POST /api/workflow/deploy
+ * @desc Step 4: Issue an approved session's batch on-chain via ZKCertificateSystem.issueBatch,
+ * or propose it when the institution requires M-of-N signer approval
+ */
+router.post('/deploy', async (req, res) => {
+    // Set once this request holds the session's on-chain operation slot
+    let claimedSessionId = null;
+
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string().required(),
+            merkleRoot: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required(),
+            certificates: Joi.array().optional(),
+            // Optional cross-check; the batch size is always the session's processed count
+            totalCertificates: Joi.number().integer().min(1).optional(),
+            // Optional cross-check against the institution the signer is registered with
+            institutionName: Joi.string().min(2).max(100).optional(),
+            courseName: Joi.string().required().min(2).max(100),
+            graduationYear: Joi.number().integer().required().min(1901).max(2100),
+            // Kept as given so a plain date can be read as the whole day
+            validFrom: Joi.string().isoDate().prefs({ convert: false }).optional(),
+            validUntil: Joi.string().isoDate().prefs({ convert: false }).optional()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const { sessionId, merkleRoot, institutionName, courseName, graduationYear } = value;
+
+        // Claim the session before reading it, so a concurrent deploy of the same approved
+        // session is refused instead of anchoring a second batch
+        if (chainOperations.has(sessionId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operation In Progress',
+                message: 'An on-chain operation for this session is already in progress'
+            });
+        }
+        chainOperations.add(sessionId);
+        claimedSessionId = sessionId;
+
+        // Only a session whose Merkle root a second person approved may be anchored
+        const session = await sessionStore.get(sessionId);
+        if (!session || sessionStore.isExpired(session)) {
+            return res.status(410).json({
+                success: false,
+                error: 'Session expired or not found'
+            });
+        }
+
+        if (session.step !== 'approved') {
+            return res.status(409).json({
+                success: false,
+                error: 'Approval Required',
+                message: `Session is '${session.step}'; only approved sessions can be deployed`
+            });
+        }
+
+        if (merkleRoot.toLowerCase() !== session.merkleRoot.toLowerCase()) {
+            return res.status(409).json({
+                success: false,
+                error: 'Merkle Root Mismatch',
+                message: 'The Merkle root does not match the one that was approved'
+            });
+        }
+
+        const totalCertificates = session.processedCount;
+        if (value.totalCertificates !== undefined && value.totalCertificates !== totalCertificates) {
+            return res.status(409).json({
+                success: false,
+                error: 'Certificate Count Mismatch',
+                message: `The approved session holds ${totalCertificates} certificates, not ${value.totalCertificates}`
+            });
+        }
+
+        // Batches are issued in the name of the signer's registered institution
+        let institution;
+        try {
+            institution = await BlockchainService.getSignerInstitution();
+        } catch (chainError) {
+            console.error('Institution lookup error:', chainError);
+            const { status, error: errorName, message } = BlockchainService.describeError(chainError, 'Institution Lookup Failed');
+            return res.status(status).json({
+                success: false,
+                error: errorName,
+                message
+            });
+        }
+
+        if (!institution || !institution.active) {
+            return res.status(403).json({
+                success: false,
+                error: 'Institution Not Registered',
+                message: institution
+                    ? `Institution ${institution.name} is suspended`
+                    : 'The configured signer is not a signer of any registered institution'
+            });
+        }
+
+        if (institutionName && institutionName !== institution.name) {
+            return res.status(422).json({
+                success: false,
+                error: 'Institution Mismatch',
+                message: `The configured signer issues for ${institution.name}, not ${institutionName}`
+            });
+        }
+
+        let validity;
+        try {
+            validity = CertificateService.normalizeValidityWindow(value);
+        } catch (validityError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Validity Window',
+                message: validityError.message
+            });
+        }
+
+        const batch = {
+            merkleRoot,
+            disclosureRoot: session.disclosureRoot || null,
+            courseName,
+            graduationYear,
+            totalStudents: totalCertificates,
+            ...validity
+        };
+
+        // Institutions with an M-of-N issuance threshold get a proposal that co-signers approve on-chain
+        let deployment;
+        let threshold;
+        try {
+            threshold = await BlockchainService.getIssuanceThreshold(institution.institutionId);
+            deployment = threshold > 1
+                ? await BlockchainService.proposeBatch(batch)
+                : await BlockchainService.issueBatch(batch);
+        } catch (chainError) {
+            console.error('Blockchain deployment error:', chainError);
+            const { status, error: errorName, message } = BlockchainService.describeError(chainError);
+            return res.status(status).json({
+                success: false,
+                error: errorName,
+                message
+            });
+        }
+
+        const institutionSummary = {
+            institutionId: institution.institutionId,
+            name: institution.name,
+            domain: institution.domain
+        };
+
+        if (!deployment.batchId) {
+            await sessionStore.update(sessionId, {
+                step: 'awaiting_signatures',
+                deploymentData: {
+                    ...deployment,
+                    ...validity,
+                    courseName,
+                    graduationYear,
+                    threshold,
+                    proposedAt: new Date().toISOString(),
+                    deployedBy: actorOf(req)
+                }
+            });
+
+            await AuditService.record(actorOf(req), 'workflow.propose', {
+                sessionId,
+                details: { proposalId: deployment.proposalId, threshold, merkleRoot, transactionHash: deployment.transactionHash }
+            });
+
+            return res.status(202).json({
+                success: true,
+                message: `Batch proposed; ${threshold - 1} more signer approval(s) needed before it is issued`,
+                proposalId: deployment.proposalId,
+                threshold,
+                transactionHash: deployment.transactionHash,
+                blockNumber: deployment.blockNumber,
+                contractAddress: deployment.contractAddress,
+                chainId: deployment.chainId,
+                institution: institutionSummary,
+                merkleRoot: merkleRoot,
+                totalCertificates: totalCertificates,
+                validFrom: validity.validFrom,
+                validUntil: validity.validUntil,
+                deployedBy: actorOf(req),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const windows = await recordCertificateWindows(processedCertificates.certificates(sessionId), deployment.batchId);
+
+        const deployedSession = await sessionStore.update(sessionId, {
+            step: 'deployed',
+            deploymentData: {
+                ...deployment,
+                ...validity,
+                courseName,
+                graduationYear,
+                certificateWindowsSet: windows.recorded,
+                certificateWindowsFailed: windows.failed,
+                deployedAt: new Date().toISOString(),
+                deployedBy: actorOf(req)
             }
+        });
 
-            // Remove session
-            delete global.certificateWorkflowSessions[sessionId];
+        // The batch is on-chain either way; a record that fails to store now is stored on the session's next use
+        let batchRecordStored = true;
+        let holderDownloads = [];
+        try {
+            holderDownloads = await issueHolderDownloads(await storeIssuedBatch(sessionId, deployedSession));
+        } catch (storeError) {
+            console.error('Issued batch record error:', storeError);
+            batchRecordStored = false;
+        }
+
+        await AuditService.record(actorOf(req), 'workflow.deploy', {
+            sessionId,
+            batchId: deployment.batchId,
+            details: {
+                merkleRoot,
+                institutionId: institution.institutionId,
+                transactionHash: deployment.transactionHash,
+                failedValidityWindows: windows.failed
+            }
+        });
+
+        // Certificates without their window would be valid for the whole batch window, so this is not a success
+        if (windows.failed.length > 0) {
+            return res.status(502).json({
+                success: false,
+                error: 'Validity Windows Incomplete',
+                message: `Batch ${deployment.batchId} was issued, but the validity windows of ${windows.failed.length} ` +
+                    'certificate(s) could not be recorded; retry them with POST /api/workflow/validity-windows',
+                batchId: deployment.batchId,
+                transactionHash: deployment.transactionHash,
+                contractAddress: deployment.contractAddress,
+                chainId: deployment.chainId,
+                merkleRoot,
+                certificateWindowsSet: windows.recorded,
+                failedCertificateIds: windows.failed
+            });
         }
 
         res.json({
             success: true,
-            message: 'Session cleaned up successfully'
+            message: 'Certificates deployed to blockchain successfully',
+            batchId: deployment.batchId,
+            transactionHash: deployment.transactionHash,
+            blockNumber: deployment.blockNumber,
+            gasUsed: deployment.gasUsed,
+            contractAddress: deployment.contractAddress,
+            chainId: deployment.chainId,
+            institution: institutionSummary,
+            merkleRoot: merkleRoot,
+            totalCertificates: totalCertificates,
+            validFrom: validity.validFrom,
+            validUntil: validity.validUntil,
+            certificateWindowsSet: windows.recorded,
+            batchRecordStored,
+            holderDownloads,
+            deployedBy: actorOf(req),
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Cleanup error:', error);
+        console.error('Deployment error:', error);
         res.status(500).json({
             success: false,
-            error: 'Cleanup failed'
+            error: 'Deployment Failed',
+            message: error.message
+        });
+    } finally {
+        if (claimedSessionId) {
+            chainOperations.delete(claimedSessionId);
+        }
+    }
+});
+
+/**
+ * @route POST /api/workflow/sync-proposal
+ * @desc Bring a session awaiting co-signers up to date with its batch proposal: executes the
+ *       proposal once a lowered threshold has made it executable, and records the issued batch
+ */
+router.post('/sync-proposal', async (req, res) => {
+    let claimedSessionId = null;
+
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string().required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const { sessionId } = value;
+        if (chainOperations.has(sessionId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Operation In Progress',
+                message: 'An on-chain operation for this session is already in progress'
+            });
+        }
+        chainOperations.add(sessionId);
+        claimedSessionId = sessionId;
+
+        const storedSession = await sessionStore.get(sessionId);
+        if (!storedSession || sessionStore.isExpired(storedSession)) {
+            return res.status(410).json({
+                success: false,
+                error: 'Session expired or not found'
+            });
+        }
+
+        if (storedSession.step !== 'awaiting_signatures') {
+            return res.status(409).json({
+                success: false,
+                error: 'No Pending Proposal',
+                message: `Session is '${storedSession.step}'; only sessions awaiting co-signers have a proposal to sync`
+            });
+        }
+
+        const session = await syncBatchProposal(sessionId, storedSession, actorOf(req));
+
+        const messages = {
+            deployed: `Batch ${session.deploymentData?.batchId} has been issued`,
+            approved: 'The proposal was cancelled; the session can be deployed again',
+            awaiting_signatures: 'The proposal is still waiting for signer approvals'
+        };
+
+        // The batch is issued either way; without its record the registrar downloads bundles later
+        let holderDownloads = [];
+        if (session.step === 'deployed') {
+            try {
+                holderDownloads = await issueHolderDownloads(await loadIssuedBatch(sessionId, session));
+            } catch (storeError) {
+                console.error('Issued batch record error:', storeError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: messages[session.step],
+            step: session.step,
+            proposalId: storedSession.deploymentData.proposalId,
+            batchId: session.deploymentData?.batchId || null,
+            holderDownloads
+        });
+
+    } catch (error) {
+        console.error('Proposal sync error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Proposal Sync Failed',
+            message: error.message
+        });
+    } finally {
+        if (claimedSessionId) {
+            chainOperations.delete(claimedSessionId);
+        }
+    }
+});
+
+/**
+ * @route POST /api/workflow/validity-windows
+ * @desc Retry recording the per-certificate validity windows that failed when a batch was issued
+ */
+router.post('/validity-windows', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string(),
+            batchId: Joi.string().pattern(/^\d+$/)
+        }).xor('sessionId', 'batchId');
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const batch = await resolveIssuedBatch(res, value, 'Validity windows can only be recorded after the batch has been deployed');
+        if (!batch) {
+            return;
+        }
+
+        const pending = new Set((batch.pendingValidityWindows || []).map(String));
+        const certificates = [];
+        if (pending.size > 0) {
+            for await (const certificate of issuedBatches.certificates(batch.contractAddress, batch.batchId)) {
+                if (pending.has(String(certificate.id))) {
+                    certificates.push(certificate);
+                }
+            }
+        }
+
+        const windows = await recordCertificateWindows(certificates, batch.batchId);
+        await issuedBatches.update(batch.contractAddress, batch.batchId, () => ({
+            pendingValidityWindows: windows.failed
+        }));
+
+        await AuditService.record(actorOf(req), 'workflow.validity_windows', {
+            sessionId: batch.sessionId,
+            batchId: batch.batchId,
+            details: { recorded: windows.recorded, failedValidityWindows: windows.failed }
+        });
+
+        res.status(windows.failed.length > 0 ? 502 : 200).json({
+            success: windows.failed.length === 0,
+            ...(windows.failed.length > 0 && { error: 'Validity Windows Incomplete' }),
+            message: windows.failed.length > 0
+                ? `${windows.failed.length} certificate validity window(s) still could not be recorded`
+                : `${windows.recorded} certificate validity window(s) recorded`,
+            batchId: batch.batchId,
+            certificateWindowsSet: windows.recorded,
+            failedCertificateIds: windows.failed
+        });
+
+    } catch (error) {
+        console.error('Validity window error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Validity Windows Failed',
+            message: error.message
         });
     }
 });
 
-// Periodic cleanup of expired sessions
-setInterval(() => {
-    if (global.certificateWorkflowSessions) {
-        const now = new Date();
-        Object.entries(global.certificateWorkflowSessions).forEach(([sessionId, session]) => {
-            if (now > session.expiresAt) {
-                if (fs.existsSync(session.filePath)) {
-                    fs.unlinkSync(session.filePath);
+/**
+ * @route POST /api/workflow/revoke
+ * @desc Revoke one issued certificate on-chain using its stored commitment; the batch is given
+ *       by batchId, or by the sessionId that deployed it while that session lasts
+ */
+router.post('/revoke', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            sessionId: Joi.string(),
+            batchId: Joi.string().pattern(/^\d+$/),
+            certificateId: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string()).required(),
+            reason: Joi.string().valid(...BlockchainService.REVOCATION_REASONS).default('unspecified')
+        }).xor('sessionId', 'batchId');
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const { certificateId, reason } = value;
+
+        const batch = await resolveIssuedBatch(res, value, 'Certificates can only be revoked after the batch has been deployed');
+        if (!batch) {
+            return;
+        }
+
+        const certificate = await issuedBatches.findCertificate(batch.contractAddress, batch.batchId, certificateId);
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                error: 'Certificate Not Found',
+                message: `No certificate with ID ${certificateId} in batch ${batch.batchId}`
+            });
+        }
+
+        // Both the commitment and the disclosure commitment are revoked; a retry after a
+        // partial failure skips the keys that are already revoked
+        const revocations = [];
+        try {
+            for (const certificateKey of certificateKeys(certificate)) {
+                if (!(await BlockchainService.getCertificateRevocation(batch.batchId, certificateKey))) {
+                    revocations.push(await BlockchainService.revokeCertificate({
+                        batchId: batch.batchId,
+                        certificateKey,
+                        reason
+                    }));
                 }
-                delete global.certificateWorkflowSessions[sessionId];
             }
+        } catch (chainError) {
+            console.error('Certificate revocation error:', chainError);
+            const { status, error: errorName, message } = BlockchainService.describeError(chainError, 'Revocation Failed');
+            return res.status(status).json({
+                success: false,
+                error: errorName,
+                message
+            });
+        }
+
+        if (revocations.length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Already Revoked',
+                message: `Certificate ${certificate.id} is already revoked`
+            });
+        }
+        const [revocation] = revocations;
+
+        // Keep the published revocation tree root in step; a failure here leaves the
+        // revocation in place and can be retried with POST /api/merkle/revocation/publish
+        let revocationRootUpdate = null;
+        try {
+            const revokedKeys = await BlockchainService.getRevokedCertificateKeys(revocation.batchId);
+            const revocationTree = await MerkleService.buildRevocationTree(revokedKeys);
+            revocationRootUpdate = await BlockchainService.updateRevocationRoot(
+                revocation.batchId,
+                revocationTree.getHexRoot()
+            );
+        } catch (rootError) {
+            console.error('Revocation root update error:', rootError);
+        }
+
+        await issuedBatches.update(batch.contractAddress, batch.batchId, record => ({
+            revokedCertificates: [
+                ...record.revokedCertificates,
+                { certificateId: certificate.id, ...revocation, revokedBy: actorOf(req) }
+            ]
+        }));
+
+        await AuditService.record(actorOf(req), 'workflow.revoke', {
+            sessionId: batch.sessionId,
+            certificateId: certificate.id,
+            batchId: revocation.batchId,
+            details: { reason, transactionHash: revocation.transactionHash }
+        });
+
+        res.json({
+            success: true,
+            message: revocationRootUpdate
+                ? `Certificate ${certificate.id} revoked`
+                : `Certificate ${certificate.id} revoked, but the revocation root could not be published`,
+            certificateId: certificate.id,
+            ...revocation,
+            revokedBy: actorOf(req),
+            revocationRoot: revocationRootUpdate ? revocationRootUpdate.revocationRoot : null
+        });
+
+    } catch (error) {
+        console.error('Revocation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Revocation Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Sign and send the holder bundle of one certificate of an issued batch
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} batch - Issued batch record
+ * @param {string} certificateId - Certificate ID
+ * @param {string} action - Audit action
+ */
+async function sendBundle(req, res, batch, certificateId, action = 'workflow.bundle') {
+    if (batch.merkleTreeStats?.hash !== 'poseidon') {
+        return res.status(409).json({
+            success: false,
+            error: 'Not A ZK Batch',
+            message: 'Only batches processed with subject grade columns can be proven, so only they have bundles'
+        });
+    }
+
+    const certificate = await issuedBatches.findCertificate(batch.contractAddress, batch.batchId, certificateId);
+    if (!certificate) {
+        return res.status(404).json({
+            success: false,
+            error: 'Certificate Not Found',
+            message: `No certificate with ID ${certificateId} in batch ${batch.batchId}`
+        });
+    }
+
+    let bundle;
+    try {
+        bundle = await CertificateBundleService.create(batch, certificate);
+    } catch (chainError) {
+        console.error('Bundle signing error:', chainError);
+        const { status, error: errorName, message } = BlockchainService.describeError(chainError, 'Bundle Signing Failed');
+        return res.status(status).json({
+            success: false,
+            error: errorName,
+            message
+        });
+    }
+
+    await AuditService.record(actorOf(req), action, {
+        sessionId: batch.sessionId,
+        certificateId: String(certificateId),
+        batchId: batch.batchId
+    });
+
+    res.set('Content-Disposition', `attachment; filename="${CertificateBundleService.fileName(bundle)}"`);
+    res.json(bundle);
+}
+
+/**
+ * Issue a download token for every certificate of a ZK batch, so each holder can fetch
+ * their own bundle from GET /api/workflow/holder-bundle/:token
+ * @param {Object} batch - Issued batch record
+ * @returns {Array} - certificateId, studentId and token per certificate; empty for other batches
+ */
+async function issueHolderDownloads(batch) {
+    if (batch.merkleTreeStats?.hash !== 'poseidon') {
+        return [];
+    }
+
+    const downloads = [];
+    for await (const certificate of issuedBatches.certificates(batch.contractAddress, batch.batchId)) {
+        downloads.push({
+            certificateId: String(certificate.id),
+            studentId: certificate.commitmentData?.studentId || null,
+            token: CertificateBundleService.issueDownloadToken(batch, certificate.id)
+        });
+    }
+    return downloads;
+}
+
+/**
+ * @route GET /api/workflow/bundle/:batchId/:certificateId
+ * @desc Download the signed holder bundle of one issued certificate (salt, commitment, Merkle path,
+ *       batch and contract), from which the student can generate proofs without the issuer
+ */
+router.get('/bundle/:batchId/:certificateId', async (req, res) => {
+    try {
+        const { batchId, certificateId } = req.params;
+
+        if (!/^\d+$/.test(batchId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'batchId must be an issued batch number'
+            });
+        }
+
+        const batch = await resolveIssuedBatch(res, { batchId });
+        if (!batch) {
+            return;
+        }
+
+        await sendBundle(req, res, batch, certificateId);
+
+    } catch (error) {
+        console.error('Bundle export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Bundle Export Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route GET /api/workflow/holder-bundle/:token
+ * @desc Holder-side bundle download: the token issued at deployment names the certificate,
+ *       so the student needs no account
+ */
+router.get('/holder-bundle/:token', async (req, res) => {
+    try {
+        const claims = CertificateBundleService.verifyDownloadToken(req.params.token);
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid Download Token',
+                message: 'This download link is invalid or has expired; ask your institution for a new one'
+            });
+        }
+
+        const batch = await issuedBatches.get(claims.contractAddress, claims.batchId);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch Not Found',
+                message: `Batch ${claims.batchId} is no longer held by this backend`
+            });
+        }
+
+        await sendBundle(req, res, batch, claims.certificateId, 'workflow.bundle.holder');
+
+    } catch (error) {
+        console.error('Holder bundle export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Bundle Export Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route GET /api/workflow/session/:sessionId
+ * @desc Get session status and data
+ */
+router.get('/session/:sessionId', async (req, res) => {
+    try {
+        const sessionId = req.params.sessionId;
+        const session = await sessionStore.get(sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        if (sessionStore.isExpired(session)) {
+            await sessionStore.delete(sessionId);
+            return res.status(410).json({
+                success: false,
+                error: 'Session expired'
+            });
+        }
+
+        const batch = session.deploymentData?.batchId ? await loadIssuedBatch(sessionId, session) : null;
+
+        res.json({
+            success: true,
+            session: {
+                sessionId: sessionId,
+                fileName: session.originalName,
+                step: session.step,
+                progress: session.progress,
+                processedCount: session.processedCount || 0,
+                merkleRoot: session.merkleRoot,
+                disclosureRoot: session.disclosureRoot || null,
+                merkleTreeStats: session.merkleTreeStats,
+                revokedCertificates: batch ? batch.revokedCertificates : [],
+                pendingValidityWindows: batch ? batch.pendingValidityWindows || [] : [],
+                approval: session.approval || null,
+                approvalHistory: session.approvalHistory || [],
+                deployment: session.deploymentData || null,
+                createdBy: session.createdBy || null,
+                processedBy: session.processedBy || null,
+                deployedBy: session.deploymentData?.deployedBy || null,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Session retrieval error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Session retrieval failed'
+        });
+    }
+});
+
+/**
+ * @route GET /api/workflow/session/:sessionId/certificates
+ * @desc Get a page of the session's processed certificates (query: offset, limit)
+ */
+router.get('/session/:sessionId/certificates', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            offset: Joi.number().integer().min(0).default(0),
+            limit: Joi.number().integer().min(1).max(MAX_CERTIFICATE_PAGE_SIZE).default(CERTIFICATE_PAGE_SIZE)
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const sessionId = req.params.sessionId;
+        const session = await sessionStore.get(sessionId);
+        if (!session || sessionStore.isExpired(session)) {
+            return res.status(410).json({
+                success: false,
+                error: 'Session expired or not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...await certificatePage(sessionId, session.processedCount || 0, value.offset, value.limit)
+        });
+
+    } catch (error) {
+        console.error('Certificate page error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Certificate retrieval failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/workflow/cleanup/:sessionId
+ * @desc Clean up session and temporary files
+ */
+router.delete('/cleanup/:sessionId', async (req, res) => {
+    try {
+        const sessionId = req.params.sessionId;
+        const session = await sessionStore.get(sessionId);
+
+        if (session) {
+            // Clean up file
+            if (fs.existsSync(session.filePath)) {
+                fs.unlinkSync(session.filePath);
+            }
+            await processedCertificates.remove(sessionId);
+
+            // Remove session
+            await sessionStore.delete(sessionId);
+        }
+
+        await AuditService.record(actorOf(req), 'workflow.cleanup', { sessionId });
+
+        res.json({
+            success: true,
+            message: 'Session cleaned up successfully'
+        });
+
+    } catch (error) {
+        console.error('Cleanup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Cleanup failed'
         });
     }
-}, 30 * 60 * 1000); // Run every 30 minutes
+});
 
 module.exports = router;
\ No newline at end of file
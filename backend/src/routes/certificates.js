@@ -2,11 +2,15 @@ const express = require('express');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const Joi = require('joi');
 
 const CertificateService = require('../services/CertificateService');
 const MerkleService = require('../services/MerkleService');
+const BlockchainService = require('../services/BlockchainService');
+const ZKProofService = require('../services/ZKProofService');
+const GradeScale = require('../services/GradeScale');
 
 const router = express.Router();
 
@@ -36,8 +40,11 @@ const batchSchema = Joi.object({
     institutionName: Joi.string().required().min(2).max(100),
     courseName: Joi.string().required().min(2).max(100),
     graduationYear: Joi.number().required().min(1900).max(2100),
-    passingGrade: Joi.number().required().min(0).max(100),
-    requireAllSubjectsPassed: Joi.boolean().default(false)
+    passingGrade: Joi.alternatives(Joi.number(), Joi.string().max(10)).required(),
+    requireAllSubjectsPassed: Joi.boolean().default(false),
+    gradeScale: Joi.string().valid(...Object.keys(GradeScale.SCALES)).default(GradeScale.DEFAULT),
+    // Comma-separated subject grade columns; subject1, subject2, ... are detected when omitted
+    subjectColumns: Joi.string().max(5000).optional()
 });
 
 /**
@@ -63,8 +70,24 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
             });
         }
 
+        try {
+            GradeScale.encode(batchData.passingGrade, batchData.gradeScale);
+        } catch (gradeError) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: `passingGrade: ${gradeError.message}`
+            });
+        }
+
         const students = [];
         const csvPath = req.file.path;
+        const validationOptions = {
+            gradeScale: batchData.gradeScale,
+            subjectColumns: batchData.subjectColumns
+                ? batchData.subjectColumns.split(',').map(column => column.trim()).filter(Boolean)
+                : undefined
+        };
 
         // Parse CSV file
         await new Promise((resolve, reject) => {
@@ -73,7 +96,7 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
                 .on('data', (row) => {
                     try {
                         // Validate row structure
-                        const studentData = CertificateService.validateStudentData(row);
+                        const studentData = CertificateService.validateStudentData(row, validationOptions);
                         students.push(studentData);
                     } catch (error) {
                         reject(new Error(`Invalid student data at row: ${error.message}`));
@@ -92,13 +115,24 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
             });
         }
 
+        const subjectCount = students[0].subjects.length;
+        if (subjectCount > ZKProofService.MAX_SUBJECTS) {
+            return res.status(400).json({
+                error: 'Too Many Subjects',
+                message: `Certificates support at most ${ZKProofService.MAX_SUBJECTS} subjects, found ${subjectCount}`
+            });
+        }
+
+        // The circuit variant holders will need to prove against this batch, if one is built
+        const circuitVariant = ZKProofService.findCircuitVariant(subjectCount, batchData.gradeScale);
+
         // Generate certificate commitments
         const certificates = students.map(student =>
             CertificateService.generateCertificateCommitment(student)
         );
 
         // Build Merkle tree
-        const merkleTree = MerkleService.buildMerkleTree(certificates);
+        const merkleTree = await MerkleService.buildMerkleTree(certificates);
         const merkleRoot = merkleTree.getHexRoot();
 
         // Prepare batch data for blockchain
@@ -122,6 +156,9 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
                 institutionName: batchData.institutionName,
                 courseName: batchData.courseName,
                 graduationYear: batchData.graduationYear,
+                gradeScale: batchData.gradeScale,
+                subjectNames: students[0].subjectNames,
+                circuit: circuitVariant ? circuitVariant.name : null,
                 certificates: batchInfo.certificates
             }
         });
@@ -166,14 +203,19 @@ router.get('/template', (req, res) => {
 
 /**
  * @route POST /api/certificates/verify
- * @desc Verify a certificate using Merkle proof
+ * @desc Verify a certificate using Merkle proof, its validity window and (with batchId) its on-chain status
  */
 router.post('/verify', async (req, res) => {
     try {
         const verificationSchema = Joi.object({
             certificateHash: Joi.string().required(),
             merkleRoot: Joi.string().required(),
-            merkleProof: Joi.array().items(Joi.string()).required()
+            merkleProof: Joi.array().items(
+                Joi.string(),
+                Joi.object({ data: Joi.string().required(), position: Joi.string().valid('left', 'right') })
+            ).required(),
+            batchId: Joi.number().integer().min(1).optional(),
+            commitmentData: Joi.object().unknown(true).optional()
         });
 
         const { error, value } = verificationSchema.validate(req.body);
@@ -184,16 +226,70 @@ router.post('/verify', async (req, res) => {
             });
         }
 
+        const certificateHash = value.certificateHash.replace(/^0x/, '');
+
+        // The commitment data must be what was hashed, so its validity window can be trusted
+        if (value.commitmentData) {
+            const computedHash = crypto.createHash('sha256')
+                .update(JSON.stringify(value.commitmentData))
+                .digest('hex');
+
+            if (computedHash !== certificateHash.toLowerCase()) {
+                return res.status(422).json({
+                    error: 'Commitment Mismatch',
+                    message: 'Commitment data does not hash to the certificate hash'
+                });
+            }
+        }
+
         const isValid = MerkleService.verifyProof(
-            value.certificateHash,
+            certificateHash,
             value.merkleProof,
             value.merkleRoot
         );
 
+        let status = isValid ? 'valid' : 'invalid';
+        const committedValidity = {
+            validFrom: value.commitmentData?.validFrom || null,
+            validUntil: value.commitmentData?.validUntil || null
+        };
+        let validity = committedValidity;
+
+        if (status === 'valid' && value.batchId) {
+            let batch, chainStatus;
+            try {
+                [batch, chainStatus] = await Promise.all([
+                    BlockchainService.getBatchInfo(value.batchId),
+                    BlockchainService.getCertificateStatus(value.batchId, '0x' + certificateHash)
+                ]);
+            } catch (chainError) {
+                const { status: code, error: title, message } = BlockchainService.describeError(chainError, 'Status Lookup Failed');
+                return res.status(code).json({ error: title, message });
+            }
+
+            if (!batch || batch.merkleRoot.toLowerCase() !== '0x' + value.merkleRoot.replace(/^0x/, '').toLowerCase()) {
+                status = 'unknown';
+            } else {
+                status = chainStatus.status;
+                validity = { validFrom: chainStatus.validFrom, validUntil: chainStatus.validUntil };
+            }
+        }
+
+        // The window in the commitment data applies even if it was never recorded on-chain
+        if (status === 'valid') {
+            const committedStatus = CertificateService.getValidityStatus(committedValidity);
+            if (committedStatus !== 'valid') {
+                status = committedStatus;
+                validity = committedValidity;
+            }
+        }
+
         res.status(200).json({
             success: true,
-            valid: isValid,
-            message: isValid ? 'Certificate is valid' : 'Certificate verification failed'
+            valid: status === 'valid',
+            status,
+            validity,
+            message: CertificateService.VERIFICATION_MESSAGES[status]
         });
 
     } catch (error) {
@@ -294,7 +390,7 @@ router.post('/generate', async (req, res) => {
         );
 
         // Build Merkle tree
-        const merkleTree = MerkleService.buildMerkleTree(certificateCommitments);
+        const merkleTree = await MerkleService.buildMerkleTree(certificateCommitments);
         const merkleRoot = merkleTree.getHexRoot();
 
         // Simulate ZK proof generation (in real implementation, this would use SnarkJS)
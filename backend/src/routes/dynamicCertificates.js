@@ -3,13 +3,29 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const Joi = require('joi');
-const csv = require('csv-parser');
-const XLSX = require('xlsx');
 
 const DynamicCertificateService = require('../services/DynamicCertificateService');
+const CertificateService = require('../services/CertificateService');
+const BlockchainService = require('../services/BlockchainService');
+const { createSessionStore } = require('../services/SessionStore');
+const AuditService = require('../services/AuditService');
+const GradeScale = require('../services/GradeScale');
+const { actorOf } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Upload sessions expire after 30 minutes; expired uploads are removed by the sweeper
+const sessionStore = createSessionStore('uploads', {
+    ttlMs: 30 * 60 * 1000,
+    sweepIntervalMs: 10 * 60 * 1000,
+    onExpire: (session) => {
+        if (session.filePath && fs.existsSync(session.filePath)) {
+            fs.unlinkSync(session.filePath);
+        }
+    }
+});
+sessionStore.startSweeper();
+
 // Configure multer for file uploads with better organization
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -66,18 +82,18 @@ router.post('/parse', upload.single('file'), async (req, res) => {
         // Analyze file structure
         const analysis = await DynamicCertificateService.analyzeFileStructure(req.file.path);
 
-        // Generate session ID for this upload
-        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        // Store file info temporarily (in production, use Redis or database)
-        global.uploadSessions = global.uploadSessions || {};
-        global.uploadSessions[sessionId] = {
+        // Store file info for this upload
+        const { sessionId } = await sessionStore.create({
             filePath: req.file.path,
             originalName: req.file.originalname,
             analysis: analysis,
-            createdAt: new Date(),
-            expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
-        };
+            createdBy: actorOf(req)
+        });
+
+        await AuditService.record(actorOf(req), 'certificates.parse', {
+            sessionId,
+            details: { fileName: req.file.originalname, fileSize: req.file.size, totalRows: analysis.totalRows }
+        });
 
         res.json({
             success: true,
@@ -122,7 +138,8 @@ router.post('/generate', async (req, res) => {
             processingOptions: Joi.object({
                 requiredFields: Joi.array().items(Joi.string()),
                 skipEmptyRows: Joi.boolean().default(true),
-                validateEmails: Joi.boolean().default(true)
+                validateEmails: Joi.boolean().default(true),
+                gradeScale: Joi.string().valid(...Object.keys(GradeScale.SCALES)).default(GradeScale.DEFAULT)
             }).optional()
         });
 
@@ -138,7 +155,7 @@ router.post('/generate', async (req, res) => {
         const { sessionId, fieldMappings, certificateTemplate, processingOptions } = value;
 
         // Retrieve session data
-        const session = global.uploadSessions?.[sessionId];
+        const session = await sessionStore.get(sessionId);
         if (!session) {
             return res.status(404).json({
                 success: false,
@@ -148,8 +165,8 @@ router.post('/generate', async (req, res) => {
         }
 
         // Check if session expired
-        if (new Date() > session.expiresAt) {
-            delete global.uploadSessions[sessionId];
+        if (sessionStore.isExpired(session)) {
+            await sessionStore.delete(sessionId);
             if (fs.existsSync(session.filePath)) {
                 fs.unlinkSync(session.filePath);
             }
@@ -160,28 +177,9 @@ router.post('/generate', async (req, res) => {
             });
         }
 
-        // Re-parse file with processing
-        let rawData = [];
-        const fileExtension = path.extname(session.filePath).toLowerCase();
-
-        if (fileExtension === '.csv') {
-            await new Promise((resolve, reject) => {
-                fs.createReadStream(session.filePath)
-                    .pipe(csv())
-                    .on('data', (row) => rawData.push(row))
-                    .on('end', resolve)
-                    .on('error', reject);
-            });
-        } else if (['.xlsx', '.xls'].includes(fileExtension)) {
-            const workbook = XLSX.readFile(session.filePath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            rawData = XLSX.utils.sheet_to_json(worksheet);
-        }
-
-        // Process data with user mappings
-        const processingResult = DynamicCertificateService.processStudentData(
-            rawData,
+        // Stream the whole file through the user mappings
+        const processingResult = await DynamicCertificateService.processFile(
+            session.filePath,
             fieldMappings,
             processingOptions || {}
         );
@@ -208,7 +206,16 @@ router.post('/generate', async (req, res) => {
         if (fs.existsSync(session.filePath)) {
             fs.unlinkSync(session.filePath);
         }
-        delete global.uploadSessions[sessionId];
+        await sessionStore.delete(sessionId);
+
+        await AuditService.record(actorOf(req), 'certificates.generate', {
+            sessionId,
+            details: {
+                fieldMappings,
+                generatedCount: certificates.length,
+                errorCount: processingResult.errors.length
+            }
+        });
 
         res.json({
             success: true,
@@ -264,6 +271,11 @@ router.post('/download-pdf', async (req, res) => {
             'Content-Length': pdfBuffer.length
         });
 
+        await AuditService.record(actorOf(req), 'certificates.download_pdf', {
+            certificateId: studentData.certificateId || studentData.id,
+            details: { studentId: studentData.student_id || null, fileName }
+        });
+
         res.send(pdfBuffer);
 
     } catch (error) {
@@ -317,6 +329,10 @@ router.post('/bulk-download', async (req, res) => {
             }
         }));
 
+        await AuditService.record(actorOf(req), 'certificates.bulk_download', {
+            details: { certificateIds: certificates.map(cert => cert.certificateId || cert.id || null) }
+        });
+
         res.json({
             success: true,
             message: `Prepared ${certificates.length} certificates for download`,
@@ -334,6 +350,65 @@ router.post('/bulk-download', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/certificates/verify-qr
+ * @desc Resolve the signed QR code of a printed certificate against the registry
+ */
+router.post('/verify-qr', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            qrData: Joi.string().required().max(2000)
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        let result;
+        try {
+            result = await CertificateService.verifyQRCodeData(value.qrData);
+        } catch (verifyError) {
+            if (verifyError.code === 'INVALID_QR') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid QR Code',
+                    message: verifyError.message
+                });
+            }
+            const { status, error: errorName, message } = BlockchainService.describeError(verifyError, 'QR Verification Failed');
+            return res.status(status).json({
+                success: false,
+                error: errorName,
+                message
+            });
+        }
+
+        await AuditService.record(actorOf(req), 'certificates.verify_qr', {
+            batchId: result.certificate.batchId,
+            details: { status: result.status, commitment: result.certificate.commitment }
+        });
+
+        res.json({
+            success: true,
+            valid: result.status === 'valid',
+            ...result
+        });
+
+    } catch (error) {
+        console.error('QR verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'QR Verification Failed',
+            message: error.message
+        });
+    }
+});
+
 /**
  * @route GET /api/certificates/templates
  * @desc Get available certificate templates
@@ -403,10 +478,10 @@ router.get('/templates', (req, res) => {
  * @route DELETE /api/certificates/cleanup/:sessionId
  * @desc Clean up temporary files and session data
  */
-router.delete('/cleanup/:sessionId', (req, res) => {
+router.delete('/cleanup/:sessionId', async (req, res) => {
     try {
         const sessionId = req.params.sessionId;
-        const session = global.uploadSessions?.[sessionId];
+        const session = await sessionStore.get(sessionId);
 
         if (session) {
             // Clean up file
@@ -415,9 +490,11 @@ router.delete('/cleanup/:sessionId', (req, res) => {
             }
 
             // Remove session
-            delete global.uploadSessions[sessionId];
+            await sessionStore.delete(sessionId);
         }
 
+        await AuditService.record(actorOf(req), 'certificates.cleanup', { sessionId });
+
         res.json({
             success: true,
             message: 'Session cleaned up successfully'
@@ -432,19 +509,4 @@ router.delete('/cleanup/:sessionId', (req, res) => {
     }
 });
 
-// Cleanup expired sessions periodically
-setInterval(() => {
-    if (global.uploadSessions) {
-        const now = new Date();
-        Object.entries(global.uploadSessions).forEach(([sessionId, session]) => {
-            if (now > session.expiresAt) {
-                if (fs.existsSync(session.filePath)) {
-                    fs.unlinkSync(session.filePath);
-                }
-                delete global.uploadSessions[sessionId];
-            }
-        });
-    }
-}, 10 * 60 * 1000); // Run every 10 minutes
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,335 @@
+const express = require('express');
+const Joi = require('joi');
+
+const BlockchainService = require('../services/BlockchainService');
+const { actorOf } = require('../middleware/auth');
+
+const router = express.Router();
+
+const institutionIdSchema = Joi.number().integer().min(1).required();
+const proposalIdSchema = Joi.number().integer().min(1).required();
+// Lowercased so ethers does not reject mixed-case addresses with a bad checksum
+const addressSchema = Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).lowercase();
+
+/**
+ * Send a blockchain error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while talking to the chain
+ * @param {string} fallbackTitle - Error title for unclassified failures
+ */
+function sendChainError(res, error, fallbackTitle) {
+    const { status, error: title, message } = BlockchainService.describeError(error, fallbackTitle);
+    res.status(status).json({ error: title, message });
+}
+
+/**
+ * @route GET /api/institutions
+ * @desc List registered institutions
+ */
+router.get('/', async (req, res) => {
+    try {
+        const institutions = await BlockchainService.listInstitutions();
+
+        res.status(200).json({
+            success: true,
+            data: institutions
+        });
+
+    } catch (error) {
+        console.error('Institution listing error:', error);
+        sendChainError(res, error, 'Institution Lookup Failed');
+    }
+});
+
+/**
+ * @route GET /api/institutions/me
+ * @desc Get the institution the backend's configured signer issues for
+ */
+router.get('/me', async (req, res) => {
+    try {
+        const institution = await BlockchainService.getSignerInstitution();
+        if (!institution) {
+            return res.status(404).json({
+                error: 'Institution Not Registered',
+                message: `Signer ${await BlockchainService.getSignerAddress()} is not a signer of any institution`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: institution
+        });
+
+    } catch (error) {
+        console.error('Signer institution error:', error);
+        sendChainError(res, error, 'Institution Lookup Failed');
+    }
+});
+
+/**
+ * @route GET /api/institutions/:institutionId
+ * @desc Get an institution's registry entry
+ */
+router.get('/:institutionId', async (req, res) => {
+    try {
+        const { error, value: institutionId } = institutionIdSchema.validate(req.params.institutionId);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const institution = await BlockchainService.getInstitution(institutionId);
+        if (!institution) {
+            return res.status(404).json({
+                error: 'Institution Not Found',
+                message: `Institution ${institutionId} is not registered`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: institution
+        });
+
+    } catch (error) {
+        console.error('Institution lookup error:', error);
+        sendChainError(res, error, 'Institution Lookup Failed');
+    }
+});
+
+/**
+ * @route POST /api/institutions
+ * @desc Register an institution (the configured signer must own the contract)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            name: Joi.string().required().min(2).max(100),
+            domain: Joi.string().domain().allow('').default(''),
+            metadataURI: Joi.string().uri().allow('').default(''),
+            admin: addressSchema.required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const registration = await BlockchainService.registerInstitution(value);
+
+        res.status(201).json({
+            success: true,
+            message: `Institution ${value.name} registered`,
+            data: { ...registration, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Institution registration error:', error);
+        sendChainError(res, error, 'Institution Registration Failed');
+    }
+});
+
+/**
+ * @route PUT /api/institutions/:institutionId/metadata
+ * @desc Update an institution's domain and metadata URI (the configured signer must be its admin)
+ */
+router.put('/:institutionId/metadata', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            institutionId: institutionIdSchema,
+            domain: Joi.string().domain().allow('').required(),
+            metadataURI: Joi.string().uri().allow('').required()
+        });
+
+        const { error, value } = schema.validate({ ...req.body, institutionId: req.params.institutionId });
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const update = await BlockchainService.updateInstitutionMetadata(value.institutionId, value);
+
+        res.status(200).json({
+            success: true,
+            message: 'Institution metadata updated',
+            data: { ...update, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Institution metadata error:', error);
+        sendChainError(res, error, 'Institution Update Failed');
+    }
+});
+
+/**
+ * @route PUT /api/institutions/:institutionId/signers/:address
+ * @desc Add or remove a delegated signer (the configured signer must be the institution's admin)
+ */
+router.put('/:institutionId/signers/:address', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            institutionId: institutionIdSchema,
+            address: addressSchema.required(),
+            authorized: Joi.boolean().required()
+        });
+
+        const { error, value } = schema.validate({ ...req.body, ...req.params });
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const update = await BlockchainService.setInstitutionSigner(
+            value.institutionId,
+            value.address,
+            value.authorized
+        );
+
+        res.status(200).json({
+            success: true,
+            message: value.authorized ? 'Signer added' : 'Signer removed',
+            data: { ...update, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Institution signer error:', error);
+        sendChainError(res, error, 'Signer Update Failed');
+    }
+});
+
+/**
+ * @route PUT /api/institutions/:institutionId/threshold
+ * @desc Set how many signers must approve each batch (the configured signer must be the institution's admin)
+ */
+router.put('/:institutionId/threshold', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            institutionId: institutionIdSchema,
+            threshold: Joi.number().integer().min(0).max(100).required()
+        });
+
+        const { error, value } = schema.validate({ ...req.body, institutionId: req.params.institutionId });
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const update = await BlockchainService.setIssuanceThreshold(value.institutionId, value.threshold);
+
+        res.status(200).json({
+            success: true,
+            message: value.threshold > 1
+                ? `Batches now need ${value.threshold} signer approvals`
+                : 'Batches are issued directly by any signer',
+            data: { ...update, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Issuance threshold error:', error);
+        sendChainError(res, error, 'Threshold Update Failed');
+    }
+});
+
+/**
+ * @route GET /api/institutions/proposals/:proposalId
+ * @desc Get a batch proposal and its approval progress
+ */
+router.get('/proposals/:proposalId', async (req, res) => {
+    try {
+        const { error, value: proposalId } = proposalIdSchema.validate(req.params.proposalId);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const proposal = await BlockchainService.getBatchProposal(proposalId);
+        if (!proposal) {
+            return res.status(404).json({
+                error: 'Proposal Not Found',
+                message: `Batch proposal ${proposalId} does not exist`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: proposal
+        });
+
+    } catch (error) {
+        console.error('Batch proposal lookup error:', error);
+        sendChainError(res, error, 'Proposal Lookup Failed');
+    }
+});
+
+/**
+ * @route POST /api/institutions/proposals/:proposalId/approve
+ * @desc Approve a batch proposal as the configured signer, issuing the batch once the threshold is met
+ */
+router.post('/proposals/:proposalId/approve', async (req, res) => {
+    try {
+        const { error, value: proposalId } = proposalIdSchema.validate(req.params.proposalId);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const approval = await BlockchainService.approveBatchProposal(proposalId);
+
+        res.status(200).json({
+            success: true,
+            message: approval.batchId
+                ? `Proposal approved and issued as batch ${approval.batchId}`
+                : 'Proposal approved',
+            data: { ...approval, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Batch proposal approval error:', error);
+        sendChainError(res, error, 'Proposal Approval Failed');
+    }
+});
+
+/**
+ * @route POST /api/institutions/proposals/:proposalId/execute
+ * @desc Issue a pending proposal whose approvals already meet the institution's current threshold
+ */
+router.post('/proposals/:proposalId/execute', async (req, res) => {
+    try {
+        const { error, value: proposalId } = proposalIdSchema.validate(req.params.proposalId);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const execution = await BlockchainService.executeBatchProposal(proposalId);
+
+        res.status(200).json({
+            success: true,
+            message: `Proposal issued as batch ${execution.batchId}`,
+            data: { ...execution, performedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Batch proposal execution error:', error);
+        sendChainError(res, error, 'Proposal Execution Failed');
+    }
+});
+
+module.exports = router;
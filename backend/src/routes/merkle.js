@@ -2,9 +2,67 @@ const express = require('express');
 const Joi = require('joi');
 
 const MerkleService = require('../services/MerkleService');
+const BlockchainService = require('../services/BlockchainService');
+const AuditService = require('../services/AuditService');
+const { actorOf } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Hash selection shared by the tree endpoints: SHA-256 (default) or circuit-compatible Poseidon
+const hashOptionSchema = {
+    hash: Joi.string().valid(...MerkleService.HASH_TYPES).default('sha256'),
+    levels: Joi.number().integer().min(1).max(32).optional()
+};
+
+const batchIdSchema = Joi.number().integer().min(1).required();
+
+/**
+ * Rebuild a batch's revocation tree from its on-chain revocations
+ * @param {number} batchId - Batch ID
+ * @returns {Object|null} - Revocation tree, revoked count and the published root, or null if the batch does not exist
+ */
+async function loadRevocationState(batchId) {
+    const [batch, revokedKeys, publishedRoot] = await Promise.all([
+        BlockchainService.getBatchInfo(batchId),
+        BlockchainService.getRevokedCertificateKeys(batchId),
+        BlockchainService.getRevocationRoot(batchId)
+    ]);
+    if (!batch) {
+        return null;
+    }
+    const revocationTree = await MerkleService.buildRevocationTree(revokedKeys);
+
+    return {
+        revocationTree,
+        revokedCount: revokedKeys.length,
+        publishedRoot,
+        inSync: publishedRoot === revocationTree.getHexRoot()
+    };
+}
+
+/**
+ * Send a blockchain error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while talking to the chain
+ * @param {string} fallbackTitle - Error title for unclassified failures
+ */
+function sendChainError(res, error, fallbackTitle) {
+    const { status, error: title, message } = BlockchainService.describeError(error, fallbackTitle);
+    res.status(status).json({ error: title, message });
+}
+
+/**
+ * Send a 404 for a batch that does not exist on-chain
+ * @param {Object} res - Express response
+ * @param {number} batchId - Batch ID
+ */
+function sendBatchNotFound(res, batchId) {
+    res.status(404).json({
+        error: 'Batch Not Found',
+        message: `Batch ${batchId} does not exist on-chain`
+    });
+}
+
 /**
  * @route POST /api/merkle/build-tree
  * @desc Build Merkle tree from certificate commitments
@@ -12,7 +70,8 @@ const router = express.Router();
 router.post('/build-tree', async (req, res) => {
     try {
         const schema = Joi.object({
-            commitments: Joi.array().items(Joi.string().hex()).min(1).required()
+            commitments: Joi.array().items(Joi.string().hex()).min(1).required(),
+            ...hashOptionSchema
         });
 
         const { error, value } = schema.validate(req.body);
@@ -29,13 +88,21 @@ router.post('/build-tree', async (req, res) => {
             commitment
         }));
 
-        const merkleTree = MerkleService.buildMerkleTree(certificates);
+        const merkleTree = await MerkleService.buildMerkleTree(certificates, {
+            hash: value.hash,
+            levels: value.levels
+        });
         const stats = MerkleService.getTreeStats(merkleTree);
 
+        await AuditService.record(actorOf(req), 'merkle.build_tree', {
+            details: { hash: stats.hash, merkleRoot: stats.merkleRoot, totalLeaves: stats.totalLeaves }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Merkle tree built successfully',
             data: {
+                hash: stats.hash,
                 merkleRoot: stats.merkleRoot,
                 totalLeaves: stats.totalLeaves,
                 treeDepth: stats.treeDepth,
@@ -60,7 +127,8 @@ router.post('/generate-proof', async (req, res) => {
     try {
         const schema = Joi.object({
             commitments: Joi.array().items(Joi.string().hex()).min(1).required(),
-            targetCommitment: Joi.string().hex().required()
+            targetCommitment: Joi.string().hex().required(),
+            ...hashOptionSchema
         });
 
         const { error, value } = schema.validate(req.body);
@@ -77,16 +145,24 @@ router.post('/generate-proof', async (req, res) => {
             commitment
         }));
 
-        const merkleTree = MerkleService.buildMerkleTree(certificates);
+        const merkleTree = await MerkleService.buildMerkleTree(certificates, {
+            hash: value.hash,
+            levels: value.levels
+        });
 
         // Generate proof for target commitment
         const proof = MerkleService.generateMerkleProof(merkleTree, value.targetCommitment);
         const merkleRoot = merkleTree.getRoot().toString('hex');
 
+        await AuditService.record(actorOf(req), 'merkle.generate_proof', {
+            details: { hash: value.hash, merkleRoot, targetCommitment: value.targetCommitment }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Merkle proof generated successfully',
             data: {
+                hash: value.hash,
                 proof,
                 merkleRoot,
                 targetCommitment: value.targetCommitment
@@ -110,8 +186,23 @@ router.post('/verify-proof', async (req, res) => {
     try {
         const schema = Joi.object({
             commitment: Joi.string().hex().required(),
-            proof: Joi.array().items(Joi.string().hex()).required(),
-            merkleRoot: Joi.string().hex().required()
+            merkleRoot: Joi.string().hex().required(),
+            hash: Joi.string().valid(...MerkleService.HASH_TYPES).default('sha256'),
+            proof: Joi.when('hash', {
+                is: 'sha256',
+                then: Joi.array().items(Joi.string().hex()).required(),
+                otherwise: Joi.forbidden()
+            }),
+            pathElements: Joi.when('hash', {
+                is: 'poseidon',
+                then: Joi.array().items(Joi.string().pattern(/^[0-9]+$/)).min(1).required(),
+                otherwise: Joi.forbidden()
+            }),
+            pathIndices: Joi.when('hash', {
+                is: 'poseidon',
+                then: Joi.array().items(Joi.number().valid(0, 1)).min(1).required(),
+                otherwise: Joi.forbidden()
+            })
         });
 
         const { error, value } = schema.validate(req.body);
@@ -122,11 +213,22 @@ router.post('/verify-proof', async (req, res) => {
             });
         }
 
-        const isValid = MerkleService.verifyProof(
-            value.commitment,
-            value.proof,
-            value.merkleRoot
-        );
+        const isValid = value.hash === 'poseidon'
+            ? await MerkleService.verifyPoseidonProof(
+                value.commitment,
+                value.pathElements,
+                value.pathIndices,
+                value.merkleRoot
+            )
+            : MerkleService.verifyProof(
+                value.commitment,
+                value.proof,
+                value.merkleRoot
+            );
+
+        await AuditService.record(actorOf(req), 'merkle.verify_proof', {
+            details: { hash: value.hash, merkleRoot: value.merkleRoot, commitment: value.commitment, valid: isValid }
+        });
 
         res.status(200).json({
             success: true,
@@ -165,9 +267,13 @@ router.post('/export-tree', async (req, res) => {
             });
         }
 
-        const merkleTree = MerkleService.buildMerkleTree(value.certificates);
+        const merkleTree = await MerkleService.buildMerkleTree(value.certificates);
         const exportData = MerkleService.exportTreeData(merkleTree, value.certificates);
 
+        await AuditService.record(actorOf(req), 'merkle.export_tree', {
+            details: { merkleRoot: exportData.merkleRoot, certificateCount: value.certificates.length }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Merkle tree exported successfully',
@@ -209,6 +315,10 @@ router.post('/import-tree', async (req, res) => {
         const merkleTree = MerkleService.importTreeData(value.treeData);
         const stats = MerkleService.getTreeStats(merkleTree);
 
+        await AuditService.record(actorOf(req), 'merkle.import_tree', {
+            details: { merkleRoot: stats.merkleRoot, totalLeaves: stats.totalLeaves }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Merkle tree imported successfully',
@@ -229,4 +339,143 @@ router.post('/import-tree', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/merkle/revocation/:batchId
+ * @desc Get the revocation tree root of a batch and whether it is published on-chain
+ */
+router.get('/revocation/:batchId', async (req, res) => {
+    try {
+        const { error, value: batchId } = batchIdSchema.validate(req.params.batchId);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const state = await loadRevocationState(batchId);
+        if (!state) {
+            return sendBatchNotFound(res, batchId);
+        }
+        const { revocationTree, revokedCount, publishedRoot, inSync } = state;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                batchId,
+                revokedCount,
+                revocationRoot: revocationTree.getHexRoot(),
+                publishedRoot,
+                inSync,
+                levels: MerkleService.REVOCATION_TREE_LEVELS
+            }
+        });
+
+    } catch (error) {
+        console.error('Revocation tree error:', error);
+        sendChainError(res, error, 'Revocation Tree Failed');
+    }
+});
+
+/**
+ * @route POST /api/merkle/revocation/non-membership
+ * @desc Get the witness that a commitment is not in its batch's revocation tree
+ */
+router.post('/revocation/non-membership', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            batchId: batchIdSchema,
+            commitment: Joi.string().pattern(/^(0x)?[0-9a-fA-F]{64}$/).required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const state = await loadRevocationState(value.batchId);
+        if (!state) {
+            return sendBatchNotFound(res, value.batchId);
+        }
+        const { revocationTree, publishedRoot, inSync } = state;
+
+        if (await revocationTree.isRevoked(value.commitment)) {
+            return res.status(409).json({
+                error: 'Certificate Revoked',
+                message: `Commitment is revoked in batch ${value.batchId}`
+            });
+        }
+
+        const witness = await MerkleService.generateNonMembershipProof(revocationTree, value.commitment);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                batchId: value.batchId,
+                ...witness,
+                publishedRoot,
+                inSync
+            }
+        });
+
+    } catch (error) {
+        console.error('Non-membership witness error:', error);
+        sendChainError(res, error, 'Witness Generation Failed');
+    }
+});
+
+/**
+ * @route POST /api/merkle/revocation/publish
+ * @desc Publish a batch's current revocation tree root on-chain
+ */
+router.post('/revocation/publish', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            batchId: batchIdSchema
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const state = await loadRevocationState(value.batchId);
+        if (!state) {
+            return sendBatchNotFound(res, value.batchId);
+        }
+        const { revocationTree, revokedCount, inSync } = state;
+
+        if (inSync) {
+            return res.status(200).json({
+                success: true,
+                message: 'Revocation root is already up to date',
+                data: { batchId: value.batchId, revokedCount, revocationRoot: revocationTree.getHexRoot() }
+            });
+        }
+
+        const update = await BlockchainService.updateRevocationRoot(value.batchId, revocationTree.getHexRoot());
+
+        await AuditService.record(actorOf(req), 'merkle.revocation_publish', {
+            batchId: value.batchId,
+            details: { revocationRoot: update.revocationRoot, revokedCount, transactionHash: update.transactionHash }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Revocation root published',
+            data: { ...update, revokedCount, publishedBy: actorOf(req) }
+        });
+
+    } catch (error) {
+        console.error('Revocation root publish error:', error);
+        sendChainError(res, error, 'Revocation Root Publish Failed');
+    }
+});
+
 module.exports = router;
\ No newline at end of file
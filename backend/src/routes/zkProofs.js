@@ -1,29 +1,225 @@
 const express = require('express');
 const Joi = require('joi');
 const snarkjs = require('snarkjs');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
 const ZKProofService = require('../services/ZKProofService');
 const CertificateService = require('../services/CertificateService');
+const AuditService = require('../services/AuditService');
+const BlockchainService = require('../services/BlockchainService');
+const MerkleService = require('../services/MerkleService');
+const Poseidon = require('../services/Poseidon');
+const GradeScale = require('../services/GradeScale');
+const ChallengeService = require('../services/ChallengeService');
+const { actorOf } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Grades are numbers, or letters on the letter scale; GradeScale checks them against the chosen scale
+const gradeValue = Joi.alternatives(Joi.number(), Joi.string().max(10));
+
+// [status, title] for each ChallengeService error code
+const CHALLENGE_ERRORS = {
+    CHALLENGE_NOT_FOUND: [404, 'Challenge Not Found'],
+    CHALLENGE_EXPIRED: [410, 'Challenge Expired'],
+    CHALLENGE_USED: [409, 'Challenge Already Used'],
+    CONTEXT_MISMATCH: [422, 'Context Mismatch']
+};
+
+const disclosureValue = Joi.alternatives(Joi.string().max(500), Joi.number());
+
+const disclosurePredicateSchema = Joi.object({
+    field: Joi.string().valid(...ZKProofService.DISCLOSURE_FIELDS.map(field => field.name)).required(),
+    type: Joi.string().valid('eq', 'range', 'in').required(),
+    value: Joi.when('type', { is: 'eq', then: disclosureValue.required(), otherwise: Joi.forbidden() }),
+    min: Joi.when('type', { is: 'range', then: disclosureValue.optional(), otherwise: Joi.forbidden() }),
+    max: Joi.when('type', { is: 'range', then: disclosureValue.optional(), otherwise: Joi.forbidden() }),
+    values: Joi.when('type', {
+        is: 'in',
+        then: Joi.array().items(disclosureValue).min(1).max(ZKProofService.DISCLOSURE_SET_SIZE).required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+// A processed certificate row can be passed as-is; only the disclosure fields are committed
+const disclosureRecordSchema = Joi.object(Object.fromEntries(
+    ZKProofService.DISCLOSURE_FIELDS.map(field => [field.name, disclosureValue.allow('', null).optional()])
+)).unknown(true);
+
+const DISCLOSURE_ERRORS = {
+    INVALID_PREDICATE: [400, 'Invalid Predicate'],
+    INVALID_DISCLOSURE_VALUE: [400, 'Invalid Disclosure Value'],
+    PREDICATE_NOT_SATISFIED: [422, 'Predicate Not Satisfied'],
+    COMMITMENT_MISMATCH: [422, 'Commitment Mismatch']
+};
+
+// Batch field holding the root each kind of proof is made against
+const ROOT_FIELDS = {
+    merkleRoot: 'Merkle root',
+    disclosureRoot: 'disclosure root'
+};
+
+/**
+ * Check that a proof's Merkle root is the root of an on-chain batch
+ * @param {number} batchId - On-chain batch ID
+ * @param {string} merkleRoot - Root the proof is made against
+ * @param {string} rootField - Batch root to compare with (a ROOT_FIELDS key)
+ * @returns {Object|null} - { status, body } error response, or null if the roots match
+ */
+async function checkBatchRoot(batchId, merkleRoot, rootField = 'merkleRoot') {
+    let batch;
+    try {
+        batch = await BlockchainService.getBatchInfo(batchId);
+    } catch (chainError) {
+        const { status, error: title, message } = BlockchainService.describeError(chainError, 'Batch Lookup Failed');
+        return { status, body: { error: title, message } };
+    }
+
+    if (!batch) {
+        return {
+            status: 404,
+            body: { error: 'Batch Not Found', message: `Batch ${batchId} does not exist on-chain` }
+        };
+    }
+
+    if (!batch[rootField]) {
+        return {
+            status: 422,
+            body: { error: 'Root Not Anchored', message: `Batch ${batchId} has no ${ROOT_FIELDS[rootField]}` }
+        };
+    }
+
+    if (Poseidon.toFieldElement(batch[rootField]) !== Poseidon.toFieldElement(merkleRoot)) {
+        return {
+            status: 422,
+            body: {
+                error: 'Merkle Root Mismatch',
+                message: `Merkle proof root does not match the ${ROOT_FIELDS[rootField]} of batch ${batchId}`
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * On-chain status of a proven certificate
+ * A valid proof only vouches for the batch if it was made against the batch's root.
+ * @param {number} batchId - On-chain batch ID
+ * @param {string} merkleRoot - Root from the proof's public signals
+ * @param {string} commitment - Commitment from the proof's public signals
+ * @param {string} rootField - Batch root the proof is made against (a ROOT_FIELDS key)
+ * @returns {Object} - status and validity window
+ */
+async function lookupCertificateStatus(batchId, merkleRoot, commitment, rootField = 'merkleRoot') {
+    const [batch, chainStatus] = await Promise.all([
+        BlockchainService.getBatchInfo(batchId),
+        BlockchainService.getCertificateStatus(batchId, Poseidon.toHex(commitment))
+    ]);
+
+    if (!batch || !batch[rootField] || Poseidon.toFieldElement(batch[rootField]) !== Poseidon.toFieldElement(merkleRoot)) {
+        return { status: 'unknown', validity: null };
+    }
+
+    return {
+        status: chainStatus.status,
+        validity: { validFrom: chainStatus.validFrom, validUntil: chainStatus.validUntil }
+    };
+}
+
+/**
+ * On-chain status of a proven certificate, in batchId or else in the batch issued with the proof's root
+ * A valid proof says nothing about a certificate until its root is tied to an issued batch,
+ * so a root that no batch was issued with is reported as "unanchored".
+ * @param {number|null} batchId - On-chain batch ID named by the verifier, if any
+ * @param {string} merkleRoot - Root from the proof's public signals
+ * @param {string} commitment - Commitment from the proof's public signals
+ * @param {string} rootField - Batch root the proof is made against (a ROOT_FIELDS key)
+ * @returns {Object} - batchId, status and validity window
+ */
+async function lookupAnchoredStatus(batchId, merkleRoot, commitment, rootField = 'merkleRoot') {
+    if (!batchId) {
+        const batch = rootField === 'disclosureRoot'
+            ? await BlockchainService.findBatchByDisclosureRoot(Poseidon.toHex(merkleRoot))
+            : await BlockchainService.findBatchByRoot(Poseidon.toHex(merkleRoot));
+        if (!batch) {
+            return { batchId: null, status: 'unanchored', validity: null };
+        }
+        batchId = batch.batchId;
+    }
+
+    return { batchId: String(batchId), ...await lookupCertificateStatus(batchId, merkleRoot, commitment, rootField) };
+}
+
+/**
+ * Whether a generated proof can be submitted to ZKCertificateSystem, and why not
+ * @param {string|null} circuitName - Circuit of the proof, null for disclosure proofs
+ * @param {number|undefined} batchId - On-chain batch the proof is against
+ * @param {Object|null} challenge - Challenge the proof is bound to
+ * @returns {Object} - verifiable, and the reason when it is not
+ */
+function describeOnChainUse(circuitName, batchId, challenge) {
+    if (circuitName && !ZKProofService.isOnChainVerifiable(circuitName)) {
+        return {
+            verifiable: false,
+            reason: `Proofs from the circuit variant ${circuitName} can only be verified off-chain, with POST /api/zkproofs/verify; ` +
+                `ZKCertificateSystem only has verifiers for the default ${ZKProofService.CIRCUIT_NAME} circuit`
+        };
+    }
+
+    if (!batchId) {
+        return { verifiable: false, reason: 'Pass the batchId of the on-chain batch to get contract arguments' };
+    }
+
+    // The contract rebuilds the context from the caller, so it needs an on-chain challenge
+    if (!challenge || !challenge.onChain) {
+        return {
+            verifiable: false,
+            reason: 'Bind the proof to a challenge issued for the verifier\'s address (verifierAddress) to get contract arguments'
+        };
+    }
+
+    return { verifiable: true, reason: null };
+}
+
 /**
  * @route POST /api/zkproofs/generate
- * @desc Generate ZK proof for certificate verification
+ * @desc Generate ZK proof for certificate verification (proofType "threshold" or "weightedAverage").
+ *       Proofs from circuit variants are off-chain only: onChainVerifiable is false and
+ *       contractArgumentsUnavailable says why there are no contract arguments.
  */
 router.post('/generate', async (req, res) => {
     try {
+        const levels = MerkleService.POSEIDON_TREE_LEVELS;
         const proofSchema = Joi.object({
             studentId: Joi.string().required(),
-            subjects: Joi.array().items(Joi.number().min(0).max(100)).length(5).required(),
+            subjects: Joi.array().items(gradeValue).min(1).max(ZKProofService.MAX_SUBJECTS).required(),
+            gradeScale: Joi.string().valid(...Object.keys(GradeScale.SCALES)).default(GradeScale.DEFAULT),
+            circuit: Joi.string().optional(),
             salt: Joi.string().required(),
-            minPassingGrade: Joi.number().min(0).max(100).required(),
+            proofType: Joi.string().valid(...ZKProofService.PROOF_TYPES).default('threshold'),
+            minPassingGrade: Joi.when('proofType', { is: 'threshold', then: gradeValue.required(), otherwise: Joi.forbidden() }),
             requireAllPassed: Joi.boolean().default(false),
-            batchId: Joi.number().optional(),
-            merkleProof: Joi.array().items(Joi.string()).optional()
-        });
+            // Credits per subject and the minimum credit-weighted average, both on the batch's scale
+            weights: Joi.when('proofType', {
+                is: 'weightedAverage',
+                then: Joi.array().items(Joi.number().min(0)).min(1).max(ZKProofService.MAX_SUBJECTS).required(),
+                otherwise: Joi.forbidden()
+            }),
+            minAverage: Joi.when('proofType', { is: 'weightedAverage', then: gradeValue.required(), otherwise: Joi.forbidden() }),
+            batchId: Joi.number().integer().min(1).optional(),
+            // The verifier's challenge, or a raw context, that the nullifier is bound to
+            challengeId: Joi.string().optional(),
+            context: Joi.string().pattern(/^[0-9]+$/).optional(),
+            commitment: Joi.string().pattern(/^(0x)?[0-9a-fA-F]{64}$/).optional(),
+            merkleProof: Joi.object({
+                root: Joi.string().required(),
+                pathElements: Joi.array().items(Joi.string().pattern(/^[0-9]+$/)).length(levels).required(),
+                pathIndices: Joi.array().items(Joi.number().valid(0, 1)).length(levels).required()
+            }).unknown(true).required()
+        }).oxor('challengeId', 'context');
 
         const { error, value } = proofSchema.validate(req.body);
         if (error) {
@@ -33,21 +229,108 @@ router.post('/generate', async (req, res) => {
             });
         }
 
+        // The proof is only useful on-chain if it is against the batch's published root
+        if (value.batchId) {
+            const rootError = await checkBatchRoot(value.batchId, value.merkleProof.root);
+            if (rootError) {
+                return res.status(rootError.status).json(rootError.body);
+            }
+        }
+
+        const challenge = value.challengeId ? await ChallengeService.get(value.challengeId) : null;
+        if (challenge) {
+            value.context = challenge.context;
+        }
+
         // Generate ZK proof
         const proofData = await ZKProofService.generateProof(value);
 
+        await AuditService.record(actorOf(req), 'zkproofs.generate', {
+            batchId: value.batchId,
+            details: {
+                commitment: proofData.commitment,
+                nullifier: proofData.signals.nullifier,
+                challengeId: value.challengeId,
+                circuit: proofData.circuit,
+                proofType: proofData.proofType,
+                ...(proofData.proofType === 'weightedAverage'
+                    ? { weights: value.weights, minAverage: value.minAverage }
+                    : { minPassingGrade: value.minPassingGrade })
+            }
+        });
+
+        // Variant proofs are off-chain only: the contract has verifiers for the default circuit's builds
+        const onChain = describeOnChainUse(proofData.circuit, value.batchId, challenge);
+        let contractArguments = null;
+        if (onChain.verifiable) {
+            contractArguments = proofData.proofType === 'weightedAverage'
+                ? ZKProofService.toWeightedAverageContractArguments(proofData, value.batchId, challenge.challenge)
+                : ZKProofService.toContractArguments(proofData, value.batchId, challenge.challenge);
+        }
+
         res.status(200).json({
             success: true,
             message: 'ZK proof generated successfully',
             data: {
                 proof: proofData.proof,
                 publicSignals: proofData.publicSignals,
-                commitment: proofData.commitment
+                signals: proofData.signals,
+                commitment: proofData.commitment,
+                nullifier: proofData.signals.nullifier,
+                circuit: proofData.circuit,
+                proofType: proofData.proofType,
+                onChainVerifiable: onChain.verifiable,
+                contractArguments,
+                ...(onChain.reason && { contractArgumentsUnavailable: onChain.reason })
             }
         });
 
     } catch (error) {
         console.error('ZK proof generation error:', error);
+
+        if (CHALLENGE_ERRORS[error.code]) {
+            const [status, title] = CHALLENGE_ERRORS[error.code];
+            return res.status(status).json({
+                error: title,
+                message: error.message
+            });
+        }
+
+        if (error.code === 'COMMITMENT_MISMATCH') {
+            return res.status(422).json({
+                error: 'Commitment Mismatch',
+                message: error.message
+            });
+        }
+
+        if (error.code === 'INVALID_GRADE') {
+            return res.status(400).json({
+                error: 'Invalid Grade',
+                message: error.message
+            });
+        }
+
+        if (error.code === 'NO_CIRCUIT_VARIANT') {
+            return res.status(422).json({
+                error: 'No Circuit Variant',
+                message: error.message
+            });
+        }
+
+        if (error.code === 'INVALID_WEIGHT') {
+            return res.status(400).json({
+                error: 'Invalid Weight',
+                message: error.message
+            });
+        }
+
+        if (error.code === 'AVERAGE_BELOW_MINIMUM') {
+            return res.status(422).json({
+                error: 'Average Below Minimum',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             error: 'ZK Proof Generation Failed',
             message: error.message
@@ -55,9 +338,87 @@ router.post('/generate', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/zkproofs/challenges
+ * @desc Issue a single-use verification challenge; pass verifierAddress to verify on-chain from that address
+ */
+router.post('/challenges', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            verifierAddress: Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).optional(),
+            purpose: Joi.string().max(200).optional()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        const challenge = await ChallengeService.issue(value, actorOf(req));
+
+        await AuditService.record(actorOf(req), 'zkproofs.challenge', {
+            details: {
+                challengeId: challenge.challengeId,
+                verifierAddress: challenge.verifierAddress,
+                purpose: challenge.purpose
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Challenge issued; send challengeId to the certificate holder',
+            data: challenge
+        });
+
+    } catch (error) {
+        console.error('Challenge issue error:', error);
+        res.status(500).json({
+            error: 'Challenge Issue Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route GET /api/zkproofs/challenges/:challengeId
+ * @desc Get an open challenge, so the holder can prove against its context
+ */
+router.get('/challenges/:challengeId', async (req, res) => {
+    try {
+        const challenge = await ChallengeService.get(req.params.challengeId);
+
+        res.status(200).json({
+            success: true,
+            data: challenge
+        });
+
+    } catch (error) {
+        if (CHALLENGE_ERRORS[error.code]) {
+            const [status, title] = CHALLENGE_ERRORS[error.code];
+            return res.status(status).json({
+                error: title,
+                message: error.message
+            });
+        }
+
+        console.error('Challenge lookup error:', error);
+        res.status(500).json({
+            error: 'Challenge Lookup Failed',
+            message: error.message
+        });
+    }
+});
+
 /**
  * @route POST /api/zkproofs/verify
- * @desc Verify ZK proof
+ * @desc Verify ZK proof and the on-chain status of the proven certificate, in batchId or in the
+ *       batch issued with the proof's Merkle root (otherwise the status is "unanchored").
+ *       The proof must be for the challenge challengeId, which it then uses up, so a copied
+ *       proof cannot be verified again.
+ *       The response describes the proven criteria (predicate) but never the grades.
  */
 router.post('/verify', async (req, res) => {
     try {
@@ -68,7 +429,10 @@ router.post('/verify', async (req, res) => {
                 pi_c: Joi.array().items(Joi.string()).length(3).required(),
                 protocol: Joi.string().default('groth16')
             }).required(),
-            publicSignals: Joi.array().items(Joi.string()).required()
+            publicSignals: Joi.array().items(Joi.string()).required(),
+            circuit: Joi.string().valid(...ZKProofService.getProofCircuits()).default(ZKProofService.CIRCUIT_NAME),
+            batchId: Joi.number().integer().min(1).optional(),
+            challengeId: Joi.string().required()
         });
 
         const { error, value } = verificationSchema.validate(req.body);
@@ -82,17 +446,62 @@ router.post('/verify', async (req, res) => {
         // Verify proof using verification key
         const isValid = await ZKProofService.verifyProof(
             value.proof,
-            value.publicSignals
+            value.publicSignals,
+            value.circuit
         );
 
+        let status = isValid ? 'valid' : 'invalid';
+        let validity = null;
+        let batchId = null;
+        const signals = isValid ? ZKProofService.decodeProofSignals(value.publicSignals, value.circuit) : null;
+
+        // A proof for someone else's challenge, or one replayed against a used challenge, is rejected
+        if (isValid) {
+            await ChallengeService.consume(value.challengeId, signals);
+        }
+
+        if (isValid) {
+            try {
+                ({ batchId, status, validity } = await lookupAnchoredStatus(value.batchId, signals.merkleRoot, signals.commitment));
+            } catch (chainError) {
+                const { status: code, error: title, message } = BlockchainService.describeError(chainError, 'Status Lookup Failed');
+                return res.status(code).json({ error: title, message });
+            }
+        }
+
+        await AuditService.record(actorOf(req), 'zkproofs.verify', {
+            batchId: batchId || undefined,
+            details: {
+                status,
+                challengeId: value.challengeId,
+                nullifier: signals ? signals.nullifier : undefined
+            }
+        });
+
         res.status(200).json({
             success: true,
-            valid: isValid,
-            message: isValid ? 'ZK proof is valid' : 'ZK proof verification failed'
+            valid: status === 'valid',
+            status,
+            batchId,
+            validity,
+            nullifier: signals ? signals.nullifier : null,
+            predicate: signals ? ZKProofService.describeProvenPredicate(signals, value.circuit) : null,
+            message: status === 'invalid'
+                ? 'ZK proof verification failed'
+                : CertificateService.VERIFICATION_MESSAGES[status]
         });
 
     } catch (error) {
         console.error('ZK proof verification error:', error);
+
+        if (CHALLENGE_ERRORS[error.code]) {
+            const [status, title] = CHALLENGE_ERRORS[error.code];
+            return res.status(status).json({
+                error: title,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             error: 'ZK Proof Verification Failed',
             message: error.message
@@ -100,6 +509,261 @@ router.post('/verify', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/zkproofs/disclosure/commitment
+ * @desc Compute the selective disclosure commitment (Poseidon Merkle leaf) of a certificate record
+ */
+router.post('/disclosure/commitment', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            record: disclosureRecordSchema.required(),
+            salt: Joi.string().min(16).max(200).optional()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        // The holder needs the salt to prove anything later, so it is returned with the commitment
+        const salt = value.salt || crypto.randomBytes(32).toString('hex');
+        const commitment = await ZKProofService.calculateDisclosureCommitment(value.record, salt);
+        const fields = ZKProofService.encodeDisclosureRecord(value.record);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                commitment,
+                salt,
+                fields: Object.fromEntries(ZKProofService.DISCLOSURE_FIELDS.map((field, index) => [field.name, fields[index]]))
+            }
+        });
+
+    } catch (error) {
+        if (DISCLOSURE_ERRORS[error.code]) {
+            const [status, title] = DISCLOSURE_ERRORS[error.code];
+            return res.status(status).json({ error: title, message: error.message });
+        }
+
+        console.error('Disclosure commitment error:', error);
+        res.status(500).json({
+            error: 'Disclosure Commitment Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route POST /api/zkproofs/disclosure/generate
+ * @desc Prove equality, range and set-membership predicates on chosen certificate fields, hiding the rest;
+ *       the merkleProof is against the batch's disclosure root
+ */
+router.post('/disclosure/generate', async (req, res) => {
+    try {
+        const levels = MerkleService.POSEIDON_TREE_LEVELS;
+        const schema = Joi.object({
+            record: disclosureRecordSchema.required(),
+            salt: Joi.string().required(),
+            predicates: Joi.array().items(disclosurePredicateSchema).min(1).max(ZKProofService.DISCLOSURE_FIELDS.length).required(),
+            batchId: Joi.number().integer().min(1).optional(),
+            // The verifier's challenge, or a raw context, that the nullifier is bound to
+            challengeId: Joi.string().optional(),
+            context: Joi.string().pattern(/^[0-9]+$/).optional(),
+            commitment: Joi.string().pattern(/^(0x)?[0-9a-fA-F]{64}$/).optional(),
+            merkleProof: Joi.object({
+                root: Joi.string().required(),
+                pathElements: Joi.array().items(Joi.string().pattern(/^[0-9]+$/)).length(levels).required(),
+                pathIndices: Joi.array().items(Joi.number().valid(0, 1)).length(levels).required()
+            }).unknown(true).required()
+        }).oxor('challengeId', 'context');
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        if (value.batchId) {
+            const rootError = await checkBatchRoot(value.batchId, value.merkleProof.root, 'disclosureRoot');
+            if (rootError) {
+                return res.status(rootError.status).json(rootError.body);
+            }
+        }
+
+        const challenge = value.challengeId ? await ChallengeService.get(value.challengeId) : null;
+        if (challenge) {
+            value.context = challenge.context;
+        }
+
+        const proofData = await ZKProofService.generateDisclosureProof(value);
+
+        await AuditService.record(actorOf(req), 'zkproofs.disclosure_generate', {
+            batchId: value.batchId,
+            details: {
+                commitment: proofData.commitment,
+                nullifier: proofData.signals.nullifier,
+                challengeId: value.challengeId,
+                predicates: value.predicates.map(predicate => `${predicate.field}:${predicate.type}`)
+            }
+        });
+
+        const onChain = describeOnChainUse(null, value.batchId, challenge);
+        const contractArguments = onChain.verifiable
+            ? ZKProofService.toDisclosureContractArguments(proofData, value.batchId, challenge.challenge)
+            : null;
+
+        res.status(200).json({
+            success: true,
+            message: 'Selective disclosure proof generated successfully',
+            data: {
+                proof: proofData.proof,
+                publicSignals: proofData.publicSignals,
+                signals: proofData.signals,
+                commitment: proofData.commitment,
+                nullifier: proofData.signals.nullifier,
+                onChainVerifiable: onChain.verifiable,
+                contractArguments,
+                ...(onChain.reason && { contractArgumentsUnavailable: onChain.reason })
+            }
+        });
+
+    } catch (error) {
+        if (CHALLENGE_ERRORS[error.code]) {
+            const [status, title] = CHALLENGE_ERRORS[error.code];
+            return res.status(status).json({ error: title, message: error.message });
+        }
+
+        if (DISCLOSURE_ERRORS[error.code]) {
+            const [status, title] = DISCLOSURE_ERRORS[error.code];
+            return res.status(status).json({ error: title, message: error.message });
+        }
+
+        console.error('Disclosure proof generation error:', error);
+        res.status(500).json({
+            error: 'Disclosure Proof Generation Failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route POST /api/zkproofs/disclosure/verify
+ * @desc Verify a selective disclosure proof, optionally against the predicates the verifier asked for,
+ *       and the on-chain status of the certificate in the batch that anchored the proof's disclosure root;
+ *       the proof must be for the challenge challengeId, which it then uses up
+ */
+router.post('/disclosure/verify', async (req, res) => {
+    try {
+        const schema = Joi.object({
+            proof: Joi.object({
+                a: Joi.array().items(Joi.string()).length(2).required(),
+                b: Joi.array().items(Joi.array().items(Joi.string()).length(2)).length(2).required(),
+                c: Joi.array().items(Joi.string()).length(2).required()
+            }).required(),
+            publicSignals: Joi.array().items(Joi.string()).required(),
+            predicates: Joi.array().items(disclosurePredicateSchema).max(ZKProofService.DISCLOSURE_FIELDS.length).optional(),
+            batchId: Joi.number().integer().min(1).optional(),
+            challengeId: Joi.string().required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+
+        let signals;
+        try {
+            signals = ZKProofService.decodeDisclosureSignals(value.publicSignals);
+        } catch (decodeError) {
+            return res.status(400).json({
+                error: 'Invalid Public Signals',
+                message: decodeError.message
+            });
+        }
+
+        const isValid = await ZKProofService.verifyDisclosureProof(value.proof, value.publicSignals);
+
+        // A valid proof of different predicates than the ones asked for proves nothing to this verifier
+        const predicatesMatch = value.predicates
+            ? ZKProofService.matchesDisclosurePredicates(value.publicSignals, value.predicates)
+            : null;
+
+        let status = isValid ? 'valid' : 'invalid';
+        let validity = null;
+        let batchId = null;
+
+        if (isValid) {
+            await ChallengeService.consume(value.challengeId, signals);
+        }
+
+        if (isValid) {
+            try {
+                ({ batchId, status, validity } = await lookupAnchoredStatus(
+                    value.batchId,
+                    signals.merkleRoot,
+                    signals.commitment,
+                    'disclosureRoot'
+                ));
+            } catch (chainError) {
+                const { status: code, error: title, message } = BlockchainService.describeError(chainError, 'Status Lookup Failed');
+                return res.status(code).json({ error: title, message });
+            }
+        }
+
+        await AuditService.record(actorOf(req), 'zkproofs.disclosure_verify', {
+            batchId: batchId || undefined,
+            details: {
+                status,
+                predicatesMatch,
+                challengeId: value.challengeId,
+                nullifier: isValid ? signals.nullifier : undefined
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            valid: status === 'valid' && predicatesMatch !== false,
+            status,
+            predicatesMatch,
+            predicates: signals.predicates,
+            merkleRoot: signals.merkleRoot,
+            nullifier: signals.nullifier,
+            batchId,
+            validity,
+            message: status === 'invalid'
+                ? 'Selective disclosure proof verification failed'
+                : predicatesMatch === false
+                    ? 'Proof is valid but proves different predicates than requested'
+                    : CertificateService.VERIFICATION_MESSAGES[status]
+        });
+
+    } catch (error) {
+        if (CHALLENGE_ERRORS[error.code]) {
+            const [status, title] = CHALLENGE_ERRORS[error.code];
+            return res.status(status).json({ error: title, message: error.message });
+        }
+
+        if (DISCLOSURE_ERRORS[error.code]) {
+            const [status, title] = DISCLOSURE_ERRORS[error.code];
+            return res.status(status).json({ error: title, message: error.message });
+        }
+
+        console.error('Disclosure proof verification error:', error);
+        res.status(500).json({
+            error: 'Disclosure Proof Verification Failed',
+            message: error.message
+        });
+    }
+});
+
 /**
  * @route GET /api/zkproofs/circuit-info
  * @desc Get information about the ZK circuit
@@ -124,19 +788,51 @@ router.get('/circuit-info', (req, res) => {
 
 /**
  * @route POST /api/zkproofs/setup
- * @desc Initialize ZK proof system (for development)
+ * @desc Start the proving-key ceremony as a background job
  */
-router.post('/setup', async (req, res) => {
+router.post('/setup', (req, res) => {
     try {
-        // This endpoint would be used to initialize the proving system
-        // In production, this would be done during deployment
+        const setupSchema = Joi.object({
+            circuit: Joi.string().valid(...ZKProofService.getSetupCircuits()).default(ZKProofService.SETUP_CIRCUIT_NAME),
+            ptauFile: Joi.string().pattern(/^[A-Za-z0-9_.-]+\.ptau$/).optional(),
+            power: Joi.number().integer().min(ZKProofService.MIN_PTAU_POWER).max(28).optional(),
+            contributions: Joi.array().items(Joi.object({
+                name: Joi.string().min(1).max(100).required(),
+                entropy: Joi.string().min(16).max(1000).optional()
+            })).max(10).optional()
+        });
 
-        const setupResult = await ZKProofService.initializeProvingSystem();
+        const { error, value } = setupSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
 
-        res.status(200).json({
+        const activeJob = ZKProofService.getActiveSetupJob();
+        if (activeJob) {
+            return res.status(409).json({
+                error: 'Setup In Progress',
+                message: `Setup job ${activeJob.jobId} is still running`,
+                data: { jobId: activeJob.jobId, statusUrl: `/api/zkproofs/setup/${activeJob.jobId}` }
+            });
+        }
+
+        const job = ZKProofService.startSetupJob(value, actorOf(req));
+
+        AuditService.record(actorOf(req), 'zkproofs.setup', {
+            details: { jobId: job.jobId, circuit: value.circuit, ptauFile: value.ptauFile || null, contributions: (value.contributions || []).map(c => c.name) }
+        });
+
+        res.status(202).json({
             success: true,
-            message: 'ZK proving system initialized',
-            data: setupResult
+            message: 'ZK proving system setup started',
+            data: {
+                jobId: job.jobId,
+                status: job.status,
+                statusUrl: `/api/zkproofs/setup/${job.jobId}`
+            }
         });
 
     } catch (error) {
@@ -148,6 +844,46 @@ router.post('/setup', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/zkproofs/setup
+ * @desc Get the status of the most recent setup job
+ */
+router.get('/setup', (req, res) => {
+    const job = ZKProofService.getLatestSetupJob();
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Setup Job Not Found',
+            message: 'No proving system setup has been started'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: job
+    });
+});
+
+/**
+ * @route GET /api/zkproofs/setup/:jobId
+ * @desc Get the status of a setup job
+ */
+router.get('/setup/:jobId', (req, res) => {
+    const job = ZKProofService.getSetupJob(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Setup Job Not Found',
+            message: `No setup job with ID ${req.params.jobId}`
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: job
+    });
+});
+
 /**
  * @route GET /api/zkproofs/verification-key
  * @desc Get verification key for on-chain deployment
@@ -12,6 +12,12 @@ const dynamicCertificateRoutes = require('./routes/dynamicCertificates');
 const certificateWorkflowRoutes = require('./routes/certificateWorkflow');
 const zkProofRoutes = require('./routes/zkProofs');
 const merkleRoutes = require('./routes/merkle');
+const institutionRoutes = require('./routes/institutions');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+
+const AuthService = require('./services/AuthService');
+const { authenticate, authorizeRoutes } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -39,6 +45,91 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Logging
 app.use(morgan('combined'));
 
+// Authentication: resolve the caller on every request, then enforce the access rules below
+app.use(authenticate);
+
+// Proof verification and lookups stay public unless explicitly locked down
+const verifierRoles = process.env.REQUIRE_VERIFIER_AUTH === 'true' ? ['verifier'] : null;
+
+// [method, paths, roles] - roles null marks a public route; anything not listed is denied
+const routeRoles = [
+    ['get', ['/health'], null],
+    ['post', ['/api/auth/login'], null],
+    ['get', ['/api/auth/me', '/api/auth/api-keys'], AuthService.ROLES],
+    ['post', ['/api/auth/api-keys'], AuthService.ROLES],
+    ['delete', ['/api/auth/api-keys/:keyId'], AuthService.ROLES],
+    ['get', ['/api/auth/users'], ['admin']],
+    ['post', ['/api/auth/users'], ['admin']],
+    ['put', ['/api/auth/users/:username'], ['admin']],
+    ['post', [
+        '/api/workflow/parse',
+        '/api/workflow/process',
+        '/api/workflow/generate-pdf',
+        '/api/workflow/submit',
+        '/api/workflow/deploy',
+        '/api/workflow/sync-proposal',
+        '/api/workflow/validity-windows',
+        '/api/workflow/revoke',
+        '/api/certificates/parse',
+        '/api/certificates/generate',
+        '/api/certificates/download-pdf',
+        '/api/certificates/bulk-download',
+        '/api/certificates/legacy/process-csv',
+        '/api/certificates/legacy/parse',
+        '/api/certificates/legacy/generate',
+        '/api/certificates/legacy/deploy',
+        '/api/certificates/legacy/pdf',
+        '/api/merkle/build-tree',
+        '/api/merkle/generate-proof',
+        '/api/merkle/export-tree',
+        '/api/merkle/import-tree',
+        '/api/merkle/revocation/publish',
+        '/api/zkproofs/disclosure/commitment'
+    ], ['registrar']],
+    ['delete', ['/api/workflow/cleanup/:sessionId', '/api/certificates/cleanup/:sessionId'], ['registrar']],
+    ['get', ['/api/workflow/bundle/:batchId/:certificateId', '/api/workflow/session/:sessionId/certificates'], ['registrar']],
+    ['get', ['/api/workflow/session/:sessionId'], ['registrar', 'approver', 'auditor']],
+    ['get', ['/api/workflow/approvals'], ['approver', 'auditor']],
+    ['post', [
+        '/api/workflow/approve',
+        '/api/workflow/reject',
+        '/api/institutions/proposals/:proposalId/approve',
+        '/api/institutions/proposals/:proposalId/execute'
+    ], ['approver']],
+    ['post', ['/api/zkproofs/setup', '/api/institutions'], ['admin']],
+    ['put', ['/api/institutions/:institutionId/*'], ['admin']],
+    ['get', ['/api/zkproofs/setup', '/api/zkproofs/setup/:jobId', '/api/audit', '/api/audit/verify'], ['auditor']],
+    ['post', [
+        '/api/certificates/legacy/verify',
+        '/api/certificates/verify-qr',
+        '/api/zkproofs/challenges',
+        '/api/zkproofs/verify',
+        '/api/zkproofs/disclosure/verify',
+        '/api/merkle/verify-proof'
+    ], verifierRoles],
+    // Holder-side proving and public reference data
+    ['post', [
+        '/api/zkproofs/generate',
+        '/api/zkproofs/disclosure/generate',
+        '/api/merkle/revocation/non-membership'
+    ], null],
+    ['get', [
+        '/api/certificates/templates',
+        '/api/certificates/legacy/template',
+        '/api/zkproofs/challenges/:challengeId',
+        '/api/zkproofs/circuit-info',
+        '/api/zkproofs/verification-key',
+        '/api/merkle/revocation/:batchId',
+        '/api/institutions',
+        '/api/institutions/proposals/:proposalId',
+        '/api/institutions/:institutionId',
+        // The download token in the path is the holder's credential
+        '/api/workflow/holder-bundle/:token'
+    ], null]
+];
+
+app.use(authorizeRoutes(routeRoles));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({
@@ -58,11 +149,14 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/workflow', certificateWorkflowRoutes); // Main workflow endpoints
 app.use('/api/certificates', dynamicCertificateRoutes); // Dynamic certificate service
 app.use('/api/certificates/legacy', certificateRoutes); // Legacy routes
 app.use('/api/zkproofs', zkProofRoutes);
 app.use('/api/merkle', merkleRoutes);
+app.use('/api/institutions', institutionRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -101,6 +195,12 @@ app.use('*', (req, res) => {
     });
 });
 
+// Fail fast on a missing JWT secret in production and create the first admin if needed
+AuthService.getJwtSecret();
+AuthService.bootstrapAdmin()
+    .then(admin => admin && console.log(` Created admin user ${admin.username}`))
+    .catch(error => console.error('Admin bootstrap failed:', error));
+
 // Start server
 app.listen(PORT, () => {
     console.log(` ZK Certificate System running on port ${PORT}`);
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Append-only, hash-chained log stored as JSON Lines
+ * Every entry carries the hash of the previous one, so editing, removing or
+ * reordering an entry breaks the chain from that point on.
+ */
+class AuditLog {
+    /**
+     * @param {string} filePath - Path of the log file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.head = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Hash the fields of an entry that the chain protects
+     * @param {Object} entry - Log entry without its hash
+     * @returns {string} - SHA-256 hash (hex)
+     */
+    static hashEntry(entry) {
+        const content = JSON.stringify([
+            entry.seq,
+            entry.timestamp,
+            entry.action,
+            entry.actor,
+            entry.sessionId,
+            entry.certificateId,
+            entry.batchId,
+            entry.details,
+            entry.prevHash
+        ]);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Read every entry from disk
+     * @returns {Array<Object>} - Entries in the order they were written
+     */
+    async readEntries() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return content
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Append an entry, chaining it to the last one
+     * Appends are queued so concurrent requests cannot fork the chain.
+     * @param {Object} fields - action, actor, sessionId, certificateId, batchId and details
+     * @returns {Object} - The stored entry
+     */
+    async append(fields) {
+        const run = this.writeQueue.then(async () => {
+            if (!this.head) {
+                const entries = await this.readEntries();
+                const last = entries[entries.length - 1];
+                this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+            }
+
+            const entry = {
+                seq: this.head.seq + 1,
+                timestamp: new Date().toISOString(),
+                action: fields.action,
+                actor: fields.actor || null,
+                sessionId: fields.sessionId || null,
+                certificateId: fields.certificateId != null ? String(fields.certificateId) : null,
+                batchId: fields.batchId != null ? String(fields.batchId) : null,
+                details: fields.details || {},
+                prevHash: this.head.hash
+            };
+            entry.hash = AuditLog.hashEntry(entry);
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+
+            this.head = { seq: entry.seq, hash: entry.hash };
+            return entry;
+        });
+
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Recompute the chain from disk
+     * @returns {Object} - Whether the chain is intact and, if not, where it breaks
+     */
+    async verify() {
+        const entries = await this.readEntries();
+        let prevHash = GENESIS_HASH;
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            let reason = null;
+
+            if (entry.seq !== index + 1) {
+                reason = `Expected sequence number ${index + 1}, found ${entry.seq}`;
+            } else if (entry.prevHash !== prevHash) {
+                reason = 'Entry does not link to the previous entry';
+            } else if (AuditLog.hashEntry(entry) !== entry.hash) {
+                reason = 'Entry content does not match its hash';
+            }
+
+            if (reason) {
+                return { valid: false, totalEntries: entries.length, brokenAt: index + 1, reason };
+            }
+            prevHash = entry.hash;
+        }
+
+        return { valid: true, totalEntries: entries.length, headHash: prevHash };
+    }
+}
+
+module.exports = AuditLog;
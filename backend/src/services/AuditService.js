@@ -0,0 +1,115 @@
+const path = require('path');
+
+const AuditLog = require('./AuditLog');
+
+const CSV_COLUMNS = [
+    'seq',
+    'timestamp',
+    'action',
+    'actor',
+    'role',
+    'authMethod',
+    'sessionId',
+    'certificateId',
+    'batchId',
+    'details',
+    'prevHash',
+    'hash'
+];
+
+class AuditService {
+    static LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '../../data/audit/audit.log');
+
+    static log = new AuditLog(this.LOG_PATH);
+
+    /**
+     * Record a certificate lifecycle event
+     * A failed write is logged but never fails the request that triggered it.
+     * @param {Object|null} actor - Who performed the action (see actorOf), null for anonymous callers
+     * @param {string} action - Event name, e.g. 'workflow.deploy'
+     * @param {Object} [fields] - sessionId, certificateId, batchId and details
+     * @returns {Object|null} - The stored entry, or null if it could not be written
+     */
+    static async record(actor, action, fields = {}) {
+        try {
+            return await this.log.append({ ...fields, actor, action });
+        } catch (error) {
+            console.error(`Audit log write failed for ${action}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find entries matching the given filters
+     * @param {Object} filters - sessionId, certificateId, batchId, actor (username), action, from, to
+     * @param {Object} [page] - offset and limit (all matches when limit is omitted)
+     * @returns {Object} - Matching entries (oldest first) and the total number of matches
+     */
+    static async query(filters = {}, page = {}) {
+        const entries = await this.log.readEntries();
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+
+        const matches = entries.filter(entry =>
+            (!filters.sessionId || entry.sessionId === filters.sessionId) &&
+            (!filters.certificateId || entry.certificateId === String(filters.certificateId)) &&
+            (!filters.batchId || entry.batchId === String(filters.batchId)) &&
+            (!filters.actor || entry.actor?.username === filters.actor) &&
+            // 'workflow' matches every workflow.* action
+            (!filters.action || entry.action === filters.action || entry.action.startsWith(`${filters.action}.`)) &&
+            (!from || new Date(entry.timestamp) >= from) &&
+            (!to || new Date(entry.timestamp) <= to)
+        );
+
+        const offset = page.offset || 0;
+        const end = page.limit ? offset + page.limit : undefined;
+
+        return {
+            total: matches.length,
+            entries: matches.slice(offset, end)
+        };
+    }
+
+    /**
+     * Check that no entry has been changed, removed or reordered
+     * @returns {Object} - Chain verification result
+     */
+    static async verify() {
+        return this.log.verify();
+    }
+
+    /**
+     * Render entries as CSV
+     * @param {Array<Object>} entries - Audit entries
+     * @returns {string} - CSV document with a header row
+     */
+    static toCsv(entries) {
+        const rows = entries.map(entry => [
+            entry.seq,
+            entry.timestamp,
+            entry.action,
+            entry.actor?.username || '',
+            entry.actor?.role || '',
+            entry.actor?.authMethod || '',
+            entry.sessionId || '',
+            entry.certificateId || '',
+            entry.batchId || '',
+            JSON.stringify(entry.details),
+            entry.prevHash,
+            entry.hash
+        ]);
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\n') + '\n';
+    }
+
+    static escapeCsv(value) {
+        const text = String(value);
+        // Prefix values a spreadsheet would evaluate as a formula
+        const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const UserStore = require('./UserStore');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthService {
+    // 'admin' passes every role check
+    static ROLES = ['admin', 'registrar', 'approver', 'auditor', 'verifier'];
+    static API_KEY_PREFIX = 'zkc';
+    static TOKEN_TTL = process.env.JWT_EXPIRES_IN || '8h';
+    static STORE_PATH = process.env.AUTH_STORE_PATH || path.join(__dirname, '../../data/auth/users.json');
+
+    static store = new UserStore(this.STORE_PATH);
+    static jwtSecret = null;
+
+    /**
+     * Get the JWT signing secret
+     * Without JWT_SECRET a random secret is used, so sessions end when the process restarts.
+     * @returns {string} - Secret
+     */
+    static getJwtSecret() {
+        if (!this.jwtSecret) {
+            if (process.env.JWT_SECRET) {
+                this.jwtSecret = process.env.JWT_SECRET;
+            } else if (process.env.NODE_ENV === 'production') {
+                throw new Error('JWT_SECRET must be set in production');
+            } else {
+                console.warn('JWT_SECRET not set, using a random secret; sessions will not survive a restart');
+                this.jwtSecret = crypto.randomBytes(32).toString('hex');
+            }
+        }
+
+        return this.jwtSecret;
+    }
+
+    /**
+     * Create an error carrying a machine-readable code
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @returns {Error} - Error with code set
+     */
+    static authError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Hash a password with scrypt
+     * @param {string} password - Plain-text password
+     * @returns {string} - 'scrypt$salt$hash' (hex)
+     */
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await this.scrypt(password, salt);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    /**
+     * Check a password against a stored hash
+     * @param {string} password - Plain-text password
+     * @param {string} stored - Hash from hashPassword
+     * @returns {boolean} - True if the password matches
+     */
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = await this.scrypt(password, salt);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    static scrypt(password, salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => error ? reject(error) : resolve(key));
+        });
+    }
+
+    /**
+     * Strip secrets from a stored user
+     * @param {Object} user - Stored user
+     * @returns {Object} - User safe to return from the API
+     */
+    static toPublicUser(user) {
+        return {
+            username: user.username,
+            roles: user.roles,
+            disabled: Boolean(user.disabled),
+            createdAt: user.createdAt,
+            createdBy: user.createdBy || null
+        };
+    }
+
+    /**
+     * Create a user
+     * @param {Object} user - username, password and roles
+     * @param {string|null} createdBy - Username of the creating admin
+     * @returns {Object} - Public user
+     */
+    static async createUser({ username, password, roles }, createdBy = null) {
+        const invalidRoles = roles.filter(role => !this.ROLES.includes(role));
+        if (invalidRoles.length > 0) {
+            throw this.authError('INVALID_ROLE', `Unknown roles: ${invalidRoles.join(', ')}`);
+        }
+
+        const passwordHash = await this.hashPassword(password);
+
+        const user = await this.store.update(data => {
+            if (data.users[username]) {
+                throw this.authError('USER_EXISTS', `User ${username} already exists`);
+            }
+
+            data.users[username] = {
+                username,
+                passwordHash,
+                roles,
+                disabled: false,
+                createdAt: new Date().toISOString(),
+                createdBy
+            };
+            return data.users[username];
+        });
+
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * Change a user's roles or disable the account
+     * @param {string} username - Username
+     * @param {Object} changes - roles and/or disabled
+     * @returns {Object} - Public user
+     */
+    static async updateUser(username, changes) {
+        if (changes.roles) {
+            const invalidRoles = changes.roles.filter(role => !this.ROLES.includes(role));
+            if (invalidRoles.length > 0) {
+                throw this.authError('INVALID_ROLE', `Unknown roles: ${invalidRoles.join(', ')}`);
+            }
+        }
+
+        const user = await this.store.update(data => {
+            const stored = data.users[username];
+            if (!stored) {
+                throw this.authError('USER_NOT_FOUND', `User ${username} does not exist`);
+            }
+
+            if (changes.roles) {
+                stored.roles = changes.roles;
+            }
+            if (changes.disabled !== undefined) {
+                stored.disabled = changes.disabled;
+            }
+            return stored;
+        });
+
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * @returns {Array<Object>} - All users without secrets
+     */
+    static async listUsers() {
+        const users = await this.store.listUsers();
+        return users.map(user => this.toPublicUser(user));
+    }
+
+    /**
+     * Check a username and password and issue a JWT
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Object|null} - Token and public user, or null if the credentials are wrong
+     */
+    static async login(username, password) {
+        const user = await this.store.getUser(username);
+
+        // Hash anyway so unknown usernames take as long as wrong passwords
+        const passwordMatches = await this.verifyPassword(password, user ? user.passwordHash : 'scrypt$00$00');
+        if (!user || user.disabled || !passwordMatches) {
+            return null;
+        }
+
+        const token = jwt.sign({ roles: user.roles }, this.getJwtSecret(), {
+            subject: user.username,
+            expiresIn: this.TOKEN_TTL
+        });
+
+        return {
+            token,
+            expiresIn: this.TOKEN_TTL,
+            user: this.toPublicUser(user)
+        };
+    }
+
+    /**
+     * Resolve a JWT to the principal making the request
+     * @param {string} token - Bearer token
+     * @returns {Object|null} - Principal or null if the token is invalid
+     */
+    static async authenticateToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.getJwtSecret());
+        } catch (error) {
+            return null;
+        }
+
+        return this.resolvePrincipal(payload.sub, payload.roles, { authMethod: 'jwt' });
+    }
+
+    /**
+     * Create an API key for a user
+     * The key is only returned here; the store keeps a SHA-256 hash of its secret.
+     * @param {string} username - Owner of the key
+     * @param {Object} options - name and optional roles (a subset of the user's roles)
+     * @returns {Object} - Key metadata and the API key
+     */
+    static async createApiKey(username, { name, roles }) {
+        const keyId = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(32).toString('hex');
+
+        const apiKey = await this.store.update(data => {
+            const user = data.users[username];
+            if (!user) {
+                throw this.authError('USER_NOT_FOUND', `User ${username} does not exist`);
+            }
+
+            const keyRoles = roles || user.roles;
+            const extraRoles = keyRoles.filter(role => !user.roles.includes(role));
+            if (extraRoles.length > 0) {
+                throw this.authError('INVALID_ROLE', `User ${username} does not have roles: ${extraRoles.join(', ')}`);
+            }
+
+            data.apiKeys[keyId] = {
+                keyId,
+                username,
+                name,
+                roles: keyRoles,
+                secretHash: this.hashApiKeySecret(secret),
+                createdAt: new Date().toISOString(),
+                revokedAt: null
+            };
+            return data.apiKeys[keyId];
+        });
+
+        return {
+            ...this.toPublicApiKey(apiKey),
+            apiKey: `${this.API_KEY_PREFIX}_${keyId}_${secret}`
+        };
+    }
+
+    /**
+     * Revoke an API key
+     * @param {string} keyId - API key ID
+     * @returns {Object} - Revoked key metadata
+     */
+    static async revokeApiKey(keyId) {
+        const apiKey = await this.store.update(data => {
+            const stored = data.apiKeys[keyId];
+            if (!stored) {
+                throw this.authError('API_KEY_NOT_FOUND', `API key ${keyId} does not exist`);
+            }
+            stored.revokedAt = stored.revokedAt || new Date().toISOString();
+            return stored;
+        });
+
+        return this.toPublicApiKey(apiKey);
+    }
+
+    /**
+     * @param {string} username - Owner of the keys
+     * @returns {Array<Object>} - Key metadata without secrets
+     */
+    static async listApiKeys(username) {
+        const keys = await this.store.listApiKeys(username);
+        return keys.map(key => this.toPublicApiKey(key));
+    }
+
+    /**
+     * @param {string} keyId - API key ID
+     * @returns {Object|null} - Key metadata without secrets
+     */
+    static async getApiKey(keyId) {
+        const key = await this.store.getApiKey(keyId);
+        return key ? this.toPublicApiKey(key) : null;
+    }
+
+    static toPublicApiKey(key) {
+        return {
+            keyId: key.keyId,
+            username: key.username,
+            name: key.name,
+            roles: key.roles,
+            createdAt: key.createdAt,
+            revokedAt: key.revokedAt
+        };
+    }
+
+    static hashApiKeySecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Resolve an API key to the principal making the request
+     * @param {string} apiKey - Key in the form zkc_<keyId>_<secret>
+     * @returns {Object|null} - Principal or null if the key is invalid or revoked
+     */
+    static async authenticateApiKey(apiKey) {
+        const match = String(apiKey).match(new RegExp(`^${this.API_KEY_PREFIX}_([0-9a-f]{12})_([0-9a-f]{64})$`));
+        if (!match) {
+            return null;
+        }
+
+        const [, keyId, secret] = match;
+        const stored = await this.store.getApiKey(keyId);
+        if (!stored || stored.revokedAt) {
+            return null;
+        }
+
+        const expected = Buffer.from(stored.secretHash, 'hex');
+        const actual = Buffer.from(this.hashApiKeySecret(secret), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        return this.resolvePrincipal(stored.username, stored.roles, { authMethod: 'api_key', keyId });
+    }
+
+    /**
+     * Build the principal for an authenticated user
+     * Roles are limited to what the user still has, so removing a role takes effect immediately.
+     * @param {string} username - Username
+     * @param {Array<string>} grantedRoles - Roles carried by the token or key
+     * @param {Object} details - How the request was authenticated
+     * @returns {Object|null} - Principal or null if the user is missing or disabled
+     */
+    static async resolvePrincipal(username, grantedRoles, details) {
+        const user = await this.store.getUser(username);
+        if (!user || user.disabled) {
+            return null;
+        }
+
+        return {
+            username,
+            roles: (grantedRoles || []).filter(role => user.roles.includes(role)),
+            ...details
+        };
+    }
+
+    /**
+     * Find the role under which a principal may act
+     * @param {Object} principal - Authenticated principal
+     * @param {Array<string>} allowedRoles - Roles accepted by the route
+     * @returns {string|null} - Matching role ('admin' as a fallback) or null
+     */
+    static matchRole(principal, allowedRoles) {
+        const role = allowedRoles.find(allowed => principal.roles.includes(allowed));
+        if (role) {
+            return role;
+        }
+        return principal.roles.includes('admin') ? 'admin' : null;
+    }
+
+    /**
+     * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the store has no users
+     * @returns {Object|null} - Created admin or null if nothing was done
+     */
+    static async bootstrapAdmin() {
+        const users = await this.store.listUsers();
+        if (users.length > 0) {
+            return null;
+        }
+
+        const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+            console.warn('No users configured; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+            return null;
+        }
+
+        return this.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, roles: ['admin'] }, 'bootstrap');
+    }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,736 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+class BlockchainService {
+    static DEPLOYMENT_PATH = path.join(__dirname, '../../../deployments/latest.json');
+    static ARTIFACT_PATH = path.join(__dirname, '../../../artifacts/contracts/ZKCertificateSystem.sol/ZKCertificateSystem.json');
+    static DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+
+    // CertificateRegistry.RevocationReason, in enum order
+    static REVOCATION_REASONS = ['unspecified', 'misconduct', 'issued_in_error', 'superseded', 'other'];
+
+    // CertificateRegistry.CertificateStatus, in enum order
+    static CERTIFICATE_STATUSES = ['unknown', 'valid', 'not_yet_valid', 'expired', 'revoked'];
+
+    /**
+     * Create a JSON-RPC provider for the configured network
+     * @returns {ethers.providers.JsonRpcProvider} - Provider instance
+     */
+    static getProvider() {
+        const rpcUrl = process.env.BLOCKCHAIN_RPC_URL || this.DEFAULT_RPC_URL;
+        return new ethers.providers.JsonRpcProvider(rpcUrl);
+    }
+
+    /**
+     * Get the signer used for issuing transactions
+     * Uses ISSUER_PRIVATE_KEY when set, otherwise the node's first unlocked account
+     * @param {ethers.providers.Provider} provider - Provider to connect to
+     * @returns {ethers.Signer} - Transaction signer
+     */
+    static getSigner(provider) {
+        if (process.env.ISSUER_PRIVATE_KEY) {
+            return new ethers.Wallet(process.env.ISSUER_PRIVATE_KEY, provider);
+        }
+
+        return provider.getSigner(0);
+    }
+
+    /**
+     * Load the latest deployment record written by scripts/deploy.js
+     * @returns {Object} - Deployment information
+     */
+    static loadDeployment() {
+        const deploymentPath = process.env.DEPLOYMENT_FILE || this.DEPLOYMENT_PATH;
+
+        if (!fs.existsSync(deploymentPath)) {
+            throw new Error('Deployment file not found. Please deploy the contracts first.');
+        }
+
+        return JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    }
+
+    /**
+     * Load the compiled ZKCertificateSystem artifact
+     * Artifacts are build outputs and are not checked in, so they always match the contracts.
+     * @returns {Object} - Hardhat artifact with ABI
+     */
+    static loadArtifact() {
+        if (!fs.existsSync(this.ARTIFACT_PATH)) {
+            throw new Error(
+                `ZKCertificateSystem artifact not found at ${this.ARTIFACT_PATH}. ` +
+                'Run "npm run compile" in the repository root before starting the backend.'
+            );
+        }
+
+        return JSON.parse(fs.readFileSync(this.ARTIFACT_PATH, 'utf8'));
+    }
+
+    /**
+     * Get the address of the deployed ZKCertificateSystem contract
+     * @returns {string} - Contract address
+     */
+    static getContractAddress() {
+        if (process.env.ZK_CERTIFICATE_SYSTEM_ADDRESS) {
+            return process.env.ZK_CERTIFICATE_SYSTEM_ADDRESS;
+        }
+
+        const deployment = this.loadDeployment();
+        const address = deployment.contracts?.ZKCertificateSystem?.address;
+
+        if (!address) {
+            throw new Error('ZKCertificateSystem address missing from deployment file');
+        }
+
+        return address;
+    }
+
+    /**
+     * Get a ZKCertificateSystem contract instance
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Connection for the contract
+     * @returns {ethers.Contract} - Contract instance
+     */
+    static getContract(signerOrProvider) {
+        const artifact = this.loadArtifact();
+        return new ethers.Contract(this.getContractAddress(), artifact.abi, signerOrProvider);
+    }
+
+    /**
+     * Issue a certificate batch on-chain and wait for it to be mined
+     * The batch is bound to the institution the signer is registered with.
+     * @param {Object} batch - Batch parameters; disclosureRoot is optional
+     * @returns {Object} - Transaction details and the issued batch ID
+     */
+    static async issueBatch(batch) {
+        const provider = this.getProvider();
+        const signer = this.getSigner(provider);
+        const contract = this.getContract(signer);
+
+        const tx = await contract.issueBatch(
+            batch.merkleRoot,
+            batch.disclosureRoot || ethers.constants.HashZero,
+            batch.courseName,
+            batch.graduationYear,
+            batch.totalStudents,
+            this.toTimestamp(batch.validFrom),
+            this.toTimestamp(batch.validUntil)
+        );
+        const receipt = await tx.wait();
+
+        const batchIssued = receipt.events?.find(event => event.event === 'BatchIssued');
+        if (!batchIssued) {
+            throw new Error('BatchIssued event not found in transaction receipt');
+        }
+
+        const network = await provider.getNetwork();
+
+        return {
+            batchId: batchIssued.args.batchId.toString(),
+            institutionId: batchIssued.args.institutionId.toNumber(),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            contractAddress: contract.address,
+            chainId: network.chainId,
+            issuer: await signer.getAddress()
+        };
+    }
+
+    /**
+     * Propose a certificate batch for M-of-N signer approval and wait for it to be mined
+     * The proposer's approval counts, so the batch is issued at once if that meets the threshold.
+     * @param {Object} batch - Batch parameters (as for issueBatch)
+     * @returns {Object} - Proposal ID, approval count and transaction details
+     */
+    static async proposeBatch(batch) {
+        const provider = this.getProvider();
+        const signer = this.getSigner(provider);
+        const contract = this.getContract(signer);
+
+        const tx = await contract.proposeBatch(
+            batch.merkleRoot,
+            batch.disclosureRoot || ethers.constants.HashZero,
+            batch.courseName,
+            batch.graduationYear,
+            batch.totalStudents,
+            this.toTimestamp(batch.validFrom),
+            this.toTimestamp(batch.validUntil)
+        );
+        const receipt = await tx.wait();
+
+        const proposed = receipt.events?.find(event => event.event === 'BatchProposed');
+        if (!proposed) {
+            throw new Error('BatchProposed event not found in transaction receipt');
+        }
+        const batchIssued = receipt.events.find(event => event.event === 'BatchIssued');
+
+        const network = await provider.getNetwork();
+
+        return {
+            proposalId: proposed.args.proposalId.toString(),
+            institutionId: proposed.args.institutionId.toNumber(),
+            batchId: batchIssued ? batchIssued.args.batchId.toString() : null,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            contractAddress: contract.address,
+            chainId: network.chainId,
+            issuer: await signer.getAddress()
+        };
+    }
+
+    /**
+     * Approve a batch proposal as the configured signer and wait for it to be mined
+     * @param {number|string} proposalId - Proposal ID
+     * @returns {Object} - Approval count, the issued batch ID once executed, and transaction details
+     */
+    static async approveBatchProposal(proposalId) {
+        const provider = this.getProvider();
+        const signer = this.getSigner(provider);
+        const contract = this.getContract(signer);
+
+        const tx = await contract.approveBatchProposal(proposalId);
+        const receipt = await tx.wait();
+
+        const approved = receipt.events?.find(event => event.event === 'BatchProposalApproved');
+        const executed = receipt.events?.find(event => event.event === 'BatchProposalExecuted');
+
+        return {
+            proposalId: String(proposalId),
+            approvals: approved ? approved.args.approvals.toNumber() : null,
+            batchId: executed ? executed.args.batchId.toString() : null,
+            signer: await signer.getAddress(),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Issue a pending proposal that already meets its institution's current threshold
+     * Approvals are counted on-chain over current signers only, so a proposal can become
+     * executable without a new approval when the threshold is lowered.
+     * @param {number|string} proposalId - Proposal ID
+     * @returns {Object} - Issued batch ID and transaction details
+     */
+    static async executeBatchProposal(proposalId) {
+        const provider = this.getProvider();
+        const signer = this.getSigner(provider);
+        const contract = this.getContract(signer);
+
+        const tx = await contract.executeBatchProposal(proposalId);
+        const receipt = await tx.wait();
+
+        const executed = receipt.events?.find(event => event.event === 'BatchProposalExecuted');
+
+        return {
+            proposalId: String(proposalId),
+            batchId: executed ? executed.args.batchId.toString() : null,
+            signer: await signer.getAddress(),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Read a batch proposal
+     * @param {number|string} proposalId - Proposal ID
+     * @returns {Object|null} - Proposal details or null if it does not exist
+     */
+    static async getBatchProposal(proposalId) {
+        const contract = this.getContract(this.getProvider());
+        const proposal = await contract.getBatchProposal(proposalId);
+
+        if (proposal.proposer === ethers.constants.AddressZero) {
+            return null;
+        }
+
+        const institutionId = proposal.institutionId.toNumber();
+        const threshold = (await contract.issuanceThreshold(institutionId)).toNumber();
+        const batchId = proposal.batchId.isZero() ? null : proposal.batchId.toString();
+
+        return {
+            proposalId: String(proposalId),
+            institutionId,
+            merkleRoot: proposal.merkleRoot,
+            courseName: proposal.courseName,
+            graduationYear: proposal.graduationYear.toNumber(),
+            totalStudents: proposal.totalStudents.toNumber(),
+            proposer: proposal.proposer,
+            approvals: proposal.approvals.toNumber(),
+            threshold,
+            batchId,
+            status: proposal.cancelled ? 'cancelled' : batchId ? 'executed' : 'pending',
+            executable: !proposal.cancelled && !batchId && proposal.approvals.toNumber() >= threshold
+        };
+    }
+
+    /**
+     * Get how many signer approvals an institution's batches need
+     * @param {number|string} institutionId - Institution ID
+     * @returns {number} - Threshold (0 or 1 when batches are issued directly)
+     */
+    static async getIssuanceThreshold(institutionId) {
+        const contract = this.getContract(this.getProvider());
+        return (await contract.issuanceThreshold(institutionId)).toNumber();
+    }
+
+    /**
+     * Set how many signer approvals an institution's batches need (institution admin only)
+     * @param {number|string} institutionId - Institution ID
+     * @param {number} threshold - Required approvals (0 or 1 to issue directly)
+     * @returns {Object} - Transaction details
+     */
+    static async setIssuanceThreshold(institutionId, threshold) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.setIssuanceThreshold(institutionId, threshold);
+        const receipt = await tx.wait();
+
+        return {
+            institutionId: Number(institutionId),
+            threshold,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Get the address of the configured transaction signer
+     * @returns {string} - Signer address
+     */
+    static async getSignerAddress() {
+        return this.getSigner(this.getProvider()).getAddress();
+    }
+
+    /**
+     * Sign a 32-byte digest as an EIP-191 personal message with the configured signer
+     * @param {string} digest - 0x-prefixed digest
+     * @returns {string} - Signature, recoverable with ethers.utils.verifyMessage(arrayify(digest), signature)
+     */
+    static async signDigest(digest) {
+        return this.getSigner(this.getProvider()).signMessage(ethers.utils.arrayify(digest));
+    }
+
+    /**
+     * Read an institution from the registry
+     * @param {number|string} institutionId - Institution ID
+     * @returns {Object|null} - Institution details or null if it is not registered
+     */
+    static async getInstitution(institutionId) {
+        const contract = this.getContract(this.getProvider());
+        const institution = await contract.institutions(institutionId);
+
+        if (institution.admin === ethers.constants.AddressZero) {
+            return null;
+        }
+
+        const [signerCount, issuanceThreshold] = await Promise.all([
+            contract.institutionSignerCount(institutionId),
+            contract.issuanceThreshold(institutionId)
+        ]);
+
+        return {
+            institutionId: Number(institutionId),
+            name: institution.name,
+            domain: institution.domain,
+            metadataURI: institution.metadataURI,
+            admin: institution.admin,
+            active: institution.active,
+            signerCount: signerCount.toNumber(),
+            issuanceThreshold: issuanceThreshold.toNumber()
+        };
+    }
+
+    /**
+     * List every registered institution
+     * @returns {Array<Object>} - Institutions in registration order
+     */
+    static async listInstitutions() {
+        const contract = this.getContract(this.getProvider());
+        const nextInstitutionId = (await contract.nextInstitutionId()).toNumber();
+
+        const ids = Array.from({ length: Math.max(nextInstitutionId - 1, 0) }, (_, index) => index + 1);
+        return Promise.all(ids.map(id => this.getInstitution(id)));
+    }
+
+    /**
+     * Look up the institution an address signs for
+     * @param {string} [address] - Signer address (defaults to the configured signer)
+     * @returns {Object|null} - Institution details with the signer address, or null if the address is not a signer
+     */
+    static async getSignerInstitution(address) {
+        const signer = address || await this.getSignerAddress();
+        const contract = this.getContract(this.getProvider());
+        const institutionId = (await contract.signerInstitution(signer)).toNumber();
+
+        if (institutionId === 0) {
+            return null;
+        }
+
+        return { ...(await this.getInstitution(institutionId)), signer };
+    }
+
+    /**
+     * Register an institution (contract owner only) and wait for it to be mined
+     * @param {Object} institution - Name, domain, metadataURI and admin address
+     * @returns {Object} - Registered institution ID and transaction details
+     */
+    static async registerInstitution(institution) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.registerInstitution(
+            institution.name,
+            institution.domain || '',
+            institution.metadataURI || '',
+            institution.admin
+        );
+        const receipt = await tx.wait();
+
+        const registered = receipt.events?.find(event => event.event === 'InstitutionRegistered');
+        if (!registered) {
+            throw new Error('InstitutionRegistered event not found in transaction receipt');
+        }
+
+        return {
+            institutionId: registered.args.institutionId.toNumber(),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Update an institution's public metadata (institution admin only)
+     * @param {number|string} institutionId - Institution ID
+     * @param {Object} metadata - New domain and metadataURI
+     * @returns {Object} - Transaction details
+     */
+    static async updateInstitutionMetadata(institutionId, metadata) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.updateInstitutionMetadata(institutionId, metadata.domain, metadata.metadataURI);
+        const receipt = await tx.wait();
+
+        return {
+            institutionId: Number(institutionId),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Add or remove a delegated signer of an institution (institution admin only)
+     * @param {number|string} institutionId - Institution ID
+     * @param {string} signer - Signer address
+     * @param {boolean} authorized - Whether the address may issue for the institution
+     * @returns {Object} - Transaction details
+     */
+    static async setInstitutionSigner(institutionId, signer, authorized) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.setInstitutionSigner(institutionId, signer, authorized);
+        const receipt = await tx.wait();
+
+        return {
+            institutionId: Number(institutionId),
+            signer,
+            authorized,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Give several certificates of a batch their own validity windows in one transaction
+     * @param {number|string} batchId - Batch containing the certificates
+     * @param {Array<Object>} windows - certificateKey (32-byte hex), optional validFrom and validUntil
+     * @returns {Object} - Transaction details
+     */
+    static async setCertificateValidityBatch(batchId, windows) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.setCertificateValidityBatch(
+            batchId,
+            windows.map(window => window.certificateKey),
+            windows.map(window => this.toTimestamp(window.validFrom)),
+            windows.map(window => this.toTimestamp(window.validUntil))
+        );
+        const receipt = await tx.wait();
+
+        return {
+            batchId: batchId.toString(),
+            certificates: windows.length,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    }
+
+    /**
+     * Read the on-chain status of a certificate and the validity window that applies to it
+     * Membership in the batch is not checked; that needs a Merkle or ZK proof.
+     * @param {number|string} batchId - Batch containing the certificate
+     * @param {string} certificateKey - Certificate commitment as 32-byte hex
+     * @returns {Object} - Status (one of CERTIFICATE_STATUSES) and the validity window
+     */
+    static async getCertificateStatus(batchId, certificateKey) {
+        const contract = this.getContract(this.getProvider());
+        const [status, window] = await Promise.all([
+            contract.getCertificateStatus(batchId, certificateKey),
+            contract.getValidityWindow(batchId, certificateKey)
+        ]);
+
+        return {
+            status: this.CERTIFICATE_STATUSES[status],
+            validFrom: this.fromTimestamp(window.validFrom),
+            validUntil: this.fromTimestamp(window.validUntil)
+        };
+    }
+
+    /**
+     * Revoke a single certificate on-chain and wait for it to be mined
+     * @param {Object} revocation - Revocation parameters
+     * @param {number|string} revocation.batchId - Batch containing the certificate
+     * @param {string} revocation.certificateKey - Certificate commitment (or nullifier) as 32-byte hex
+     * @param {string} revocation.reason - One of REVOCATION_REASONS
+     * @returns {Object} - Transaction details and the recorded revocation
+     */
+    static async revokeCertificate(revocation) {
+        const reasonCode = this.REVOCATION_REASONS.indexOf(revocation.reason);
+        if (reasonCode === -1) {
+            throw new Error(`Unknown revocation reason: ${revocation.reason}`);
+        }
+
+        const provider = this.getProvider();
+        const signer = this.getSigner(provider);
+        const contract = this.getContract(signer);
+
+        const tx = await contract.revokeCertificate(revocation.batchId, revocation.certificateKey, reasonCode);
+        const receipt = await tx.wait();
+
+        const revoked = receipt.events?.find(event => event.event === 'CertificateRevoked');
+        if (!revoked) {
+            throw new Error('CertificateRevoked event not found in transaction receipt');
+        }
+
+        return {
+            batchId: revoked.args.batchId.toString(),
+            certificateKey: revoked.args.certificateKey,
+            reason: this.REVOCATION_REASONS[revoked.args.reason],
+            revokedAt: new Date(revoked.args.revokedAt.toNumber() * 1000),
+            revokedBy: revoked.args.revokedBy,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Read the revocation record of a certificate
+     * @param {number|string} batchId - Batch containing the certificate
+     * @param {string} certificateKey - Certificate commitment (or nullifier) as 32-byte hex
+     * @returns {Object|null} - Revocation details or null if not revoked
+     */
+    static async getCertificateRevocation(batchId, certificateKey) {
+        const contract = this.getContract(this.getProvider());
+        const revocation = await contract.certificateRevocations(batchId, certificateKey);
+
+        if (revocation.revokedAt.isZero()) {
+            return null;
+        }
+
+        return {
+            reason: this.REVOCATION_REASONS[revocation.reason],
+            revokedAt: new Date(revocation.revokedAt.toNumber() * 1000),
+            revokedBy: revocation.revokedBy
+        };
+    }
+
+    /**
+     * List the revoked certificate keys of a batch from its CertificateRevoked events
+     * @param {number|string} batchId - Batch ID
+     * @returns {Array<string>} - Revoked certificate keys (32-byte hex), oldest first
+     */
+    static async getRevokedCertificateKeys(batchId) {
+        const contract = this.getContract(this.getProvider());
+        const events = await contract.queryFilter(contract.filters.CertificateRevoked(batchId));
+
+        return events.map(event => event.args.certificateKey);
+    }
+
+    /**
+     * Read the published revocation tree root of a batch
+     * @param {number|string} batchId - Batch ID
+     * @returns {string} - Root as 32-byte hex (zero hash while nothing is published)
+     */
+    static async getRevocationRoot(batchId) {
+        const contract = this.getContract(this.getProvider());
+        return contract.revocationRoots(batchId);
+    }
+
+    /**
+     * Publish the revocation tree root of a batch and wait for it to be mined
+     * @param {number|string} batchId - Batch ID
+     * @param {string} revocationRoot - Root as 32-byte hex
+     * @returns {Object} - Transaction details
+     */
+    static async updateRevocationRoot(batchId, revocationRoot) {
+        const provider = this.getProvider();
+        const contract = this.getContract(this.getSigner(provider));
+
+        const tx = await contract.updateRevocationRoot(batchId, revocationRoot);
+        const receipt = await tx.wait();
+
+        return {
+            batchId: batchId.toString(),
+            revocationRoot,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    /**
+     * Read a batch from the contract
+     * @param {number|string} batchId - Batch ID
+     * @returns {Object|null} - Batch details or null if the batch does not exist
+     */
+    static async getBatchInfo(batchId) {
+        const contract = this.getContract(this.getProvider());
+        const [batch, validity, disclosureRoot] = await Promise.all([
+            contract.getBatchInfo(batchId),
+            contract.batchValidity(batchId),
+            contract.disclosureRoots(batchId)
+        ]);
+
+        if (batch.merkleRoot === ethers.constants.HashZero) {
+            return null;
+        }
+
+        return {
+            batchId: batchId.toString(),
+            merkleRoot: batch.merkleRoot,
+            disclosureRoot: disclosureRoot === ethers.constants.HashZero ? null : disclosureRoot,
+            institutionId: batch.institutionId.toNumber(),
+            institutionName: batch.institutionName,
+            courseName: batch.courseName,
+            graduationYear: batch.graduationYear.toNumber(),
+            totalStudents: batch.totalStudents.toNumber(),
+            issuedAt: new Date(batch.timestamp.toNumber() * 1000),
+            validFrom: this.fromTimestamp(validity.validFrom),
+            validUntil: this.fromTimestamp(validity.validUntil),
+            isValid: batch.isValid
+        };
+    }
+
+    /**
+     * Find the batch issued with a Merkle root
+     * @param {string} merkleRoot - Root as 32-byte hex
+     * @returns {Object|null} - Batch details (as getBatchInfo), or null if no batch has this root
+     */
+    static async findBatchByRoot(merkleRoot) {
+        const contract = this.getContract(this.getProvider());
+        const events = await contract.queryFilter(contract.filters.BatchIssued(null, merkleRoot));
+        if (events.length === 0) {
+            return null;
+        }
+
+        return this.getBatchInfo(events[events.length - 1].args.batchId);
+    }
+
+    /**
+     * Find the batch whose disclosure leaves have a root
+     * @param {string} disclosureRoot - Disclosure root as 32-byte hex
+     * @returns {Object|null} - Batch details (as getBatchInfo), or null if no batch anchored this root
+     */
+    static async findBatchByDisclosureRoot(disclosureRoot) {
+        const contract = this.getContract(this.getProvider());
+        const events = await contract.queryFilter(contract.filters.BatchDisclosureRootAnchored(null, disclosureRoot));
+        if (events.length === 0) {
+            return null;
+        }
+
+        return this.getBatchInfo(events[events.length - 1].args.batchId);
+    }
+
+    /**
+     * Convert an optional date to the contract's Unix timestamp (0 when unset)
+     * @param {Date|string|null} date - Date to convert
+     * @returns {number} - Seconds since the epoch
+     */
+    static toTimestamp(date) {
+        return date ? Math.floor(new Date(date).getTime() / 1000) : 0;
+    }
+
+    /**
+     * Convert a contract timestamp to a date (null when unset)
+     * @param {ethers.BigNumber|number} timestamp - Seconds since the epoch
+     * @returns {Date|null} - Date or null for an open bound
+     */
+    static fromTimestamp(timestamp) {
+        const seconds = Number(timestamp);
+        return seconds ? new Date(seconds * 1000) : null;
+    }
+
+    /**
+     * Extract the revert reason from an ethers error
+     * @param {Error} error - Error thrown by ethers
+     * @returns {string|null} - Revert reason if one could be found
+     */
+    static extractRevertReason(error) {
+        const isRevert = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'].includes(error.code);
+        const reason = isRevert ? error.reason : null;
+
+        const messages = [reason, error.error?.error?.message, error.error?.message, error.message].filter(Boolean);
+        for (const message of messages) {
+            const match = message.match(/reverted with reason string '([^']+)'/) ||
+                message.match(/execution reverted: ([^"\n]+)/);
+            if (match) {
+                return match[1].trim();
+            }
+        }
+
+        if (reason && !reason.startsWith('cannot estimate gas')) {
+            return reason;
+        }
+
+        return null;
+    }
+
+    /**
+     * Map a blockchain error to an HTTP status and response body
+     * @param {Error} error - Error thrown while talking to the chain
+     * @param {string} fallbackTitle - Error title for unclassified failures
+     * @returns {Object} - Status code and error details
+     */
+    static describeError(error, fallbackTitle = 'Deployment Failed') {
+        const reason = this.extractRevertReason(error);
+
+        if (reason) {
+            const notAuthorized = /not authorized|not the owner/i.test(reason);
+            return {
+                status: notAuthorized ? 403 : 422,
+                error: notAuthorized ? 'Not Authorized' : 'Transaction Reverted',
+                message: reason
+            };
+        }
+
+        if (['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(error.code) || /ECONNREFUSED/.test(error.message)) {
+            return {
+                status: 503,
+                error: 'Blockchain Unavailable',
+                message: 'Could not reach the blockchain node. Please check BLOCKCHAIN_RPC_URL.'
+            };
+        }
+
+        return {
+            status: 500,
+            error: fallbackTitle,
+            message: error.message
+        };
+    }
+}
+
+module.exports = BlockchainService;
@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+
+const AuthService = require('./AuthService');
+const BlockchainService = require('./BlockchainService');
+
+/**
+ * Holder certificate bundles
+ * A bundle is everything a student needs to prove their certificate without the issuer:
+ * the committed fields, salt, commitment, Poseidon Merkle path, the disclosure leaf with its
+ * path to the batch's disclosure root, and where the batch lives on-chain. The issuer signs
+ * keccak256 of the canonical JSON of every field but `signature` as an EIP-191 personal
+ * message; frontend/src/utils/bundle.js checks it.
+ */
+class CertificateBundleService {
+    static FORMAT = 'zk-certificate-bundle';
+    static VERSION = 1;
+    static DOWNLOAD_TOKEN_PURPOSE = 'holder-bundle';
+    static DOWNLOAD_TOKEN_TTL = process.env.BUNDLE_TOKEN_EXPIRES_IN || '90d';
+
+    /**
+     * Build and sign the bundle for one certificate of an issued batch
+     * @param {Object} batch - Issued batch record (see IssuedBatchStore)
+     * @param {Object} certificate - Issued certificate with salt, commitment and Poseidon merkleProof
+     * @returns {Object} - Signed bundle
+     */
+    static async create(batch, certificate) {
+        const { deployment } = batch;
+        const issuerAddress = await BlockchainService.getSignerAddress();
+        const institution = await BlockchainService.getSignerInstitution(issuerAddress);
+
+        // Round-trip through JSON so dates are ISO strings, as they will be for the holder
+        const bundle = JSON.parse(JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            certificate: {
+                id: certificate.id,
+                ...certificate.commitmentData
+            },
+            salt: certificate.salt,
+            commitment: certificate.commitment,
+            merkleProof: {
+                leaf: certificate.merkleProof.leaf,
+                root: certificate.merkleProof.root,
+                pathElements: certificate.merkleProof.pathElements,
+                pathIndices: certificate.merkleProof.pathIndices
+            },
+            // Selective disclosure leaf and its path to the batch's disclosure root
+            disclosure: certificate.disclosure
+                ? {
+                    record: certificate.disclosure.record,
+                    commitment: certificate.disclosure.commitment,
+                    merkleProof: {
+                        leaf: certificate.disclosure.merkleProof.leaf,
+                        root: certificate.disclosure.merkleProof.root,
+                        pathElements: certificate.disclosure.merkleProof.pathElements,
+                        pathIndices: certificate.disclosure.merkleProof.pathIndices
+                    }
+                }
+                : undefined,
+            zkConfig: batch.zkConfig,
+            batch: {
+                batchId: batch.batchId,
+                merkleRoot: batch.merkleRoot,
+                disclosureRoot: batch.disclosureRoot || null,
+                courseName: deployment.courseName || null,
+                graduationYear: deployment.graduationYear || null,
+                validFrom: deployment.validFrom || null,
+                validUntil: deployment.validUntil || null
+            },
+            contract: {
+                address: batch.contractAddress,
+                chainId: batch.chainId
+            },
+            issuer: {
+                address: issuerAddress,
+                institutionId: institution ? institution.institutionId : null,
+                name: institution ? institution.name : null,
+                domain: institution ? institution.domain : null
+            },
+            issuedAt: new Date().toISOString()
+        }));
+
+        bundle.signature = await BlockchainService.signDigest(this.digest(bundle));
+        return bundle;
+    }
+
+    /**
+     * Digest the issuer signs: keccak256 of the canonical JSON of the bundle without its signature
+     * @param {Object} bundle - Bundle
+     * @returns {string} - 0x-prefixed digest
+     */
+    static digest(bundle) {
+        const { signature, ...body } = bundle;
+        return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(this.canonicalize(body)));
+    }
+
+    /**
+     * JSON with object keys sorted at every level, so the digest does not depend on key order
+     * @param {*} value - JSON value
+     * @returns {string} - Canonical JSON
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Issue the token a holder downloads their own bundle with
+     * The token names one certificate of one batch and is signed with the API's JWT secret,
+     * so the holder needs no account; it cannot be used to log in.
+     * @param {Object} batch - Issued batch record
+     * @param {string|number} certificateId - Certificate ID
+     * @returns {string} - Download token
+     */
+    static issueDownloadToken(batch, certificateId) {
+        return jwt.sign({
+            purpose: this.DOWNLOAD_TOKEN_PURPOSE,
+            contractAddress: batch.contractAddress,
+            batchId: String(batch.batchId),
+            certificateId: String(certificateId)
+        }, AuthService.getJwtSecret(), { expiresIn: this.DOWNLOAD_TOKEN_TTL });
+    }
+
+    /**
+     * Check a holder download token
+     * @param {string} token - Token from issueDownloadToken
+     * @returns {Object|null} - contractAddress, batchId and certificateId, or null if invalid or expired
+     */
+    static verifyDownloadToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, AuthService.getJwtSecret());
+        } catch (error) {
+            return null;
+        }
+
+        if (payload.purpose !== this.DOWNLOAD_TOKEN_PURPOSE) {
+            return null;
+        }
+
+        return {
+            contractAddress: payload.contractAddress,
+            batchId: payload.batchId,
+            certificateId: payload.certificateId
+        };
+    }
+
+    /**
+     * File name for a downloaded bundle
+     * @param {Object} bundle - Bundle
+     * @returns {string} - File name
+     */
+    static fileName(bundle) {
+        const id = String(bundle.certificate.studentId || bundle.certificate.id).replace(/[^A-Za-z0-9_-]/g, '_');
+        return `certificate-bundle-${bundle.batch.batchId}-${id}.json`;
+    }
+}
+
+module.exports = CertificateBundleService;
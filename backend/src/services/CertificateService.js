@@ -2,23 +2,67 @@ const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const Joi = require('joi');
+const { ethers } = require('ethers');
+
+const GradeScale = require('./GradeScale');
+const BlockchainService = require('./BlockchainService');
 
 class CertificateService {
+    // Verification outcomes reported by the verify routes
+    static VERIFICATION_MESSAGES = {
+        valid: 'Certificate is valid',
+        invalid: 'Certificate verification failed',
+        unknown: 'Certificate batch is not known on-chain',
+        unanchored: 'Proof is valid, but its Merkle root is not the root of any on-chain batch',
+        not_yet_valid: 'Certificate is not valid yet',
+        expired: 'Certificate has expired',
+        revoked: 'Certificate has been revoked'
+    };
+
+    // Printed certificates carry "<prefix>.<chainId>.<contract>.<batchId>.<commitment>.<signature>"
+    // in a /check link; the issuer signs everything before the signature
+    static QR_PAYLOAD_PREFIX = 'zkc1';
+    static QR_PAYLOAD_PATTERN = /^zkc1\.(\d+)\.(0x[0-9a-fA-F]{40})\.(\d+)\.(0x[0-9a-fA-F]{64})\.(0x[0-9a-fA-F]{130})$/;
+
+    // Subject grade columns picked up automatically: subject1, subject_2, Subject 3, ...
+    static SUBJECT_COLUMN_PATTERN = /^subject[\s_-]*(\d+)$/i;
+
+    /**
+     * Subject grade columns of a CSV row, in subject order
+     * @param {Object} row - CSV row data
+     * @returns {Array<string>} - Column names
+     */
+    static detectSubjectColumns(row) {
+        return Object.keys(row)
+            .map(column => ({ column, match: column.trim().match(this.SUBJECT_COLUMN_PATTERN) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+            .map(({ column }) => column);
+    }
+
     /**
      * Validate student data from CSV row
      * @param {Object} row - CSV row data
-     * @returns {Object} - Validated student data
+     * @param {Object} options - Validation options
+     * @param {Array<string>} options.subjectColumns - Subject grade columns (detected from the row if omitted)
+     * @param {string} options.gradeScale - GradeScale the grades are on (default percentage)
+     * @returns {Object} - Validated student data with subjects in column order
      */
-    static validateStudentData(row) {
+    static validateStudentData(row, options = {}) {
+        const gradeScale = options.gradeScale || GradeScale.DEFAULT;
+        const subjectColumns = options.subjectColumns || this.detectSubjectColumns(row);
+
+        if (subjectColumns.length === 0) {
+            throw new Error('Invalid student data: no subject columns found');
+        }
+
         const schema = Joi.object({
             studentId: Joi.string().required().min(1).max(50),
             studentName: Joi.string().required().min(2).max(100),
             email: Joi.string().email().required(),
-            subject1: Joi.number().min(0).max(100).required(),
-            subject2: Joi.number().min(0).max(100).required(),
-            subject3: Joi.number().min(0).max(100).required(),
-            subject4: Joi.number().min(0).max(100).required(),
-            subject5: Joi.number().min(0).max(100).required()
+            ...Object.fromEntries(subjectColumns.map(column =>
+                [column, Joi.alternatives(Joi.number(), Joi.string().trim().min(1)).required()]
+            ))
         });
 
         const { error, value } = schema.validate(row);
@@ -26,12 +70,17 @@ class CertificateService {
             throw new Error(`Invalid student data: ${error.details[0].message}`);
         }
 
-        // Convert numeric strings to numbers if needed
-        value.subject1 = parseFloat(value.subject1);
-        value.subject2 = parseFloat(value.subject2);
-        value.subject3 = parseFloat(value.subject3);
-        value.subject4 = parseFloat(value.subject4);
-        value.subject5 = parseFloat(value.subject5);
+        // Grades are stored as numbers (numeric scales) or canonical letters
+        value.subjects = subjectColumns.map(column => {
+            try {
+                value[column] = GradeScale.decode(GradeScale.encode(value[column], gradeScale), gradeScale);
+            } catch (gradeError) {
+                throw new Error(`Invalid student data: "${column}" ${gradeError.message}`);
+            }
+            return value[column];
+        });
+        value.subjectNames = subjectColumns;
+        value.gradeScale = gradeScale;
 
         return value;
     }
@@ -49,11 +98,7 @@ class CertificateService {
         const commitmentData = [
             studentData.studentId,
             salt,
-            studentData.subject1,
-            studentData.subject2,
-            studentData.subject3,
-            studentData.subject4,
-            studentData.subject5
+            ...studentData.subjects
         ].join('|');
 
         // Generate commitment hash using SHA-256
@@ -66,13 +111,9 @@ class CertificateService {
             studentId: studentData.studentId,
             studentName: studentData.studentName,
             email: studentData.email,
-            subjects: [
-                studentData.subject1,
-                studentData.subject2,
-                studentData.subject3,
-                studentData.subject4,
-                studentData.subject5
-            ],
+            subjects: studentData.subjects,
+            subjectNames: studentData.subjectNames,
+            gradeScale: studentData.gradeScale,
             salt,
             commitment,
             commitmentData
@@ -97,18 +138,21 @@ class CertificateService {
     /**
      * Calculate academic metrics
      * @param {Array} subjects - Array of subject grades
-     * @param {number} passingGrade - Minimum passing grade
-     * @returns {Object} - Academic metrics
+     * @param {number|string} passingGrade - Minimum passing grade
+     * @param {string} gradeScale - GradeScale of the grades
+     * @returns {Object} - Academic metrics (totals and averages are null for letter grades)
      */
-    static calculateAcademicMetrics(subjects, passingGrade = 40) {
-        const totalMarks = subjects.reduce((sum, grade) => sum + grade, 0);
-        const averageGrade = totalMarks / subjects.length;
-        const passedSubjects = subjects.filter(grade => grade >= passingGrade).length;
+    static calculateAcademicMetrics(subjects, passingGrade = 40, gradeScale = GradeScale.DEFAULT) {
+        const numeric = GradeScale.get(gradeScale).type === 'numeric';
+        const passingRank = GradeScale.encode(passingGrade, gradeScale);
+        const totalMarks = numeric ? subjects.reduce((sum, grade) => sum + Number(grade), 0) : null;
+        const averageGrade = numeric ? totalMarks / subjects.length : null;
+        const passedSubjects = subjects.filter(grade => GradeScale.encode(grade, gradeScale) >= passingRank).length;
         const allSubjectsPassed = passedSubjects === subjects.length;
 
         return {
             totalMarks,
-            averageGrade: Math.round(averageGrade * 100) / 100,
+            averageGrade: numeric ? Math.round(averageGrade * 100) / 100 : null,
             passedSubjects,
             totalSubjects: subjects.length,
             allSubjectsPassed,
@@ -228,20 +272,205 @@ class CertificateService {
     }
 
     /**
-     * Generate verification QR code data
-     * @param {Object} verificationData - Data for QR code
-     * @returns {string} - JSON string for QR code
+     * Normalize an optional validity window to ISO timestamps
+     * A date without a time is read as the whole day, so validUntil runs to its end.
+     * @param {Object} window - validFrom / validUntil as dates or date strings (either optional)
+     * @returns {Object} - validFrom / validUntil as ISO strings or null
+     */
+    static normalizeValidityWindow(window = {}) {
+        const toDate = (value, endOfDay) => {
+            if (!value) {
+                return null;
+            }
+            const isDateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+            const date = new Date(isDateOnly && endOfDay ? `${value}T23:59:59Z` : value);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid validity date: ${value}`);
+            }
+            return date;
+        };
+
+        const validFrom = toDate(window.validFrom, false);
+        const validUntil = toDate(window.validUntil, true);
+
+        if (validFrom && validUntil && validUntil <= validFrom) {
+            throw new Error('validUntil must be after validFrom');
+        }
+
+        return {
+            validFrom: validFrom ? validFrom.toISOString() : null,
+            validUntil: validUntil ? validUntil.toISOString() : null
+        };
+    }
+
+    /**
+     * Check a point in time against a validity window
+     * @param {Object} window - validFrom / validUntil (null for an open bound)
+     * @param {Date} at - Time to check
+     * @returns {string} - 'valid', 'not_yet_valid' or 'expired'
+     */
+    static getValidityStatus(window, at = new Date()) {
+        if (window.validFrom && at < new Date(window.validFrom)) {
+            return 'not_yet_valid';
+        }
+        if (window.validUntil && at > new Date(window.validUntil)) {
+            return 'expired';
+        }
+        return 'valid';
+    }
+
+    /**
+     * Generate verification QR code data: a /check link carrying a signed reference to
+     * a deployed certificate, which POST /api/certificates/verify-qr resolves against the registry
+     * @param {Object} reference - Deployed certificate
+     * @param {number|string} reference.batchId - On-chain batch ID
+     * @param {string} reference.commitment - Certificate commitment (the on-chain certificate key)
+     * @param {string} reference.contractAddress - Registry the batch was deployed to
+     * @param {number} reference.chainId - Chain the registry is on
+     * @returns {string} - URL for the QR code
+     */
+    static async generateQRCodeData(reference) {
+        const unsigned = {
+            chainId: Number(reference.chainId),
+            contractAddress: ethers.utils.getAddress(reference.contractAddress),
+            batchId: String(reference.batchId),
+            commitment: ethers.utils.hexZeroPad('0x' + reference.commitment.replace(/^0x/, ''), 32).toLowerCase()
+        };
+        const signature = await BlockchainService.signDigest(this.qrDigest(unsigned));
+
+        const payload = [
+            this.QR_PAYLOAD_PREFIX,
+            unsigned.chainId,
+            unsigned.contractAddress,
+            unsigned.batchId,
+            unsigned.commitment,
+            signature
+        ].join('.');
+
+        return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/check?qr=${payload}`;
+    }
+
+    /**
+     * Digest the issuer signs for a QR reference
+     * @param {Object} reference - chainId, contractAddress, batchId and commitment
+     * @returns {string} - 0x-prefixed digest
      */
-    static generateQRCodeData(verificationData) {
-        return JSON.stringify({
-            type: 'zk_certificate_verification',
-            certificateHash: verificationData.certificateHash,
-            merkleRoot: verificationData.merkleRoot,
-            batchId: verificationData.batchId,
-            verificationUrl: `${process.env.FRONTEND_URL}/verify`,
-            timestamp: new Date().toISOString()
+    static qrDigest(reference) {
+        return ethers.utils.solidityKeccak256(
+            ['string', 'uint256', 'address', 'uint256', 'bytes32'],
+            [this.QR_PAYLOAD_PREFIX, reference.chainId, reference.contractAddress, reference.batchId, reference.commitment]
+        );
+    }
+
+    /**
+     * Parse the text of a certificate QR code (the /check link or the bare payload)
+     * @param {string} text - Scanned text
+     * @returns {Object} - chainId, contractAddress, batchId, commitment, signature and the recovered signer
+     */
+    static parseQRCodeData(text) {
+        const trimmed = String(text).trim();
+        const payload = trimmed.includes('qr=')
+            ? decodeURIComponent(trimmed.slice(trimmed.indexOf('qr=') + 3).split(/[&#]/)[0])
+            : trimmed;
+
+        const match = payload.match(this.QR_PAYLOAD_PATTERN);
+        if (!match) {
+            const error = new Error('Not a certificate QR code from this system');
+            error.code = 'INVALID_QR';
+            throw error;
+        }
+
+        const reference = {
+            chainId: Number(match[1]),
+            contractAddress: ethers.utils.getAddress(match[2]),
+            batchId: match[3],
+            commitment: match[4].toLowerCase(),
+            signature: match[5]
+        };
+
+        try {
+            reference.signer = ethers.utils.verifyMessage(ethers.utils.arrayify(this.qrDigest(reference)), reference.signature);
+        } catch (signatureError) {
+            const error = new Error('The QR code signature is malformed');
+            error.code = 'INVALID_QR';
+            throw error;
+        }
+
+        return reference;
+    }
+
+    /**
+     * Resolve a certificate QR code against the registry
+     * The reference is only trusted if a current signer of the batch's institution signed it.
+     * @param {string} text - Scanned text
+     * @returns {Object} - status (VERIFICATION_MESSAGES key), message, certificate, batch, issuer and validity
+     */
+    static async verifyQRCodeData(text) {
+        const reference = this.parseQRCodeData(text);
+        const certificate = {
+            batchId: reference.batchId,
+            commitment: reference.commitment,
+            contractAddress: reference.contractAddress,
+            chainId: reference.chainId
+        };
+        const result = (status, message, extra = {}) => ({
+            status,
+            message: message || this.VERIFICATION_MESSAGES[status],
+            certificate,
+            batch: null,
+            issuer: null,
+            validity: null,
+            ...extra
+        });
+
+        const network = await BlockchainService.getProvider().getNetwork();
+        if (reference.chainId !== network.chainId ||
+            reference.contractAddress !== ethers.utils.getAddress(BlockchainService.getContractAddress())) {
+            return result('unknown', 'Certificate was issued on a registry this verifier does not read');
+        }
+
+        const batch = await BlockchainService.getBatchInfo(reference.batchId);
+        if (!batch) {
+            return result('unknown');
+        }
+
+        const institution = await BlockchainService.getSignerInstitution(reference.signer);
+        if (!institution || institution.institutionId !== batch.institutionId) {
+            return result('invalid', 'QR code was not signed by the institution that issued the batch', {
+                batch: this.describeBatch(batch)
+            });
+        }
+
+        const chainStatus = await BlockchainService.getCertificateStatus(reference.batchId, reference.commitment);
+        return result(chainStatus.status, null, {
+            batch: this.describeBatch(batch),
+            issuer: {
+                address: reference.signer,
+                institutionId: institution.institutionId,
+                name: institution.name,
+                domain: institution.domain,
+                active: institution.active
+            },
+            validity: { validFrom: chainStatus.validFrom, validUntil: chainStatus.validUntil }
         });
     }
+
+    /**
+     * Public fields of an on-chain batch
+     * @param {Object} batch - Result of BlockchainService.getBatchInfo
+     * @returns {Object} - Batch description
+     */
+    static describeBatch(batch) {
+        return {
+            batchId: batch.batchId,
+            courseName: batch.courseName,
+            graduationYear: batch.graduationYear,
+            issuedAt: batch.issuedAt,
+            validFrom: batch.validFrom,
+            validUntil: batch.validUntil,
+            isValid: batch.isValid
+        };
+    }
 }
 
 module.exports = CertificateService;
\ No newline at end of file
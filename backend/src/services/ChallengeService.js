@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const Poseidon = require('./Poseidon');
+const { createSessionStore } = require('./SessionStore');
+
+/**
+ * Verification challenges
+ * A verifier asks for a fresh challenge and the holder proves against its context,
+ * so the proof's nullifier is bound to that verifier and cannot be replayed.
+ * The context is derived exactly as ZKCertificateSystem.verificationContext does.
+ */
+class ChallengeService {
+    static CHALLENGE_TTL_MS = 15 * 60 * 1000;
+    static CHALLENGE_BYTES = 31;
+
+    // Challenges are short-lived; the sweeper drops the ones never used
+    static store = createSessionStore('challenges', {
+        ttlMs: this.CHALLENGE_TTL_MS,
+        sweepIntervalMs: 5 * 60 * 1000
+    });
+
+    // Challenges being consumed, so two concurrent verifications cannot both use one
+    static pending = new Set();
+
+    /**
+     * Context a challenge binds proofs to: keccak256(verifier, challenge) mod the field size
+     * @param {string} verifierAddress - Address that will submit the proof on-chain
+     * @param {string} challenge - Challenge (decimal string)
+     * @returns {string} - Context as a decimal string
+     */
+    static verificationContext(verifierAddress, challenge) {
+        const digest = ethers.utils.solidityKeccak256(['address', 'uint256'], [verifierAddress, challenge]);
+        return (BigInt(digest) % Poseidon.FIELD_SIZE).toString();
+    }
+
+    /**
+     * Issue a new challenge
+     * Without a verifier address the challenge is for off-chain verification only.
+     * @param {Object} options - Challenge options
+     * @param {string} options.verifierAddress - Address that will call the contract
+     * @param {string} options.purpose - Free-text note of what the verification is for
+     * @param {string} issuedTo - Actor that requested the challenge
+     * @returns {Object} - Challenge ID, challenge, context and expiry
+     */
+    static async issue(options = {}, issuedTo = null) {
+        const verifierAddress = options.verifierAddress
+            ? ethers.utils.getAddress(options.verifierAddress)
+            : ethers.constants.AddressZero;
+        const challenge = BigInt('0x' + crypto.randomBytes(this.CHALLENGE_BYTES).toString('hex')).toString();
+
+        const { sessionId, session } = await this.store.create({
+            challenge,
+            context: this.verificationContext(verifierAddress, challenge),
+            verifierAddress,
+            onChain: verifierAddress !== ethers.constants.AddressZero,
+            purpose: options.purpose || null,
+            issuedTo,
+            usedAt: null,
+            nullifier: null
+        });
+
+        return this.describe(sessionId, session);
+    }
+
+    /**
+     * Get an unexpired, unused challenge
+     * @param {string} challengeId - Challenge ID
+     * @returns {Object} - Challenge
+     */
+    static async get(challengeId) {
+        const session = await this.store.get(challengeId);
+        if (!session) {
+            throw this.challengeError('CHALLENGE_NOT_FOUND', 'Challenge not found');
+        }
+        if (this.store.isExpired(session)) {
+            throw this.challengeError('CHALLENGE_EXPIRED', 'Challenge has expired, request a new one');
+        }
+        if (session.usedAt) {
+            throw this.challengeError('CHALLENGE_USED', 'Challenge has already been used');
+        }
+
+        return this.describe(challengeId, session);
+    }
+
+    /**
+     * Mark a challenge used by a verified proof
+     * @param {string} challengeId - Challenge ID
+     * @param {Object} proof - The verified proof's context and nullifier
+     * @returns {Object} - Used challenge
+     */
+    static async consume(challengeId, { context, nullifier }) {
+        if (this.pending.has(challengeId)) {
+            throw this.challengeError('CHALLENGE_USED', 'Challenge is already being used');
+        }
+
+        this.pending.add(challengeId);
+        try {
+            const challenge = await this.get(challengeId);
+
+            if (BigInt(context) !== BigInt(challenge.context)) {
+                throw this.challengeError('CONTEXT_MISMATCH', 'Proof was not generated for this challenge');
+            }
+
+            const usedAt = new Date();
+            await this.store.update(challengeId, { usedAt, nullifier: nullifier.toString() });
+            return { ...challenge, usedAt, nullifier: nullifier.toString() };
+        } finally {
+            this.pending.delete(challengeId);
+        }
+    }
+
+    /**
+     * Public view of a challenge
+     * @param {string} challengeId - Challenge ID
+     * @param {Object} session - Stored challenge
+     * @returns {Object} - Challenge fields
+     */
+    static describe(challengeId, session) {
+        return {
+            challengeId,
+            challenge: session.challenge,
+            context: session.context,
+            verifierAddress: session.verifierAddress,
+            onChain: session.onChain,
+            purpose: session.purpose,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Create a challenge error
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @returns {Error} - Error with the given code
+     */
+    static challengeError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+ChallengeService.store.startSweeper();
+
+module.exports = ChallengeService;
@@ -1,41 +1,95 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const csv = require('csv-parser');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const Joi = require('joi');
 const XLSX = require('xlsx');
 
+const GradeScale = require('./GradeScale');
+const XlsxRowReader = require('./XlsxRowReader');
+
 class DynamicCertificateService {
+    static CHUNK_SIZE = 1000;
+    static ANALYSIS_SAMPLE_SIZE = 1000;
+
+    // Numbered subject columns ("Subject 1", "course_2", "Paper3"...) map to the subjects list
+    static SUBJECT_COLUMN_PATTERN = /^(subject|course|paper|module)[\s_-]*(\d+)$/i;
+
+    /**
+     * Stream rows from a CSV/Excel file one at a time
+     * CSV and .xlsx files are parsed incrementally, so only the current row is held in
+     * memory. Legacy .xls workbooks are a binary format that cannot be read as a stream;
+     * their first sheet is parsed whole and its rows emitted without building an array
+     * of row objects.
+     * @param {string} filePath - Path to uploaded file
+     * @returns {AsyncGenerator<Object>} - Row objects keyed by column name
+     */
+    static async *readRows(filePath) {
+        const fileExtension = filePath.split('.').pop().toLowerCase();
+        let rowStream;
+
+        if (fileExtension === 'csv') {
+            const source = fs.createReadStream(filePath);
+            rowStream = source.pipe(csv());
+            source.on('error', (error) => rowStream.destroy(error));
+        } else if (fileExtension === 'xlsx') {
+            rowStream = XlsxRowReader.readRows(filePath);
+        } else if (fileExtension === 'xls') {
+            const workbook = XLSX.readFile(filePath, { dense: true, sheets: 0 });
+            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            rowStream = XLSX.stream.to_json(worksheet);
+        } else {
+            throw new Error(`Unsupported file type: .${fileExtension}`);
+        }
+
+        for await (const row of rowStream) {
+            yield row;
+        }
+    }
+
+    /**
+     * Stream rows from a CSV/Excel file in fixed-size chunks
+     * @param {string} filePath - Path to uploaded file
+     * @param {number} chunkSize - Rows per chunk
+     * @returns {AsyncGenerator<Array>} - Arrays of row objects
+     */
+    static async *readRowChunks(filePath, chunkSize = this.CHUNK_SIZE) {
+        let chunk = [];
+
+        for await (const row of this.readRows(filePath)) {
+            chunk.push(row);
+            if (chunk.length >= chunkSize) {
+                yield chunk;
+                chunk = [];
+            }
+        }
+
+        if (chunk.length > 0) {
+            yield chunk;
+        }
+    }
+
     /**
      * Dynamically analyze CSV/Excel structure and suggest field mappings
+     * Patterns are analyzed on the first ANALYSIS_SAMPLE_SIZE rows; the
+     * remaining rows are only counted.
      * @param {string} filePath - Path to uploaded file
      * @returns {Object} - File analysis with suggested mappings
      */
     static async analyzeFileStructure(filePath) {
         try {
-            let data = [];
-            const fileExtension = filePath.split('.').pop().toLowerCase();
-
-            if (fileExtension === 'csv') {
-                // Parse CSV
-                const fs = require('fs');
-                const csv = require('csv-parser');
-
-                await new Promise((resolve, reject) => {
-                    fs.createReadStream(filePath)
-                        .pipe(csv())
-                        .on('data', (row) => data.push(row))
-                        .on('end', resolve)
-                        .on('error', reject);
-                });
-            } else if (['xlsx', 'xls'].includes(fileExtension)) {
-                // Parse Excel
-                const workbook = XLSX.readFile(filePath);
-                const sheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[sheetName];
-                data = XLSX.utils.sheet_to_json(worksheet);
+            const data = [];
+            let totalRows = 0;
+
+            for await (const row of this.readRows(filePath)) {
+                if (data.length < this.ANALYSIS_SAMPLE_SIZE) {
+                    data.push(row);
+                }
+                totalRows++;
             }
 
-            if (data.length === 0) {
+            if (totalRows === 0) {
                 throw new Error('No data found in file');
             }
 
@@ -45,10 +99,11 @@ class DynamicCertificateService {
 
             // Analyze data types and patterns
             const dataAnalysis = this.analyzeDataPatterns(data);
+            dataAnalysis.totalRecords = totalRows;
 
             return {
                 success: true,
-                totalRows: data.length,
+                totalRows: totalRows,
                 columns: columns,
                 sampleData: data.slice(0, 3), // First 3 rows as sample
                 suggestedMappings: suggestedMappings,
@@ -61,6 +116,73 @@ class DynamicCertificateService {
         }
     }
 
+    /**
+     * Process every row of a CSV/Excel file with user-defined field mappings, a chunk at a time
+     * Rows are read and processed in chunks of options.chunkSize; only the current chunk is
+     * held in memory, so callers that consume each chunk can process files of any size.
+     * @param {string} filePath - Path to uploaded file
+     * @param {Object} fieldMappings - User-defined field mappings
+     * @param {Object} options - Processing options
+     * @returns {AsyncGenerator<Object>} - { processedData, errors, processedRows } for each chunk
+     */
+    static async *processRows(filePath, fieldMappings, options = {}) {
+        let processedRows = 0;
+
+        for await (const chunk of this.readRowChunks(filePath, options.chunkSize || this.CHUNK_SIZE)) {
+            const result = this.processStudentData(chunk, fieldMappings, {
+                ...options,
+                rowOffset: processedRows
+            });
+            processedRows += chunk.length;
+
+            yield {
+                processedData: result.processedData,
+                errors: result.errors,
+                processedRows
+            };
+        }
+    }
+
+    /**
+     * Process every row of a CSV/Excel file with user-defined field mappings
+     * Collects the results of processRows; use processRows for files too large to hold.
+     * @param {string} filePath - Path to uploaded file
+     * @param {Object} fieldMappings - User-defined field mappings
+     * @param {Object} options - Processing options
+     * @param {Function} onProgress - Optional callback invoked after each chunk
+     * @returns {Object} - Processed student data, errors and summary
+     */
+    static async processFile(filePath, fieldMappings, options = {}, onProgress = null) {
+        const processedData = [];
+        const errors = [];
+        let totalRows = 0;
+
+        for await (const result of this.processRows(filePath, fieldMappings, options)) {
+            processedData.push(...result.processedData);
+            errors.push(...result.errors);
+            totalRows = result.processedRows;
+
+            if (onProgress) {
+                await onProgress({
+                    processedRows: totalRows,
+                    successfulRows: processedData.length,
+                    errorRows: errors.length
+                });
+            }
+        }
+
+        return {
+            success: true,
+            processedData,
+            errors,
+            summary: {
+                totalRows,
+                successfulRows: processedData.length,
+                errorRows: errors.length
+            }
+        };
+    }
+
     /**
      * Suggest field mappings based on column names
      * @param {Array} columns - Column names from the file
@@ -72,10 +194,13 @@ class DynamicCertificateService {
             email: null,
             course: null,
             institution: null,
+            valid_from: null,
+            valid_until: null,
             graduation_date: null,
             grade: null,
             percentage: null,
-            student_id: null
+            student_id: null,
+            subjects: []
         };
 
         const patterns = {
@@ -83,13 +208,21 @@ class DynamicCertificateService {
             email: /email|e-mail|mail/i,
             course: /course|program|subject|major|degree/i,
             institution: /institution|university|college|school/i,
+            valid_from: /valid.*from|effective|issued.*on/i,
+            valid_until: /valid.*(until|to|through)|expir/i,
             graduation_date: /graduation|date|completed|finish/i,
             grade: /grade|result|class|division|merit/i,
             percentage: /percentage|percent|score|marks|cgpa|gpa/i,
             student_id: /id|student.*id|roll|registration|reg/i
         };
 
-        columns.forEach(column => {
+        const subjectColumns = columns
+            .map(column => ({ column, match: column.trim().match(this.SUBJECT_COLUMN_PATTERN) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => Number(a.match[2]) - Number(b.match[2]));
+        mappings.subjects = subjectColumns.map(({ column }) => column);
+
+        columns.filter(column => !mappings.subjects.includes(column)).forEach(column => {
             for (const [field, pattern] of Object.entries(patterns)) {
                 if (pattern.test(column) && !mappings[field]) {
                     mappings[field] = column;
@@ -160,22 +293,26 @@ class DynamicCertificateService {
      * Process dynamic data with user-defined field mappings
      * @param {Array} rawData - Raw data from CSV/Excel
      * @param {Object} fieldMappings - User-defined field mappings
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options (rowOffset numbers rows after a previous chunk)
      * @returns {Array} - Processed student data
      */
     static processStudentData(rawData, fieldMappings, options = {}) {
         const processedData = [];
         const errors = [];
+        const rowOffset = options.rowOffset || 0;
 
         rawData.forEach((row, index) => {
+            const rowNumber = rowOffset + index + 1;
+
             try {
                 const student = {
-                    id: index + 1,
+                    id: rowNumber,
                     raw: row // Keep original data for reference
                 };
 
                 // Map fields dynamically
                 Object.entries(fieldMappings).forEach(([targetField, sourceColumn]) => {
+                    if (targetField === 'subjects') return;
                     if (sourceColumn && row[sourceColumn] !== undefined) {
                         student[targetField] = this.cleanAndValidateField(
                             row[sourceColumn],
@@ -185,6 +322,12 @@ class DynamicCertificateService {
                     }
                 });
 
+                // Subject grades are only collected when subject columns are mapped
+                if (Array.isArray(fieldMappings.subjects) && fieldMappings.subjects.length > 0) {
+                    student.subjects = this.mapSubjectGrades(row, fieldMappings.subjects, options.gradeScale);
+                    student.gradeScale = options.gradeScale || GradeScale.DEFAULT;
+                }
+
                 // Generate additional fields
                 student.processedAt = new Date().toISOString();
                 student.certificateId = this.generateCertificateId(student);
@@ -193,7 +336,7 @@ class DynamicCertificateService {
                 const validation = this.validateStudentRecord(student, options.requiredFields || []);
                 if (!validation.isValid) {
                     errors.push({
-                        row: index + 1,
+                        row: rowNumber,
                         errors: validation.errors
                     });
                     return;
@@ -203,7 +346,7 @@ class DynamicCertificateService {
 
             } catch (error) {
                 errors.push({
-                    row: index + 1,
+                    row: rowNumber,
                     error: error.message
                 });
             }
@@ -221,6 +364,26 @@ class DynamicCertificateService {
         };
     }
 
+    /**
+     * Read the mapped subject columns of a row as graded subjects
+     * @param {Object} row - Raw row
+     * @param {Array<string>} subjectColumns - Subject column names, in subject order
+     * @param {string} gradeScale - Grade scale of the batch
+     * @returns {Array<Object>} - Subjects as { name, grade } with grades normalised to the scale
+     */
+    static mapSubjectGrades(row, subjectColumns, gradeScale = GradeScale.DEFAULT) {
+        return subjectColumns.map(column => {
+            const value = row[column];
+            if (value === null || value === undefined || String(value).trim() === '') {
+                throw new Error(`Missing grade for ${column}`);
+            }
+            return {
+                name: column,
+                grade: GradeScale.decode(GradeScale.encode(value, gradeScale), gradeScale)
+            };
+        });
+    }
+
     /**
      * Clean and validate individual field data
      * @param {any} value - Field value
@@ -245,6 +408,8 @@ class DynamicCertificateService {
             case 'grade':
                 return this.cleanGrade(stringVal);
             case 'graduation_date':
+            case 'valid_from':
+            case 'valid_until':
                 return this.cleanDate(stringVal);
             default:
                 return stringVal;
@@ -255,9 +420,10 @@ class DynamicCertificateService {
      * Generate dynamic PDF certificate with configurable template
      * @param {Object} studentData - Student information
      * @param {Object} template - Certificate template configuration
+     * @param {string} [verificationQR] - Signed QR code data from CertificateService.generateQRCodeData
      * @returns {Buffer} - PDF buffer
      */
-    static async generateDynamicPDFCertificate(studentData, template) {
+    static async generateDynamicPDFCertificate(studentData, template, verificationQR = null) {
         return new Promise(async (resolve, reject) => {
             try {
                 const doc = new PDFDocument({
@@ -273,7 +439,7 @@ class DynamicCertificateService {
                 });
 
                 // Apply template styling
-                await this.applyDynamicTemplate(doc, studentData, template);
+                await this.applyDynamicTemplate(doc, studentData, template, verificationQR);
 
                 doc.end();
 
@@ -288,8 +454,9 @@ class DynamicCertificateService {
      * @param {PDFDocument} doc - PDF document
      * @param {Object} studentData - Student data
      * @param {Object} template - Template configuration
+     * @param {string} [verificationQR] - Signed QR code data; without it (before deployment) no QR code is printed
      */
-    static async applyDynamicTemplate(doc, studentData, template) {
+    static async applyDynamicTemplate(doc, studentData, template, verificationQR = null) {
         const config = {
             title: template.title || 'CERTIFICATE OF COMPLETION',
             colors: template.colors || {
@@ -369,21 +536,15 @@ class DynamicCertificateService {
                 .moveDown(2);
         }
 
-        // QR Code for verification
-        if (studentData.certificateId) {
-            const qrData = JSON.stringify({
-                type: 'certificate_verification',
-                certificateId: studentData.certificateId,
-                studentName: studentData.name,
-                issueDate: new Date().toISOString()
-            });
-
-            const qrCodeDataURL = await QRCode.toDataURL(qrData);
+        // QR Code for verification, only for deployed certificates the registry can resolve
+        if (verificationQR) {
+            const qrCodeDataURL = await QRCode.toDataURL(verificationQR);
             const qrCodeBuffer = Buffer.from(qrCodeDataURL.split(',')[1], 'base64');
 
-            doc.image(qrCodeBuffer, doc.page.width - 150, doc.page.height - 150, {
-                width: 80,
-                height: 80
+            // The signed reference needs a larger code than a bare ID to stay scannable when printed
+            doc.image(qrCodeBuffer, doc.page.width - 170, doc.page.height - 180, {
+                width: 110,
+                height: 110
             });
         }
 
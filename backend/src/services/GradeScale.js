@@ -0,0 +1,178 @@
+/**
+ * Grade scales supported by the ZK pipeline
+ * Circuits compare integers, so every grade is encoded as one: numeric scales are
+ * scaled by 10^precision, letter scales use the grade's rank (lowest letter = 0).
+ */
+class GradeScale {
+    static DEFAULT = 'percentage';
+
+    static SCALES = {
+        percentage: {
+            description: 'Marks out of 100',
+            type: 'numeric',
+            max: 100,
+            precision: 0
+        },
+        gpa10: {
+            description: '10-point GPA / CGPA',
+            type: 'numeric',
+            max: 10,
+            precision: 2
+        },
+        gpa4: {
+            description: '4.0 GPA',
+            type: 'numeric',
+            max: 4,
+            precision: 2
+        },
+        letter: {
+            description: 'Letter grades, lowest to highest',
+            type: 'letter',
+            letters: ['F', 'D-', 'D', 'D+', 'C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A', 'A+']
+        }
+    };
+
+    /**
+     * Get a scale definition
+     * @param {string} name - Scale name
+     * @returns {Object} - Scale definition
+     */
+    static get(name = this.DEFAULT) {
+        const scale = this.SCALES[name];
+        if (!scale) {
+            throw this.gradeError(`Unknown grade scale: ${name}`);
+        }
+        return scale;
+    }
+
+    /**
+     * Largest encoded grade of a scale
+     * @param {string} name - Scale name
+     * @returns {number} - Maximum encoded value
+     */
+    static maxEncoded(name) {
+        const scale = this.get(name);
+        return scale.type === 'letter'
+            ? scale.letters.length - 1
+            : scale.max * 10 ** scale.precision;
+    }
+
+    /**
+     * Bits the circuit comparators need for a scale
+     * @param {string} name - Scale name
+     * @returns {number} - Bit width
+     */
+    static bits(name) {
+        return this.maxEncoded(name).toString(2).length;
+    }
+
+    /**
+     * Encode a grade as the integer the circuits use
+     * @param {string|number} grade - Grade on the given scale
+     * @param {string} name - Scale name
+     * @returns {number} - Encoded grade
+     */
+    static encode(grade, name = this.DEFAULT) {
+        const scale = this.get(name);
+        const text = String(grade ?? '').trim();
+
+        if (scale.type === 'letter') {
+            const rank = scale.letters.indexOf(text.toUpperCase());
+            if (rank === -1) {
+                throw this.gradeError(`Invalid ${name} grade "${text}": expected one of ${scale.letters.join(', ')}`);
+            }
+            return rank;
+        }
+
+        const value = Number(text.replace(/%$/, ''));
+        if (text === '' || !Number.isFinite(value) || value < 0 || value > scale.max) {
+            throw this.gradeError(`Invalid ${name} grade "${text}": expected a number from 0 to ${scale.max}`);
+        }
+
+        const encoded = Math.round(value * 10 ** scale.precision);
+        if (Math.abs(encoded - value * 10 ** scale.precision) > 1e-6) {
+            throw this.gradeError(`Invalid ${name} grade "${text}": at most ${scale.precision} decimal places`);
+        }
+        return encoded;
+    }
+
+    /**
+     * Decode an encoded grade back to its scale
+     * @param {number} encoded - Encoded grade
+     * @param {string} name - Scale name
+     * @returns {string|number} - Grade on the scale
+     */
+    static decode(encoded, name = this.DEFAULT) {
+        const scale = this.get(name);
+        return scale.type === 'letter'
+            ? scale.letters[encoded]
+            : Number(encoded) / 10 ** scale.precision;
+    }
+
+    /**
+     * Encode an average grade in fixed point: the encoded grade times averageScale
+     * Letter averages are given as the letter whose rank they must reach.
+     * @param {string|number} average - Average on the given scale
+     * @param {string} name - Scale name
+     * @param {number} averageScale - Fixed-point factor
+     * @returns {number} - Encoded average
+     */
+    static encodeAverage(average, name = this.DEFAULT, averageScale = 100) {
+        const scale = this.get(name);
+        if (scale.type === 'letter') {
+            return this.encode(average, name) * averageScale;
+        }
+
+        const text = String(average ?? '').trim();
+        const value = Number(text.replace(/%$/, ''));
+        if (text === '' || !Number.isFinite(value) || value < 0 || value > scale.max) {
+            throw this.gradeError(`Invalid ${name} average "${text}": expected a number from 0 to ${scale.max}`);
+        }
+
+        const factor = 10 ** scale.precision * averageScale;
+        const encoded = Math.round(value * factor);
+        if (Math.abs(encoded - value * factor) > 1e-6) {
+            throw this.gradeError(`Invalid ${name} average "${text}": too many decimal places`);
+        }
+        return encoded;
+    }
+
+    /**
+     * Decode a fixed-point average back to its scale
+     * @param {number|string} encoded - Encoded average
+     * @param {string} name - Scale name
+     * @param {number} averageScale - Fixed-point factor
+     * @returns {number} - Average (letter scales give the average rank)
+     */
+    static decodeAverage(encoded, name = this.DEFAULT, averageScale = 100) {
+        const scale = this.get(name);
+        const precision = scale.type === 'letter' ? 0 : scale.precision;
+        return Number(encoded) / (10 ** precision * averageScale);
+    }
+
+    /**
+     * Public description of every scale
+     * @returns {Array<Object>} - Scale names, definitions and encodings
+     */
+    static list() {
+        return Object.entries(this.SCALES).map(([name, scale]) => ({
+            name,
+            ...scale,
+            maxEncoded: this.maxEncoded(name),
+            bits: this.bits(name)
+        }));
+    }
+
+    /**
+     * Create an error for an invalid grade or scale
+     * @param {string} message - Error message
+     * @returns {Error} - Error with code INVALID_GRADE
+     */
+    static gradeError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_GRADE';
+        return error;
+    }
+}
+
+module.exports = GradeScale;
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+const JsonLines = require('./JsonLines');
+
+const BATCH_ID_PATTERN = /^\d+$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * File-backed store of issued batches
+ * Workflow sessions expire, but an issued batch must stay revocable and provable for as
+ * long as it is on-chain, so its record is kept here and never swept. Each batch is a
+ * directory under the registry contract's address holding batch.json (deployment,
+ * Merkle root, revocations) and certificates.jsonl (one issued certificate per line,
+ * with the salt, commitment and Merkle proof needed for bundles and revocation).
+ */
+class IssuedBatchStore {
+    /**
+     * @param {string} directory - Base directory of the store
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Directory of one batch
+     * @param {string} contractAddress - Registry contract address
+     * @param {string|number} batchId - Batch ID
+     * @returns {string} - Directory path
+     */
+    batchPath(contractAddress, batchId) {
+        if (!ADDRESS_PATTERN.test(contractAddress) || !BATCH_ID_PATTERN.test(String(batchId))) {
+            throw new Error('Invalid contract address or batch ID');
+        }
+
+        return path.join(this.directory, contractAddress.toLowerCase(), String(batchId));
+    }
+
+    /**
+     * Store an issued batch and its certificates
+     * @param {Object} record - Batch record; contractAddress and batchId locate it
+     * @param {AsyncIterable<Object>|Iterable<Object>} certificates - Issued certificates, written as they are read
+     * @returns {Object} - Stored record
+     */
+    async save(record, certificates) {
+        const directory = this.batchPath(record.contractAddress, record.batchId);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const totalCertificates = await JsonLines.write(path.join(directory, 'certificates.jsonl'), certificates);
+
+        const stored = {
+            ...record,
+            batchId: String(record.batchId),
+            totalCertificates,
+            revokedCertificates: record.revokedCertificates || [],
+            storedAt: new Date().toISOString()
+        };
+        await this._writeAtomic(path.join(directory, 'batch.json'), JSON.stringify(stored, null, 2));
+
+        return stored;
+    }
+
+    /**
+     * Get a batch record
+     * @param {string} contractAddress - Registry contract address
+     * @param {string|number} batchId - Batch ID
+     * @returns {Object|null} - Batch record, or null if this batch was not issued here
+     */
+    async get(contractAddress, batchId) {
+        try {
+            const content = await fs.promises.readFile(
+                path.join(this.batchPath(contractAddress, batchId), 'batch.json'),
+                'utf8'
+            );
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate over the certificates of a batch
+     * The certificate file is read line by line, so large batches are never loaded whole.
+     * @param {string} contractAddress - Registry contract address
+     * @param {string|number} batchId - Batch ID
+     * @yields {Object} - Issued certificate
+     */
+    async *certificates(contractAddress, batchId) {
+        yield* JsonLines.read(path.join(this.batchPath(contractAddress, batchId), 'certificates.jsonl'));
+    }
+
+    /**
+     * Find one certificate of a batch by its workflow ID
+     * @param {string} contractAddress - Registry contract address
+     * @param {string|number} batchId - Batch ID
+     * @param {string|number} certificateId - Certificate ID
+     * @returns {Object|null} - Certificate, or null if not found
+     */
+    async findCertificate(contractAddress, batchId, certificateId) {
+        for await (const certificate of this.certificates(contractAddress, batchId)) {
+            if (String(certificate.id) === String(certificateId)) {
+                return certificate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Merge changes into a batch record
+     * Updates are queued so concurrent revocations cannot overwrite each other.
+     * @param {string} contractAddress - Registry contract address
+     * @param {string|number} batchId - Batch ID
+     * @param {Function} mutate - Receives the record and returns the fields to change
+     * @returns {Object|null} - Updated record, or null if the batch is not stored
+     */
+    async update(contractAddress, batchId, mutate) {
+        const run = this.writeQueue.then(async () => {
+            const record = await this.get(contractAddress, batchId);
+            if (!record) {
+                return null;
+            }
+
+            const updated = { ...record, ...mutate(record) };
+            await this._writeAtomic(
+                path.join(this.batchPath(contractAddress, batchId), 'batch.json'),
+                JSON.stringify(updated, null, 2)
+            );
+            return updated;
+        });
+
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Write a file through a temporary file so readers never see a partial one
+     * @param {string} filePath - Destination
+     * @param {string} content - File content
+     */
+    async _writeAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, filePath);
+    }
+}
+
+module.exports = IssuedBatchStore;
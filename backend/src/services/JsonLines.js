@@ -0,0 +1,71 @@
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Streamed JSON Lines files
+ * Files are written and read one item per line, so large collections are never held
+ * in memory whole.
+ */
+class JsonLines {
+    /**
+     * Write items through a temporary file so readers never see a partial file
+     * @param {string} filePath - Destination
+     * @param {AsyncIterable<Object>|Iterable<Object>} items - Items to write, in order
+     * @returns {number} - Number of items written
+     */
+    static async write(filePath, items) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const output = fs.createWriteStream(tempPath);
+        const finished = new Promise((resolve, reject) => {
+            output.on('finish', resolve);
+            output.on('error', reject);
+        });
+
+        let count = 0;
+        try {
+            for await (const item of items) {
+                if (!output.write(`${JSON.stringify(item)}\n`)) {
+                    await new Promise(resolve => output.once('drain', resolve));
+                }
+                count++;
+            }
+            output.end();
+            await finished;
+        } catch (error) {
+            output.destroy();
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        await fs.promises.rename(tempPath, filePath);
+        return count;
+    }
+
+    /**
+     * Iterate over the items of a file; a missing file has none
+     * @param {string} filePath - File to read
+     * @yields {Object} - Parsed item
+     */
+    static async *read(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath, 'utf8'),
+            crlfDelay: Infinity
+        });
+
+        try {
+            for await (const line of lines) {
+                if (line) {
+                    yield JSON.parse(line);
+                }
+            }
+        } finally {
+            lines.close();
+        }
+    }
+}
+
+module.exports = JsonLines;
@@ -1,27 +1,57 @@
 const { MerkleTree } = require('merkletreejs');
 const crypto = require('crypto');
 
+const PoseidonMerkleTree = require('./PoseidonMerkleTree');
+const RevocationTree = require('./RevocationTree');
+
+// merkletreejs passes node data to the hash function, so wrap SHA-256 accordingly
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
 class MerkleService {
+    static HASH_TYPES = ['sha256', 'poseidon'];
+
+    // Depth of Poseidon trees; must match the circuit's nLevels
+    static POSEIDON_TREE_LEVELS = 20;
+
+    // Sibling levels of revocation tree witnesses; must match certificate_nonrevoked.circom
+    static REVOCATION_TREE_LEVELS = 24;
+
     /**
      * Build Merkle tree from certificate commitments
      * @param {Array} certificates - Array of certificate objects with commitments
-     * @returns {MerkleTree} - Constructed Merkle tree
+     * @param {Object} options - Tree options
+     * @param {string} options.hash - 'sha256' (default, sorted pairs) or 'poseidon' (fixed depth, circuit compatible)
+     * @param {number} options.levels - Depth of the Poseidon tree
+     * @returns {MerkleTree|PoseidonMerkleTree} - Constructed Merkle tree
      */
-    static buildMerkleTree(certificates) {
+    static async buildMerkleTree(certificates, options = {}) {
         if (!certificates || certificates.length === 0) {
             throw new Error('Cannot build Merkle tree from empty certificates array');
         }
 
-        // Extract commitment hashes as leaves
-        const leaves = certificates.map(cert => {
+        const hash = options.hash || 'sha256';
+        if (!this.HASH_TYPES.includes(hash)) {
+            throw new Error(`Unsupported Merkle hash: ${hash}`);
+        }
+
+        certificates.forEach(cert => {
             if (!cert.commitment) {
                 throw new Error('Certificate missing commitment hash');
             }
-            return Buffer.from(cert.commitment, 'hex');
         });
 
+        if (hash === 'poseidon') {
+            return PoseidonMerkleTree.build(
+                certificates.map(cert => '0x' + cert.commitment.replace(/^0x/, '')),
+                options.levels || this.POSEIDON_TREE_LEVELS
+            );
+        }
+
+        // Extract commitment hashes as leaves
+        const leaves = certificates.map(cert => Buffer.from(cert.commitment.replace(/^0x/, ''), 'hex'));
+
         // Create Merkle tree using SHA-256
-        const merkleTree = new MerkleTree(leaves, crypto.createHash, {
+        const merkleTree = new MerkleTree(leaves, sha256, {
             hashLeaves: false, // Leaves are already hashed
             sortPairs: true,   // Sort pairs for consistent tree structure
             duplicateOdd: true // Duplicate odd nodes to balance tree
@@ -32,13 +62,20 @@ class MerkleService {
 
     /**
      * Generate Merkle proof for a specific certificate
-     * @param {MerkleTree} merkleTree - The Merkle tree
+     * SHA-256 trees return an array of { data, position } elements; Poseidon trees
+     * return { leaf, root, pathElements, pathIndices } ready to use as circuit inputs.
+     * @param {MerkleTree|PoseidonMerkleTree} merkleTree - The Merkle tree
      * @param {string} commitmentHash - The certificate commitment hash
-     * @returns {Array} - Array of proof hashes
+     * @param {number} [index] - Index of the leaf, when known; saves searching the leaves for it
+     * @returns {Array|Object} - Merkle proof
      */
-    static generateMerkleProof(merkleTree, commitmentHash) {
-        const leaf = Buffer.from(commitmentHash, 'hex');
-        const proof = merkleTree.getProof(leaf);
+    static generateMerkleProof(merkleTree, commitmentHash, index) {
+        if (merkleTree instanceof PoseidonMerkleTree) {
+            return merkleTree.getProof(index ?? merkleTree.indexOf('0x' + commitmentHash.replace(/^0x/, '')));
+        }
+
+        const leaf = Buffer.from(commitmentHash.replace(/^0x/, ''), 'hex');
+        const proof = merkleTree.getProof(leaf, index);
 
         return proof.map(element => ({
             data: element.data.toString('hex'),
@@ -49,7 +86,7 @@ class MerkleService {
     /**
      * Verify Merkle proof
      * @param {string} commitmentHash - The certificate commitment hash
-     * @param {Array} proof - Array of proof elements
+     * @param {Array} proof - Array of proof elements (hex strings or { data, position })
      * @param {string} merkleRoot - The Merkle root to verify against
      * @returns {boolean} - True if proof is valid
      */
@@ -58,19 +95,65 @@ class MerkleService {
             const leaf = Buffer.from(commitmentHash, 'hex');
             const root = Buffer.from(merkleRoot.replace('0x', ''), 'hex');
 
-            // Convert proof format
-            const proofElements = proof.map(element => ({
-                data: Buffer.from(element.replace('0x', ''), 'hex'),
-                position: 'left' // This would need position info in real implementation
-            }));
+            // Accept hex siblings or the { data, position } elements from generateMerkleProof
+            const proofElements = proof.map(element => {
+                const { data, position } = typeof element === 'string' ? { data: element } : element;
+                return {
+                    data: Buffer.from(data.replace('0x', ''), 'hex'),
+                    position: position || 'left'
+                };
+            });
 
-            return MerkleTree.verify(proofElements, leaf, root, crypto.createHash);
+            // Same pair ordering as buildMerkleTree
+            return MerkleTree.verify(proofElements, leaf, root, sha256, { sortPairs: true });
         } catch (error) {
             console.error('Merkle proof verification error:', error);
             return false;
         }
     }
 
+    /**
+     * Verify a Poseidon Merkle proof in the circuit's format
+     * @param {string} commitmentHash - The certificate commitment (hex)
+     * @param {Array} pathElements - Sibling values (decimal strings)
+     * @param {Array<number>} pathIndices - Path bits from leaf to root
+     * @param {string} merkleRoot - The Merkle root (hex)
+     * @returns {boolean} - True if proof is valid
+     */
+    static async verifyPoseidonProof(commitmentHash, pathElements, pathIndices, merkleRoot) {
+        try {
+            return await PoseidonMerkleTree.verifyProof(
+                '0x' + commitmentHash.replace(/^0x/, ''),
+                pathElements,
+                pathIndices,
+                '0x' + merkleRoot.replace(/^0x/, '')
+            );
+        } catch (error) {
+            console.error('Poseidon Merkle proof verification error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the sparse Merkle tree of a batch's revoked commitments
+     * @param {Array<string>} revokedCommitments - Revoked commitments (hex)
+     * @param {number} levels - Sibling levels of the witnesses
+     * @returns {RevocationTree} - Revocation tree (root 0 when nothing is revoked)
+     */
+    static async buildRevocationTree(revokedCommitments, levels = this.REVOCATION_TREE_LEVELS) {
+        return RevocationTree.build(revokedCommitments, levels);
+    }
+
+    /**
+     * Generate the witness that a commitment is not revoked
+     * @param {RevocationTree} revocationTree - The batch's revocation tree
+     * @param {string} commitmentHash - The certificate commitment (hex)
+     * @returns {Object} - Non-membership witness in SMTVerifier's input format
+     */
+    static async generateNonMembershipProof(revocationTree, commitmentHash) {
+        return revocationTree.getNonMembershipProof(commitmentHash);
+    }
+
     /**
      * Get Merkle tree statistics
      * @param {MerkleTree} merkleTree - The Merkle tree
@@ -81,6 +164,7 @@ class MerkleService {
         const layers = merkleTree.getLayers();
 
         return {
+            hash: merkleTree instanceof PoseidonMerkleTree ? 'poseidon' : 'sha256',
             totalLeaves: leaves.length,
             treeDepth: layers.length - 1, // Exclude leaf layer
             merkleRoot: merkleTree.getRoot().toString('hex'),
@@ -102,7 +186,7 @@ class MerkleService {
 
         const allLeaves = [...existingLeaves, ...newLeaves];
 
-        return new MerkleTree(allLeaves, crypto.createHash, {
+        return new MerkleTree(allLeaves, sha256, {
             hashLeaves: false,
             sortPairs: true,
             duplicateOdd: true
@@ -174,7 +258,7 @@ class MerkleService {
 
         const leaves = treeData.leaves.map(leafHex => Buffer.from(leafHex, 'hex'));
 
-        const reconstructedTree = new MerkleTree(leaves, crypto.createHash, {
+        const reconstructedTree = new MerkleTree(leaves, sha256, {
             hashLeaves: false,
             sortPairs: true,
             duplicateOdd: true
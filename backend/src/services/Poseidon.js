@@ -0,0 +1,65 @@
+const { buildPoseidon } = require('circomlibjs');
+
+// BN254 scalar field modulus used by circom circuits
+const FIELD_SIZE = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+class Poseidon {
+    static FIELD_SIZE = FIELD_SIZE;
+    static instance = null;
+
+    /**
+     * Get the shared circomlibjs Poseidon instance (built once per process)
+     * @returns {Function} - Poseidon hash function with its field (.F)
+     */
+    static async getInstance() {
+        if (!this.instance) {
+            this.instance = buildPoseidon();
+        }
+        return this.instance;
+    }
+
+    /**
+     * Hash field elements with Poseidon, matching circomlib's Poseidon(n) template
+     * @param {Array} inputs - Field elements (BigInt, number or decimal string)
+     * @returns {BigInt} - Hash as a field element
+     */
+    static async hash(inputs) {
+        const poseidon = await this.getInstance();
+        return poseidon.F.toObject(poseidon(inputs.map(input => BigInt(input))));
+    }
+
+    /**
+     * Convert a hex or decimal string to a field element
+     * Hex values larger than the field are reduced modulo the field size.
+     * @param {string|number|BigInt} value - Value to convert
+     * @returns {BigInt} - Field element
+     */
+    static toFieldElement(value) {
+        if (typeof value === 'bigint' || typeof value === 'number') {
+            return BigInt(value) % FIELD_SIZE;
+        }
+
+        const str = String(value).trim();
+        if (/^[0-9]+$/.test(str)) {
+            return BigInt(str) % FIELD_SIZE;
+        }
+
+        const hex = str.replace(/^0x/, '');
+        if (!/^[0-9a-fA-F]+$/.test(hex)) {
+            throw new Error(`Invalid field element: ${value}`);
+        }
+
+        return BigInt('0x' + hex) % FIELD_SIZE;
+    }
+
+    /**
+     * Encode a field element as a 0x-prefixed 32-byte hex string
+     * @param {BigInt} value - Field element
+     * @returns {string} - Hex string
+     */
+    static toHex(value) {
+        return '0x' + BigInt(value).toString(16).padStart(64, '0');
+    }
+}
+
+module.exports = Poseidon;
@@ -0,0 +1,159 @@
+const Poseidon = require('./Poseidon');
+
+/**
+ * Fixed-depth binary Merkle tree hashed with Poseidon(2)
+ * Matches the circuit's MerkleTreeInclusionProof template: the tree always has
+ * 2^levels leaves, missing leaves are zero, and at each level a path index of 0
+ * means the current node is the left input of the hash.
+ * Only non-empty nodes are stored; empty subtrees use precomputed zero hashes.
+ */
+class PoseidonMerkleTree {
+    /**
+     * @param {Function} poseidon - circomlibjs Poseidon instance
+     * @param {Array<BigInt>} leaves - Leaf field elements
+     * @param {number} levels - Tree depth
+     */
+    constructor(poseidon, leaves, levels) {
+        if (leaves.length > 2 ** levels) {
+            throw new Error(`Too many leaves (${leaves.length}) for a tree of depth ${levels}`);
+        }
+
+        this.hashType = 'poseidon';
+        this.levels = levels;
+        this.poseidon = poseidon;
+        this.zeros = [0n];
+        this.layers = [leaves.slice()];
+
+        for (let level = 0; level < levels; level++) {
+            this.zeros.push(this.hashPair(this.zeros[level], this.zeros[level]));
+
+            const current = this.layers[level];
+            const next = [];
+            for (let i = 0; i < current.length; i += 2) {
+                const left = current[i];
+                const right = i + 1 < current.length ? current[i + 1] : this.zeros[level];
+                next.push(this.hashPair(left, right));
+            }
+            this.layers.push(next);
+        }
+    }
+
+    /**
+     * Build a tree from leaf values
+     * @param {Array} leaves - Leaf values (hex or decimal strings, or BigInt)
+     * @param {number} levels - Tree depth
+     * @returns {PoseidonMerkleTree} - Constructed tree
+     */
+    static async build(leaves, levels) {
+        const poseidon = await Poseidon.getInstance();
+        return new PoseidonMerkleTree(poseidon, leaves.map(leaf => Poseidon.toFieldElement(leaf)), levels);
+    }
+
+    hashPair(left, right) {
+        return this.poseidon.F.toObject(this.poseidon([left, right]));
+    }
+
+    nodeAt(level, index) {
+        const layer = this.layers[level];
+        return index < layer.length ? layer[index] : this.zeros[level];
+    }
+
+    /**
+     * @returns {BigInt} - Root as a field element
+     */
+    getRootValue() {
+        return this.layers[this.levels].length > 0 ? this.layers[this.levels][0] : this.zeros[this.levels];
+    }
+
+    /**
+     * @returns {Buffer} - Root as 32 bytes
+     */
+    getRoot() {
+        return Buffer.from(Poseidon.toHex(this.getRootValue()).slice(2), 'hex');
+    }
+
+    /**
+     * @returns {string} - Root as a 0x-prefixed hex string
+     */
+    getHexRoot() {
+        return Poseidon.toHex(this.getRootValue());
+    }
+
+    /**
+     * @returns {Array<Buffer>} - Non-empty leaves as 32-byte buffers
+     */
+    getLeaves() {
+        return this.layers[0].map(leaf => Buffer.from(Poseidon.toHex(leaf).slice(2), 'hex'));
+    }
+
+    /**
+     * @returns {Array<Array<Buffer>>} - Stored (non-empty) nodes per level, leaves first
+     */
+    getLayers() {
+        return this.layers.map(layer => layer.map(node => Buffer.from(Poseidon.toHex(node).slice(2), 'hex')));
+    }
+
+    /**
+     * Find the index of a leaf
+     * @param {string|BigInt} leaf - Leaf value
+     * @returns {number} - Leaf index or -1 if not found
+     */
+    indexOf(leaf) {
+        const value = Poseidon.toFieldElement(leaf);
+        return this.layers[0].findIndex(existing => existing === value);
+    }
+
+    /**
+     * Get the inclusion proof for a leaf in the circuit's input format
+     * @param {number} leafIndex - Index of the leaf
+     * @returns {Object} - Leaf, root, pathElements and pathIndices (decimal strings / bits)
+     */
+    getProof(leafIndex) {
+        if (leafIndex < 0 || leafIndex >= this.layers[0].length) {
+            throw new Error('Leaf not found in Merkle tree');
+        }
+
+        const pathElements = [];
+        const pathIndices = [];
+        let index = leafIndex;
+
+        for (let level = 0; level < this.levels; level++) {
+            pathIndices.push(index % 2);
+            pathElements.push(this.nodeAt(level, index ^ 1).toString());
+            index = Math.floor(index / 2);
+        }
+
+        return {
+            leaf: this.layers[0][leafIndex].toString(),
+            root: this.getRootValue().toString(),
+            pathElements,
+            pathIndices
+        };
+    }
+
+    /**
+     * Verify an inclusion proof
+     * @param {string|BigInt} leaf - Leaf value
+     * @param {Array} pathElements - Sibling values from leaf to root
+     * @param {Array<number>} pathIndices - 0 if the node is a left child, 1 if right
+     * @param {string|BigInt} root - Expected root
+     * @returns {boolean} - True if the proof is valid
+     */
+    static async verifyProof(leaf, pathElements, pathIndices, root) {
+        if (pathElements.length !== pathIndices.length) {
+            return false;
+        }
+
+        let current = Poseidon.toFieldElement(leaf);
+        for (let i = 0; i < pathElements.length; i++) {
+            const sibling = Poseidon.toFieldElement(pathElements[i]);
+            current = Number(pathIndices[i]) === 0
+                ? await Poseidon.hash([current, sibling])
+                : await Poseidon.hash([sibling, current]);
+        }
+
+        return current === Poseidon.toFieldElement(root);
+    }
+}
+
+module.exports = PoseidonMerkleTree;
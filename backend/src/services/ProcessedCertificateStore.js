@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+const JsonLines = require('./JsonLines');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * File-backed store of the certificates a workflow session processed
+ * A processed file can hold tens of thousands of rows, so the certificates (with their
+ * salts, commitments and Merkle proofs) are kept here as one JSON line each instead of
+ * in the session, and read back as a stream or a page at a time. A session's file is
+ * removed with the session.
+ */
+class ProcessedCertificateStore {
+    /**
+     * @param {string} directory - Base directory of the store
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Certificate file of one session
+     * @param {string} sessionId - Workflow session ID
+     * @param {Object} options - staged: the file of certificates still being processed
+     * @returns {string} - File path
+     */
+    filePath(sessionId, { staged = false } = {}) {
+        if (!SESSION_ID_PATTERN.test(sessionId)) {
+            throw new Error('Invalid session ID');
+        }
+
+        return path.join(this.directory, `${sessionId}${staged ? '.staged' : ''}.jsonl`);
+    }
+
+    /**
+     * Store the certificates of a session, replacing any stored before
+     * Certificates are written as they are produced, so they never have to be held in memory.
+     * @param {string} sessionId - Workflow session ID
+     * @param {AsyncIterable<Object>|Iterable<Object>} certificates - Certificates in order
+     * @param {Object} options - staged: store them as the session's staged certificates
+     * @returns {number} - Number of certificates stored
+     */
+    async save(sessionId, certificates, options = {}) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        return JsonLines.write(this.filePath(sessionId, options), certificates);
+    }
+
+    /**
+     * Iterate over the certificates of a session
+     * @param {string} sessionId - Workflow session ID
+     * @param {Object} options - staged: read the session's staged certificates
+     * @yields {Object} - Processed certificate
+     */
+    async *certificates(sessionId, options = {}) {
+        yield* JsonLines.read(this.filePath(sessionId, options));
+    }
+
+    /**
+     * Read one page of a session's certificates
+     * @param {string} sessionId - Workflow session ID
+     * @param {number} offset - Certificates to skip
+     * @param {number} limit - Maximum certificates to return
+     * @returns {Array<Object>} - Certificates of the page
+     */
+    async page(sessionId, offset, limit) {
+        const certificates = [];
+        let index = 0;
+
+        for await (const certificate of this.certificates(sessionId)) {
+            if (index++ < offset) {
+                continue;
+            }
+            if (certificates.length >= limit) {
+                break;
+            }
+            certificates.push(certificate);
+        }
+
+        return certificates;
+    }
+
+    /**
+     * Find one certificate of a session by its workflow ID
+     * @param {string} sessionId - Workflow session ID
+     * @param {string|number} certificateId - Certificate ID
+     * @returns {Object|null} - Certificate, or null if not found
+     */
+    async find(sessionId, certificateId) {
+        for await (const certificate of this.certificates(sessionId)) {
+            if (String(certificate.id) === String(certificateId)) {
+                return certificate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove the certificates of a session
+     * @param {string} sessionId - Workflow session ID
+     * @param {Object} options - staged: remove only the session's staged certificates
+     */
+    async remove(sessionId, options = {}) {
+        await fs.promises.rm(this.filePath(sessionId, { staged: true }), { force: true });
+        if (!options.staged) {
+            await fs.promises.rm(this.filePath(sessionId), { force: true });
+        }
+    }
+}
+
+module.exports = ProcessedCertificateStore;
@@ -0,0 +1,122 @@
+const { newMemEmptyTrie } = require('circomlibjs');
+const Poseidon = require('./Poseidon');
+
+/**
+ * Sparse Merkle tree of revoked certificate commitments
+ * Uses circomlib's Poseidon SMT, so non-membership witnesses can be checked
+ * by SMTVerifier in circuits/certificate_nonrevoked.circom. Keys are the
+ * revoked commitments; every key is stored with the value 1.
+ */
+class RevocationTree {
+    /**
+     * @param {Object} smt - circomlibjs sparse Merkle tree
+     * @param {number} levels - Number of sibling levels the circuit accepts
+     */
+    constructor(smt, levels) {
+        this.smt = smt;
+        this.levels = levels;
+        this.size = 0;
+    }
+
+    /**
+     * Build a tree from revoked commitments
+     * @param {Array} keys - Revoked commitments (hex strings or BigInt)
+     * @param {number} levels - Number of sibling levels the circuit accepts
+     * @returns {RevocationTree} - Constructed tree
+     */
+    static async build(keys, levels) {
+        const tree = new RevocationTree(await newMemEmptyTrie(), levels);
+
+        for (const key of keys) {
+            await tree.insert(key);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Add a revoked commitment (no-op if it is already in the tree)
+     * @param {string|BigInt} key - Revoked commitment
+     */
+    async insert(key) {
+        const value = this.toKey(key);
+        const existing = await this.smt.find(this.smt.F.e(value));
+
+        if (!existing.found) {
+            await this.smt.insert(this.smt.F.e(value), 1);
+            this.size++;
+        }
+    }
+
+    /**
+     * Hex keys are read as hex even when they only contain digits
+     * @param {string|BigInt} key - Commitment
+     * @returns {BigInt} - Field element
+     */
+    toKey(key) {
+        if (typeof key === 'bigint') {
+            return Poseidon.toFieldElement(key);
+        }
+        return Poseidon.toFieldElement('0x' + String(key).replace(/^0x/, ''));
+    }
+
+    /**
+     * @returns {BigInt} - Root as a field element (0 for an empty tree)
+     */
+    getRootValue() {
+        return this.smt.F.toObject(this.smt.root);
+    }
+
+    /**
+     * @returns {string} - Root as a 0x-prefixed hex string
+     */
+    getHexRoot() {
+        return Poseidon.toHex(this.getRootValue());
+    }
+
+    /**
+     * Check whether a commitment is revoked
+     * @param {string|BigInt} key - Commitment
+     * @returns {boolean} - True if the commitment is in the tree
+     */
+    async isRevoked(key) {
+        const result = await this.smt.find(this.smt.F.e(this.toKey(key)));
+        return result.found;
+    }
+
+    /**
+     * Get the non-membership witness for a commitment in SMTVerifier's input format
+     * @param {string|BigInt} key - Commitment that must not be revoked
+     * @returns {Object} - Root, siblings (padded to levels) and old leaf (decimal strings)
+     */
+    async getNonMembershipProof(key) {
+        const F = this.smt.F;
+        const value = this.toKey(key);
+        const result = await this.smt.find(F.e(value));
+
+        if (result.found) {
+            throw new Error('Commitment is revoked');
+        }
+
+        // SMTVerifier needs the last sibling to be zero, so the path must be shorter than levels
+        if (result.siblings.length >= this.levels) {
+            throw new Error(`Revocation tree path (${result.siblings.length}) exceeds ${this.levels - 1} levels`);
+        }
+
+        const siblings = result.siblings.map(sibling => F.toObject(sibling).toString());
+        while (siblings.length < this.levels) {
+            siblings.push('0');
+        }
+
+        return {
+            key: value.toString(),
+            root: this.getRootValue().toString(),
+            siblings,
+            oldKey: result.isOld0 ? '0' : F.toObject(result.notFoundKey).toString(),
+            oldValue: result.isOld0 ? '0' : F.toObject(result.notFoundValue).toString(),
+            isOld0: result.isOld0 ? 1 : 0
+        };
+    }
+}
+
+module.exports = RevocationTree;
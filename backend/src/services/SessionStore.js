@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Base session store
+ * Handles session IDs, expiry and the periodic sweeper; subclasses only
+ * implement the storage primitives (_read, _write, _remove, _keys).
+ */
+class SessionStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.ttlMs - Session lifetime in milliseconds
+     * @param {number} options.sweepIntervalMs - Interval between expiry sweeps
+     * @param {Function} options.onExpire - Called with each session, and its ID, removed by the sweeper
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+        this.sweepIntervalMs = options.sweepIntervalMs || 30 * 60 * 1000;
+        this.onExpire = options.onExpire || (() => { });
+        this.sweepTimer = null;
+        // Tail of the queued changes of each session (see withSessionLock)
+        this.sessionLocks = new Map();
+    }
+
+    /**
+     * Run a task after every earlier queued task of the same session has finished
+     * Updates are read-modify-write, so without this two concurrent updates of one
+     * session in this process could each overwrite the other's changes.
+     * @param {string} sessionId - Session ID
+     * @param {Function} task - Async task
+     * @returns {*} - Result of the task
+     */
+    async withSessionLock(sessionId, task) {
+        const previous = this.sessionLocks.get(sessionId) || Promise.resolve();
+        const current = previous.then(task);
+        const tail = current.catch(() => { });
+        this.sessionLocks.set(sessionId, tail);
+
+        try {
+            return await current;
+        } finally {
+            if (this.sessionLocks.get(sessionId) === tail) {
+                this.sessionLocks.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Create a new session
+     * @param {Object} data - Initial session data
+     * @returns {Object} - Session ID and stored session
+     */
+    async create(data) {
+        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const now = Date.now();
+
+        const session = {
+            ...data,
+            createdAt: new Date(now),
+            expiresAt: new Date(now + this.ttlMs)
+        };
+
+        await this._write(sessionId, session);
+        return { sessionId, session };
+    }
+
+    /**
+     * Get a session by ID, expired or not
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} - Session data or null if not found
+     */
+    async get(sessionId) {
+        if (!SESSION_ID_PATTERN.test(sessionId)) {
+            return null;
+        }
+
+        const session = await this._read(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        session.createdAt = new Date(session.createdAt);
+        session.expiresAt = new Date(session.expiresAt);
+        return session;
+    }
+
+    /**
+     * Merge changes into an existing session
+     * @param {string} sessionId - Session ID
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} - Updated session or null if not found
+     */
+    async update(sessionId, changes) {
+        return this.withSessionLock(sessionId, async () => {
+            const session = await this.get(sessionId);
+            if (!session) {
+                return null;
+            }
+
+            const updated = { ...session, ...changes };
+            await this._write(sessionId, updated);
+            return updated;
+        });
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session ID
+     */
+    async delete(sessionId) {
+        if (SESSION_ID_PATTERN.test(sessionId)) {
+            await this.withSessionLock(sessionId, () => this._remove(sessionId));
+        }
+    }
+
+    /**
+     * List every unexpired session
+     * @returns {Array<Object>} - Sessions with their IDs
+     */
+    async list() {
+        const sessions = [];
+
+        for (const sessionId of await this._keys()) {
+            const session = await this.get(sessionId);
+            if (session && !this.isExpired(session)) {
+                sessions.push({ sessionId, ...session });
+            }
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Check whether a session has expired
+     * @param {Object} session - Session data
+     * @returns {boolean} - True if expired
+     */
+    isExpired(session) {
+        return new Date() > new Date(session.expiresAt);
+    }
+
+    /**
+     * Remove all expired sessions
+     * @returns {number} - Number of sessions removed
+     */
+    async sweepExpired() {
+        let removed = 0;
+
+        for (const sessionId of await this._keys()) {
+            const session = await this.get(sessionId);
+            if (session && this.isExpired(session)) {
+                await this.withSessionLock(sessionId, () => this._remove(sessionId));
+                this.onExpire(session, sessionId);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Start the periodic expiry sweeper
+     */
+    startSweeper() {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(() => {
+            this.sweepExpired().catch(error => {
+                console.error('Session sweep error:', error);
+            });
+        }, this.sweepIntervalMs);
+
+        // Do not keep the process alive just for the sweeper
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Stop the periodic expiry sweeper
+     */
+    stopSweeper() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+}
+
+/**
+ * In-memory session store
+ * Sessions are lost when the process exits.
+ */
+class MemorySessionStore extends SessionStore {
+    constructor(options = {}) {
+        super(options);
+        this.sessions = new Map();
+    }
+
+    async _read(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? { ...session } : null;
+    }
+
+    async _write(sessionId, session) {
+        this.sessions.set(sessionId, { ...session });
+    }
+
+    async _remove(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    async _keys() {
+        return Array.from(this.sessions.keys());
+    }
+}
+
+/**
+ * File-backed session store
+ * Each session is a JSON file, so sessions survive restarts and are shared
+ * between processes using the same directory.
+ */
+class FileSessionStore extends SessionStore {
+    /**
+     * @param {Object} options - Store options (see SessionStore)
+     * @param {string} options.directory - Directory holding the session files
+     */
+    constructor(options = {}) {
+        super(options);
+        this.directory = options.directory;
+
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    sessionPath(sessionId) {
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    async _read(sessionId) {
+        try {
+            const content = await fs.promises.readFile(this.sessionPath(sessionId), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async _write(sessionId, session) {
+        // Write to a temporary file first so readers never see a partial session; the
+        // name is unique per write, so concurrent writers never share a temporary file
+        const filePath = this.sessionPath(sessionId);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+        try {
+            await fs.promises.writeFile(tempPath, JSON.stringify(session));
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    async _remove(sessionId) {
+        await fs.promises.rm(this.sessionPath(sessionId), { force: true });
+    }
+
+    async _keys() {
+        const files = await fs.promises.readdir(this.directory);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+}
+
+/**
+ * Create a session store for the given namespace
+ * SESSION_STORE selects the implementation ('file' by default, or 'memory')
+ * and SESSION_STORE_PATH the base directory for the file store.
+ * @param {string} namespace - Store namespace (e.g. 'workflow')
+ * @param {Object} options - Store options (see SessionStore)
+ * @returns {SessionStore} - Session store instance
+ */
+function createSessionStore(namespace, options = {}) {
+    const type = process.env.SESSION_STORE || 'file';
+
+    if (type === 'memory') {
+        return new MemorySessionStore(options);
+    }
+
+    if (type === 'file') {
+        const baseDirectory = process.env.SESSION_STORE_PATH || path.join(__dirname, '../../data/sessions');
+        return new FileSessionStore({
+            ...options,
+            directory: path.join(baseDirectory, namespace)
+        });
+    }
+
+    throw new Error(`Unknown session store type: ${type}`);
+}
+
+module.exports = {
+    SessionStore,
+    MemorySessionStore,
+    FileSessionStore,
+    createSessionStore
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-backed store of users and API keys
+ * Everything lives in one JSON document that is rewritten atomically, so the
+ * store is meant for a single backend process and a small number of accounts.
+ */
+class UserStore {
+    /**
+     * @param {string} filePath - Path of the JSON document
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the document on first use
+     * @returns {Object} - Users and API keys
+     */
+    async load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        let document = {};
+        try {
+            document = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        this.data = UserStore.toMaps(document);
+        return this.data;
+    }
+
+    /**
+     * Users and API keys keyed by name in null-prototype objects, so names such as
+     * "__proto__" or "constructor" are plain keys and never reach Object.prototype
+     * @param {Object} document - Parsed document
+     * @returns {Object} - Users and API keys
+     */
+    static toMaps(document) {
+        return {
+            users: Object.assign(Object.create(null), document.users),
+            apiKeys: Object.assign(Object.create(null), document.apiKeys)
+        };
+    }
+
+    /**
+     * Apply a change and persist the document
+     * Writes are queued so concurrent requests cannot interleave. The change is made
+     * to a copy, which replaces the loaded document only once it has been written, so
+     * a failed change or write leaves the store as it was.
+     * @param {Function} mutate - Receives the document and changes it in place
+     * @returns {any} - Whatever mutate returns
+     */
+    async update(mutate) {
+        const run = this.writeQueue.then(async () => {
+            const data = UserStore.toMaps(JSON.parse(JSON.stringify(await this.load())));
+            const result = mutate(data);
+
+            // Write to a temporary file first so a crash never leaves a partial document
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath);
+
+            this.data = data;
+            return result;
+        });
+
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * @param {string} username - Username
+     * @returns {Object|null} - Stored user or null
+     */
+    async getUser(username) {
+        const data = await this.load();
+        return data.users[username] || null;
+    }
+
+    /**
+     * @returns {Array<Object>} - All stored users
+     */
+    async listUsers() {
+        const data = await this.load();
+        return Object.values(data.users);
+    }
+
+    /**
+     * @param {string} keyId - API key ID
+     * @returns {Object|null} - Stored API key or null
+     */
+    async getApiKey(keyId) {
+        const data = await this.load();
+        return data.apiKeys[keyId] || null;
+    }
+
+    /**
+     * @param {string} username - Owner of the keys
+     * @returns {Array<Object>} - API keys of the user
+     */
+    async listApiKeys(username) {
+        const data = await this.load();
+        return Object.values(data.apiKeys).filter(key => key.username === username);
+    }
+}
+
+module.exports = UserStore;
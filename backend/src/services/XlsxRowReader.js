@@ -0,0 +1,324 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// End record (22 bytes) plus the longest archive comment
+const END_RECORD_SEARCH_LENGTH = 22 + 0xffff;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const ROW_START = /<row[\s>/]/;
+const CELL_PATTERN = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const TEXT_PATTERN = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+
+/**
+ * Streaming reader for the first worksheet of an .xlsx workbook
+ * An .xlsx file is a zip archive of XML parts. The archive's central directory locates
+ * the parts, and the worksheet is inflated and parsed a row at a time, so only the
+ * shared strings table and the current row are ever held in memory.
+ */
+class XlsxRowReader {
+    /**
+     * Stream the rows of the first worksheet
+     * The first row holds the column names; empty cells are left out of the row object
+     * and rows without any value are skipped.
+     * @param {string} filePath - Path to the workbook
+     * @returns {AsyncGenerator<Object>} - Row objects keyed by column name
+     */
+    static async *readRows(filePath) {
+        const entries = await this.readEntries(filePath);
+        const sheetPath = await this.firstSheetPath(filePath, entries);
+        const sharedStrings = entries.has('xl/sharedStrings.xml')
+            ? this.parseSharedStrings(await this.readEntry(filePath, entries.get('xl/sharedStrings.xml')))
+            : [];
+        let columns = null;
+
+        for await (const values of this.sheetRows(filePath, entries.get(sheetPath), sharedStrings)) {
+            if (!columns) {
+                columns = values.map(value => value === undefined ? undefined : String(value).trim());
+                continue;
+            }
+
+            const record = {};
+            columns.forEach((column, index) => {
+                if (column && values[index] !== undefined && values[index] !== '') {
+                    record[column] = values[index];
+                }
+            });
+            if (Object.keys(record).length > 0) {
+                yield record;
+            }
+        }
+    }
+
+    /**
+     * Read the archive's central directory
+     * @param {string} filePath - Path to the workbook
+     * @returns {Map<string, Object>} - Entries by part name: compression method, compressed size and header offset
+     */
+    static async readEntries(filePath) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            const tailLength = Math.min(size, END_RECORD_SEARCH_LENGTH);
+            const tail = Buffer.alloc(tailLength);
+            await handle.read(tail, 0, tailLength, size - tailLength);
+
+            let endRecord = -1;
+            for (let offset = tailLength - 22; offset >= 0; offset--) {
+                if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+                    endRecord = offset;
+                    break;
+                }
+            }
+            if (endRecord < 0) {
+                throw new Error('Invalid .xlsx file: not a zip archive');
+            }
+
+            const entryCount = tail.readUInt16LE(endRecord + 10);
+            const directory = Buffer.alloc(tail.readUInt32LE(endRecord + 12));
+            await handle.read(directory, 0, directory.length, tail.readUInt32LE(endRecord + 16));
+
+            const entries = new Map();
+            let offset = 0;
+            for (let i = 0; i < entryCount; i++) {
+                if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+                    throw new Error('Invalid .xlsx file: corrupt zip directory');
+                }
+                const nameLength = directory.readUInt16LE(offset + 28);
+                const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+                entries.set(name.replace(/^\//, ''), {
+                    method: directory.readUInt16LE(offset + 10),
+                    compressedSize: directory.readUInt32LE(offset + 20),
+                    headerOffset: directory.readUInt32LE(offset + 42)
+                });
+                offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+            }
+
+            return entries;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Open one archive part as a stream of text
+     * @param {string} filePath - Path to the workbook
+     * @param {Object} entry - Central directory entry of the part
+     * @returns {stream.Readable} - UTF-8 content of the part
+     */
+    static async openEntry(filePath, entry) {
+        const header = Buffer.alloc(30);
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            await handle.read(header, 0, 30, entry.headerOffset);
+        } finally {
+            await handle.close();
+        }
+        if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+            throw new Error('Invalid .xlsx file: corrupt zip entry');
+        }
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`Unsupported .xlsx compression method: ${entry.method}`);
+        }
+
+        const start = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const source = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+        let content = source;
+        if (entry.method === 8) {
+            content = source.pipe(zlib.createInflateRaw());
+            source.on('error', (error) => content.destroy(error));
+        }
+        content.setEncoding('utf8');
+        return content;
+    }
+
+    /**
+     * Read one (small) archive part whole
+     * @param {string} filePath - Path to the workbook
+     * @param {Object} entry - Central directory entry of the part
+     * @returns {string} - Content of the part
+     */
+    static async readEntry(filePath, entry) {
+        if (entry.compressedSize === 0) {
+            return '';
+        }
+
+        let content = '';
+        for await (const chunk of await this.openEntry(filePath, entry)) {
+            content += chunk;
+        }
+        return content;
+    }
+
+    /**
+     * Locate the part holding the workbook's first worksheet
+     * @param {string} filePath - Path to the workbook
+     * @param {Map<string, Object>} entries - Archive entries
+     * @returns {string} - Part name of the worksheet
+     */
+    static async firstSheetPath(filePath, entries) {
+        const fallback = 'xl/worksheets/sheet1.xml';
+        if (entries.has('xl/workbook.xml') && entries.has('xl/_rels/workbook.xml.rels')) {
+            const workbook = await this.readEntry(filePath, entries.get('xl/workbook.xml'));
+            const sheet = /<(?:\w+:)?sheet\b[^>]*?\s\w+:id="([^"]+)"/.exec(workbook);
+            const relationships = await this.readEntry(filePath, entries.get('xl/_rels/workbook.xml.rels'));
+
+            for (const [tag] of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+                const id = /\sId="([^"]+)"/.exec(tag);
+                const target = /\sTarget="([^"]+)"/.exec(tag);
+                if (sheet && id && target && id[1] === sheet[1]) {
+                    const sheetPath = target[1].startsWith('/')
+                        ? target[1].slice(1)
+                        : `xl/${target[1]}`;
+                    if (entries.has(sheetPath)) {
+                        return sheetPath;
+                    }
+                }
+            }
+        }
+
+        if (!entries.has(fallback)) {
+            throw new Error('Invalid .xlsx file: no worksheet found');
+        }
+        return fallback;
+    }
+
+    /**
+     * Parse the shared strings table
+     * @param {string} xml - Content of xl/sharedStrings.xml
+     * @returns {Array<string>} - Strings by index
+     */
+    static parseSharedStrings(xml) {
+        return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g), ([, item]) => this.itemText(item || ''));
+    }
+
+    /**
+     * Text of a string item: its runs joined, without phonetic hints
+     * @param {string} xml - Content of an <si> or <is> element
+     * @returns {string} - Text
+     */
+    static itemText(xml) {
+        const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        return Array.from(runs.matchAll(TEXT_PATTERN), ([, text]) => this.decodeXml(text)).join('');
+    }
+
+    /**
+     * Decode XML character and entity references
+     * @param {string} text - Escaped text
+     * @returns {string} - Plain text
+     */
+    static decodeXml(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1] === 'x' || name[1] === 'X'
+                    ? parseInt(name.slice(2), 16)
+                    : parseInt(name.slice(1), 10));
+            }
+            return XML_ENTITIES[name] ?? reference;
+        });
+    }
+
+    /**
+     * Stream the rows of a worksheet as arrays of cell values by column
+     * @param {string} filePath - Path to the workbook
+     * @param {Object} entry - Central directory entry of the worksheet
+     * @param {Array<string>} sharedStrings - Shared strings table
+     * @returns {AsyncGenerator<Array>} - Cell values of each non-empty row
+     */
+    static async *sheetRows(filePath, entry, sharedStrings) {
+        if (entry.compressedSize === 0) {
+            return;
+        }
+
+        let buffer = '';
+        for await (const chunk of await this.openEntry(filePath, entry)) {
+            buffer += chunk;
+
+            for (;;) {
+                const start = buffer.search(ROW_START);
+                if (start < 0) {
+                    // Keep enough of the tail to finish a split "<row" tag
+                    buffer = buffer.slice(-4);
+                    break;
+                }
+
+                const tagEnd = buffer.indexOf('>', start);
+                if (tagEnd < 0) {
+                    buffer = buffer.slice(start);
+                    break;
+                }
+                if (buffer[tagEnd - 1] === '/') {
+                    buffer = buffer.slice(tagEnd + 1);
+                    continue;
+                }
+
+                const end = buffer.indexOf('</row>', tagEnd);
+                if (end < 0) {
+                    buffer = buffer.slice(start);
+                    break;
+                }
+
+                const values = this.rowValues(buffer.slice(tagEnd + 1, end), sharedStrings);
+                buffer = buffer.slice(end + '</row>'.length);
+                if (values.some(value => value !== undefined && value !== '')) {
+                    yield values;
+                }
+            }
+        }
+    }
+
+    /**
+     * Cell values of one row, placed by their column reference
+     * @param {string} xml - Content of a <row> element
+     * @param {Array<string>} sharedStrings - Shared strings table
+     * @returns {Array} - Text, number or boolean per column; undefined for empty and error cells
+     */
+    static rowValues(xml, sharedStrings) {
+        const values = [];
+        let column = -1;
+
+        for (const [, attributes, content = ''] of xml.matchAll(CELL_PATTERN)) {
+            const reference = /\sr="([A-Z]+)\d*"/.exec(attributes);
+            column = reference ? this.columnIndex(reference[1]) : column + 1;
+
+            const type = (/\st="(\w+)"/.exec(attributes) || [])[1] || 'n';
+            const raw = /<v(?:\s[^>]*)?>([\s\S]*?)<\/v>/.exec(content);
+            let value;
+            if (type === 'inlineStr') {
+                const inline = /<is>([\s\S]*?)<\/is>/.exec(content);
+                value = inline ? this.itemText(inline[1]) : undefined;
+            } else if (!raw) {
+                value = undefined;
+            } else if (type === 's') {
+                value = sharedStrings[Number(raw[1])];
+            } else if (type === 'str' || type === 'd') {
+                value = this.decodeXml(raw[1]);
+            } else if (type === 'b') {
+                value = raw[1] === '1';
+            } else if (type === 'n') {
+                value = Number(raw[1]);
+            }
+
+            values[column] = value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Zero-based index of a column reference ("A" is 0, "AA" is 26)
+     * @param {string} letters - Column letters
+     * @returns {number} - Column index
+     */
+    static columnIndex(letters) {
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + letter.charCodeAt(0) - 64;
+        }
+        return index - 1;
+    }
+}
+
+module.exports = XlsxRowReader;
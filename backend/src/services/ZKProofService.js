@@ -4,31 +4,117 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const MerkleService = require('./MerkleService');
+const Poseidon = require('./Poseidon');
+const GradeScale = require('./GradeScale');
+
 class ZKProofService {
-    static CIRCUIT_PATH = path.join(__dirname, '../../circuits');
-    static KEYS_PATH = path.join(__dirname, '../../keys');
+    static CIRCUIT_NAME = 'certificate';
+    static WEIGHTED_CIRCUIT_NAME = 'certificate_weighted';
+    static DISCLOSURE_CIRCUIT_NAME = 'certificate_disclosure';
+    // Circuit POST /api/zkproofs/setup runs the ceremony for unless another is requested
+    static SETUP_CIRCUIT_NAME = 'certificate_simple';
+    static CIRCUIT_PATH = process.env.CIRCUIT_PATH || path.join(__dirname, '../../../circuits');
+    static VARIANTS_PATH = path.join(this.CIRCUIT_PATH, 'variants');
+    static VARIANTS_FILE = path.join(this.CIRCUIT_PATH, 'variants.json');
+    static KEYS_PATH = process.env.KEYS_PATH || path.join(__dirname, '../../keys');
+    static MIN_PTAU_POWER = 8;
+    static SETUP_LOG_LIMIT = 200;
+    // Finished setup jobs stay queryable for this long, then are dropped
+    static SETUP_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+    static setupJobs = new Map();
+
+    // Public signals of circuits/certificate.circom, in circuit order. IVerifier and
+    // ZKCertificateSystem._buildPublicSignals use the same layout.
+    static PUBLIC_SIGNALS = ['isValid', 'commitment', 'nullifier', 'merkleRoot', 'minPassingGrade', 'requireAllPassed', 'context'];
+
+    // circuits/certificate.circom: 5 subjects graded 0-100, compared in 8 bits. Every
+    // other subject count and grade scale is a variant listed in VARIANTS_FILE.
+    static DEFAULT_VARIANT = { subjects: 5, gradeScale: 'percentage', maxGrade: 100, gradeBits: 8 };
+
+    // SubjectCommitment hashes subjects in chunks of 16 under one Poseidon(16)
+    static MAX_SUBJECTS = 14 * 16;
+
+    // Every variant also has a weighted-average build (circuits/certificate_weighted.circom
+    // for the default) proving sum(weight * grade) / sum(weight) >= minAverage. Weights are
+    // credits times WEIGHT_SCALE in WEIGHT_BITS; minAverage is an encoded grade times AVERAGE_SCALE.
+    static PROOF_TYPES = ['threshold', 'weightedAverage'];
+    static WEIGHTED_CIRCUIT_SUFFIX = '_weighted';
+    static WEIGHTED_PUBLIC_SIGNALS = ['commitment', 'nullifier', 'merkleRoot', 'weights', 'minAverage', 'context'];
+    static WEIGHT_SCALE = 100;
+    static WEIGHT_BITS = 16;
+    static AVERAGE_SCALE = 100;
+
+    // Certificate fields committed by circuits/certificate_disclosure.circom, in circuit
+    // order. Names follow DynamicCertificateService.suggestFieldMappings.
+    //   text    - trimmed, case-insensitive string hashed into the field (equality and sets)
+    //   date    - calendar date as the integer YYYYMMDD (all predicates)
+    //   decimal - number scaled by DISCLOSURE_DECIMAL_SCALE, text otherwise (e.g. letter grades)
+    static DISCLOSURE_FIELDS = [
+        { name: 'name', encoding: 'text' },
+        { name: 'course', encoding: 'text' },
+        { name: 'institution', encoding: 'text' },
+        { name: 'graduation_date', encoding: 'date' },
+        { name: 'grade', encoding: 'decimal' },
+        { name: 'percentage', encoding: 'decimal' },
+        { name: 'student_id', encoding: 'text' }
+    ];
+    static DISCLOSURE_PREDICATE_TYPES = ['hidden', 'eq', 'range', 'in'];
+    static DISCLOSURE_SET_SIZE = 8;
+    static DISCLOSURE_RANGE_BITS = 64;
+    static DISCLOSURE_DECIMAL_SCALE = 100;
 
     /**
      * Generate ZK proof for certificate verification
+     * The proof's public signals follow PUBLIC_SIGNALS, which is the layout
+     * ZKCertificateSystem rebuilds on-chain, so a default-circuit proof can be submitted
+     * as-is; variant proofs are off-chain only (see isOnChainVerifiable).
      * @param {Object} input - Input data for proof generation
-     * @returns {Object} - Generated proof and public signals
+     * @param {string} input.commitment - Optional stored commitment (hex) the inputs must hash to
+     * @returns {Object} - Generated proof, public signals, their decoded values and the commitment
      */
     static async generateProof(input) {
         try {
-            // Prepare circuit inputs
-            const circuitInputs = this.prepareCircuitInputs(input);
+            const weighted = input.proofType === 'weightedAverage';
+
+            // Prepare circuit inputs (invalid grades are reported before a missing variant)
+            const circuitInputs = weighted
+                ? this.prepareWeightedAverageInputs(input)
+                : this.prepareCircuitInputs(input);
+            const variant = this.resolveCircuitVariant(input);
+            const circuitName = weighted ? variant.weightedCircuit : variant.name;
+            const commitment = await this.calculateCommitment(input);
+
+            // The weighted circuit cannot produce a witness below the minimum, so fail with a clear error
+            if (weighted && !this.meetsWeightedAverage(circuitInputs)) {
+                throw this.weightedAverageError(
+                    'AVERAGE_BELOW_MINIMUM',
+                    'The weighted average of the certificate\'s grades is below the requested minimum'
+                );
+            }
+
+            // The stored commitment (or the Merkle leaf) must be the one these inputs produce
+            const storedCommitment = input.commitment
+                ? BigInt('0x' + input.commitment.replace(/^0x/, ''))
+                : input.merkleProof.leaf !== undefined ? Poseidon.toFieldElement(input.merkleProof.leaf) : null;
+
+            if (storedCommitment !== null && storedCommitment !== BigInt('0x' + commitment)) {
+                throw this.commitmentMismatch(
+                    `Commitment mismatch: inputs hash to 0x${commitment}, stored commitment is ${Poseidon.toHex(storedCommitment)}`
+                );
+            }
 
             // Paths to circuit files
-            const wasmPath = path.join(this.CIRCUIT_PATH, 'certificate_simple.wasm');
-            const zkeyPath = path.join(this.KEYS_PATH, 'certificate_simple.zkey');
+            const wasmPath = this.getWasmPath(circuitName);
+            const zkeyPath = this.getZkeyPath(circuitName);
 
             // Check if required files exist
             if (!fs.existsSync(wasmPath)) {
-                throw new Error('Circuit WASM file not found. Please compile the circuit first.');
+                throw new Error(`Circuit WASM file for ${circuitName} not found. Please compile the circuit first.`);
             }
 
             if (!fs.existsSync(zkeyPath)) {
-                throw new Error('Circuit proving key not found. Please setup the proving system first.');
+                throw new Error(`Circuit proving key for ${circuitName} not found. Please setup the proving system first.`);
             }
 
             // Generate witness
@@ -38,27 +124,317 @@ class ZKProofService {
                 zkeyPath
             );
 
+            const signals = this.decodeProofSignals(publicSignals, circuitName);
+
+            if (BigInt(signals.commitment) !== BigInt('0x' + commitment)) {
+                throw this.commitmentMismatch(
+                    `Commitment mismatch: witness commitment ${Poseidon.toHex(signals.commitment)} differs from 0x${commitment}`
+                );
+            }
+
             return {
                 proof: this.formatProofForSolidity(proof),
                 publicSignals,
-                commitment: this.calculateCommitment(input)
+                signals,
+                commitment,
+                circuit: circuitName,
+                proofType: weighted ? 'weightedAverage' : 'threshold'
             };
 
         } catch (error) {
             console.error('ZK proof generation error:', error);
-            throw new Error(`Failed to generate ZK proof: ${error.message}`);
+            const wrapped = new Error(`Failed to generate ZK proof: ${error.message}`);
+            wrapped.code = error.code;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Every certificate circuit variant: the default circuit and those in VARIANTS_FILE
+     * @returns {Array<Object>} - Variants with name, subjects, gradeScale, maxGrade, gradeBits, weightedCircuit and directory
+     */
+    static getCircuitVariants() {
+        const configured = fs.existsSync(this.VARIANTS_FILE)
+            ? JSON.parse(fs.readFileSync(this.VARIANTS_FILE, 'utf8')).variants
+            : [];
+
+        return [
+            {
+                name: this.CIRCUIT_NAME,
+                ...this.DEFAULT_VARIANT,
+                weightedCircuit: this.WEIGHTED_CIRCUIT_NAME,
+                directory: this.CIRCUIT_PATH
+            },
+            ...configured.map(variant => this.describeCircuitVariant(variant.subjects, variant.gradeScale))
+        ];
+    }
+
+    /**
+     * Build parameters of the variant for a subject count and grade scale
+     * @param {number} subjects - Number of subjects
+     * @param {string} gradeScale - GradeScale name
+     * @returns {Object} - Variant description
+     */
+    static describeCircuitVariant(subjects, gradeScale) {
+        if (!Number.isInteger(subjects) || subjects < 1 || subjects > this.MAX_SUBJECTS) {
+            throw new Error(`Circuit variants support 1 to ${this.MAX_SUBJECTS} subjects, got ${subjects}`);
+        }
+
+        const name = `${this.CIRCUIT_NAME}_${subjects}s_${gradeScale}`;
+
+        return {
+            name,
+            subjects,
+            gradeScale,
+            maxGrade: GradeScale.maxEncoded(gradeScale),
+            gradeBits: GradeScale.bits(gradeScale),
+            weightedCircuit: name + this.WEIGHTED_CIRCUIT_SUFFIX,
+            directory: this.VARIANTS_PATH
+        };
+    }
+
+    /**
+     * Whether ZKCertificateSystem can verify proofs of a circuit
+     * The contract has one verifier per proof type, generated from the default circuit's builds
+     * by scripts/build-verifier.js. Variants have no verifier there, so their proofs are verified
+     * off-chain only, through POST /api/zkproofs/verify.
+     * @param {string} circuitName - Circuit the proof was generated with
+     * @returns {boolean} - True for the default circuit and its weighted-average build
+     */
+    static isOnChainVerifiable(circuitName) {
+        return circuitName === this.CIRCUIT_NAME || circuitName === this.WEIGHTED_CIRCUIT_NAME;
+    }
+
+    /**
+     * Get a circuit variant by name
+     * @param {string} name - Variant name
+     * @returns {Object|null} - Variant or null if it is not configured
+     */
+    static getCircuitVariant(name) {
+        return this.getCircuitVariants().find(variant => variant.name === name) || null;
+    }
+
+    /**
+     * Get the variant whose weighted-average build has the given circuit name
+     * @param {string} circuitName - Weighted-average circuit name
+     * @returns {Object|null} - Variant or null if the name is not a weighted-average circuit
+     */
+    static getWeightedAverageVariant(circuitName) {
+        return this.getCircuitVariants().find(variant => variant.weightedCircuit === circuitName) || null;
+    }
+
+    /**
+     * Find the variant built for a subject count and grade scale
+     * @param {number} subjects - Number of subjects
+     * @param {string} gradeScale - GradeScale name
+     * @returns {Object|null} - Variant or null if none is configured
+     */
+    static findCircuitVariant(subjects, gradeScale = GradeScale.DEFAULT) {
+        return this.getCircuitVariants().find(variant =>
+            variant.subjects === subjects && variant.gradeScale === gradeScale
+        ) || null;
+    }
+
+    /**
+     * Pick the circuit variant for proof inputs
+     * An explicit input.circuit (the variant or its weighted-average build) must match
+     * the inputs' subject count and grade scale.
+     * @param {Object} input - Proof inputs (subjects, gradeScale, optional circuit)
+     * @returns {Object} - Variant
+     */
+    static resolveCircuitVariant(input) {
+        const gradeScale = input.gradeScale || GradeScale.DEFAULT;
+        const variant = input.circuit
+            ? this.getCircuitVariant(input.circuit) || this.getWeightedAverageVariant(input.circuit)
+            : this.findCircuitVariant(input.subjects.length, gradeScale);
+
+        if (!variant || variant.subjects !== input.subjects.length || variant.gradeScale !== gradeScale) {
+            const error = new Error(
+                `No circuit variant for ${input.subjects.length} subjects on the ${gradeScale} scale` +
+                (input.circuit ? ` named ${input.circuit}` : '') +
+                `. Add it to ${path.basename(this.VARIANTS_FILE)} and run "npm run build-circuit-variants".`
+            );
+            error.code = 'NO_CIRCUIT_VARIANT';
+            throw error;
+        }
+
+        return variant;
+    }
+
+    /**
+     * Circuits /api/zkproofs/generate proves with: every variant and its weighted-average build
+     * @returns {Array<string>} - Circuit names
+     */
+    static getProofCircuits() {
+        return this.getCircuitVariants().flatMap(variant => [variant.name, variant.weightedCircuit]);
+    }
+
+    /**
+     * Circuits the proving system setup can run for
+     * @returns {Array<string>} - Circuit names
+     */
+    static getSetupCircuits() {
+        return [this.SETUP_CIRCUIT_NAME, ...this.getProofCircuits(), this.DISCLOSURE_CIRCUIT_NAME];
+    }
+
+    /**
+     * Map the circuit's public signals to their names
+     * @param {Array<string>} publicSignals - Public signals in circuit order
+     * @returns {Object} - Signals keyed by PUBLIC_SIGNALS names
+     */
+    static decodePublicSignals(publicSignals) {
+        if (publicSignals.length !== this.PUBLIC_SIGNALS.length) {
+            throw new Error(`Expected ${this.PUBLIC_SIGNALS.length} public signals, got ${publicSignals.length}`);
         }
+
+        return Object.fromEntries(
+            this.PUBLIC_SIGNALS.map((name, index) => [name, publicSignals[index].toString()])
+        );
+    }
+
+    /**
+     * Map a weighted-average circuit's public signals to their names
+     * Layout: [commitment, nullifier, merkleRoot, weights..., minAverage, context]
+     * @param {Array<string>} publicSignals - Public signals in circuit order
+     * @returns {Object} - Signals keyed by WEIGHTED_PUBLIC_SIGNALS names (weights as an array)
+     */
+    static decodeWeightedAverageSignals(publicSignals) {
+        if (publicSignals.length < 6) {
+            throw new Error(`Expected at least 6 weighted-average public signals, got ${publicSignals.length}`);
+        }
+
+        const values = publicSignals.map(signal => signal.toString());
+        return {
+            commitment: values[0],
+            nullifier: values[1],
+            merkleRoot: values[2],
+            weights: values.slice(3, -2),
+            minAverage: values[values.length - 2],
+            context: values[values.length - 1]
+        };
+    }
+
+    /**
+     * Decode the public signals of any /api/zkproofs/generate circuit
+     * @param {Array<string>} publicSignals - Public signals in circuit order
+     * @param {string} circuitName - Circuit that produced them
+     * @returns {Object} - Named signals
+     */
+    static decodeProofSignals(publicSignals, circuitName = this.CIRCUIT_NAME) {
+        return this.getWeightedAverageVariant(circuitName)
+            ? this.decodeWeightedAverageSignals(publicSignals)
+            : this.decodePublicSignals(publicSignals);
+    }
+
+    /**
+     * Describe what a verified proof shows about the holder's grades, on the circuit's grade scale
+     * Only the criteria are public; the grades themselves never appear in the signals.
+     * @param {Object} signals - Result of decodeProofSignals
+     * @param {string} circuitName - Circuit that produced them
+     * @returns {Object} - proofType, gradeScale, subjects, the criteria and whether they are met
+     */
+    static describeProvenPredicate(signals, circuitName = this.CIRCUIT_NAME) {
+        const weightedVariant = this.getWeightedAverageVariant(circuitName);
+        const variant = weightedVariant || this.getCircuitVariant(circuitName);
+        const { gradeScale, subjects } = variant;
+
+        if (!weightedVariant) {
+            return {
+                proofType: 'threshold',
+                gradeScale,
+                subjects,
+                minPassingGrade: GradeScale.decode(Number(signals.minPassingGrade), gradeScale),
+                requireAllPassed: signals.requireAllPassed === '1',
+                satisfied: signals.isValid === '1'
+            };
+        }
+
+        // Letter averages are ranks; name the letter when the minimum is a whole rank
+        const minAverage = GradeScale.decodeAverage(signals.minAverage, gradeScale, this.AVERAGE_SCALE);
+        return {
+            proofType: 'weightedAverage',
+            gradeScale,
+            subjects,
+            weights: signals.weights.map(weight => Number(weight) / this.WEIGHT_SCALE),
+            minAverage: GradeScale.get(gradeScale).type === 'letter' && Number.isInteger(minAverage)
+                ? GradeScale.decode(minAverage, gradeScale)
+                : minAverage,
+            satisfied: true
+        };
+    }
+
+    /**
+     * Arguments for ZKCertificateSystem.verifyAcademicAchievement
+     * The contract takes batchId instead of merkleRoot, fixes isValid to 1 and derives
+     * the context from the caller and the challenge.
+     * @param {Object} proofData - Result of generateProof
+     * @param {number|string} batchId - On-chain batch ID
+     * @param {string} challenge - Challenge the proof's context was derived from
+     * @returns {Object} - Contract call arguments in parameter order
+     */
+    static toContractArguments(proofData, batchId, challenge) {
+        return {
+            proof: proofData.proof,
+            batchId: batchId.toString(),
+            commitment: proofData.signals.commitment,
+            nullifier: proofData.signals.nullifier,
+            challenge,
+            minPassingGrade: proofData.signals.minPassingGrade,
+            requiresAllSubjectsPassed: proofData.signals.requireAllPassed === '1'
+        };
+    }
+
+    /**
+     * Arguments for ZKCertificateSystem.verifyWeightedAverage
+     * The contract takes batchId instead of merkleRoot and derives the context from
+     * the caller and the challenge.
+     * @param {Object} proofData - Result of generateProof for a weighted-average proof
+     * @param {number|string} batchId - On-chain batch ID
+     * @param {string} challenge - Challenge the proof's context was derived from
+     * @returns {Object} - Contract call arguments in parameter order
+     */
+    static toWeightedAverageContractArguments(proofData, batchId, challenge) {
+        return {
+            proof: proofData.proof,
+            batchId: batchId.toString(),
+            commitment: proofData.signals.commitment,
+            nullifier: proofData.signals.nullifier,
+            challenge,
+            weights: proofData.signals.weights,
+            minAverage: proofData.signals.minAverage
+        };
+    }
+
+    /**
+     * Arguments for ZKCertificateSystem.verifyDisclosure
+     * The contract takes batchId instead of the disclosure root and derives the context from
+     * the caller and the challenge; the predicates are passed as their public signals.
+     * @param {Object} proofData - Result of generateDisclosureProof
+     * @param {number|string} batchId - On-chain batch ID
+     * @param {string} challenge - Challenge the proof's context was derived from
+     * @returns {Object} - Contract call arguments in parameter order
+     */
+    static toDisclosureContractArguments(proofData, batchId, challenge) {
+        return {
+            proof: proofData.proof,
+            batchId: batchId.toString(),
+            commitment: proofData.signals.commitment,
+            nullifier: proofData.signals.nullifier,
+            challenge,
+            predicates: proofData.publicSignals.slice(4).map(signal => signal.toString())
+        };
     }
 
     /**
      * Verify ZK proof
      * @param {Object} proof - The proof to verify
      * @param {Array} publicSignals - Public signals
+     * @param {string} circuitName - Circuit whose verification key to use
      * @returns {boolean} - True if proof is valid
      */
-    static async verifyProof(proof, publicSignals) {
+    static async verifyProof(proof, publicSignals, circuitName = this.CIRCUIT_NAME) {
         try {
-            const verificationKeyPath = path.join(this.KEYS_PATH, 'verification_key.json');
+            const verificationKeyPath = this.getKeyFilePath(circuitName, 'verification_key.json');
 
             if (!fs.existsSync(verificationKeyPath)) {
                 throw new Error('Verification key not found');
@@ -83,74 +459,842 @@ class ZKProofService {
         }
     }
 
+    /**
+     * Start the proving system setup as a background job
+     * Only one setup can run at a time since every job writes the same key files.
+     * @param {Object} options - Setup options (see initializeProvingSystem)
+     * @param {Object|null} requestedBy - Actor who started the setup
+     * @returns {Object} - The created job
+     */
+    static startSetupJob(options = {}, requestedBy = null) {
+        if (this.getActiveSetupJob()) {
+            throw new Error('A proving system setup is already running');
+        }
+
+        const jobId = `setup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const job = {
+            jobId,
+            status: 'running',
+            step: 'queued',
+            log: [],
+            circuit: options.circuit || this.SETUP_CIRCUIT_NAME,
+            createdAt: new Date(),
+            completedAt: null,
+            result: null,
+            error: null,
+            requestedBy
+        };
+        this.setupJobs.set(jobId, job);
+
+        const logger = this.createJobLogger(job);
+
+        this.initializeProvingSystem({ ...options, circuit: job.circuit }, step => {
+            job.step = step;
+            logger.info(`Step: ${step}`);
+        }, logger)
+            .then(result => {
+                job.status = 'completed';
+                job.step = 'done';
+                job.result = result;
+            })
+            .catch(error => {
+                console.error('ZK setup job error:', error);
+                job.status = 'failed';
+                job.error = error.message;
+            })
+            .finally(() => {
+                job.completedAt = new Date();
+            });
+
+        return job;
+    }
+
+    /**
+     * Get a setup job by ID
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} - Job or null if not found
+     */
+    static getSetupJob(jobId) {
+        this.evictFinishedSetupJobs();
+        return this.setupJobs.get(jobId) || null;
+    }
+
+    /**
+     * Get the currently running setup job, if any
+     * @returns {Object|null} - Running job or null
+     */
+    static getActiveSetupJob() {
+        this.evictFinishedSetupJobs();
+        return Array.from(this.setupJobs.values()).find(job => job.status === 'running') || null;
+    }
+
+    /**
+     * Get the most recently created setup job
+     * @returns {Object|null} - Latest job or null if none has run
+     */
+    static getLatestSetupJob() {
+        this.evictFinishedSetupJobs();
+        const jobs = Array.from(this.setupJobs.values());
+        return jobs.length > 0 ? jobs[jobs.length - 1] : null;
+    }
+
+    /**
+     * Drop completed and failed setup jobs older than SETUP_JOB_TTL_MS
+     * Running jobs are always kept.
+     */
+    static evictFinishedSetupJobs() {
+        const cutoff = Date.now() - this.SETUP_JOB_TTL_MS;
+        for (const [jobId, job] of this.setupJobs) {
+            if (job.completedAt && job.completedAt.getTime() < cutoff) {
+                this.setupJobs.delete(jobId);
+            }
+        }
+    }
+
+    /**
+     * Create a snarkjs-compatible logger that records messages on a job
+     * @param {Object} job - Setup job
+     * @returns {Object} - Logger with debug/info/warn/error
+     */
+    static createJobLogger(job) {
+        const errors = [];
+        const record = (level) => (message) => {
+            job.log.push({ level, message: String(message), timestamp: new Date() });
+            if (job.log.length > this.SETUP_LOG_LIMIT) {
+                job.log.shift();
+            }
+            if (level === 'error') {
+                errors.push(String(message));
+            }
+        };
+
+        return {
+            errors,
+            debug: () => { },
+            info: record('info'),
+            warn: record('warn'),
+            error: record('error')
+        };
+    }
+
     /**
      * Initialize the proving system (setup phase)
-     * @returns {Object} - Setup result
+     * Runs (or loads) a Powers of Tau ceremony, the Groth16 phase-2 setup for
+     * the compiled circuit and any phase-2 contributions, then exports the
+     * proving and verification keys into KEYS_PATH. Keys are only replaced once
+     * every step has succeeded.
+     * @param {Object} options - Setup options
+     * @param {string} options.circuit - Circuit to set up (see getSetupCircuits, default SETUP_CIRCUIT_NAME)
+     * @param {string} options.ptauFile - Prepared .ptau file name inside KEYS_PATH to use instead of PTAU_PATH
+     * @param {number} options.power - Powers of Tau size (2^power constraints); derived from the circuit if omitted
+     * @param {Array} options.contributions - Phase-2 contributions ({ name, entropy })
+     * @param {Function} onStep - Called with the name of each step as it starts
+     * @param {Object} logger - snarkjs logger (see createJobLogger)
+     * @returns {Object} - Setup result with contribution hashes
      */
-    static async initializeProvingSystem() {
+    static async initializeProvingSystem(options = {}, onStep = () => { }, logger = this.createJobLogger({ log: [] })) {
+        const circuitName = options.circuit || this.SETUP_CIRCUIT_NAME;
+        const circuitPath = path.join(this.getCircuitDirectory(circuitName), `${circuitName}.r1cs`);
+        const zkeyPath = this.getZkeyPath(circuitName);
+        const vkeyPath = this.getKeyFilePath(circuitName, 'verification_key.json');
+        const transcriptPath = this.getKeyFilePath(circuitName, 'setup_transcript.json');
+        const tempFiles = [];
+
+        if (!fs.existsSync(circuitPath)) {
+            throw new Error(`Compiled circuit not found at ${circuitPath}. Run "npm run compile-circuits" (or "npm run build-circuit-variants") first.`);
+        }
+
+        // Ensure directories exist
+        if (!fs.existsSync(this.KEYS_PATH)) {
+            fs.mkdirSync(this.KEYS_PATH, { recursive: true });
+        }
+
         try {
-            // This is a simplified setup for development
-            // In production, you would use a proper ceremony
+            onStep('reading-circuit');
+            const circuit = await snarkjs.r1cs.info(circuitPath, logger);
+            const requiredPower = this.getRequiredPower(circuit);
+            const power = options.power || requiredPower;
+            if (power < requiredPower) {
+                throw new Error(`Circuit needs a Powers of Tau of at least 2^${requiredPower}, got 2^${power}`);
+            }
 
-            const circuitPath = path.join(this.CIRCUIT_PATH, 'certificate_simple.r1cs');
-            const ptauPath = path.join(this.KEYS_PATH, 'powersoftau14_final.ptau');
-            const zkeyPath = path.join(this.KEYS_PATH, 'certificate_simple.zkey');
-            const vkeyPath = path.join(this.KEYS_PATH, 'verification_key.json');
+            // 1. Powers of tau (phase 1)
+            const ptau = await this.preparePowersOfTau(power, options.ptauFile, onStep, logger, tempFiles);
 
-            // Ensure directories exist
-            if (!fs.existsSync(this.KEYS_PATH)) {
-                fs.mkdirSync(this.KEYS_PATH, { recursive: true });
+            // 2. Circuit-specific setup (phase 2)
+            onStep('phase2-setup');
+            let currentZkey = this.tempPath(`${circuitName}_0000.zkey`, tempFiles);
+            const setupResult = await snarkjs.zKey.newZKey(circuitPath, ptau.path, currentZkey, logger);
+            if (setupResult === -1) {
+                throw new Error(`Groth16 setup failed: ${this.lastLoggedError(logger)}`);
             }
 
-            // This would typically involve:
-            // 1. Powers of tau ceremony
-            // 2. Circuit-specific setup
-            // 3. Key generation
+            // 3. Phase-2 contributions
+            const contributions = options.contributions && options.contributions.length > 0
+                ? options.contributions
+                : [{ name: 'Initial contribution' }];
+            const contributionHashes = [];
 
-            console.log('ZK proving system setup initiated...');
+            for (let i = 0; i < contributions.length; i++) {
+                const { name, entropy } = contributions[i];
+                onStep(`contribution ${i + 1}/${contributions.length}`);
 
-            return {
-                message: 'Setup process initiated',
-                circuitPath,
-                keysGenerated: fs.existsSync(zkeyPath)
+                const nextZkey = this.tempPath(`${circuitName}_${String(i + 1).padStart(4, '0')}.zkey`, tempFiles);
+                const hash = await snarkjs.zKey.contribute(
+                    currentZkey,
+                    nextZkey,
+                    name,
+                    entropy || crypto.randomBytes(64).toString('hex'),
+                    logger
+                );
+
+                contributionHashes.push({ name, hash: Buffer.from(hash).toString('hex') });
+                currentZkey = nextZkey;
+            }
+
+            // 4. Export verification key
+            onStep('export-verification-key');
+            const verificationKey = await snarkjs.zKey.exportVerificationKey(currentZkey, logger);
+
+            const result = {
+                circuit: circuitName,
+                constraints: circuit.nConstraints,
+                publicSignals: verificationKey.nPublic,
+                power,
+                ptau: ptau.source,
+                ptauContributionHash: ptau.contributionHash,
+                contributions: contributionHashes,
+                zkeyPath,
+                verificationKeyPath: vkeyPath,
+                completedAt: new Date().toISOString()
             };
 
+            fs.renameSync(currentZkey, zkeyPath);
+            fs.writeFileSync(vkeyPath, JSON.stringify(verificationKey, null, 2));
+            fs.writeFileSync(transcriptPath, JSON.stringify(result, null, 2));
+
+            return result;
+
         } catch (error) {
             throw new Error(`Failed to initialize proving system: ${error.message}`);
+        } finally {
+            for (const file of tempFiles) {
+                fs.rmSync(file, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Resolve or create the prepared Powers of Tau file for the setup
+     * Order: options.ptauFile, PTAU_PATH, a previously generated file in
+     * KEYS_PATH, and finally a new local single-contributor ceremony.
+     * @param {number} power - Required ceremony size
+     * @param {string} ptauFile - Optional file name inside KEYS_PATH
+     * @param {Function} onStep - Step callback
+     * @param {Object} logger - snarkjs logger
+     * @param {Array} tempFiles - Collects intermediate files to remove
+     * @returns {Object} - Path, source and contribution hash of the ptau
+     */
+    static async preparePowersOfTau(power, ptauFile, onStep, logger, tempFiles) {
+        if (ptauFile) {
+            const ptauPath = path.join(this.KEYS_PATH, path.basename(ptauFile));
+            if (!fs.existsSync(ptauPath)) {
+                throw new Error(`Powers of Tau file ${path.basename(ptauFile)} not found in keys directory`);
+            }
+            return { path: ptauPath, source: 'provided', contributionHash: null };
+        }
+
+        if (process.env.PTAU_PATH) {
+            if (!fs.existsSync(process.env.PTAU_PATH)) {
+                throw new Error(`PTAU_PATH ${process.env.PTAU_PATH} does not exist`);
+            }
+            return { path: process.env.PTAU_PATH, source: 'provided', contributionHash: null };
+        }
+
+        const ptauPath = path.join(this.KEYS_PATH, `powersoftau${power}_final.ptau`);
+        if (fs.existsSync(ptauPath)) {
+            return { path: ptauPath, source: 'cached', contributionHash: null };
         }
+
+        onStep('powers-of-tau');
+        const curve = await snarkjs.curves.getCurveFromName('bn128');
+        const initialPtau = this.tempPath(`powersoftau${power}_0000.ptau`, tempFiles);
+        const contributedPtau = this.tempPath(`powersoftau${power}_0001.ptau`, tempFiles);
+        const preparedPtau = this.tempPath(`powersoftau${power}_final.ptau`, tempFiles);
+
+        await snarkjs.powersOfTau.newAccumulator(curve, power, initialPtau, logger);
+        const hash = await snarkjs.powersOfTau.contribute(
+            initialPtau,
+            contributedPtau,
+            'Local contribution',
+            crypto.randomBytes(64).toString('hex'),
+            logger
+        );
+
+        onStep('powers-of-tau-phase2');
+        await snarkjs.powersOfTau.preparePhase2(contributedPtau, preparedPtau, logger);
+
+        // Keep the prepared file so later setups of the same size can reuse it
+        fs.renameSync(preparedPtau, ptauPath);
+
+        return {
+            path: ptauPath,
+            source: 'generated',
+            contributionHash: Buffer.from(hash).toString('hex')
+        };
+    }
+
+    /**
+     * Smallest Powers of Tau size that fits the circuit's Groth16 domain
+     * @param {Object} circuit - r1cs header
+     * @returns {number} - Power of two
+     */
+    static getRequiredPower(circuit) {
+        const domain = circuit.nConstraints + circuit.nPubInputs + circuit.nOutputs;
+        return Math.max(Math.floor(Math.log2(domain)) + 1, this.MIN_PTAU_POWER);
+    }
+
+    /**
+     * Temporary file path in KEYS_PATH, registered for cleanup
+     * @param {string} name - File name
+     * @param {Array} tempFiles - Cleanup list
+     * @returns {string} - Temporary file path
+     */
+    static tempPath(name, tempFiles) {
+        const filePath = path.join(this.KEYS_PATH, `${name}.${process.pid}.tmp`);
+        tempFiles.push(filePath);
+        return filePath;
+    }
+
+    /**
+     * Last error recorded by a job logger (snarkjs reports some failures only through the logger)
+     * @param {Object} logger - Job logger
+     * @returns {string} - Error message
+     */
+    static lastLoggedError(logger) {
+        return logger.errors.length > 0 ? logger.errors[logger.errors.length - 1] : 'see setup log';
     }
 
     /**
      * Prepare inputs for the circuit
+     * Grades and the passing grade are encoded on rawInput.gradeScale (default percentage).
      * @param {Object} rawInput - Raw input data
+     * @param {Object} rawInput.merkleProof - Poseidon inclusion proof ({ root, pathElements, pathIndices })
      * @returns {Object} - Formatted circuit inputs
      */
     static prepareCircuitInputs(rawInput) {
-        // Calculate commitment
-        const commitment = this.calculateCommitment(rawInput);
+        return {
+            ...this.prepareMembershipInputs(rawInput),
+            minPassingGrade: GradeScale.encode(rawInput.minPassingGrade, rawInput.gradeScale),
+            requireAllPassed: rawInput.requireAllPassed ? 1 : 0
+        };
+    }
+
+    /**
+     * Prepare inputs for the weighted-average circuit
+     * @param {Object} rawInput - Raw input data (weights in credits, minAverage on the grade scale)
+     * @returns {Object} - Circuit inputs
+     */
+    static prepareWeightedAverageInputs(rawInput) {
+        return {
+            ...this.prepareMembershipInputs(rawInput),
+            weights: this.encodeWeights(rawInput.weights, rawInput.subjects.length),
+            minAverage: GradeScale.encodeAverage(rawInput.minAverage, rawInput.gradeScale, this.AVERAGE_SCALE)
+        };
+    }
+
+    /**
+     * Inputs shared by every certificate circuit: the committed grades, the Merkle path
+     * and the verification context the nullifier is bound to
+     * @param {Object} rawInput - Raw input data (context defaults to 0, i.e. no challenge)
+     * @returns {Object} - Circuit inputs
+     */
+    static prepareMembershipInputs(rawInput) {
+        const { merkleProof } = rawInput;
+
+        if (merkleProof.pathElements.length !== MerkleService.POSEIDON_TREE_LEVELS ||
+            merkleProof.pathIndices.length !== MerkleService.POSEIDON_TREE_LEVELS) {
+            throw new Error(`Merkle proof must have ${MerkleService.POSEIDON_TREE_LEVELS} levels`);
+        }
 
         return {
             studentId: this.stringToFieldElement(rawInput.studentId),
-            subjects: rawInput.subjects,
+            subjects: rawInput.subjects.map(grade => GradeScale.encode(grade, rawInput.gradeScale)),
             salt: this.stringToFieldElement(rawInput.salt),
-            minPassingGrade: rawInput.minPassingGrade,
-            requireAllPassed: rawInput.requireAllPassed ? 1 : 0
+            pathElements: merkleProof.pathElements.map(element => Poseidon.toFieldElement(element).toString()),
+            pathIndices: merkleProof.pathIndices.map(Number),
+            merkleRoot: Poseidon.toFieldElement(merkleProof.root).toString(),
+            context: Poseidon.toFieldElement(rawInput.context || 0).toString()
         };
     }
 
+    /**
+     * Encode subject credits as the circuit's fixed-point weights
+     * @param {Array<number>} weights - Credits per subject, in subject order
+     * @param {number} subjectCount - Number of subjects
+     * @returns {Array<number>} - Weights times WEIGHT_SCALE
+     */
+    static encodeWeights(weights, subjectCount) {
+        if (!Array.isArray(weights) || weights.length !== subjectCount) {
+            throw this.weightedAverageError('INVALID_WEIGHT', `Expected ${subjectCount} weights, one per subject`);
+        }
+
+        const maxWeight = (2 ** this.WEIGHT_BITS - 1) / this.WEIGHT_SCALE;
+        const encoded = weights.map((weight, index) => {
+            const value = Number(weight);
+            const scaled = Math.round(value * this.WEIGHT_SCALE);
+            if (!Number.isFinite(value) || value < 0 || value > maxWeight ||
+                Math.abs(scaled - value * this.WEIGHT_SCALE) > 1e-6) {
+                throw this.weightedAverageError(
+                    'INVALID_WEIGHT',
+                    `Invalid weight "${weight}" for subject ${index + 1}: expected 0 to ${maxWeight} with at most ${Math.log10(this.WEIGHT_SCALE)} decimal places`
+                );
+            }
+            return scaled;
+        });
+
+        if (encoded.every(weight => weight === 0)) {
+            throw this.weightedAverageError('INVALID_WEIGHT', 'At least one subject must have a non-zero weight');
+        }
+
+        return encoded;
+    }
+
+    /**
+     * Check the weighted-average circuit's constraint on prepared inputs
+     * @param {Object} circuitInputs - Result of prepareWeightedAverageInputs
+     * @returns {boolean} - True if AVERAGE_SCALE * sum(weight * grade) >= minAverage * sum(weight)
+     */
+    static meetsWeightedAverage(circuitInputs) {
+        const { subjects, weights, minAverage } = circuitInputs;
+        const weightedSum = subjects.reduce((sum, grade, i) => sum + BigInt(grade) * BigInt(weights[i]), 0n);
+        const totalWeight = weights.reduce((sum, weight) => sum + BigInt(weight), 0n);
+        return BigInt(this.AVERAGE_SCALE) * weightedSum >= BigInt(minAverage) * totalWeight;
+    }
+
     /**
      * Calculate commitment from input data
+     * Same as the circuit's SubjectCommitment over the field-encoded inputs from
+     * prepareCircuitInputs: Poseidon(studentId, salt, subjects...), with more than
+     * 14 subjects first hashed in chunks of 16.
      * @param {Object} input - Input data
-     * @returns {string} - Commitment hash
+     * @returns {string} - Commitment hash (32-byte hex, the Merkle leaf format)
+     */
+    static async calculateCommitment(input) {
+        const grades = input.subjects.map(grade => GradeScale.encode(grade, input.gradeScale));
+
+        let subjectInputs = grades;
+        if (grades.length + 2 > 16) {
+            subjectInputs = [];
+            for (let start = 0; start < grades.length; start += 16) {
+                subjectInputs.push(await Poseidon.hash(grades.slice(start, start + 16)));
+            }
+        }
+
+        const commitment = await Poseidon.hash([
+            this.stringToFieldElement(input.studentId),
+            this.stringToFieldElement(input.salt),
+            ...subjectInputs
+        ]);
+
+        return Poseidon.toHex(commitment).slice(2);
+    }
+
+    /**
+     * Generate a selective disclosure proof
+     * Proves that the certificate is in the batch's disclosure tree and that every predicate
+     * holds, without revealing the fields no predicate names.
+     * @param {Object} input - Input data
+     * @param {Object} input.record - Certificate fields keyed by DISCLOSURE_FIELDS names
+     * @param {string} input.salt - Salt the certificate was committed with
+     * @param {Object} input.merkleProof - Poseidon inclusion proof in the disclosure tree ({ root, pathElements, pathIndices })
+     * @param {Array<Object>} input.predicates - Predicates to prove (see encodeDisclosurePredicates)
+     * @param {string} input.context - Verification context the nullifier is bound to (defaults to 0, i.e. no challenge)
+     * @param {string} input.commitment - Optional stored disclosure commitment (hex) the record must hash to
+     * @returns {Object} - Generated proof, public signals, their decoded values and the commitment
+     */
+    static async generateDisclosureProof(input) {
+        try {
+            const { merkleProof } = input;
+
+            if (merkleProof.pathElements.length !== MerkleService.POSEIDON_TREE_LEVELS ||
+                merkleProof.pathIndices.length !== MerkleService.POSEIDON_TREE_LEVELS) {
+                throw new Error(`Merkle proof must have ${MerkleService.POSEIDON_TREE_LEVELS} levels`);
+            }
+
+            const fields = this.encodeDisclosureRecord(input.record);
+            const predicates = this.encodeDisclosurePredicates(input.predicates);
+            const commitment = await this.calculateDisclosureCommitment(input.record, input.salt);
+
+            const storedCommitment = input.commitment
+                ? BigInt('0x' + input.commitment.replace(/^0x/, ''))
+                : merkleProof.leaf !== undefined ? Poseidon.toFieldElement(merkleProof.leaf) : null;
+
+            if (storedCommitment !== null && storedCommitment !== BigInt('0x' + commitment)) {
+                throw this.commitmentMismatch(
+                    `Commitment mismatch: record hashes to 0x${commitment}, stored commitment is ${Poseidon.toHex(storedCommitment)}`
+                );
+            }
+
+            // A false claim would only surface as a witness failure, so report it by field
+            const unsatisfied = this.findUnsatisfiedPredicates(fields, predicates);
+            if (unsatisfied.length > 0) {
+                throw this.disclosureError(
+                    'PREDICATE_NOT_SATISFIED',
+                    `Certificate does not satisfy the predicates on: ${unsatisfied.join(', ')}`
+                );
+            }
+
+            const wasmPath = this.getWasmPath(this.DISCLOSURE_CIRCUIT_NAME);
+            const zkeyPath = this.getZkeyPath(this.DISCLOSURE_CIRCUIT_NAME);
+
+            if (!fs.existsSync(wasmPath)) {
+                throw new Error('Disclosure circuit WASM file not found. Please compile the circuits first.');
+            }
+
+            if (!fs.existsSync(zkeyPath)) {
+                throw new Error(`Disclosure proving key not found. Please run the setup for ${this.DISCLOSURE_CIRCUIT_NAME} first.`);
+            }
+
+            const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+                {
+                    fields,
+                    salt: this.stringToFieldElement(input.salt),
+                    pathElements: merkleProof.pathElements.map(element => Poseidon.toFieldElement(element).toString()),
+                    pathIndices: merkleProof.pathIndices.map(Number),
+                    merkleRoot: Poseidon.toFieldElement(merkleProof.root).toString(),
+                    context: Poseidon.toFieldElement(input.context || 0).toString(),
+                    ...predicates
+                },
+                wasmPath,
+                zkeyPath
+            );
+
+            const signals = this.decodeDisclosureSignals(publicSignals);
+
+            if (BigInt(signals.commitment) !== BigInt('0x' + commitment)) {
+                throw this.commitmentMismatch(
+                    `Commitment mismatch: witness commitment ${Poseidon.toHex(signals.commitment)} differs from 0x${commitment}`
+                );
+            }
+
+            return {
+                proof: this.formatProofForSolidity(proof),
+                publicSignals,
+                signals,
+                commitment
+            };
+
+        } catch (error) {
+            console.error('Disclosure proof generation error:', error);
+            const wrapped = new Error(`Failed to generate disclosure proof: ${error.message}`);
+            wrapped.code = error.code;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Verify a selective disclosure proof
+     * @param {Object} proof - Proof as returned by generateDisclosureProof
+     * @param {Array} publicSignals - Public signals
+     * @returns {boolean} - True if proof is valid
+     */
+    static async verifyDisclosureProof(proof, publicSignals) {
+        return this.verifyProof(proof, publicSignals, this.DISCLOSURE_CIRCUIT_NAME);
+    }
+
+    /**
+     * Encode predicates as the circuit's public predicate inputs
+     * Each field takes at most one predicate:
+     *   { field, type: 'eq', value }
+     *   { field, type: 'range', min, max } - either bound may be omitted; not for text fields
+     *   { field, type: 'in', values }      - up to DISCLOSURE_SET_SIZE values
+     * @param {Array<Object>} predicates - Predicates to encode
+     * @returns {Object} - predicateTypes, equalTo, rangeMin, rangeMax and setMembers as decimal strings
+     */
+    static encodeDisclosurePredicates(predicates = []) {
+        const fieldCount = this.DISCLOSURE_FIELDS.length;
+        const encoded = {
+            predicateTypes: Array(fieldCount).fill('0'),
+            equalTo: Array(fieldCount).fill('0'),
+            rangeMin: Array(fieldCount).fill('0'),
+            rangeMax: Array(fieldCount).fill('0'),
+            setMembers: Array.from({ length: fieldCount }, () => Array(this.DISCLOSURE_SET_SIZE).fill('0'))
+        };
+
+        for (const predicate of predicates) {
+            const index = this.DISCLOSURE_FIELDS.findIndex(field => field.name === predicate.field);
+            if (index === -1) {
+                throw this.disclosureError('INVALID_PREDICATE', `Unknown disclosure field: ${predicate.field}`);
+            }
+
+            const typeIndex = this.DISCLOSURE_PREDICATE_TYPES.indexOf(predicate.type);
+            if (typeIndex < 1) {
+                throw this.disclosureError('INVALID_PREDICATE', `Unsupported predicate type: ${predicate.type}`);
+            }
+
+            if (encoded.predicateTypes[index] !== '0') {
+                throw this.disclosureError('INVALID_PREDICATE', `Only one predicate per field is supported (${predicate.field})`);
+            }
+            encoded.predicateTypes[index] = String(typeIndex);
+
+            if (predicate.type === 'eq') {
+                encoded.equalTo[index] = this.encodeDisclosureValue(predicate.field, predicate.value).toString();
+
+            } else if (predicate.type === 'range') {
+                if (predicate.min == null && predicate.max == null) {
+                    throw this.disclosureError('INVALID_PREDICATE', `Range predicate on ${predicate.field} needs a min or a max`);
+                }
+
+                const min = predicate.min == null ? 0n : this.encodeRangeBound(predicate.field, predicate.min);
+                const max = predicate.max == null
+                    ? (1n << BigInt(this.DISCLOSURE_RANGE_BITS)) - 1n
+                    : this.encodeRangeBound(predicate.field, predicate.max);
+
+                if (min > max) {
+                    throw this.disclosureError('INVALID_PREDICATE', `Range predicate on ${predicate.field} has min greater than max`);
+                }
+
+                encoded.rangeMin[index] = min.toString();
+                encoded.rangeMax[index] = max.toString();
+
+            } else {
+                const values = predicate.values || [];
+                if (values.length === 0 || values.length > this.DISCLOSURE_SET_SIZE) {
+                    throw this.disclosureError(
+                        'INVALID_PREDICATE',
+                        `Set predicate on ${predicate.field} needs 1 to ${this.DISCLOSURE_SET_SIZE} values`
+                    );
+                }
+
+                // Unused slots repeat the first member, which leaves the set unchanged
+                const members = values.map(member => this.encodeDisclosureValue(predicate.field, member).toString());
+                encoded.setMembers[index] = Array.from(
+                    { length: this.DISCLOSURE_SET_SIZE },
+                    (_, slot) => members[slot] || members[0]
+                );
+            }
+        }
+
+        return encoded;
+    }
+
+    /**
+     * Fields whose encoded value fails its predicate
+     * @param {Array<string>} fields - Encoded record (see encodeDisclosureRecord)
+     * @param {Object} predicates - Encoded predicates (see encodeDisclosurePredicates)
+     * @returns {Array<string>} - Names of the unsatisfied fields
      */
-    static calculateCommitment(input) {
-        const commitmentData = [
-            input.studentId,
-            input.salt,
-            ...input.subjects
-        ].join('|');
+    static findUnsatisfiedPredicates(fields, predicates) {
+        const rangeLimit = 1n << BigInt(this.DISCLOSURE_RANGE_BITS);
 
-        return crypto.createHash('sha256').update(commitmentData).digest('hex');
+        return this.DISCLOSURE_FIELDS.filter((field, index) => {
+            const value = BigInt(fields[index]);
+            switch (this.DISCLOSURE_PREDICATE_TYPES[Number(predicates.predicateTypes[index])]) {
+                case 'eq':
+                    return value !== BigInt(predicates.equalTo[index]);
+                case 'range':
+                    return value >= rangeLimit ||
+                        value < BigInt(predicates.rangeMin[index]) ||
+                        value > BigInt(predicates.rangeMax[index]);
+                case 'in':
+                    return !predicates.setMembers[index].some(member => BigInt(member) === value);
+                default:
+                    return false;
+            }
+        }).map(field => field.name);
+    }
+
+    /**
+     * Map the disclosure circuit's public signals to the proven statement
+     * Layout: commitment, nullifier, merkleRoot, context, predicateTypes, equalTo, rangeMin, rangeMax, setMembers
+     * @param {Array<string>} publicSignals - Public signals in circuit order
+     * @returns {Object} - Commitment, nullifier, disclosure root, context and the (encoded) predicates on each non-hidden field
+     */
+    static decodeDisclosureSignals(publicSignals) {
+        const fieldCount = this.DISCLOSURE_FIELDS.length;
+        const expected = 4 + fieldCount * (4 + this.DISCLOSURE_SET_SIZE);
+        if (publicSignals.length !== expected) {
+            throw new Error(`Expected ${expected} public signals, got ${publicSignals.length}`);
+        }
+
+        const signals = publicSignals.map(signal => signal.toString());
+        const section = (number) => signals.slice(4 + number * fieldCount, 4 + (number + 1) * fieldCount);
+        const [predicateTypes, equalTo, rangeMin, rangeMax] = [0, 1, 2, 3].map(section);
+        const setStart = 4 + 4 * fieldCount;
+
+        const predicates = [];
+        this.DISCLOSURE_FIELDS.forEach((field, index) => {
+            const type = this.DISCLOSURE_PREDICATE_TYPES[Number(predicateTypes[index])];
+            if (type === 'eq') {
+                predicates.push({ field: field.name, type, value: equalTo[index] });
+            } else if (type === 'range') {
+                predicates.push({ field: field.name, type, min: rangeMin[index], max: rangeMax[index] });
+            } else if (type === 'in') {
+                const start = setStart + index * this.DISCLOSURE_SET_SIZE;
+                const values = [...new Set(signals.slice(start, start + this.DISCLOSURE_SET_SIZE))];
+                predicates.push({ field: field.name, type, values });
+            }
+        });
+
+        return {
+            commitment: signals[0],
+            nullifier: signals[1],
+            merkleRoot: signals[2],
+            context: signals[3],
+            predicates
+        };
+    }
+
+    /**
+     * Check that a proof's public signals state exactly the predicates a verifier asked for
+     * @param {Array<string>} publicSignals - Disclosure proof public signals
+     * @param {Array<Object>} predicates - Expected predicates (plain values, as for generateDisclosureProof)
+     * @returns {boolean} - True if the proven predicates are the expected ones
+     */
+    static matchesDisclosurePredicates(publicSignals, predicates) {
+        const proven = this.decodeDisclosureSignals(publicSignals).predicates;
+        const encoded = this.encodeDisclosurePredicates(predicates);
+        const expected = this.decodeDisclosureSignals([
+            '0',
+            '0',
+            '0',
+            '0',
+            ...encoded.predicateTypes,
+            ...encoded.equalTo,
+            ...encoded.rangeMin,
+            ...encoded.rangeMax,
+            ...encoded.setMembers.flat()
+        ]).predicates;
+
+        const canonical = list => JSON.stringify(list.map(predicate =>
+            predicate.values ? { ...predicate, values: [...predicate.values].sort() } : predicate
+        ));
+        return canonical(proven) === canonical(expected);
+    }
+
+    /**
+     * The disclosure fields of a processed certificate row
+     * Rows without a student_id column fall back to their row ID, as the certificate commitment does.
+     * @param {Object} row - Processed certificate row
+     * @returns {Object} - Plain field values keyed by DISCLOSURE_FIELDS names (null when missing)
+     */
+    static toDisclosureRecord(row) {
+        return Object.fromEntries(this.DISCLOSURE_FIELDS.map(field => {
+            const value = field.name === 'student_id' ? row.student_id || row.id : row[field.name];
+            return [field.name, value === undefined || value === '' ? null : value];
+        }));
+    }
+
+    /**
+     * Encode a certificate record as the disclosure circuit's field inputs
+     * @param {Object} record - Certificate fields keyed by DISCLOSURE_FIELDS names
+     * @returns {Array<string>} - Field elements in circuit order
+     */
+    static encodeDisclosureRecord(record) {
+        return this.DISCLOSURE_FIELDS.map(field => this.encodeDisclosureValue(field.name, record[field.name]).toString());
+    }
+
+    /**
+     * Encode one field value according to its DISCLOSURE_FIELDS encoding
+     * Missing values encode as 0.
+     * @param {string} fieldName - Disclosure field name
+     * @param {string|number} value - Field value
+     * @returns {BigInt} - Field element
+     */
+    static encodeDisclosureValue(fieldName, value) {
+        const field = this.DISCLOSURE_FIELDS.find(candidate => candidate.name === fieldName);
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return 0n;
+        }
+
+        const text = String(value).trim();
+        const hashText = () => BigInt(this.stringToFieldElement(text.toLowerCase().replace(/\s+/g, ' ')));
+
+        switch (field.encoding) {
+            case 'date': {
+                const date = new Date(text);
+                if (isNaN(date.getTime())) {
+                    throw this.disclosureError('INVALID_DISCLOSURE_VALUE', `${fieldName} is not a valid date: ${text}`);
+                }
+                return BigInt(date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate());
+            }
+            case 'decimal': {
+                const number = Number(text.replace(/%$/, ''));
+                return Number.isFinite(number) && number >= 0
+                    ? BigInt(Math.round(number * this.DISCLOSURE_DECIMAL_SCALE))
+                    : hashText();
+            }
+            default:
+                return hashText();
+        }
+    }
+
+    /**
+     * Encode a range bound, which must be a number or date within DISCLOSURE_RANGE_BITS
+     * @param {string} fieldName - Disclosure field name
+     * @param {string|number} bound - Bound value
+     * @returns {BigInt} - Encoded bound
+     */
+    static encodeRangeBound(fieldName, bound) {
+        const field = this.DISCLOSURE_FIELDS.find(candidate => candidate.name === fieldName);
+        const encoded = field.encoding === 'text' ? null : this.encodeDisclosureValue(fieldName, bound);
+
+        if (encoded === null || encoded >= 1n << BigInt(this.DISCLOSURE_RANGE_BITS)) {
+            throw this.disclosureError('INVALID_PREDICATE', `Range predicates on ${fieldName} need numeric or date bounds`);
+        }
+        return encoded;
+    }
+
+    /**
+     * Calculate the selective disclosure commitment of a certificate
+     * Same as the disclosure circuit's commitment output: Poseidon(salt, fields...).
+     * @param {Object} record - Certificate fields keyed by DISCLOSURE_FIELDS names
+     * @param {string} salt - Random salt
+     * @returns {string} - Commitment hash (32-byte hex, the Merkle leaf format)
+     */
+    static async calculateDisclosureCommitment(record, salt) {
+        const commitment = await Poseidon.hash([
+            this.stringToFieldElement(salt),
+            ...this.encodeDisclosureRecord(record)
+        ]);
+
+        return Poseidon.toHex(commitment).slice(2);
+    }
+
+    /**
+     * Create an error for a commitment that does not match the expected value
+     * @param {string} message - Error message
+     * @returns {Error} - Error with code COMMITMENT_MISMATCH
+     */
+    static commitmentMismatch(message) {
+        const error = new Error(message);
+        error.code = 'COMMITMENT_MISMATCH';
+        return error;
+    }
+
+    /**
+     * Create a weighted-average proof error
+     * @param {string} code - INVALID_WEIGHT or AVERAGE_BELOW_MINIMUM
+     * @param {string} message - Error message
+     * @returns {Error} - Error with the given code
+     */
+    static weightedAverageError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Create a selective disclosure error
+     * @param {string} code - INVALID_PREDICATE, INVALID_DISCLOSURE_VALUE or PREDICATE_NOT_SATISFIED
+     * @param {string} message - Error message
+     * @returns {Error} - Error with the given code
+     */
+    static disclosureError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     }
 
     /**
@@ -197,9 +1341,9 @@ class ZKProofService {
      * @returns {Object} - Circuit information
      */
     static getCircuitInfo() {
-        const circuitPath = path.join(this.CIRCUIT_PATH, 'certificate_simple.circom');
-        const wasmPath = path.join(this.CIRCUIT_PATH, 'certificate_simple.wasm');
-        const zkeyPath = path.join(this.KEYS_PATH, 'certificate_simple.zkey');
+        const circuitPath = path.join(this.CIRCUIT_PATH, `${this.CIRCUIT_NAME}.circom`);
+        const wasmPath = this.getWasmPath();
+        const zkeyPath = this.getZkeyPath();
 
         return {
             circuitExists: fs.existsSync(circuitPath),
@@ -207,16 +1351,87 @@ class ZKProofService {
             zkeyExists: fs.existsSync(zkeyPath),
             circuitPath,
             description: 'Certificate verification circuit with 5 subjects',
-            constraints: 'Validates academic achievements without revealing grades'
+            constraints: 'Validates academic achievements without revealing grades',
+            merkleTreeLevels: MerkleService.POSEIDON_TREE_LEVELS,
+            publicSignals: this.PUBLIC_SIGNALS,
+            gradeScales: GradeScale.list(),
+            variants: this.getCircuitVariants().map(({ directory, ...variant }) => ({
+                ...variant,
+                onChainVerifiable: this.isOnChainVerifiable(variant.name),
+                wasmExists: fs.existsSync(this.getWasmPath(variant.name)),
+                zkeyExists: fs.existsSync(this.getZkeyPath(variant.name)),
+                weightedWasmExists: fs.existsSync(this.getWasmPath(variant.weightedCircuit)),
+                weightedZkeyExists: fs.existsSync(this.getZkeyPath(variant.weightedCircuit))
+            })),
+            weightedAverage: {
+                description: 'Credit-weighted average grade of at least a public minimum',
+                proofTypes: this.PROOF_TYPES,
+                publicSignals: this.WEIGHTED_PUBLIC_SIGNALS,
+                weightScale: this.WEIGHT_SCALE,
+                weightBits: this.WEIGHT_BITS,
+                averageScale: this.AVERAGE_SCALE
+            },
+            disclosure: {
+                circuit: this.DISCLOSURE_CIRCUIT_NAME,
+                wasmExists: fs.existsSync(this.getWasmPath(this.DISCLOSURE_CIRCUIT_NAME)),
+                zkeyExists: fs.existsSync(this.getZkeyPath(this.DISCLOSURE_CIRCUIT_NAME)),
+                description: 'Selective disclosure of certificate fields',
+                fields: this.DISCLOSURE_FIELDS,
+                predicateTypes: this.DISCLOSURE_PREDICATE_TYPES,
+                maxSetSize: this.DISCLOSURE_SET_SIZE,
+                rangeBits: this.DISCLOSURE_RANGE_BITS,
+                decimalScale: this.DISCLOSURE_DECIMAL_SCALE
+            }
         };
     }
 
+    /**
+     * Path of the witness generator produced by "circom --wasm"
+     * @param {string} circuitName - Circuit name
+     * @returns {string} - WASM file path
+     */
+    static getWasmPath(circuitName = this.CIRCUIT_NAME) {
+        return path.join(this.getCircuitDirectory(circuitName), `${circuitName}_js`, `${circuitName}.wasm`);
+    }
+
+    /**
+     * Directory holding a circuit's build outputs (variants are built into VARIANTS_PATH)
+     * @param {string} circuitName - Circuit name
+     * @returns {string} - Directory path
+     */
+    static getCircuitDirectory(circuitName) {
+        const variant = this.getCircuitVariant(circuitName) || this.getWeightedAverageVariant(circuitName);
+        return variant ? variant.directory : this.CIRCUIT_PATH;
+    }
+
+    /**
+     * Path of a circuit's proving key
+     * @param {string} circuitName - Circuit name
+     * @returns {string} - zkey file path
+     */
+    static getZkeyPath(circuitName = this.CIRCUIT_NAME) {
+        return path.join(this.KEYS_PATH, `${circuitName}.zkey`);
+    }
+
+    /**
+     * Path of a per-circuit key file in KEYS_PATH
+     * The main circuit keeps the unprefixed names (verification_key.json, setup_transcript.json).
+     * @param {string} circuitName - Circuit name
+     * @param {string} fileName - Base file name
+     * @returns {string} - File path
+     */
+    static getKeyFilePath(circuitName, fileName) {
+        const prefix = circuitName === this.CIRCUIT_NAME ? '' : `${circuitName}_`;
+        return path.join(this.KEYS_PATH, prefix + fileName);
+    }
+
     /**
      * Get verification key for deployment
+     * @param {string} circuitName - Circuit name
      * @returns {Object} - Verification key
      */
-    static getVerificationKey() {
-        const verificationKeyPath = path.join(this.KEYS_PATH, 'verification_key.json');
+    static getVerificationKey(circuitName = this.CIRCUIT_NAME) {
+        const verificationKeyPath = this.getKeyFilePath(circuitName, 'verification_key.json');
 
         if (!fs.existsSync(verificationKeyPath)) {
             throw new Error('Verification key not found. Please setup the proving system first.');
@@ -244,20 +1459,6 @@ class ZKProofService {
             return false;
         }
     }
-
-    /**
-     * Calculate public signal hash for verification
-     * @param {Object} publicInputs - Public inputs
-     * @returns {string} - Public signal hash
-     */
-    static calculatePublicSignal(publicInputs) {
-        const signalData = [
-            publicInputs.minPassingGrade,
-            publicInputs.requireAllPassed ? 1 : 0
-        ].join('|');
-
-        return crypto.createHash('sha256').update(signalData).digest('hex');
-    }
 }
 
 module.exports = ZKProofService;
\ No newline at end of file
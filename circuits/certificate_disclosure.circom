@@ -0,0 +1,145 @@
+pragma circom 2.0.0;
+
+include "certificate_templates.circom";
+
+/**
+ * Selective Disclosure Circuit
+ * Proves that a certificate committed as Poseidon(salt, fields...) is in the
+ * batch's disclosure Merkle tree and that chosen fields satisfy public predicates,
+ * while every other field stays hidden. Field order and encodings are defined by
+ * ZKProofService.DISCLOSURE_FIELDS; the last field is the student ID.
+ * As in CertificateVerification, the nullifier binds the proof to the verifier's
+ * context, so a verifier accepts each certificate once per challenge.
+ */
+template SelectiveDisclosure(nLevels, nFields, nSetSize, nRangeBits) {
+    // Private inputs (kept secret)
+    signal input fields[nFields];                   // Field-encoded certificate fields
+    signal input salt;                              // Random salt for commitment
+    signal input pathElements[nLevels];             // Merkle proof siblings
+    signal input pathIndices[nLevels];              // Path indices (0 or 1)
+
+    // Public inputs: the batch's disclosure root, the verifier's context and one predicate per field
+    signal input merkleRoot;
+    signal input context;
+    signal input predicateTypes[nFields];           // 0 hidden, 1 equality, 2 range, 3 set membership
+    signal input equalTo[nFields];
+    signal input rangeMin[nFields];
+    signal input rangeMax[nFields];
+    signal input setMembers[nFields][nSetSize];
+
+    // Outputs
+    signal output commitment;                       // Poseidon(salt, fields...)
+    signal output nullifier;                        // See CertificateNullifier
+
+    // Certificate commitment (the Merkle leaf)
+    component fieldHash = Poseidon(nFields + 1);
+    fieldHash.inputs[0] <== salt;
+    for (var i = 0; i < nFields; i++) {
+        fieldHash.inputs[i + 1] <== fields[i];
+    }
+
+    // Membership is mandatory: a proof against any other root cannot be generated
+    component merkleVerifier = MerkleTreeInclusionProof(nLevels);
+    merkleVerifier.leaf <== fieldHash.out;
+    for (var i = 0; i < nLevels; i++) {
+        merkleVerifier.pathElements[i] <== pathElements[i];
+        merkleVerifier.pathIndices[i] <== pathIndices[i];
+    }
+    merkleVerifier.root === merkleRoot;
+
+    component predicates[nFields];
+    for (var i = 0; i < nFields; i++) {
+        predicates[i] = FieldPredicate(nSetSize, nRangeBits);
+        predicates[i].value <== fields[i];
+        predicates[i].predicateType <== predicateTypes[i];
+        predicates[i].equalTo <== equalTo[i];
+        predicates[i].rangeMin <== rangeMin[i];
+        predicates[i].rangeMax <== rangeMax[i];
+        for (var j = 0; j < nSetSize; j++) {
+            predicates[i].setMembers[j] <== setMembers[i][j];
+        }
+    }
+
+    component nullifierHash = CertificateNullifier();
+    nullifierHash.studentId <== fields[nFields - 1];
+    nullifierHash.salt <== salt;
+    nullifierHash.context <== context;
+
+    commitment <== fieldHash.out;
+    nullifier <== nullifierHash.out;
+}
+
+/**
+ * Constrains one field according to its predicate type
+ * 0 - hidden: no constraint
+ * 1 - equality: value == equalTo
+ * 2 - range: rangeMin <= value <= rangeMax, all within nRangeBits
+ * 3 - set membership: value is one of setMembers (unused slots repeat a member)
+ */
+template FieldPredicate(nSetSize, nRangeBits) {
+    signal input value;
+    signal input predicateType;
+    signal input equalTo;
+    signal input rangeMin;
+    signal input rangeMax;
+    signal input setMembers[nSetSize];
+
+    // Exactly one predicate type applies
+    component isHidden = IsZero();
+    component isEquality = IsEqual();
+    component isRange = IsEqual();
+    component isSet = IsEqual();
+
+    isHidden.in <== predicateType;
+    isEquality.in[0] <== predicateType;
+    isEquality.in[1] <== 1;
+    isRange.in[0] <== predicateType;
+    isRange.in[1] <== 2;
+    isSet.in[0] <== predicateType;
+    isSet.in[1] <== 3;
+    isHidden.out + isEquality.out + isRange.out + isSet.out === 1;
+
+    // Equality
+    isEquality.out * (value - equalTo) === 0;
+
+    // Range: only compared when selected, so hidden text fields (hashes) need not fit in nRangeBits
+    signal rangeValue;
+    signal rangeLow;
+    signal rangeHigh;
+    rangeValue <== isRange.out * value;
+    rangeLow <== isRange.out * rangeMin;
+    rangeHigh <== isRange.out * rangeMax;
+
+    // The comparators are only sound for inputs within nRangeBits
+    component valueBits = Num2Bits(nRangeBits);
+    component lowBits = Num2Bits(nRangeBits);
+    component highBits = Num2Bits(nRangeBits);
+    valueBits.in <== rangeValue;
+    lowBits.in <== rangeLow;
+    highBits.in <== rangeHigh;
+
+    component aboveMin = GreaterEqThan(nRangeBits);
+    aboveMin.in[0] <== rangeValue;
+    aboveMin.in[1] <== rangeLow;
+    aboveMin.out === 1;
+
+    component belowMax = LessEqThan(nRangeBits);
+    belowMax.in[0] <== rangeValue;
+    belowMax.in[1] <== rangeHigh;
+    belowMax.out === 1;
+
+    // Set membership: the product of differences is zero iff value is a member
+    signal differences[nSetSize + 1];
+    differences[0] <== 1;
+    for (var j = 0; j < nSetSize; j++) {
+        differences[j + 1] <== differences[j] * (value - setMembers[j]);
+    }
+    isSet.out * differences[nSetSize] === 0;
+}
+
+/**
+ * Main component instantiation
+ * Configuration: 20 levels for Merkle tree (MerkleService.POSEIDON_TREE_LEVELS),
+ * 7 fields, sets of up to 8 values, 64-bit ranges (ZKProofService.DISCLOSURE_*)
+ */
+component main {public [merkleRoot, context, predicateTypes, equalTo, rangeMin, rangeMax, setMembers]} = SelectiveDisclosure(20, 7, 8, 64);
@@ -0,0 +1,78 @@
+pragma circom 2.0.0;
+
+include "certificate_templates.circom";
+include "circomlib/circuits/smt/smtverifier.circom";
+
+/**
+ * Certificate Verification Circuit with revocation check
+ * Proves everything CertificateVerification proves, and additionally that the
+ * certificate commitment is NOT in the batch's sparse Merkle tree of revoked
+ * commitments, without revealing which certificate is being checked: unlike
+ * CertificateVerification, the commitment stays private, so the verifier only
+ * learns the context-bound nullifier.
+ */
+template NonRevokedCertificateVerification(nLevels, nRevocationLevels, nSubjects, maxGrade, nGradeBits) {
+    // Private inputs (kept secret)
+    signal input studentId;
+    signal input subjects[nSubjects];
+    signal input salt;
+    signal input pathElements[nLevels];
+    signal input pathIndices[nLevels];
+
+    // Non-membership witness for the revocation tree (private)
+    signal input revocationSiblings[nRevocationLevels];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    // Public inputs
+    signal input merkleRoot;                        // Batch Merkle root from blockchain
+    signal input revocationRoot;                    // Revocation tree root from blockchain
+    signal input minPassingGrade;
+    signal input requireAllPassed;
+    signal input context;                           // Verifier-chosen context (challenge)
+
+    // Outputs (the commitment is deliberately not one of them)
+    signal output isValid;
+    signal output nullifier;
+
+    // Batch membership and academic criteria
+    component certificate = CertificateVerification(nLevels, nSubjects, maxGrade, nGradeBits);
+    certificate.studentId <== studentId;
+    certificate.salt <== salt;
+    for (var i = 0; i < nSubjects; i++) {
+        certificate.subjects[i] <== subjects[i];
+    }
+    for (var i = 0; i < nLevels; i++) {
+        certificate.pathElements[i] <== pathElements[i];
+        certificate.pathIndices[i] <== pathIndices[i];
+    }
+    certificate.merkleRoot <== merkleRoot;
+    certificate.minPassingGrade <== minPassingGrade;
+    certificate.requireAllPassed <== requireAllPassed;
+    certificate.context <== context;
+
+    // The commitment must not be a key of the revocation tree
+    component notRevoked = SMTVerifier(nRevocationLevels);
+    notRevoked.enabled <== 1;
+    notRevoked.fnc <== 1;
+    notRevoked.root <== revocationRoot;
+    for (var i = 0; i < nRevocationLevels; i++) {
+        notRevoked.siblings[i] <== revocationSiblings[i];
+    }
+    notRevoked.oldKey <== revocationOldKey;
+    notRevoked.oldValue <== revocationOldValue;
+    notRevoked.isOld0 <== revocationIsOld0;
+    notRevoked.key <== certificate.commitment;
+    notRevoked.value <== 0;
+
+    isValid <== certificate.isValid;
+    nullifier <== certificate.nullifier;
+}
+
+/**
+ * Main component instantiation
+ * Configuration: 20 levels for the batch tree (MerkleService.POSEIDON_TREE_LEVELS),
+ * 24 levels for the revocation tree (MerkleService.REVOCATION_TREE_LEVELS), 5 subjects graded 0-100
+ */
+component main {public [merkleRoot, revocationRoot, minPassingGrade, requireAllPassed, context]} = NonRevokedCertificateVerification(20, 24, 5, 100, 8);
@@ -1,19 +1,17 @@
 pragma circom 2.0.0;
 
-include "circomlib/circuits/comparators.circom";
-include "circomlib/circuits/poseidon.circom";
-include "circomlib/circuits/gates.circom";
-include "circomlib/circuits/merkletree.circom";
+include "certificate_templates.circom";
 
 /**
  * Simple Certificate Verification Circuit
  * Proves academic achievements without revealing actual grades
+ * Grades are encoded integers from 0 to maxGrade (see GradeScale)
  */
-template CertificateVerifier(nSubjects) {
+template CertificateVerifier(nSubjects, maxGrade, nGradeBits) {
     // Private inputs
-    signal private input studentId;
-    signal private input subjects[nSubjects];    // Subject grades (0-100)
-    signal private input salt;                   // Random salt
+    signal input studentId;
+    signal input subjects[nSubjects];    // Encoded subject grades (0-maxGrade)
+    signal input salt;                   // Random salt
     
     // Public inputs
     signal input minPassingGrade;               // Minimum grade required
@@ -24,47 +22,38 @@ template CertificateVerifier(nSubjects) {
     signal output commitment;
     
     // Generate commitment hash
-    component hasher = Poseidon(nSubjects + 2);
-    hasher.inputs[0] <== studentId;
-    hasher.inputs[1] <== salt;
+    component hasher = SubjectCommitment(nSubjects);
+    hasher.studentId <== studentId;
+    hasher.salt <== salt;
     for (var i = 0; i < nSubjects; i++) {
-        hasher.inputs[i + 2] <== subjects[i];
+        hasher.subjects[i] <== subjects[i];
     }
     commitment <== hasher.out;
     
+    // Ensure grades and the minimum passing grade are in valid range (0-maxGrade)
+    component rangeChecks[nSubjects];
+    for (var i = 0; i < nSubjects; i++) {
+        rangeChecks[i] = GradeRangeCheck(maxGrade, nGradeBits);
+        rangeChecks[i].in <== subjects[i];
+    }
+
+    component minGradeRange = GradeRangeCheck(maxGrade, nGradeBits);
+    minGradeRange.in <== minPassingGrade;
+
+    // requireAllPassed is a flag
+    requireAllPassed * (requireAllPassed - 1) === 0;
+
     // Check each subject grade
     component gradeChecks[nSubjects];
+    component allPassedCheck = MultiAND(nSubjects);
     for (var i = 0; i < nSubjects; i++) {
-        gradeChecks[i] = GreaterEqThan(8); // 8 bits for 0-255 range
+        gradeChecks[i] = GreaterEqThan(nGradeBits);
         gradeChecks[i].in[0] <== subjects[i];
         gradeChecks[i].in[1] <== minPassingGrade;
-        
-        // Ensure grades are in valid range (0-100)
-        component rangeCheck = LessEqThan(8);
-        rangeCheck.in[0] <== subjects[i];
-        rangeCheck.in[1] <== 100;
-        rangeCheck.out === 1;
+        allPassedCheck.in[i] <== gradeChecks[i].out;
     }
-    
-    // Calculate if all subjects passed
-    var allPassedSignal = 1;
-    component andGates[nSubjects-1];
-    
-    if (nSubjects == 1) {
-        allPassedSignal = gradeChecks[0].out;
-    } else {
-        andGates[0] = AND();
-        andGates[0].a <== gradeChecks[0].out;
-        andGates[0].b <== gradeChecks[1].out;
-        
-        for (var i = 1; i < nSubjects-1; i++) {
-            andGates[i] = AND();
-            andGates[i].a <== andGates[i-1].out;
-            andGates[i].b <== gradeChecks[i+1].out;
-        }
-        allPassedSignal = andGates[nSubjects-2].out;
-    }
-    
+    signal allPassedSignal <== allPassedCheck.out;
+
     // Final validation
     component finalCheck = OR();
     component notRequired = NOT();
@@ -80,5 +69,5 @@ template CertificateVerifier(nSubjects) {
     isValid <== finalCheck.out;
 }
 
-// Main component with 5 subjects
-component main = CertificateVerifier(5);
\ No newline at end of file
+// Main component with 5 subjects graded 0-100
+component main {public [minPassingGrade, requireAllPassed]} = CertificateVerifier(5, 100, 8);
\ No newline at end of file
@@ -0,0 +1,346 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/gates.circom";
+
+/**
+ * Certificate Verification Circuit
+ * Proves that:
+ * 1. Student has a valid certificate in the Merkle tree
+ * 2. Academic criteria are met without revealing actual grades
+ * 3. The nullifier belongs to this certificate and the verifier's context, so a
+ *    verifier can accept each certificate once per context (see CertificateNullifier)
+ * Grades are encoded integers from 0 to maxGrade (see GradeScale); nGradeBits
+ * must be large enough to hold maxGrade.
+ */
+template CertificateVerification(nLevels, nSubjects, maxGrade, nGradeBits) {
+    // Private inputs (kept secret)
+    signal input studentId;
+    signal input subjects[nSubjects];               // Encoded subject grades (0-maxGrade)
+    signal input salt;                              // Random salt for commitment
+    signal input pathElements[nLevels];             // Merkle proof siblings
+    signal input pathIndices[nLevels];              // Path indices (0 or 1)
+
+    // Public inputs (revealed on-chain)
+    signal input merkleRoot;                        // Merkle root from blockchain
+    signal input minPassingGrade;                   // Minimum grade for passing (0-maxGrade)
+    signal input requireAllPassed;                  // 1 if all subjects must pass, 0 otherwise
+    signal input context;                           // Verifier-chosen context (challenge)
+
+    // Outputs
+    signal output isValid;                          // 1 if verification passes, 0 otherwise
+    signal output commitment;                       // See SubjectCommitment
+    signal output nullifier;                        // See CertificateNullifier
+
+    // Component declarations
+    component studentHash = SubjectCommitment(nSubjects);
+    component nullifierHash = CertificateNullifier();
+    component merkleVerifier = MerkleTreeInclusionProof(nLevels);
+    component rootCheck = IsEqual();
+    component gradeRanges[nSubjects];
+    component gradeChecks[nSubjects];
+    component allPassedCheck = MultiAND(nSubjects);
+    component minGradeRange = GradeRangeCheck(maxGrade, nGradeBits);
+    component finalValidation = FinalValidation();
+
+    // Ensure grades and the minimum passing grade are in valid range (0-maxGrade)
+    for (var i = 0; i < nSubjects; i++) {
+        gradeRanges[i] = GradeRangeCheck(maxGrade, nGradeBits);
+        gradeRanges[i].in <== subjects[i];
+    }
+    minGradeRange.in <== minPassingGrade;
+
+    // requireAllPassed is a flag
+    requireAllPassed * (requireAllPassed - 1) === 0;
+
+    // Generate individual grade comparison circuits
+    for (var i = 0; i < nSubjects; i++) {
+        gradeChecks[i] = GreaterEqThan(nGradeBits);
+        gradeChecks[i].in[0] <== subjects[i];
+        gradeChecks[i].in[1] <== minPassingGrade;
+        allPassedCheck.in[i] <== gradeChecks[i].out;
+    }
+
+    // Generate student commitment hash (the Merkle leaf)
+    studentHash.studentId <== studentId;
+    studentHash.salt <== salt;
+    for (var i = 0; i < nSubjects; i++) {
+        studentHash.subjects[i] <== subjects[i];
+    }
+
+    // Verify Merkle proof
+    merkleVerifier.leaf <== studentHash.out;
+    for (var i = 0; i < nLevels; i++) {
+        merkleVerifier.pathElements[i] <== pathElements[i];
+        merkleVerifier.pathIndices[i] <== pathIndices[i];
+    }
+
+    // Membership is mandatory: a proof against any other root cannot be generated
+    rootCheck.in[0] <== merkleVerifier.root;
+    rootCheck.in[1] <== merkleRoot;
+    rootCheck.out === 1;
+
+    // Final validation logic
+    finalValidation.merkleValid <== rootCheck.out;
+    finalValidation.allPassed <== allPassedCheck.out;
+    finalValidation.requireAllPassed <== requireAllPassed;
+
+    // Nullifier for the verifier's context
+    nullifierHash.studentId <== studentId;
+    nullifierHash.salt <== salt;
+    nullifierHash.context <== context;
+
+    // Set outputs
+    isValid <== finalValidation.out;
+    commitment <== studentHash.out;
+    nullifier <== nullifierHash.out;
+}
+
+/**
+ * Weighted Average Verification Circuit
+ * Proves that a certificate in the Merkle tree has a credit-weighted average
+ * grade of at least minAverage without revealing any grade:
+ *     averageScale * sum(weights[i] * subjects[i]) >= minAverage * sum(weights[i])
+ * Weights are public credits in fixed point (ZKProofService.WEIGHT_SCALE) and
+ * minAverage is an encoded grade times averageScale, so no division is needed.
+ * The commitment and nullifier are the same as CertificateVerification's.
+ */
+template WeightedAverageVerification(nLevels, nSubjects, maxGrade, nGradeBits, nWeightBits, averageScale) {
+    // Private inputs (kept secret)
+    signal input studentId;
+    signal input subjects[nSubjects];               // Encoded subject grades (0-maxGrade)
+    signal input salt;                              // Random salt for commitment
+    signal input pathElements[nLevels];             // Merkle proof siblings
+    signal input pathIndices[nLevels];              // Path indices (0 or 1)
+
+    // Public inputs (revealed on-chain)
+    signal input merkleRoot;                        // Merkle root from blockchain
+    signal input weights[nSubjects];                // Credit weight of each subject (0 to 2^nWeightBits - 1)
+    signal input minAverage;                        // Minimum weighted average (0 to maxGrade * averageScale)
+    signal input context;                           // Verifier-chosen context (challenge)
+
+    // Outputs
+    signal output commitment;                       // See SubjectCommitment
+    signal output nullifier;                        // See CertificateNullifier
+
+    var nAverageBits = bitLength(maxGrade * averageScale);
+    var nCompareBits = nAverageBits + nWeightBits + bitLength(nSubjects);
+
+    component studentHash = SubjectCommitment(nSubjects);
+    component nullifierHash = CertificateNullifier();
+    component merkleVerifier = MerkleTreeInclusionProof(nLevels);
+    component gradeRanges[nSubjects];
+    component weightRanges[nSubjects];
+    component minAverageRange = GradeRangeCheck(maxGrade * averageScale, nAverageBits);
+    component noCredits = IsZero();
+    component meetsAverage = GreaterEqThan(nCompareBits);
+
+    // Range checks keep both sides of the comparison within nCompareBits
+    for (var i = 0; i < nSubjects; i++) {
+        gradeRanges[i] = GradeRangeCheck(maxGrade, nGradeBits);
+        gradeRanges[i].in <== subjects[i];
+        weightRanges[i] = Num2Bits(nWeightBits);
+        weightRanges[i].in <== weights[i];
+    }
+    minAverageRange.in <== minAverage;
+
+    // Weighted grade sum and total credits
+    signal weightedGrades[nSubjects];
+    signal weightedSum;
+    signal totalWeight;
+    var gradeAccumulator = 0;
+    var weightAccumulator = 0;
+    for (var i = 0; i < nSubjects; i++) {
+        weightedGrades[i] <== weights[i] * subjects[i];
+        gradeAccumulator += weightedGrades[i];
+        weightAccumulator += weights[i];
+    }
+    weightedSum <== gradeAccumulator;
+    totalWeight <== weightAccumulator;
+
+    // An average needs at least one credit
+    noCredits.in <== totalWeight;
+    noCredits.out === 0;
+
+    // Average check in fixed point
+    signal requiredSum;
+    requiredSum <== minAverage * totalWeight;
+    meetsAverage.in[0] <== averageScale * weightedSum;
+    meetsAverage.in[1] <== requiredSum;
+    meetsAverage.out === 1;
+
+    // Generate student commitment hash (the Merkle leaf)
+    studentHash.studentId <== studentId;
+    studentHash.salt <== salt;
+    for (var i = 0; i < nSubjects; i++) {
+        studentHash.subjects[i] <== subjects[i];
+    }
+
+    // Membership is mandatory: a proof against any other root cannot be generated
+    merkleVerifier.leaf <== studentHash.out;
+    for (var i = 0; i < nLevels; i++) {
+        merkleVerifier.pathElements[i] <== pathElements[i];
+        merkleVerifier.pathIndices[i] <== pathIndices[i];
+    }
+    merkleVerifier.root === merkleRoot;
+
+    // Nullifier for the verifier's context
+    nullifierHash.studentId <== studentId;
+    nullifierHash.salt <== salt;
+    nullifierHash.context <== context;
+
+    commitment <== studentHash.out;
+    nullifier <== nullifierHash.out;
+}
+
+/**
+ * Number of bits needed to represent x
+ */
+function bitLength(x) {
+    var n = 0;
+    var rest = x;
+    while (rest > 0) {
+        n++;
+        rest = rest \ 2;
+    }
+    return n;
+}
+
+/**
+ * Certificate commitment over the student ID, salt and subject grades
+ * Up to 14 subjects: Poseidon(studentId, salt, subjects...).
+ * More subjects exceed Poseidon's 16 inputs, so they are hashed in chunks of 16
+ * first: Poseidon(studentId, salt, Poseidon(chunk 1), Poseidon(chunk 2), ...).
+ * ZKProofService.calculateCommitment computes the same value.
+ */
+template SubjectCommitment(nSubjects) {
+    signal input studentId;
+    signal input salt;
+    signal input subjects[nSubjects];
+    signal output out;
+
+    var chunkSize = 16;
+    var nChunks = nSubjects + 2 <= 16 ? 0 : (nSubjects + chunkSize - 1) \ chunkSize;
+    var nInputs = nChunks == 0 ? nSubjects + 2 : nChunks + 2;
+    var nChunkHashers = nChunks == 0 ? 1 : nChunks;
+
+    component hasher = Poseidon(nInputs);
+    component chunkHashers[nChunkHashers];
+
+    hasher.inputs[0] <== studentId;
+    hasher.inputs[1] <== salt;
+
+    if (nChunks == 0) {
+        for (var i = 0; i < nSubjects; i++) {
+            hasher.inputs[i + 2] <== subjects[i];
+        }
+    } else {
+        for (var c = 0; c < nChunks; c++) {
+            var size = c == nChunks - 1 ? nSubjects - c * chunkSize : chunkSize;
+            chunkHashers[c] = Poseidon(size);
+            for (var i = 0; i < size; i++) {
+                chunkHashers[c].inputs[i] <== subjects[c * chunkSize + i];
+            }
+            hasher.inputs[c + 2] <== chunkHashers[c].out;
+        }
+    }
+
+    out <== hasher.out;
+}
+
+/**
+ * Nullifier of a certificate in a verification context: Poseidon(salt, studentId, context)
+ * The salt is the holder's secret, so only the holder can compute a nullifier, and each
+ * context (one verifier's challenge) gets its own. It does not make proofs unlinkable:
+ * CertificateVerification publishes the commitment next to the nullifier.
+ */
+template CertificateNullifier() {
+    signal input studentId;
+    signal input salt;
+    signal input context;
+    signal output out;
+
+    component hasher = Poseidon(3);
+    hasher.inputs[0] <== salt;
+    hasher.inputs[1] <== studentId;
+    hasher.inputs[2] <== context;
+
+    out <== hasher.out;
+}
+
+/**
+ * Computes the root of a fixed-depth Poseidon Merkle tree from a leaf and its path
+ * pathIndices[i] == 0 means the current node is the left input at level i
+ */
+template MerkleTreeInclusionProof(nLevels) {
+    signal input leaf;
+    signal input pathElements[nLevels];
+    signal input pathIndices[nLevels];
+    signal output root;
+
+    component hashers[nLevels];
+    signal levelHashes[nLevels + 1];
+
+    levelHashes[0] <== leaf;
+
+    for (var i = 0; i < nLevels; i++) {
+        // Path index must be a bit
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== levelHashes[i] + pathIndices[i] * (pathElements[i] - levelHashes[i]);
+        hashers[i].inputs[1] <== pathElements[i] + pathIndices[i] * (levelHashes[i] - pathElements[i]);
+
+        levelHashes[i + 1] <== hashers[i].out;
+    }
+
+    root <== levelHashes[nLevels];
+}
+
+/**
+ * Constrains a grade to 0-maxGrade
+ * The Num2Bits check keeps the value within nBits so the comparators are sound
+ */
+template GradeRangeCheck(maxGrade, nBits) {
+    signal input in;
+
+    component bits = Num2Bits(nBits);
+    bits.in <== in;
+
+    component upperBound = LessEqThan(nBits);
+    upperBound.in[0] <== in;
+    upperBound.in[1] <== maxGrade;
+    upperBound.out === 1;
+}
+
+/**
+ * Final validation logic template
+ */
+template FinalValidation() {
+    signal input merkleValid;
+    signal input allPassed;
+    signal input requireAllPassed;
+    signal output out;
+
+    // If requireAllPassed is 1, then allPassed must be 1
+    // If requireAllPassed is 0, then we don't care about allPassed
+    component validator = OR();
+    component notRequireAll = NOT();
+    component andGate = AND();
+
+    notRequireAll.in <== requireAllPassed;
+    andGate.a <== requireAllPassed;
+    andGate.b <== allPassed;
+
+    validator.a <== notRequireAll.out;
+    validator.b <== andGate.out;
+
+    // Final output requires both merkle proof valid and grade criteria met
+    component finalAnd = AND();
+    finalAnd.a <== merkleValid;
+    finalAnd.b <== validator.out;
+
+    out <== finalAnd.out;
+}
@@ -0,0 +1,12 @@
+pragma circom 2.0.0;
+
+include "certificate_templates.circom";
+
+/**
+ * Main component instantiation
+ * Configuration: 20 levels for Merkle tree (MerkleService.POSEIDON_TREE_LEVELS), 5 subjects
+ * graded 0-100 in 8 bits, 16-bit credit weights and averages in hundredths
+ * (ZKProofService.WEIGHT_BITS and AVERAGE_SCALE). Weighted variants of the other
+ * subject counts and grade scales are built by scripts/build-circuit-variants.js.
+ */
+component main {public [merkleRoot, weights, minAverage, context]} = WeightedAverageVerification(20, 5, 100, 8, 16, 100);
@@ -14,6 +14,7 @@ contract CertificateRegistry is Ownable, ReentrancyGuard {
     
     struct BatchInfo {
         bytes32 merkleRoot;
+        uint256 institutionId;
         string institutionName;
         string courseName;
         uint256 graduationYear;
@@ -22,97 +23,455 @@ contract CertificateRegistry is Ownable, ReentrancyGuard {
         bool isValid;
     }
     
+    struct Institution {
+        string name;
+        string domain;
+        string metadataURI;
+        address admin;
+        bool active;
+    }
+    
+    enum RevocationReason {
+        Unspecified,
+        Misconduct,
+        IssuedInError,
+        Superseded,
+        Other
+    }
+    
+    struct CertificateRevocation {
+        RevocationReason reason;
+        uint256 revokedAt;
+        address revokedBy;
+    }
+    
+    // Unix timestamps bounding when a certificate is valid; 0 leaves that side open
+    struct ValidityWindow {
+        uint64 validFrom;
+        uint64 validUntil;
+    }
+    
+    // Parameters of a batch waiting for its institution's signers to approve it
+    struct BatchProposal {
+        uint256 institutionId;
+        bytes32 merkleRoot;
+        bytes32 disclosureRoot;
+        string courseName;
+        uint256 graduationYear;
+        uint256 totalStudents;
+        uint64 validFrom;
+        uint64 validUntil;
+        address proposer;
+        uint256 batchId;
+        bool cancelled;
+    }
+    
+    // Status of a certificate key, assuming its membership is proven separately
+    enum CertificateStatus {
+        Unknown,
+        Valid,
+        NotYetValid,
+        Expired,
+        Revoked
+    }
+    
     // Mapping from batch ID to batch information
     mapping(uint256 => BatchInfo) public batches;
     
-    // Mapping from institution address to authorized status
-    mapping(address => bool) public authorizedInstitutions;
+    // Revoked certificates by batch ID and certificate key (commitment or nullifier)
+    mapping(uint256 => mapping(bytes32 => CertificateRevocation)) public certificateRevocations;
+    
+    // Root of each batch's tree of selective disclosure commitments, Poseidon(salt, fields...),
+    // anchored with the batch; zero for batches issued without one
+    mapping(uint256 => bytes32) public disclosureRoots;
+    
+    // Root of each batch's sparse Merkle tree of revoked commitments (zero while empty),
+    // used by the circuit to prove non-revocation without revealing the certificate
+    mapping(uint256 => bytes32) public revocationRoots;
+    
+    // Validity window of each batch
+    mapping(uint256 => ValidityWindow) public batchValidity;
+    
+    // Per-certificate validity windows, replacing the batch window when set
+    mapping(uint256 => mapping(bytes32 => ValidityWindow)) public certificateValidity;
+    
+    // Registered institutions by institution ID
+    mapping(uint256 => Institution) public institutions;
+    
+    // Institution each signer issues for (0 when the address is not a signer)
+    mapping(address => uint256) public signerInstitution;
+    
+    // Number of signers of each institution
+    mapping(uint256 => uint256) public institutionSignerCount;
+    
+    // Signer approvals each batch of an institution needs (0 or 1 allows direct issueBatch)
+    mapping(uint256 => uint256) public issuanceThreshold;
+    
+    // Batch proposals by proposal ID, and which signers approved them; approvals only count
+    // while the approver is still a signer of the proposal's institution
+    mapping(uint256 => BatchProposal) internal batchProposals;
+    mapping(uint256 => mapping(address => bool)) public proposalApprovals;
+    mapping(uint256 => address[]) internal proposalApprovers;
     
     // Counter for batch IDs
     uint256 public nextBatchId;
     
+    // Counter for batch proposal IDs
+    uint256 public nextProposalId;
+    
+    // Counter for institution IDs
+    uint256 public nextInstitutionId;
+    
     // Events
     event BatchIssued(
         uint256 indexed batchId,
         bytes32 indexed merkleRoot,
+        uint256 indexed institutionId,
         string institutionName,
         string courseName,
         uint256 graduationYear,
         uint256 totalStudents
     );
     
-    event InstitutionAuthorized(address indexed institution, bool authorized);
+    event BatchDisclosureRootAnchored(uint256 indexed batchId, bytes32 indexed disclosureRoot);
+    
+    event InstitutionRegistered(uint256 indexed institutionId, string name, string domain, address indexed admin);
+    event InstitutionMetadataUpdated(uint256 indexed institutionId, string domain, string metadataURI);
+    event InstitutionAdminChanged(uint256 indexed institutionId, address indexed admin);
+    event InstitutionStatusChanged(uint256 indexed institutionId, bool active);
+    event InstitutionSignerUpdated(uint256 indexed institutionId, address indexed signer, bool authorized);
+    event IssuanceThresholdUpdated(uint256 indexed institutionId, uint256 threshold);
+    event BatchProposed(
+        uint256 indexed proposalId,
+        uint256 indexed institutionId,
+        bytes32 indexed merkleRoot,
+        address proposer
+    );
+    event BatchProposalApproved(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+    event BatchProposalExecuted(uint256 indexed proposalId, uint256 indexed batchId);
+    event BatchProposalCancelled(uint256 indexed proposalId);
     event BatchRevoked(uint256 indexed batchId);
+    event CertificateRevoked(
+        uint256 indexed batchId,
+        bytes32 indexed certificateKey,
+        RevocationReason reason,
+        uint256 revokedAt,
+        address indexed revokedBy
+    );
+    event RevocationRootUpdated(uint256 indexed batchId, bytes32 revocationRoot);
+    event CertificateValidityUpdated(
+        uint256 indexed batchId,
+        bytes32 indexed certificateKey,
+        uint64 validFrom,
+        uint64 validUntil
+    );
     
     // Modifiers
-    modifier onlyAuthorized() {
-        require(authorizedInstitutions[msg.sender] || msg.sender == owner(), 
-                "Not authorized to issue certificates");
+    modifier onlyInstitutionAdmin(uint256 institutionId) {
+        require(institutions[institutionId].admin != address(0), "Institution does not exist");
+        require(msg.sender == institutions[institutionId].admin, "Not authorized to manage this institution");
+        _;
+    }
+    
+    // Signers of the issuing institution manage its batches; the owner keeps emergency access
+    modifier onlyBatchIssuer(uint256 batchId) {
+        require(batches[batchId].merkleRoot != bytes32(0), "Batch does not exist");
+        require(
+            _isActiveSigner(msg.sender, batches[batchId].institutionId) || msg.sender == owner(),
+            "Not authorized to manage this batch"
+        );
         _;
     }
     
     constructor() {
         nextBatchId = 1;
-        // Owner is automatically authorized
-        authorizedInstitutions[msg.sender] = true;
+        nextInstitutionId = 1;
+        nextProposalId = 1;
+    }
+    
+    /**
+     * @dev Register an institution; its admin becomes its first signer
+     * @param name Name shown on the institution's certificates
+     * @param domain Web domain of the institution (e.g. university.edu)
+     * @param metadataURI URI of the institution's public metadata
+     * @param admin Address that manages the institution's signers and metadata
+     */
+    function registerInstitution(
+        string memory name,
+        string memory domain,
+        string memory metadataURI,
+        address admin
+    ) external onlyOwner returns (uint256) {
+        require(bytes(name).length > 0, "Institution name required");
+        require(admin != address(0), "Invalid admin address");
+        
+        uint256 institutionId = nextInstitutionId++;
+        institutions[institutionId] = Institution({
+            name: name,
+            domain: domain,
+            metadataURI: metadataURI,
+            admin: admin,
+            active: true
+        });
+        
+        emit InstitutionRegistered(institutionId, name, domain, admin);
+        _setSigner(institutionId, admin, true);
+        
+        return institutionId;
+    }
+    
+    /**
+     * @dev Suspend or reactivate an institution; suspended institutions cannot issue or manage batches
+     * @param institutionId The institution ID
+     * @param active Whether the institution may issue
+     */
+    function setInstitutionActive(uint256 institutionId, bool active) external onlyOwner {
+        require(institutions[institutionId].admin != address(0), "Institution does not exist");
+        institutions[institutionId].active = active;
+        emit InstitutionStatusChanged(institutionId, active);
+    }
+    
+    /**
+     * @dev Update an institution's public metadata
+     * @param institutionId The institution ID
+     * @param domain Web domain of the institution
+     * @param metadataURI URI of the institution's public metadata
+     */
+    function updateInstitutionMetadata(
+        uint256 institutionId,
+        string memory domain,
+        string memory metadataURI
+    ) external onlyInstitutionAdmin(institutionId) {
+        institutions[institutionId].domain = domain;
+        institutions[institutionId].metadataURI = metadataURI;
+        emit InstitutionMetadataUpdated(institutionId, domain, metadataURI);
+    }
+    
+    /**
+     * @dev Hand an institution over to a new admin
+     * @param institutionId The institution ID
+     * @param admin The new admin address
+     */
+    function changeInstitutionAdmin(uint256 institutionId, address admin)
+        external
+        onlyInstitutionAdmin(institutionId)
+    {
+        require(admin != address(0), "Invalid admin address");
+        institutions[institutionId].admin = admin;
+        emit InstitutionAdminChanged(institutionId, admin);
     }
     
     /**
-     * @dev Authorize or revoke institution access
-     * @param institution Address of the institution
-     * @param authorized Whether the institution is authorized
+     * @dev Add or remove a delegated signer of an institution
+     * An address can sign for one institution at a time.
+     * @param institutionId The institution ID
+     * @param signer The signer address
+     * @param authorized Whether the signer may issue for the institution
      */
-    function setInstitutionAuthorization(address institution, bool authorized) 
-        external 
-        onlyOwner 
+    function setInstitutionSigner(uint256 institutionId, address signer, bool authorized)
+        external
+        onlyInstitutionAdmin(institutionId)
     {
-        authorizedInstitutions[institution] = authorized;
-        emit InstitutionAuthorized(institution, authorized);
+        _setSigner(institutionId, signer, authorized);
+    }
+    
+    /**
+     * @dev Check whether an address is a signer of an institution
+     * @param institutionId The institution ID
+     * @param signer The address to check
+     */
+    function isInstitutionSigner(uint256 institutionId, address signer) public view returns (bool) {
+        return institutionId != 0 && signerInstitution[signer] == institutionId;
     }
     
     /**
-     * @dev Issue a new batch of certificates
+     * @dev Require M-of-N signer approval for an institution's batches
+     * @param institutionId The institution ID
+     * @param threshold Approvals needed per batch (0 or 1 to issue directly)
+     */
+    function setIssuanceThreshold(uint256 institutionId, uint256 threshold)
+        external
+        onlyInstitutionAdmin(institutionId)
+    {
+        require(threshold <= institutionSignerCount[institutionId], "Threshold exceeds signer count");
+        issuanceThreshold[institutionId] = threshold;
+        emit IssuanceThresholdUpdated(institutionId, threshold);
+    }
+    
+    /**
+     * @dev Issue a new batch of certificates for the caller's institution
+     * Institutions with an issuance threshold above 1 must use proposeBatch instead.
      * @param merkleRoot The Merkle root of all certificates in this batch
-     * @param institutionName Name of the issuing institution
+     * @param disclosureRoot The Merkle root of their selective disclosure commitments (0 for none)
      * @param courseName Name of the course/program
      * @param graduationYear Year of graduation
      * @param totalStudents Total number of students in this batch
+     * @param validFrom Start of the validity window (0 for valid from issuance)
+     * @param validUntil End of the validity window (0 for no expiry)
      */
     function issueBatch(
         bytes32 merkleRoot,
-        string memory institutionName,
+        bytes32 disclosureRoot,
         string memory courseName,
         uint256 graduationYear,
-        uint256 totalStudents
-    ) external onlyAuthorized nonReentrant returns (uint256) {
-        require(merkleRoot != bytes32(0), "Invalid Merkle root");
-        require(bytes(institutionName).length > 0, "Institution name required");
-        require(bytes(courseName).length > 0, "Course name required");
-        require(graduationYear > 1900 && graduationYear <= 2100, "Invalid graduation year");
-        require(totalStudents > 0, "Total students must be greater than 0");
+        uint256 totalStudents,
+        uint64 validFrom,
+        uint64 validUntil
+    ) external nonReentrant returns (uint256) {
+        uint256 institutionId = signerInstitution[msg.sender];
+        require(_isActiveSigner(msg.sender, institutionId), "Not authorized to issue certificates");
+        require(issuanceThreshold[institutionId] <= 1, "Institution requires multisig approval");
         
-        uint256 batchId = nextBatchId++;
+        return _issueBatch(BatchProposal({
+            institutionId: institutionId,
+            merkleRoot: merkleRoot,
+            disclosureRoot: disclosureRoot,
+            courseName: courseName,
+            graduationYear: graduationYear,
+            totalStudents: totalStudents,
+            validFrom: validFrom,
+            validUntil: validUntil,
+            proposer: msg.sender,
+            batchId: 0,
+            cancelled: false
+        }));
+    }
+    
+    /**
+     * @dev Propose a batch for the caller's institution; the proposer's approval counts
+     * The batch is issued as soon as the institution's issuance threshold is reached.
+     * @param merkleRoot The Merkle root of all certificates in this batch
+     * @param disclosureRoot The Merkle root of their selective disclosure commitments (0 for none)
+     * @param courseName Name of the course/program
+     * @param graduationYear Year of graduation
+     * @param totalStudents Total number of students in this batch
+     * @param validFrom Start of the validity window (0 for valid from issuance)
+     * @param validUntil End of the validity window (0 for no expiry)
+     */
+    function proposeBatch(
+        bytes32 merkleRoot,
+        bytes32 disclosureRoot,
+        string memory courseName,
+        uint256 graduationYear,
+        uint256 totalStudents,
+        uint64 validFrom,
+        uint64 validUntil
+    ) external nonReentrant returns (uint256) {
+        uint256 institutionId = signerInstitution[msg.sender];
+        require(_isActiveSigner(msg.sender, institutionId), "Not authorized to issue certificates");
         
-        batches[batchId] = BatchInfo({
+        BatchProposal memory proposal = BatchProposal({
+            institutionId: institutionId,
             merkleRoot: merkleRoot,
-            institutionName: institutionName,
+            disclosureRoot: disclosureRoot,
             courseName: courseName,
             graduationYear: graduationYear,
             totalStudents: totalStudents,
-            timestamp: block.timestamp,
-            isValid: true
+            validFrom: validFrom,
+            validUntil: validUntil,
+            proposer: msg.sender,
+            batchId: 0,
+            cancelled: false
         });
+        _validateBatch(proposal);
         
-        emit BatchIssued(
-            batchId,
-            merkleRoot,
-            institutionName,
-            courseName,
-            graduationYear,
-            totalStudents
+        uint256 proposalId = nextProposalId++;
+        batchProposals[proposalId] = proposal;
+        emit BatchProposed(proposalId, institutionId, merkleRoot, msg.sender);
+        
+        _approveProposal(proposalId);
+        return proposalId;
+    }
+    
+    /**
+     * @dev Approve a pending batch proposal as a signer of its institution
+     * @param proposalId The proposal ID
+     */
+    function approveBatchProposal(uint256 proposalId) external nonReentrant {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        require(proposal.proposer != address(0), "Proposal does not exist");
+        require(_isActiveSigner(msg.sender, proposal.institutionId), "Not authorized to approve this proposal");
+        
+        _approveProposal(proposalId);
+    }
+    
+    /**
+     * @dev Issue a pending proposal that meets its institution's current threshold
+     * Needed when the threshold is lowered, or a removed signer replaced, after the last approval.
+     * @param proposalId The proposal ID
+     */
+    function executeBatchProposal(uint256 proposalId) external nonReentrant {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        require(proposal.proposer != address(0), "Proposal does not exist");
+        require(_isActiveSigner(msg.sender, proposal.institutionId), "Not authorized to execute this proposal");
+        require(proposal.batchId == 0, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal has been cancelled");
+        require(
+            countProposalApprovals(proposalId) >= issuanceThreshold[proposal.institutionId],
+            "Not enough signer approvals"
         );
         
-        return batchId;
+        _executeProposal(proposalId);
+    }
+    
+    /**
+     * @dev Approvals of a proposal by addresses that are still signers of its institution
+     * @param proposalId The proposal ID
+     */
+    function countProposalApprovals(uint256 proposalId) public view returns (uint256 count) {
+        uint256 institutionId = batchProposals[proposalId].institutionId;
+        address[] storage approvers = proposalApprovers[proposalId];
+        
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (isInstitutionSigner(institutionId, approvers[i])) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Withdraw a pending batch proposal (proposer or institution admin)
+     * @param proposalId The proposal ID
+     */
+    function cancelBatchProposal(uint256 proposalId) external {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        require(proposal.proposer != address(0), "Proposal does not exist");
+        require(
+            msg.sender == proposal.proposer || msg.sender == institutions[proposal.institutionId].admin,
+            "Not authorized to cancel this proposal"
+        );
+        require(proposal.batchId == 0, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal already cancelled");
+        
+        proposal.cancelled = true;
+        emit BatchProposalCancelled(proposalId);
+    }
+    
+    /**
+     * @dev Get a batch proposal
+     * @param proposalId The proposal ID
+     */
+    function getBatchProposal(uint256 proposalId) external view returns (
+        uint256 institutionId,
+        bytes32 merkleRoot,
+        string memory courseName,
+        uint256 graduationYear,
+        uint256 totalStudents,
+        address proposer,
+        uint256 approvals,
+        uint256 batchId,
+        bool cancelled
+    ) {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        institutionId = proposal.institutionId;
+        merkleRoot = proposal.merkleRoot;
+        courseName = proposal.courseName;
+        graduationYear = proposal.graduationYear;
+        totalStudents = proposal.totalStudents;
+        proposer = proposal.proposer;
+        approvals = countProposalApprovals(proposalId);
+        batchId = proposal.batchId;
+        cancelled = proposal.cancelled;
     }
     
     /**
@@ -127,6 +486,8 @@ contract CertificateRegistry is Ownable, ReentrancyGuard {
         bytes32[] memory merkleProof
     ) external view returns (bool) {
         require(batches[batchId].isValid, "Batch is not valid");
+        require(!isCertificateRevoked(batchId, certificateHash), "Certificate is revoked");
+        _requireWithinValidity(batchId, certificateHash);
         
         return MerkleProof.verify(
             merkleProof,
@@ -139,18 +500,280 @@ contract CertificateRegistry is Ownable, ReentrancyGuard {
      * @dev Revoke a batch of certificates (emergency use only)
      * @param batchId The batch ID to revoke
      */
-    function revokeBatch(uint256 batchId) external onlyAuthorized {
-        require(batches[batchId].merkleRoot != bytes32(0), "Batch does not exist");
+    function revokeBatch(uint256 batchId) external onlyBatchIssuer(batchId) {
         batches[batchId].isValid = false;
         emit BatchRevoked(batchId);
     }
     
+    /**
+     * @dev Revoke a single certificate without invalidating the rest of its batch
+     * @param batchId The batch ID containing the certificate
+     * @param certificateKey The certificate commitment (or nullifier)
+     * @param reason Why the certificate is revoked
+     */
+    function revokeCertificate(
+        uint256 batchId,
+        bytes32 certificateKey,
+        RevocationReason reason
+    ) external onlyBatchIssuer(batchId) {
+        require(certificateKey != bytes32(0), "Invalid certificate key");
+        require(!isCertificateRevoked(batchId, certificateKey), "Certificate already revoked");
+        
+        certificateRevocations[batchId][certificateKey] = CertificateRevocation({
+            reason: reason,
+            revokedAt: block.timestamp,
+            revokedBy: msg.sender
+        });
+        
+        emit CertificateRevoked(batchId, certificateKey, reason, block.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Publish the root of a batch's revocation tree
+     * The tree is built off-chain from the CertificateRevoked events of the batch.
+     * @param batchId The batch ID
+     * @param revocationRoot Root of the sparse Merkle tree of revoked commitments
+     */
+    function updateRevocationRoot(uint256 batchId, bytes32 revocationRoot) external onlyBatchIssuer(batchId) {
+        revocationRoots[batchId] = revocationRoot;
+        emit RevocationRootUpdated(batchId, revocationRoot);
+    }
+    
+    /**
+     * @dev Give a single certificate its own validity window (e.g. a renewal)
+     * Setting both bounds to 0 falls back to the batch window.
+     * @param batchId The batch ID containing the certificate
+     * @param certificateKey The certificate commitment
+     * @param validFrom Start of the validity window (0 for valid from issuance)
+     * @param validUntil End of the validity window (0 for no expiry)
+     */
+    function setCertificateValidity(
+        uint256 batchId,
+        bytes32 certificateKey,
+        uint64 validFrom,
+        uint64 validUntil
+    ) external onlyBatchIssuer(batchId) {
+        _setCertificateValidity(batchId, certificateKey, validFrom, validUntil);
+    }
+    
+    /**
+     * @dev Give several certificates of a batch their own validity windows in one transaction
+     * @param batchId The batch ID containing the certificates
+     * @param certificateKeys The certificate commitments
+     * @param validFrom Start of each window (0 for valid from issuance)
+     * @param validUntil End of each window (0 for no expiry)
+     */
+    function setCertificateValidityBatch(
+        uint256 batchId,
+        bytes32[] calldata certificateKeys,
+        uint64[] calldata validFrom,
+        uint64[] calldata validUntil
+    ) external onlyBatchIssuer(batchId) {
+        require(
+            certificateKeys.length == validFrom.length && certificateKeys.length == validUntil.length,
+            "Array length mismatch"
+        );
+        
+        for (uint256 i = 0; i < certificateKeys.length; i++) {
+            _setCertificateValidity(batchId, certificateKeys[i], validFrom[i], validUntil[i]);
+        }
+    }
+    
+    /**
+     * @dev Get the validity window that applies to a certificate
+     * @param batchId The batch ID containing the certificate
+     * @param certificateKey The certificate commitment
+     */
+    function getValidityWindow(uint256 batchId, bytes32 certificateKey)
+        public
+        view
+        returns (uint64 validFrom, uint64 validUntil)
+    {
+        ValidityWindow memory window = certificateValidity[batchId][certificateKey];
+        if (window.validFrom == 0 && window.validUntil == 0) {
+            window = batchValidity[batchId];
+        }
+        return (window.validFrom, window.validUntil);
+    }
+    
+    /**
+     * @dev Get the status of a certificate without reverting
+     * Membership in the batch is not checked here; that needs a proof.
+     * @param batchId The batch ID containing the certificate
+     * @param certificateKey The certificate commitment
+     */
+    function getCertificateStatus(uint256 batchId, bytes32 certificateKey)
+        external
+        view
+        returns (CertificateStatus)
+    {
+        if (batches[batchId].merkleRoot == bytes32(0)) {
+            return CertificateStatus.Unknown;
+        }
+        if (!batches[batchId].isValid || isCertificateRevoked(batchId, certificateKey)) {
+            return CertificateStatus.Revoked;
+        }
+        
+        (uint64 validFrom, uint64 validUntil) = getValidityWindow(batchId, certificateKey);
+        if (validFrom != 0 && block.timestamp < validFrom) {
+            return CertificateStatus.NotYetValid;
+        }
+        if (validUntil != 0 && block.timestamp > validUntil) {
+            return CertificateStatus.Expired;
+        }
+        return CertificateStatus.Valid;
+    }
+    
+    /**
+     * @dev Check whether a certificate has been revoked
+     * @param batchId The batch ID containing the certificate
+     * @param certificateKey The certificate commitment (or nullifier)
+     */
+    function isCertificateRevoked(uint256 batchId, bytes32 certificateKey) public view returns (bool) {
+        return certificateRevocations[batchId][certificateKey].revokedAt != 0;
+    }
+    
+    /**
+     * @dev Whether an address signs for the given, still active, institution
+     */
+    function _isActiveSigner(address signer, uint256 institutionId) internal view returns (bool) {
+        return isInstitutionSigner(institutionId, signer) && institutions[institutionId].active;
+    }
+    
+    /**
+     * @dev Add or remove a signer, keeping each address bound to at most one institution
+     */
+    function _setSigner(uint256 institutionId, address signer, bool authorized) internal {
+        require(signer != address(0), "Invalid signer address");
+        
+        if (authorized) {
+            require(signerInstitution[signer] == 0, "Signer already belongs to an institution");
+            signerInstitution[signer] = institutionId;
+            institutionSignerCount[institutionId]++;
+        } else {
+            require(signerInstitution[signer] == institutionId, "Not a signer of this institution");
+            require(
+                institutionSignerCount[institutionId] > issuanceThreshold[institutionId],
+                "Removing signer would leave too few signers for the issuance threshold"
+            );
+            signerInstitution[signer] = 0;
+            institutionSignerCount[institutionId]--;
+        }
+        
+        emit InstitutionSignerUpdated(institutionId, signer, authorized);
+    }
+    
+    /**
+     * @dev Record the caller's approval and issue the batch once the threshold is reached
+     */
+    function _approveProposal(uint256 proposalId) internal {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        require(proposal.batchId == 0, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal has been cancelled");
+        require(!proposalApprovals[proposalId][msg.sender], "Proposal already approved by this signer");
+        
+        proposalApprovals[proposalId][msg.sender] = true;
+        proposalApprovers[proposalId].push(msg.sender);
+        
+        uint256 approvals = countProposalApprovals(proposalId);
+        emit BatchProposalApproved(proposalId, msg.sender, approvals);
+        
+        if (approvals >= issuanceThreshold[proposal.institutionId]) {
+            _executeProposal(proposalId);
+        }
+    }
+    
+    /**
+     * @dev Issue a proposal's batch and link it to the proposal
+     */
+    function _executeProposal(uint256 proposalId) internal {
+        BatchProposal storage proposal = batchProposals[proposalId];
+        proposal.batchId = _issueBatch(proposal);
+        emit BatchProposalExecuted(proposalId, proposal.batchId);
+    }
+    
+    /**
+     * @dev Check the parameters of a batch before it is proposed or issued
+     */
+    function _validateBatch(BatchProposal memory batch) internal pure {
+        require(batch.merkleRoot != bytes32(0), "Invalid Merkle root");
+        require(bytes(batch.courseName).length > 0, "Course name required");
+        require(batch.graduationYear > 1900 && batch.graduationYear <= 2100, "Invalid graduation year");
+        require(batch.totalStudents > 0, "Total students must be greater than 0");
+        require(batch.validUntil == 0 || batch.validUntil > batch.validFrom, "Invalid validity window");
+    }
+    
+    /**
+     * @dev Store a batch for its institution and emit BatchIssued
+     */
+    function _issueBatch(BatchProposal memory batch) internal returns (uint256) {
+        _validateBatch(batch);
+        
+        uint256 batchId = nextBatchId++;
+        
+        string memory institutionName = institutions[batch.institutionId].name;
+        batches[batchId] = BatchInfo({
+            merkleRoot: batch.merkleRoot,
+            institutionId: batch.institutionId,
+            institutionName: institutionName,
+            courseName: batch.courseName,
+            graduationYear: batch.graduationYear,
+            totalStudents: batch.totalStudents,
+            timestamp: block.timestamp,
+            isValid: true
+        });
+        batchValidity[batchId] = ValidityWindow(batch.validFrom, batch.validUntil);
+        
+        emit BatchIssued(
+            batchId,
+            batch.merkleRoot,
+            batch.institutionId,
+            institutionName,
+            batch.courseName,
+            batch.graduationYear,
+            batch.totalStudents
+        );
+        
+        if (batch.disclosureRoot != bytes32(0)) {
+            disclosureRoots[batchId] = batch.disclosureRoot;
+            emit BatchDisclosureRootAnchored(batchId, batch.disclosureRoot);
+        }
+        
+        return batchId;
+    }
+    
+    /**
+     * @dev Store a certificate's own validity window
+     */
+    function _setCertificateValidity(
+        uint256 batchId,
+        bytes32 certificateKey,
+        uint64 validFrom,
+        uint64 validUntil
+    ) internal {
+        require(certificateKey != bytes32(0), "Invalid certificate key");
+        require(validUntil == 0 || validUntil > validFrom, "Invalid validity window");
+        
+        certificateValidity[batchId][certificateKey] = ValidityWindow(validFrom, validUntil);
+        emit CertificateValidityUpdated(batchId, certificateKey, validFrom, validUntil);
+    }
+    
+    /**
+     * @dev Revert unless the current time is inside the certificate's validity window
+     */
+    function _requireWithinValidity(uint256 batchId, bytes32 certificateKey) internal view {
+        (uint64 validFrom, uint64 validUntil) = getValidityWindow(batchId, certificateKey);
+        require(validFrom == 0 || block.timestamp >= validFrom, "Certificate not yet valid");
+        require(validUntil == 0 || block.timestamp <= validUntil, "Certificate has expired");
+    }
+    
     /**
      * @dev Get batch information
      * @param batchId The batch ID to query
      */
     function getBatchInfo(uint256 batchId) external view returns (
         bytes32 merkleRoot,
+        uint256 institutionId,
         string memory institutionName,
         string memory courseName,
         uint256 graduationYear,
@@ -161,6 +784,7 @@ contract CertificateRegistry is Ownable, ReentrancyGuard {
         BatchInfo memory batch = batches[batchId];
         return (
             batch.merkleRoot,
+            batch.institutionId,
             batch.institutionName,
             batch.courseName,
             batch.graduationYear,
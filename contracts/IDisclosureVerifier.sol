@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title Interface for the selective disclosure ZK proof verifier
+ * @dev Matches the DisclosureVerifier generated by scripts/build-verifier.js from
+ * circuits/certificate_disclosure.circom. Public signals, in circuit order:
+ * [commitment, nullifier, merkleRoot, context, predicateTypes[7], equalTo[7], rangeMin[7],
+ * rangeMax[7], setMembers[7][8]]
+ */
+interface IDisclosureVerifier {
+    function verifyProof(
+        uint[2] memory _pA,
+        uint[2][2] memory _pB,
+        uint[2] memory _pC,
+        uint[88] memory _publicSignals
+    ) external view returns (bool);
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title Interface for the non-revocation ZK proof verifier
+ * @dev Matches the NonRevocationVerifier generated by scripts/build-verifier.js from
+ * circuits/certificate_nonrevoked.circom. Public signals, in circuit order:
+ * [isValid, nullifier, merkleRoot, revocationRoot, minPassingGrade, requireAllPassed, context]
+ */
+interface INonRevocationVerifier {
+    function verifyProof(
+        uint[2] memory _pA,
+        uint[2][2] memory _pB,
+        uint[2] memory _pC,
+        uint[7] memory _publicSignals
+    ) external view returns (bool);
+}
@@ -3,13 +3,15 @@ pragma solidity ^0.8.4;
 
 /**
  * @title Interface for ZK proof verifier
- * @dev This interface will be implemented by the generated verifier contract
+ * @dev Matches the Groth16Verifier generated by scripts/build-verifier.js from
+ * circuits/certificate.circom. Public signals, in circuit order:
+ * [isValid, commitment, nullifier, merkleRoot, minPassingGrade, requireAllPassed, context]
  */
 interface IVerifier {
     function verifyProof(
         uint[2] memory _pA,
         uint[2][2] memory _pB,
         uint[2] memory _pC,
-        uint[1] memory _publicSignals
+        uint[7] memory _publicSignals
     ) external view returns (bool);
 }
\ No newline at end of file
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title Interface for the weighted-average ZK proof verifier
+ * @dev Matches the WeightedAverageVerifier generated by scripts/build-verifier.js from
+ * circuits/certificate_weighted.circom. Public signals, in circuit order:
+ * [commitment, nullifier, merkleRoot, weights[0..4], minAverage, context]
+ */
+interface IWeightedAverageVerifier {
+    function verifyProof(
+        uint[2] memory _pA,
+        uint[2][2] memory _pB,
+        uint[2] memory _pC,
+        uint[10] memory _publicSignals
+    ) external view returns (bool);
+}
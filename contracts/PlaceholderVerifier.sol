@@ -5,37 +5,31 @@ import "./IVerifier.sol";
 
 /**
  * @title PlaceholderVerifier
- * @dev Placeholder verifier for development - replace with generated verifier from circuit
+ * @dev Placeholder verifier for local development only - accepts any well-formed proof.
+ * scripts/deploy.js refuses to deploy it outside local networks; build the real
+ * verifier with scripts/build-verifier.js instead. There is no weighted-average
+ * counterpart: without a generated WeightedAverageVerifier that proof type is disabled.
  */
 contract PlaceholderVerifier is IVerifier {
     
     /**
-     * @dev Placeholder verification function
-     * In production, this would be replaced with the actual generated verifier
+     * @dev Accepts any proof whose points are non-zero
      * @param _pA Proof point A
      * @param _pB Proof point B  
      * @param _pC Proof point C
-     * @param _publicSignals Public signals array
-     * @return True if proof is valid (placeholder always returns true for demo)
+     * @return True for every well-formed proof
      */
     function verifyProof(
         uint[2] memory _pA,
         uint[2][2] memory _pB, 
         uint[2] memory _pC,
-        uint[1] memory _publicSignals
+        uint[7] memory
     ) external pure override returns (bool) {
-        // Placeholder implementation for development/testing
-        // In production, replace this contract with the generated verifier
-        
-        // Basic validation that parameters aren't empty
         require(_pA[0] != 0 || _pA[1] != 0, "Invalid proof point A");
         require(_pB[0][0] != 0 || _pB[0][1] != 0 || _pB[1][0] != 0 || _pB[1][1] != 0, "Invalid proof point B");
         require(_pC[0] != 0 || _pC[1] != 0, "Invalid proof point C");
-        require(_publicSignals.length == 1, "Invalid public signals length");
         
-        // TODO: Replace with actual Groth16 verification logic
-        // This is generated by snarkjs from the compiled circuit
-        return true; // Placeholder - always validates for demo purposes
+        return true;
     }
     
     /**
@@ -44,4 +38,4 @@ contract PlaceholderVerifier is IVerifier {
     function getVersion() external pure returns (string memory) {
         return "PlaceholderVerifier v1.0.0 - Replace with circuit-generated verifier";
     }
-}
\ No newline at end of file
+}
@@ -3,6 +3,9 @@ pragma solidity ^0.8.4;
 
 import "./CertificateRegistry.sol";
 import "./IVerifier.sol";
+import "./IWeightedAverageVerifier.sol";
+import "./INonRevocationVerifier.sol";
+import "./IDisclosureVerifier.sol";
 
 /**
  * @title ZKCertificateSystem
@@ -11,52 +14,131 @@ import "./IVerifier.sol";
  */
 contract ZKCertificateSystem is CertificateRegistry {
     
-    // ZK proof verifier contract
+    // ZK proof verifier contract, generated from circuits/certificate.circom. Circuit variants
+    // for other subject counts or grade scales have no verifier here; their proofs are
+    // verified off-chain only.
     IVerifier public immutable verifier;
     
+    // Verifier for weighted-average (CGPA) proofs of the default circuit; zero when that proof
+    // type is not deployed
+    IWeightedAverageVerifier public immutable weightedAverageVerifier;
+    
+    // Verifier for proofs that also show the certificate is outside the batch's revocation
+    // tree; zero when that proof type is not deployed
+    INonRevocationVerifier public immutable nonRevocationVerifier;
+    
+    // Verifier for selective disclosure proofs against a batch's disclosure root; zero when
+    // that proof type is not deployed
+    IDisclosureVerifier public immutable disclosureVerifier;
+    
+    // Subjects of the weighted-average circuit and the fixed-point factor of minAverage
+    uint256 public constant WEIGHTED_SUBJECTS = 5;
+    uint256 public constant AVERAGE_SCALE = 100;
+    
+    // Disclosure predicate signals: types, equalTo, rangeMin and rangeMax for each of 7 fields,
+    // then a set of 8 members for each field
+    uint256 public constant DISCLOSURE_PREDICATE_SIGNALS = 7 * 4 + 7 * 8;
+    
+    // Verification contexts are public circuit inputs, so they are reduced into the BN254 scalar field
+    uint256 public constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    
+    // context => nullifier => used; a certificate verifies once per verifier challenge
+    mapping(uint256 => mapping(uint256 => bool)) public usedNullifiers;
+    
     struct ZKVerificationRequest {
         uint256 batchId;
         uint256 minPassingGrade;
         bool requiresAllSubjectsPassed;
     }
     
-    // Events for ZK verification
+    // Events for ZK verification; verifier is the account that submitted the proof
     event ZKProofVerified(
-        address indexed student,
+        address indexed verifier,
         uint256 indexed batchId,
         uint256 minPassingGrade,
-        bool allSubjectsPassed
+        bool allSubjectsPassed,
+        uint256 challenge,
+        uint256 nullifier
+    );
+    
+    event WeightedAverageVerified(
+        address indexed verifier,
+        uint256 indexed batchId,
+        uint256[5] weights,
+        uint256 minAverage,
+        uint256 challenge,
+        uint256 nullifier
+    );
+    
+    event NonRevocationVerified(
+        address indexed verifier,
+        uint256 indexed batchId,
+        bytes32 revocationRoot,
+        uint256 minPassingGrade,
+        bool allSubjectsPassed,
+        uint256 challenge,
+        uint256 nullifier
+    );
+    
+    event DisclosureVerified(
+        address indexed verifier,
+        uint256 indexed batchId,
+        bytes32 predicatesHash,
+        uint256 challenge,
+        uint256 nullifier
     );
     
-    constructor(address _verifier) {
+    constructor(
+        address _verifier,
+        address _weightedAverageVerifier,
+        address _nonRevocationVerifier,
+        address _disclosureVerifier
+    ) {
         require(_verifier != address(0), "Invalid verifier address");
         verifier = IVerifier(_verifier);
+        weightedAverageVerifier = IWeightedAverageVerifier(_weightedAverageVerifier);
+        nonRevocationVerifier = INonRevocationVerifier(_nonRevocationVerifier);
+        disclosureVerifier = IDisclosureVerifier(_disclosureVerifier);
     }
     
     /**
      * @dev Verify academic achievement using ZK proof
+     * The proof must be made for the caller's challenge (see verificationContext), so a
+     * copied proof cannot be submitted by anyone else or reused by the same caller.
      * @param proof The ZK proof components
      * @param batchId The batch ID containing the student's certificate
+     * @param commitment The certificate commitment output by the proof
+     * @param nullifier The nullifier output by the proof
+     * @param challenge The challenge the caller gave the holder
      * @param minPassingGrade Minimum grade required for verification
      * @param requiresAllSubjectsPassed Whether all subjects must be passed
      */
     function verifyAcademicAchievement(
         ZKProof memory proof,
         uint256 batchId,
+        uint256 commitment,
+        uint256 nullifier,
+        uint256 challenge,
         uint256 minPassingGrade,
         bool requiresAllSubjectsPassed
     ) external returns (bool) {
         require(batches[batchId].isValid, "Batch is not valid");
+        require(!isCertificateRevoked(batchId, bytes32(commitment)), "Certificate is revoked");
+        _requireWithinValidity(batchId, bytes32(commitment));
         require(minPassingGrade > 0 && minPassingGrade <= 100, "Invalid passing grade");
         
-        // The public signal will be the hash of the verification criteria
-        uint256 publicSignal = uint256(keccak256(abi.encodePacked(
+        uint256 context = verificationContext(msg.sender, challenge);
+        require(!usedNullifiers[context][nullifier], "Proof already used");
+        
+        uint[7] memory publicSignals = _buildPublicSignals(
             batchId,
+            commitment,
+            nullifier,
+            context,
             minPassingGrade,
             requiresAllSubjectsPassed
-        ))) % 21888242871839275222246405745257275088548364400416034343698204186575808495617; // BN254 field size
-        
-        uint[1] memory publicSignals = [publicSignal];
+        );
         
         bool isValid = verifier.verifyProof(
             proof.a,
@@ -66,11 +148,14 @@ contract ZKCertificateSystem is CertificateRegistry {
         );
         
         if (isValid) {
+            usedNullifiers[context][nullifier] = true;
             emit ZKProofVerified(
                 msg.sender,
                 batchId,
                 minPassingGrade,
-                requiresAllSubjectsPassed
+                requiresAllSubjectsPassed,
+                challenge,
+                nullifier
             );
         }
         
@@ -81,15 +166,26 @@ contract ZKCertificateSystem is CertificateRegistry {
      * @dev Verify certificate existence and basic criteria without revealing grades
      * @param proof The ZK proof components
      * @param batchId The batch ID containing the certificate
+     * @param commitment The certificate commitment output by the proof
+     * @param nullifier The nullifier output by the proof
+     * @param challenge The challenge the caller gave the holder
      */
     function verifyBasicCertificate(
         ZKProof memory proof,
-        uint256 batchId
+        uint256 batchId,
+        uint256 commitment,
+        uint256 nullifier,
+        uint256 challenge
     ) external returns (bool) {
         require(batches[batchId].isValid, "Batch is not valid");
+        require(!isCertificateRevoked(batchId, bytes32(commitment)), "Certificate is revoked");
+        _requireWithinValidity(batchId, bytes32(commitment));
         
-        // Public signal is just the batch ID
-        uint[1] memory publicSignals = [batchId];
+        uint256 context = verificationContext(msg.sender, challenge);
+        require(!usedNullifiers[context][nullifier], "Proof already used");
+        
+        // Membership only: no grade criteria
+        uint[7] memory publicSignals = _buildPublicSignals(batchId, commitment, nullifier, context, 0, false);
         
         bool isValid = verifier.verifyProof(
             proof.a,
@@ -99,12 +195,228 @@ contract ZKCertificateSystem is CertificateRegistry {
         );
         
         if (isValid) {
-            emit ZKProofVerified(msg.sender, batchId, 0, false);
+            usedNullifiers[context][nullifier] = true;
+            emit ZKProofVerified(msg.sender, batchId, 0, false, challenge, nullifier);
+        }
+        
+        return isValid;
+    }
+    
+    /**
+     * @dev Verify that a certificate's credit-weighted average grade meets a minimum
+     * @param proof The ZK proof components
+     * @param batchId The batch ID containing the certificate
+     * @param commitment The certificate commitment output by the proof
+     * @param nullifier The nullifier output by the proof
+     * @param challenge The challenge the caller gave the holder
+     * @param weights Credit weight of each subject, in the circuit's fixed point
+     * @param minAverage Minimum weighted average (grade times AVERAGE_SCALE)
+     */
+    function verifyWeightedAverage(
+        ZKProof memory proof,
+        uint256 batchId,
+        uint256 commitment,
+        uint256 nullifier,
+        uint256 challenge,
+        uint256[5] memory weights,
+        uint256 minAverage
+    ) external returns (bool) {
+        require(address(weightedAverageVerifier) != address(0), "Weighted average verifier not deployed");
+        require(batches[batchId].isValid, "Batch is not valid");
+        require(!isCertificateRevoked(batchId, bytes32(commitment)), "Certificate is revoked");
+        _requireWithinValidity(batchId, bytes32(commitment));
+        require(minAverage > 0 && minAverage <= 100 * AVERAGE_SCALE, "Invalid minimum average");
+        
+        uint256 context = verificationContext(msg.sender, challenge);
+        require(!usedNullifiers[context][nullifier], "Proof already used");
+        
+        // Layout: [commitment, nullifier, merkleRoot, weights[0..4], minAverage, context]
+        uint[10] memory publicSignals;
+        publicSignals[0] = commitment;
+        publicSignals[1] = nullifier;
+        publicSignals[2] = uint256(batches[batchId].merkleRoot);
+        for (uint256 i = 0; i < WEIGHTED_SUBJECTS; i++) {
+            publicSignals[3 + i] = weights[i];
+        }
+        publicSignals[8] = minAverage;
+        publicSignals[9] = context;
+        
+        bool isValid = weightedAverageVerifier.verifyProof(
+            proof.a,
+            proof.b,
+            proof.c,
+            publicSignals
+        );
+        
+        if (isValid) {
+            usedNullifiers[context][nullifier] = true;
+            emit WeightedAverageVerified(msg.sender, batchId, weights, minAverage, challenge, nullifier);
+        }
+        
+        return isValid;
+    }
+    
+    /**
+     * @dev Verify academic achievement together with a proof that the certificate is not revoked
+     * The proof's revocationRoot must be the root last published with updateRevocationRoot, so a
+     * proof made against an older tree stops verifying once the batch's revocations are republished.
+     * The certificate commitment stays private to the proof, so revocation is checked only against
+     * that root, and only the batch's validity window applies: per-certificate windows are keyed by
+     * the commitment.
+     * @param proof The ZK proof components
+     * @param batchId The batch ID containing the student's certificate
+     * @param nullifier The nullifier output by the proof
+     * @param challenge The challenge the caller gave the holder
+     * @param minPassingGrade Minimum grade required for verification
+     * @param requiresAllSubjectsPassed Whether all subjects must be passed
+     */
+    function verifyNonRevokedCertificate(
+        ZKProof memory proof,
+        uint256 batchId,
+        uint256 nullifier,
+        uint256 challenge,
+        uint256 minPassingGrade,
+        bool requiresAllSubjectsPassed
+    ) external returns (bool) {
+        require(address(nonRevocationVerifier) != address(0), "Non-revocation verifier not deployed");
+        require(batches[batchId].isValid, "Batch is not valid");
+        ValidityWindow memory window = batchValidity[batchId];
+        require(window.validFrom == 0 || block.timestamp >= window.validFrom, "Certificate not yet valid");
+        require(window.validUntil == 0 || block.timestamp <= window.validUntil, "Certificate has expired");
+        require(minPassingGrade > 0 && minPassingGrade <= 100, "Invalid passing grade");
+        
+        uint256 context = verificationContext(msg.sender, challenge);
+        require(!usedNullifiers[context][nullifier], "Proof already used");
+        
+        // Layout: [isValid, nullifier, merkleRoot, revocationRoot, minPassingGrade, requireAllPassed, context]
+        uint[7] memory publicSignals = [
+            uint256(1),
+            nullifier,
+            uint256(batches[batchId].merkleRoot),
+            uint256(revocationRoots[batchId]),
+            minPassingGrade,
+            requiresAllSubjectsPassed ? uint256(1) : uint256(0),
+            context
+        ];
+        
+        bool isValid = nonRevocationVerifier.verifyProof(
+            proof.a,
+            proof.b,
+            proof.c,
+            publicSignals
+        );
+        
+        if (isValid) {
+            usedNullifiers[context][nullifier] = true;
+            emit NonRevocationVerified(
+                msg.sender,
+                batchId,
+                revocationRoots[batchId],
+                minPassingGrade,
+                requiresAllSubjectsPassed,
+                challenge,
+                nullifier
+            );
         }
         
         return isValid;
     }
     
+    /**
+     * @dev Verify that a certificate's disclosed fields satisfy the proof's predicates
+     * The proof is made against the disclosure root anchored with the batch; revocations and
+     * validity windows are looked up by the disclosure commitment, which the issuer records
+     * alongside the certificate commitment.
+     * @param proof The ZK proof components
+     * @param batchId The batch ID containing the certificate
+     * @param commitment The disclosure commitment output by the proof
+     * @param nullifier The nullifier output by the proof
+     * @param challenge The challenge the caller gave the holder
+     * @param predicates The predicate signals, in circuit order (see DISCLOSURE_PREDICATE_SIGNALS)
+     */
+    function verifyDisclosure(
+        ZKProof memory proof,
+        uint256 batchId,
+        uint256 commitment,
+        uint256 nullifier,
+        uint256 challenge,
+        uint256[84] memory predicates
+    ) external returns (bool) {
+        require(address(disclosureVerifier) != address(0), "Disclosure verifier not deployed");
+        require(batches[batchId].isValid, "Batch is not valid");
+        require(disclosureRoots[batchId] != bytes32(0), "Batch has no disclosure root");
+        require(!isCertificateRevoked(batchId, bytes32(commitment)), "Certificate is revoked");
+        _requireWithinValidity(batchId, bytes32(commitment));
+        
+        uint256 context = verificationContext(msg.sender, challenge);
+        require(!usedNullifiers[context][nullifier], "Proof already used");
+        
+        // Layout: [commitment, nullifier, disclosureRoot, context, predicates...]
+        uint[88] memory publicSignals;
+        publicSignals[0] = commitment;
+        publicSignals[1] = nullifier;
+        publicSignals[2] = uint256(disclosureRoots[batchId]);
+        publicSignals[3] = context;
+        for (uint256 i = 0; i < DISCLOSURE_PREDICATE_SIGNALS; i++) {
+            publicSignals[4 + i] = predicates[i];
+        }
+        
+        bool isValid = disclosureVerifier.verifyProof(
+            proof.a,
+            proof.b,
+            proof.c,
+            publicSignals
+        );
+        
+        if (isValid) {
+            usedNullifiers[context][nullifier] = true;
+            emit DisclosureVerified(
+                msg.sender,
+                batchId,
+                keccak256(abi.encodePacked(predicates)),
+                challenge,
+                nullifier
+            );
+        }
+        
+        return isValid;
+    }
+    
+    /**
+     * @dev Circuit context for a verifier's challenge
+     * Binding the context to the verifier's address means only that verifier can
+     * submit proofs made for its challenge.
+     * @param verifierAddress The account that will submit the proof
+     * @param challenge The challenge it gave the holder
+     */
+    function verificationContext(address verifierAddress, uint256 challenge) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(verifierAddress, challenge))) % SNARK_SCALAR_FIELD;
+    }
+    
+    /**
+     * @dev Build the public signals expected by the verifier
+     * Layout: [isValid, commitment, nullifier, merkleRoot, minPassingGrade, requireAllPassed, context]
+     * isValid is fixed to 1 so only proofs that meet the criteria verify
+     */
+    function _buildPublicSignals(
+        uint256 batchId,
+        uint256 commitment,
+        uint256 nullifier,
+        uint256 context,
+        uint256 minPassingGrade,
+        bool requiresAllSubjectsPassed
+    ) internal view returns (uint[7] memory) {
+        return [
+            uint256(1),
+            commitment,
+            nullifier,
+            uint256(batches[batchId].merkleRoot),
+            minPassingGrade,
+            requiresAllSubjectsPassed ? uint256(1) : uint256(0),
+            context
+        ];
+    }
+    
     /**
      * @dev Get verification statistics for a batch
      * @param batchId The batch ID to query
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Layout from '../src/components/Layout';
+import { authHeaders } from '../src/utils/auth';
+
+export default function Approvals() {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [comments, setComments] = useState({});
+  const [busySession, setBusySession] = useState(null);
+
+  const loadSessions = async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      const response = await fetch('http://localhost:3001/api/workflow/approvals', {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to load approvals');
+      }
+      setSessions(data.sessions);
+    } catch (error) {
+      setLoadError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const review = async (session, action) => {
+    const comment = comments[session.sessionId] || '';
+    if (action === 'reject' && !comment.trim()) {
+      alert('Please explain why the batch is rejected');
+      return;
+    }
+
+    setBusySession(session.sessionId);
+    try {
+      const response = await fetch(`http://localhost:3001/api/workflow/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({
+          sessionId: session.sessionId,
+          comment,
+          ...(action === 'approve' && { merkleRoot: session.merkleRoot })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Failed to ${action} batch`);
+      }
+      await loadSessions();
+    } catch (error) {
+      alert(`Review Error: ${error.message}`);
+    } finally {
+      setBusySession(null);
+    }
+  };
+
+  return (
+    <Layout title="Approvals - ZK Certificate System">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Pending Approvals</h1>
+            <p className="text-gray-600 mt-1">
+              Review processed batches before their Merkle root is anchored on-chain.
+            </p>
+          </div>
+          <button onClick={loadSessions} className="btn-outline">
+            Refresh
+          </button>
+        </div>
+
+        {loadError && (
+          <div className="p-4 mb-6 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {loadError}{' '}
+            <Link href="/login?next=/approvals">
+              <a className="underline">Sign in as an approver</a>
+            </Link>
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : sessions.length === 0 && !loadError ? (
+          <div className="bg-white rounded-xl shadow-sm p-8 text-center text-gray-600">
+            No batches are waiting for approval.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {sessions.map((session) => (
+              <div key={session.sessionId} className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{session.fileName}</h2>
+                    <p className="text-sm text-gray-500">
+                      Submitted by {session.approval?.submittedBy?.username || 'unknown'} on{' '}
+                      {session.approval?.submittedAt ? new Date(session.approval.submittedAt).toLocaleString() : 'unknown date'}
+                    </p>
+                  </div>
+                  <span className="badge bg-yellow-100 text-yellow-800">Pending Approval</span>
+                </div>
+
+                {session.approval?.comment && (
+                  <p className="text-sm text-gray-700 italic">"{session.approval.comment}"</p>
+                )}
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-600 block">Certificates</span>
+                    <span className="font-semibold">{session.processedCount}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Rows Processed</span>
+                    <span className="font-semibold">{session.summary?.totalRows ?? '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Rows With Errors</span>
+                    <span className="font-semibold">{session.errors.length}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Processed By</span>
+                    <span className="font-semibold">{session.processedBy?.username || 'unknown'}</span>
+                  </div>
+                </div>
+
+                <div className="text-sm">
+                  <span className="text-gray-600 block">Merkle Root</span>
+                  <span className="font-mono text-xs break-all">{session.merkleRoot}</span>
+                </div>
+
+                {session.errors.length > 0 && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-red-700">Show {session.errors.length} row errors</summary>
+                    <ul className="mt-2 space-y-1 text-red-700">
+                      {session.errors.map((rowError, index) => (
+                        <li key={index}>
+                          Row {rowError.row}: {rowError.errors ? rowError.errors.join(', ') : rowError.error}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={comments[session.sessionId] || ''}
+                    onChange={(e) => setComments(prev => ({ ...prev, [session.sessionId]: e.target.value }))}
+                    placeholder="Comment (required when rejecting)"
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <button
+                    onClick={() => review(session, 'approve')}
+                    disabled={busySession === session.sessionId}
+                    className="btn-success disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => review(session, 'reject')}
+                    disabled={busySession === session.sessionId}
+                    className="btn-error disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
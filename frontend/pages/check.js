@@ -0,0 +1,335 @@
+import React, { useEffect, useState } from 'react';
+import Layout from '../src/components/Layout';
+import { isCertificateQR, verifyCertificateQR } from '../src/utils/certificateQR';
+import { decodeProofPackage, verifyRequest } from '../src/utils/proofPackage';
+import { readBatch, readCertificateStatus } from '../src/utils/registry';
+
+const GRADE_SCALE_LABELS = {
+  percentage: 'out of 100',
+  gpa10: 'on a 10-point scale',
+  gpa4: 'on a 4.0 scale',
+  letter: 'letter grade'
+};
+
+const STATUS_STYLES = {
+  valid: ['Valid', 'bg-green-100 text-green-800'],
+  not_yet_valid: ['Not Yet Valid', 'bg-yellow-100 text-yellow-800'],
+  expired: ['Expired', 'bg-yellow-100 text-yellow-800'],
+  revoked: ['Revoked', 'bg-red-100 text-red-800'],
+  unknown: ['Not On-Chain', 'bg-red-100 text-red-800'],
+  unanchored: ['Not On-Chain', 'bg-red-100 text-red-800'],
+  invalid: ['Invalid', 'bg-red-100 text-red-800']
+};
+
+function describePredicate(predicate) {
+  const scale = GRADE_SCALE_LABELS[predicate.gradeScale] || predicate.gradeScale;
+
+  if (predicate.proofType === 'weightedAverage') {
+    return `Credit-weighted average of ${predicate.subjects} subjects is at least ${predicate.minAverage} (${scale})`;
+  }
+  if (predicate.requireAllPassed) {
+    return `Every one of ${predicate.subjects} subjects is graded at least ${predicate.minPassingGrade} (${scale})`;
+  }
+  return 'Holds a certificate in this batch (no grade criteria)';
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString() : null;
+}
+
+// The Merkle root sits after isValid and the commitment and nullifier in threshold proofs
+function provenMerkleRoot(proofPackage) {
+  return proofPackage.publicSignals[proofPackage.proofType === 'weightedAverage' ? 2 : 3];
+}
+
+export default function Check() {
+  const [linkInput, setLinkInput] = useState('');
+  const [proofPackage, setProofPackage] = useState(null);
+  const [reference, setReference] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkError, setCheckError] = useState('');
+
+  const checkProofPackage = async (pkg) => {
+    setIsChecking(true);
+    setCheckError('');
+    setResult(null);
+    setReference(null);
+    setProofPackage(pkg);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/zkproofs/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(verifyRequest(pkg))
+      });
+      const verification = await response.json();
+      if (!response.ok) {
+        throw new Error(verification.message || verification.error || 'Proof verification failed');
+      }
+
+      const batch = await readBatch(pkg.contract, pkg.batchId);
+      const rootMatches = batch !== null && BigInt(batch.merkleRoot) === BigInt(provenMerkleRoot(pkg));
+
+      setResult({ verification, batch, rootMatches });
+    } catch (error) {
+      setCheckError(error.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // A query-string reference is unsigned: its status is shown from the registry, but never as verified
+  const checkReference = async (ref) => {
+    setIsChecking(true);
+    setCheckError('');
+    setResult(null);
+    setProofPackage(null);
+    setReference(ref);
+
+    try {
+      const [batch, status] = await Promise.all([
+        readBatch(ref.contract, ref.batchId),
+        readCertificateStatus(ref.contract, ref.batchId, ref.commitment)
+      ]);
+      setResult({ batch, status });
+    } catch (error) {
+      setCheckError(error.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Printed certificates carry a signed reference; the backend checks the signature against the registry
+  const checkQR = async (text) => {
+    setIsChecking(true);
+    setCheckError('');
+    setResult(null);
+    setProofPackage(null);
+    setReference(null);
+
+    try {
+      const qr = await verifyCertificateQR(text);
+      setReference({
+        batchId: qr.certificate.batchId,
+        commitment: qr.certificate.commitment,
+        contract: { address: qr.certificate.contractAddress, chainId: qr.certificate.chainId },
+        signed: true
+      });
+      setResult({
+        status: qr.status,
+        message: qr.message,
+        batch: qr.batch && {
+          ...qr.batch,
+          institutionName: qr.issuer?.name,
+          institutionDomain: qr.issuer?.domain,
+          institutionActive: qr.issuer ? qr.issuer.active : null
+        }
+      });
+    } catch (error) {
+      setCheckError(error.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Links carry a proof package in the fragment, or a certificate reference in the query string
+  useEffect(() => {
+    const { hash, search } = window.location;
+    if (hash.length > 1) {
+      try {
+        checkProofPackage(decodeProofPackage(hash.slice(1)));
+      } catch (error) {
+        setCheckError(`This verification link is damaged: ${error.message}`);
+      }
+      return;
+    }
+
+    const params = new URLSearchParams(search);
+    if (params.get('qr')) {
+      checkQR(params.get('qr'));
+    } else if (params.get('batchId') && params.get('commitment') && params.get('contract')) {
+      checkReference({
+        batchId: params.get('batchId'),
+        commitment: params.get('commitment'),
+        contract: { address: params.get('contract'), chainId: params.get('chainId') }
+      });
+    }
+  }, []);
+
+  const submitLink = (event) => {
+    event.preventDefault();
+    if (isCertificateQR(linkInput)) {
+      checkQR(linkInput);
+      return;
+    }
+    try {
+      const pkg = decodeProofPackage(linkInput);
+      window.history.replaceState(null, '', `/check${linkInput.includes('#') ? linkInput.slice(linkInput.indexOf('#')) : ''}`);
+      checkProofPackage(pkg);
+    } catch (error) {
+      setCheckError(`Could not read the proof: ${error.message}`);
+    }
+  };
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      checkProofPackage(decodeProofPackage(await file.text()));
+    } catch (error) {
+      setCheckError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const verification = result?.verification;
+  const status = verification ? verification.status : result?.status;
+  const predicateMet = verification?.predicate ? verification.predicate.satisfied : true;
+  const verified = Boolean(result) && status === 'valid' && predicateMet &&
+    (reference ? reference.signed === true : result.rootMatches);
+  const [statusLabel, statusStyle] = STATUS_STYLES[status] || STATUS_STYLES.unknown;
+
+  return (
+    <Layout title="Check a Proof - ZK Certificate System">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Check a Proof</h1>
+          <p className="text-gray-600 mt-1">
+            Open a verification link from a certificate holder or scan a printed certificate&apos;s QR code, or paste either here.
+            You will see what was proven, never the grades.
+          </p>
+        </div>
+
+        <form onSubmit={submitLink} className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+          <label className="block text-sm font-medium text-gray-700">Verification link, QR code text or proof package</label>
+          <textarea
+            value={linkInput}
+            onChange={(e) => setLinkInput(e.target.value)}
+            rows={3}
+            placeholder="https://.../check#..."
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          />
+          <div className="flex items-center space-x-3">
+            <button type="submit" disabled={!linkInput.trim() || isChecking} className="btn-primary disabled:opacity-50">
+              Check
+            </button>
+            <label className="btn-outline cursor-pointer">
+              Open Proof File
+              <input type="file" accept="application/json,.json" onChange={loadFile} className="hidden" />
+            </label>
+          </div>
+        </form>
+
+        {isChecking && (
+          <div className="bg-white rounded-xl shadow-sm p-6 text-gray-700">
+            Checking the proof and reading the registry...
+          </div>
+        )}
+
+        {checkError && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {checkError}
+          </div>
+        )}
+
+        {result && (
+          <div className="bg-white rounded-xl shadow-sm p-6 space-y-6">
+            <div className={`p-4 rounded-lg border ${verified ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+              <p className={`text-lg font-semibold ${verified ? 'text-green-800' : 'text-red-800'}`}>
+                {verified ? 'Verified' : 'Not verified'}
+              </p>
+              <p className="text-sm text-gray-700">
+                {verification && !result.rootMatches && status === 'valid'
+                  ? 'The proof is valid, but not for the batch it claims to belong to.'
+                  : verification && !predicateMet
+                    ? 'The proof is genuine, but the holder\'s grades do not meet the stated criteria.'
+                    : verification ? verification.message
+                      : reference && !reference.signed
+                        ? `Certificate status: ${statusLabel}. This link is not signed by the issuer, so it verifies nothing.`
+                        : result.message || `Certificate status: ${statusLabel}`}
+              </p>
+            </div>
+
+            {verification?.predicate && (
+              <div>
+                <span className="text-sm text-gray-600 block">Proven</span>
+                <span className="font-semibold text-gray-900">{describePredicate(verification.predicate)}</span>
+                {verification.predicate.proofType === 'weightedAverage' && (
+                  <span className="block text-xs text-gray-500 mt-1">
+                    Credits per subject: {verification.predicate.weights.join(', ')}
+                  </span>
+                )}
+              </div>
+            )}
+
+            {reference && (
+              <p className="text-sm text-gray-600">
+                This link identifies a certificate but proves nothing about its grades. Ask the holder for a verification link.
+              </p>
+            )}
+
+            {result.batch ? (
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <span className="text-gray-600 block">Institution</span>
+                  <span className="font-semibold">{result.batch.institutionName || 'Unregistered issuer'}</span>
+                  {result.batch.institutionDomain && (
+                    <span className="block text-xs text-gray-500">{result.batch.institutionDomain}</span>
+                  )}
+                  {result.batch.institutionActive === false && (
+                    <span className="badge bg-red-100 text-red-800 mt-1">Institution deactivated</span>
+                  )}
+                </div>
+                <div>
+                  <span className="text-gray-600 block">Course</span>
+                  <span className="font-semibold">
+                    {result.batch.courseName}{result.batch.graduationYear ? ` (${result.batch.graduationYear})` : ''}
+                  </span>
+                </div>
+                <div>
+                  <span className="text-gray-600 block">Certificate Status</span>
+                  <span className={`badge ${statusStyle}`}>{statusLabel}</span>
+                </div>
+                <div>
+                  <span className="text-gray-600 block">Batch Validity</span>
+                  <span className="font-semibold">
+                    {result.batch.validFrom || result.batch.validUntil
+                      ? `${formatDate(result.batch.validFrom) || 'Issue'} - ${formatDate(result.batch.validUntil) || 'no expiry'}`
+                      : 'No expiry'}
+                  </span>
+                  {!result.batch.isValid && (
+                    <span className="badge bg-red-100 text-red-800 mt-1">Batch revoked</span>
+                  )}
+                </div>
+                <div>
+                  <span className="text-gray-600 block">Batch</span>
+                  <span className="font-semibold">
+                    {result.batch.batchId} · issued {formatDate(result.batch.issuedAt)}
+                  </span>
+                </div>
+                {verification?.validity?.validUntil && (
+                  <div>
+                    <span className="text-gray-600 block">Certificate Valid Until</span>
+                    <span className="font-semibold">{formatDate(verification.validity.validUntil)}</span>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-red-700">
+                Batch {(proofPackage || reference).batchId} does not exist in the registry.
+              </p>
+            )}
+
+            <div className="text-xs text-gray-500 break-all">
+              Registry {(proofPackage || reference).contract.address}
+              {proofPackage?.challengeId && ` · made for verifier challenge ${proofPackage.challengeId}`}
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
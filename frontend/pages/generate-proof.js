@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import Link from 'next/link';
 import Layout from '../src/components/Layout';
+import BrowserProver from '../src/components/BrowserProver';
+import { authHeaders } from '../src/utils/auth';
+import { verifyBundle } from '../src/utils/bundle';
 
 export default function GenerateProof() {
   const [uploadedFile, setUploadedFile] = useState(null);
@@ -8,12 +11,39 @@ export default function GenerateProof() {
   const [sessionId, setSessionId] = useState(null);
   const [fieldMappings, setFieldMappings] = useState({});
   const [students, setStudents] = useState([]);
+  const [studentTotal, setStudentTotal] = useState(0);
   const [selectedStudents, setSelectedStudents] = useState(new Set());
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingErrors, setProcessingErrors] = useState([]);
   const [generatedCertificates, setGeneratedCertificates] = useState([]);
   const [certificateTemplate, setCertificateTemplate] = useState('standard');
+  const [gradeScale, setGradeScale] = useState('percentage');
   const [currentStep, setCurrentStep] = useState('upload'); // upload, mapping, select, generate, complete
+  const [mode, setMode] = useState('issuer'); // issuer, holder
+  const [holderBundle, setHolderBundle] = useState(null);
+  const [bundleError, setBundleError] = useState('');
+
+  // Holder mode proves an imported bundle in the browser, so nothing here is sent to the backend
+  const handleBundleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setBundleError('');
+    setHolderBundle(null);
+    try {
+      const bundle = JSON.parse(await file.text());
+      const { valid, errors } = verifyBundle(bundle);
+      if (!valid) {
+        throw new Error(errors.join('; '));
+      }
+      setHolderBundle(bundle);
+    } catch (error) {
+      setBundleError(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
 
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
@@ -44,6 +74,7 @@ export default function GenerateProof() {
 
       const response = await fetch('http://localhost:3001/api/workflow/parse', {
         method: 'POST',
+        headers: authHeaders(),
         body: formData,
       });
 
@@ -84,6 +115,7 @@ export default function GenerateProof() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify({
           sessionId: sessionId,
@@ -91,7 +123,8 @@ export default function GenerateProof() {
           processingOptions: {
             requiredFields: ['name'],
             skipEmptyRows: true,
-            validateEmails: true
+            validateEmails: true,
+            gradeScale
           }
         })
       });
@@ -107,17 +140,19 @@ export default function GenerateProof() {
         throw new Error(data.message || 'Data processing failed');
       }
 
-      // Store Merkle tree data for blockchain deployment
+      // Store Merkle tree data for blockchain deployment; certificates past the first page are loaded on demand
       const certificateData = {
+        sessionId: sessionId,
         certificates: data.certificates,
         merkleRoot: data.merkleRoot,
         merkleTreeStats: data.merkleTreeStats,
-        totalCount: data.certificates.length,
+        totalCount: data.page.total,
         processedAt: new Date().toISOString()
       };
       localStorage.setItem('generatedCertificates', JSON.stringify(certificateData));
 
       setStudents(data.certificates);
+      setStudentTotal(data.page.total);
       setSelectedStudents(new Set(data.certificates.map(s => s.id)));
       setProcessingErrors(data.errors || []);
       setCurrentStep('select'); // Move to student selection
@@ -130,6 +165,9 @@ export default function GenerateProof() {
     }
   };
 
+  // Subject columns map to a list; every other field maps to a single column
+  const isMapped = (mapping) => Array.isArray(mapping) ? mapping.length > 0 : Boolean(mapping);
+
   const updateFieldMapping = (targetField, sourceColumn) => {
     setFieldMappings(prev => ({
       ...prev,
@@ -137,6 +175,33 @@ export default function GenerateProof() {
     }));
   };
 
+  const loadMoreStudents = async () => {
+    setIsProcessing(true);
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/workflow/session/${sessionId}/certificates?offset=${students.length}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load certificates');
+      }
+
+      const loaded = [...students, ...data.certificates];
+      const existingData = JSON.parse(localStorage.getItem('generatedCertificates') || '{}');
+      localStorage.setItem('generatedCertificates', JSON.stringify({ ...existingData, certificates: loaded }));
+
+      setStudents(loaded);
+      setStudentTotal(data.page.total);
+    } catch (error) {
+      console.error('Error loading certificates:', error);
+      alert(`Error loading certificates: ${error.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const toggleStudentSelection = (studentId) => {
     const newSelected = new Set(selectedStudents);
     if (newSelected.has(studentId)) {
@@ -203,6 +268,7 @@ export default function GenerateProof() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify({
           studentData: certificate,
@@ -267,7 +333,8 @@ export default function GenerateProof() {
     // Clean up session if exists
     if (sessionId) {
       fetch(`http://localhost:3001/api/workflow/cleanup/${sessionId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeaders()
       }).catch(err => console.warn('Session cleanup failed:', err));
     }
 
@@ -276,6 +343,7 @@ export default function GenerateProof() {
     setSessionId(null);
     setFieldMappings({});
     setStudents([]);
+    setStudentTotal(0);
     setSelectedStudents(new Set());
     setGeneratedCertificates([]);
     setProcessingErrors([]);
@@ -296,12 +364,78 @@ export default function GenerateProof() {
                 Generate Digital Certificates
               </h1>
               <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-                Complete workflow: Upload CSV/Excel → Map data fields → Select students → Generate PDF certificates with Merkle tree integration for blockchain verification.
+                {mode === 'issuer'
+                  ? 'Complete workflow: Upload CSV/Excel → Map data fields → Select students → Generate PDF certificates with Merkle tree integration for blockchain verification.'
+                  : 'Import your certificate bundle and prove your results in this browser. Your grades never leave your device.'}
               </p>
+              <div className="inline-flex mt-6 rounded-lg border border-gray-300 overflow-hidden">
+                {[['issuer', 'Issuer'], ['holder', 'Certificate Holder']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setMode(value)}
+                    className={`px-4 py-2 text-sm font-medium ${mode === value ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
             </div>
           </div>
         </div>
 
+        {mode === 'holder' && (
+          <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-6">
+            <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">Certificate Bundle</h2>
+                <label className="btn-outline cursor-pointer">
+                  {holderBundle ? 'Import Another' : 'Import Bundle'}
+                  <input type="file" accept="application/json,.json" onChange={handleBundleImport} className="hidden" />
+                </label>
+              </div>
+
+              {bundleError && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                  {bundleError}
+                </div>
+              )}
+
+              {holderBundle ? (
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-600 block">Student</span>
+                    <span className="font-semibold">{holderBundle.certificate.name} ({holderBundle.certificate.studentId})</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Institution</span>
+                    <span className="font-semibold">{holderBundle.issuer.name || holderBundle.issuer.address}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Course</span>
+                    <span className="font-semibold">{holderBundle.batch.courseName || holderBundle.certificate.course || '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Batch</span>
+                    <span className="font-semibold">{holderBundle.batch.batchId}</span>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  Use the bundle file your institution sent you, or keep your bundles in{' '}
+                  <Link href="/holder">
+                    <a className="text-primary-600 underline">My Certificates</a>
+                  </Link>.
+                </p>
+              )}
+            </div>
+
+            {holderBundle && (
+              <BrowserProver key={holderBundle.commitment} bundle={holderBundle} />
+            )}
+          </div>
+        )}
+
+        {mode === 'issuer' && (
         <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
           {/* Step 1: File Upload */}
           {currentStep === 'upload' && (
@@ -393,7 +527,7 @@ export default function GenerateProof() {
                     <div className="text-sm font-medium text-blue-800">Data Columns</div>
                   </div>
                   <div className="bg-green-50 p-6 rounded-lg text-center">
-                    <div className="text-3xl font-bold text-green-600 mb-2">{Object.values(fieldMappings).filter(v => v).length}</div>
+                    <div className="text-3xl font-bold text-green-600 mb-2">{Object.values(fieldMappings).filter(isMapped).length}</div>
                     <div className="text-sm font-medium text-green-800">Mapped Fields</div>
                   </div>
                 </div>
@@ -465,15 +599,38 @@ export default function GenerateProof() {
                   </div>
 
                   {/* Suggested Mappings */}
-                  {fileAnalysis.suggestedMappings && Object.keys(fileAnalysis.suggestedMappings).some(k => fileAnalysis.suggestedMappings[k]) && (
+                  {/* Subject Columns */}
+                  {isMapped(fieldMappings.subjects) && (
+                    <div className="bg-purple-50 border border-purple-200 p-4 rounded-lg">
+                      <h4 className="text-sm font-semibold text-purple-800 mb-2">
+                        📚 {fieldMappings.subjects.length} Subject Columns
+                      </h4>
+                      <p className="text-xs text-purple-700 mb-3">{fieldMappings.subjects.join(', ')}</p>
+                      <label className="block">
+                        <span className="text-sm font-medium text-gray-700">Grade Scale</span>
+                        <select
+                          value={gradeScale}
+                          onChange={(e) => setGradeScale(e.target.value)}
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        >
+                          <option value="percentage">Marks out of 100</option>
+                          <option value="gpa10">10-point GPA / CGPA</option>
+                          <option value="gpa4">4.0 GPA</option>
+                          <option value="letter">Letter grades (F to A+)</option>
+                        </select>
+                      </label>
+                    </div>
+                  )}
+
+                  {fileAnalysis.suggestedMappings && Object.keys(fileAnalysis.suggestedMappings).some(k => isMapped(fileAnalysis.suggestedMappings[k])) && (
                     <div className="bg-blue-50 border border-blue-200 p-4 rounded-lg">
                       <h4 className="text-sm font-semibold text-blue-800 mb-2">💡 Suggested Mappings</h4>
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
-                        {Object.entries(fileAnalysis.suggestedMappings).filter(([, v]) => v).map(([field, column]) => (
+                        {Object.entries(fileAnalysis.suggestedMappings).filter(([, v]) => isMapped(v)).map(([field, column]) => (
                           <div key={field} className="flex items-center">
                             <span className="text-blue-600 font-medium">{field}</span>
                             <span className="mx-1 text-blue-400">→</span>
-                            <span className="text-blue-700">{column}</span>
+                            <span className="text-blue-700">{Array.isArray(column) ? `${column.length} columns` : column}</span>
                           </div>
                         ))}
                       </div>
@@ -544,7 +701,7 @@ export default function GenerateProof() {
                       <div className="text-sm text-gray-600">Columns Found</div>
                     </div>
                     <div className="bg-white p-4 rounded-lg text-center">
-                      <div className="text-2xl font-bold text-purple-600 mb-1">{Object.values(fieldMappings).filter(v => v).length}</div>
+                      <div className="text-2xl font-bold text-purple-600 mb-1">{Object.values(fieldMappings).filter(isMapped).length}</div>
                       <div className="text-sm text-gray-600">Fields Mapped</div>
                     </div>
                   </div>
@@ -676,14 +833,14 @@ export default function GenerateProof() {
                     Data Verification Complete
                   </h2>
                   <p className="text-gray-600">
-                    Successfully parsed {students.length} student records. All required data fields are present.
+                    Successfully parsed {studentTotal} student records. All required data fields are present.
                   </p>
                 </div>
 
                 {/* Verification Summary */}
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
                   <div className="bg-blue-50 p-6 rounded-lg text-center">
-                    <div className="text-3xl font-bold text-blue-600 mb-2">{students.length}</div>
+                    <div className="text-3xl font-bold text-blue-600 mb-2">{studentTotal}</div>
                     <div className="text-sm font-medium text-blue-800">Total Students</div>
                   </div>
                   <div className="bg-green-50 p-6 rounded-lg text-center">
@@ -776,7 +933,7 @@ export default function GenerateProof() {
               <div className="bg-white rounded-xl shadow-sm p-8">
                 <div className="flex justify-between items-center mb-6">
                   <h2 className="text-2xl font-semibold text-gray-900">
-                    Select Students ({students.length} found)
+                    Select Students ({studentTotal} found{students.length < studentTotal ? `, ${students.length} loaded` : ''})
                   </h2>
                   <div className="space-x-2">
                     <button
@@ -850,6 +1007,18 @@ export default function GenerateProof() {
                     </tbody>
                   </table>
                 </div>
+
+                {students.length < studentTotal && (
+                  <div className="mt-4 text-center">
+                    <button
+                      onClick={loadMoreStudents}
+                      disabled={isProcessing}
+                      className="border-2 border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors text-sm disabled:cursor-not-allowed"
+                    >
+                      {isProcessing ? 'Loading...' : `Load More (${studentTotal - students.length} remaining)`}
+                    </button>
+                  </div>
+                )}
               </div>
 
               <div className="flex justify-center space-x-4">
@@ -1053,6 +1222,7 @@ export default function GenerateProof() {
             </div>
           )}
         </div>
+        )}
       </div>
     </Layout>
   );
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from 'react';
+import Layout from '../src/components/Layout';
+import BrowserProver from '../src/components/BrowserProver';
+import { bundleKey, loadWallet, saveWallet, verifyBundle } from '../src/utils/bundle';
+
+export default function Holder() {
+  const [bundles, setBundles] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [importError, setImportError] = useState('');
+
+  // Bundles are kept in localStorage, so they can only be read after mounting
+  useEffect(() => {
+    const saved = loadWallet();
+    setBundles(saved);
+    if (saved.length > 0) {
+      setSelectedKey(bundleKey(saved[0]));
+    }
+
+    // A holder link from the institution carries a download token for one bundle
+    const token = new URLSearchParams(window.location.search).get('bundle');
+    if (token) {
+      // Drop the token from the address bar and history once it has been read
+      window.history.replaceState(null, '', window.location.pathname);
+      downloadBundle(token, saved);
+    }
+  }, []);
+
+  const selected = bundles.find(bundle => bundleKey(bundle) === selectedKey) || null;
+  const verification = selected ? verifyBundle(selected) : null;
+
+  const addBundle = (bundle, wallet) => {
+    const { valid, errors } = verifyBundle(bundle);
+    if (!valid) {
+      throw new Error(errors.join('; '));
+    }
+
+    const key = bundleKey(bundle);
+    const updated = [...wallet.filter(existing => bundleKey(existing) !== key), bundle];
+    saveWallet(updated);
+    setBundles(updated);
+    setSelectedKey(key);
+  };
+
+  const downloadBundle = async (token, wallet) => {
+    setImportError('');
+    try {
+      const response = await fetch(`http://localhost:3001/api/workflow/holder-bundle/${encodeURIComponent(token)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Download failed');
+      }
+      addBundle(data, wallet);
+    } catch (error) {
+      setImportError(`Could not download your certificate: ${error.message}`);
+    }
+  };
+
+  const importBundle = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setImportError('');
+    try {
+      addBundle(JSON.parse(await file.text()), bundles);
+    } catch (error) {
+      setImportError(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const removeBundle = (key) => {
+    if (!confirm('Remove this certificate from this browser? You will need the bundle file to import it again.')) {
+      return;
+    }
+    const updated = bundles.filter(bundle => bundleKey(bundle) !== key);
+    saveWallet(updated);
+    setBundles(updated);
+    setSelectedKey(updated.length > 0 ? bundleKey(updated[0]) : null);
+  };
+
+  return (
+    <Layout title="My Certificates - ZK Certificate System">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">My Certificates</h1>
+            <p className="text-gray-600 mt-1">
+              Open the holder link or import the certificate bundle your institution gave you, then prove your results without contacting them.
+            </p>
+          </div>
+          <label className="btn-primary cursor-pointer">
+            Import Bundle
+            <input type="file" accept="application/json,.json" onChange={importBundle} className="hidden" />
+          </label>
+        </div>
+
+        {importError && (
+          <div className="p-4 mb-6 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {importError}
+          </div>
+        )}
+
+        {bundles.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm p-8 text-center text-gray-600">
+            No certificates yet. Bundles are JSON files named like certificate-bundle-1-STUDENTID.json.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="space-y-3">
+              {bundles.map((bundle) => (
+                <button
+                  key={bundleKey(bundle)}
+                  onClick={() => setSelectedKey(bundleKey(bundle))}
+                  className={`w-full text-left p-4 rounded-lg border transition-colors ${bundleKey(bundle) === selectedKey
+                    ? 'border-primary-500 bg-primary-50'
+                    : 'border-gray-200 bg-white hover:bg-gray-50'
+                    }`}
+                >
+                  <span className="block font-semibold text-gray-900">
+                    {bundle.batch.courseName || bundle.certificate.course || 'Certificate'}
+                  </span>
+                  <span className="block text-sm text-gray-600">
+                    {bundle.issuer.name || bundle.issuer.address} · Batch {bundle.batch.batchId}
+                  </span>
+                </button>
+              ))}
+            </div>
+
+            {selected && (
+              <div className="md:col-span-2 space-y-6">
+                <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-900">{selected.certificate.name}</h2>
+                    <span className={`badge ${verification.valid ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      {verification.valid ? 'Issuer signature valid' : 'Invalid bundle'}
+                    </span>
+                  </div>
+
+                  {!verification.valid && (
+                    <ul className="text-sm text-red-700 list-disc list-inside">
+                      {verification.errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                  )}
+
+                  <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <span className="text-gray-600 block">Institution</span>
+                      <span className="font-semibold">{selected.issuer.name || 'Unregistered issuer'}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600 block">Student ID</span>
+                      <span className="font-semibold">{selected.certificate.studentId}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600 block">Batch</span>
+                      <span className="font-semibold">
+                        {selected.batch.batchId}{selected.batch.graduationYear && ` (${selected.batch.graduationYear})`}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600 block">Valid Until</span>
+                      <span className="font-semibold">
+                        {selected.batch.validUntil ? new Date(selected.batch.validUntil).toLocaleDateString() : 'No expiry'}
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="text-sm">
+                    <span className="text-gray-600 block">Signed By</span>
+                    <span className="font-mono text-xs break-all">{selected.issuer.address}</span>
+                  </div>
+                  <div className="text-sm">
+                    <span className="text-gray-600 block">Contract</span>
+                    <span className="font-mono text-xs break-all">
+                      {selected.contract.address} (chain {selected.contract.chainId})
+                    </span>
+                  </div>
+
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-gray-700">
+                      Show grades ({selected.certificate.subjects.length} subjects, only visible to you)
+                    </summary>
+                    <ul className="mt-2 space-y-1">
+                      {selected.certificate.subjects.map(subject => (
+                        <li key={subject.name} className="flex justify-between">
+                          <span className="text-gray-600">{subject.name}</span>
+                          <span className="font-semibold">{subject.grade}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+
+                  <button onClick={() => removeBundle(selectedKey)} className="btn-outline">
+                    Remove From This Browser
+                  </button>
+                </div>
+
+                <BrowserProver key={selectedKey} bundle={selected} disabled={!verification.valid} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
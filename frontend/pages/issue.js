@@ -1,6 +1,15 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import Link from 'next/link';
 import Layout from '../src/components/Layout';
+import { authHeaders } from '../src/utils/auth';
+
+const SESSION_STEP_LABELS = {
+  processed: 'Awaiting Submission',
+  pending_approval: 'Pending Approval',
+  approved: 'Approved for Deployment',
+  awaiting_signatures: 'Awaiting Co-Signers',
+  deployed: 'Deployed'
+};
 
 export default function IssueCertificates() {
   const [certificateData, setCertificateData] = useState(null);
@@ -8,6 +17,90 @@ export default function IssueCertificates() {
   const [isDeploying, setIsDeploying] = useState(false);
   const [deploymentResults, setDeploymentResults] = useState(null);
   const [deploymentStep, setDeploymentStep] = useState('');
+  const [institution, setInstitution] = useState(null);
+  const [institutionError, setInstitutionError] = useState('');
+  const [reviewSession, setReviewSession] = useState(null);
+  const [submitComment, setSubmitComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [downloadingBundle, setDownloadingBundle] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(null);
+  const [isSyncingProposal, setIsSyncingProposal] = useState(false);
+  const [batchDetails, setBatchDetails] = useState({
+    courseName: '',
+    graduationYear: new Date().getFullYear(),
+    validFrom: '',
+    validUntil: ''
+  });
+
+  // Batches are issued for the institution the backend's signer is registered with
+  useEffect(() => {
+    fetch('http://localhost:3001/api/institutions/me', { headers: authHeaders() })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to load institution');
+        }
+        setInstitution(data.data);
+      })
+      .catch((error) => setInstitutionError(error.message));
+  }, []);
+
+  // Batches can only be deployed once a second person has approved the processed session
+  const refreshReviewSession = async (sessionId) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/workflow/session/${sessionId}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to load session');
+      }
+      setReviewSession(data.session);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      setReviewSession(null);
+    }
+  };
+
+  useEffect(() => {
+    if (certificateData?.sessionId) {
+      refreshReviewSession(certificateData.sessionId);
+    }
+  }, [certificateData]);
+
+  const submitForApproval = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('http://localhost:3001/api/workflow/submit', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({
+          sessionId: certificateData.sessionId,
+          comment: submitComment
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to submit for approval');
+      }
+      setSubmitComment('');
+      await refreshReviewSession(certificateData.sessionId);
+    } catch (error) {
+      alert(`Submission Error: ${error.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateBatchDetail = (field, value) => {
+    setBatchDetails(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
 
   const handleDataInput = (event) => {
     const value = event.target.value.trim();
@@ -36,6 +129,26 @@ export default function IssueCertificates() {
       return;
     }
 
+    if (!institution) {
+      alert('The issuing account is not registered with an institution');
+      return;
+    }
+
+    if (reviewSession?.step !== 'approved') {
+      alert('This batch must be approved before it can be deployed');
+      return;
+    }
+
+    if (!batchDetails.courseName || !batchDetails.graduationYear) {
+      alert('Please provide course and graduation year for this batch');
+      return;
+    }
+
+    if (batchDetails.validFrom && batchDetails.validUntil && batchDetails.validUntil <= batchDetails.validFrom) {
+      alert('Valid Until must be after Valid From');
+      return;
+    }
+
     setIsDeploying(true);
 
     try {
@@ -46,11 +159,18 @@ export default function IssueCertificates() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify({
+          sessionId: certificateData.sessionId,
           merkleRoot: merkleRoot,
           certificates: certificateData.certificates || [],
-          totalCertificates: certificateData.totalCount || certificateData.selectedCertificates?.length || 0
+          institutionName: institution.name,
+          courseName: batchDetails.courseName,
+          graduationYear: Number(batchDetails.graduationYear),
+          // Optional validity window; leaving a date empty keeps that side open
+          ...(batchDetails.validFrom && { validFrom: batchDetails.validFrom }),
+          ...(batchDetails.validUntil && { validUntil: batchDetails.validUntil })
         }),
       });
 
@@ -62,14 +182,20 @@ export default function IssueCertificates() {
       }
 
       const deployData = await deployResponse.json();
-      setDeploymentStep('Deployment successful!');
+      setDeploymentStep(deployData.proposalId ? 'Batch proposed' : 'Deployment successful!');
 
       setDeploymentResults({
         merkleRoot: merkleRoot,
+        batchId: deployData.batchId,
+        proposalId: deployData.proposalId,
+        threshold: deployData.threshold,
         transactionHash: deployData.transactionHash,
         gasUsed: deployData.gasUsed,
         blockNumber: deployData.blockNumber,
-        totalCertificates: deployData.totalCertificates
+        totalCertificates: deployData.totalCertificates,
+        validFrom: deployData.validFrom,
+        validUntil: deployData.validUntil,
+        holderDownloads: deployData.holderDownloads
       });
 
     } catch (error) {
@@ -81,12 +207,127 @@ export default function IssueCertificates() {
     }
   };
 
+  // Co-signers approve proposals on-chain; the backend records the issued batch when asked to
+  const syncProposal = async () => {
+    setIsSyncingProposal(true);
+    try {
+      const response = await fetch('http://localhost:3001/api/workflow/sync-proposal', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({ sessionId: certificateData.sessionId })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to check the proposal');
+      }
+
+      if (data.step === 'deployed') {
+        setDeploymentResults((results) => ({ ...results, batchId: data.batchId, holderDownloads: data.holderDownloads }));
+      } else if (data.step === 'approved') {
+        setDeploymentResults(null);
+      }
+      alert(data.message);
+      refreshReviewSession(certificateData.sessionId);
+    } catch (error) {
+      console.error('Error syncing proposal:', error);
+      alert(`Proposal Error: ${error.message}`);
+    } finally {
+      setIsSyncingProposal(false);
+    }
+  };
+
+  // Each student gets a signed bundle to prove their certificate without the issuer
+  const downloadBundle = async (certificate) => {
+    setDownloadingBundle(certificate.id);
+    try {
+      const response = await fetch(`http://localhost:3001/api/workflow/bundle/${deploymentResults.batchId}/${certificate.id}`, {
+        headers: authHeaders()
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'Failed to download bundle');
+      }
+
+      const blob = await response.blob();
+      const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName ? fileName[1] : `certificate-bundle-${certificate.id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Bundle Error: ${error.message}`);
+    } finally {
+      setDownloadingBundle(null);
+    }
+  };
+
+  // A holder link lets the student fetch their own bundle into their wallet, with no account
+  const copyHolderLink = async (download) => {
+    const link = `${window.location.origin}/holder?bundle=${encodeURIComponent(download.token)}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('Holder link copied. Send it only to this student: anyone with it can download their bundle.');
+    } catch (error) {
+      prompt('Copy this holder link:', link);
+    }
+  };
+
+  // Deployed certificates print with a QR code the issuer signs, which /check resolves against the registry
+  const downloadPdf = async (certificate) => {
+    setDownloadingPdf(certificate.id);
+    try {
+      const response = await fetch('http://localhost:3001/api/workflow/generate-pdf', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({
+          sessionId: certificateData.sessionId,
+          studentData: certificate
+        })
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'PDF generation failed');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(certificate.name || 'certificate').replace(/[^a-zA-Z0-9]/g, '_')}_certificate.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`PDF Error: ${error.message}`);
+    } finally {
+      setDownloadingPdf(null);
+    }
+  };
+
+  // Only batches processed with subject grades are committed with a salt, so only they have bundles
+  const bundleCertificates = (certificateData?.certificates || []).filter(certificate => certificate.salt);
+  const holderDownloads = new Map((deploymentResults?.holderDownloads || []).map(download => [download.certificateId, download]));
+
   const resetForm = () => {
     setCertificateData(null);
     setMerkleRoot('');
     setIsDeploying(false);
     setDeploymentStep('');
     setDeploymentResults(null);
+    setReviewSession(null);
+    setBatchDetails({
+      courseName: '',
+      graduationYear: new Date().getFullYear(),
+      validFrom: '',
+      validUntil: ''
+    });
   };
 
   return (
@@ -179,6 +420,78 @@ export default function IssueCertificates() {
                     </div>
                   </div>
 
+                  {/* Batch Details */}
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Institution
+                      </label>
+                      <div className="w-full px-4 py-2 border border-gray-200 rounded-lg bg-gray-100 text-gray-700">
+                        {institution ? institution.name : 'Loading...'}
+                      </div>
+                      {institution?.domain && (
+                        <p className="text-xs text-gray-500 mt-1">{institution.domain}</p>
+                      )}
+                      {institutionError && (
+                        <p className="text-xs text-red-600 mt-1">{institutionError}</p>
+                      )}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Course Name
+                      </label>
+                      <input
+                        type="text"
+                        value={batchDetails.courseName}
+                        onChange={(e) => updateBatchDetail('courseName', e.target.value)}
+                        placeholder="B.Tech Computer Science"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Graduation Year
+                      </label>
+                      <input
+                        type="number"
+                        value={batchDetails.graduationYear}
+                        onChange={(e) => updateBatchDetail('graduationYear', e.target.value)}
+                        min="1901"
+                        max="2100"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                  </div>
+
+                  {/* Validity Window */}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Valid From <span className="text-gray-400">(optional)</span>
+                      </label>
+                      <input
+                        type="date"
+                        value={batchDetails.validFrom}
+                        onChange={(e) => updateBatchDetail('validFrom', e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Valid Until <span className="text-gray-400">(optional)</span>
+                      </label>
+                      <input
+                        type="date"
+                        value={batchDetails.validUntil}
+                        onChange={(e) => updateBatchDetail('validUntil', e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Leave empty for certificates that do not expire
+                      </p>
+                    </div>
+                  </div>
+
                   {/* Certificate Data Display */}
                   {certificateData && (
                     <div className="space-y-4">
@@ -199,13 +512,72 @@ export default function IssueCertificates() {
                           </div>
                           <div>
                             <span className="text-green-600">Status:</span>
-                            <span className="ml-2 font-semibold text-green-800">Ready for Deployment</span>
+                            <span className="ml-2 font-semibold text-green-800">
+                              {reviewSession ? SESSION_STEP_LABELS[reviewSession.step] || reviewSession.step : 'Unknown'}
+                            </span>
                           </div>
                         </div>
                       </div>
                     </div>
                   )}
 
+                  {/* Approval */}
+                  {certificateData && (
+                    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                      <h3 className="font-medium text-gray-900">Approval</h3>
+                      {!certificateData.sessionId || !reviewSession ? (
+                        <p className="text-sm text-red-600">
+                          The processing session for this data is no longer available. Process the file again to submit it for approval.
+                        </p>
+                      ) : (
+                        <>
+                          {reviewSession.approval?.status === 'rejected' && reviewSession.step === 'processed' && (
+                            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                              Rejected by {reviewSession.approval.rejectedBy?.username || 'an approver'}: {reviewSession.approval.reviewComment}
+                            </div>
+                          )}
+                          {reviewSession.step === 'processed' && (
+                            <div className="flex flex-col md:flex-row gap-3">
+                              <input
+                                type="text"
+                                value={submitComment}
+                                onChange={(e) => setSubmitComment(e.target.value)}
+                                placeholder="Note for the approver (optional)"
+                                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                              />
+                              <button
+                                onClick={submitForApproval}
+                                disabled={isSubmitting}
+                                className="btn-primary disabled:opacity-50"
+                              >
+                                {isSubmitting ? 'Submitting...' : 'Submit for Approval'}
+                              </button>
+                            </div>
+                          )}
+                          {reviewSession.step === 'pending_approval' && (
+                            <div className="flex items-center justify-between text-sm text-gray-700">
+                              <span>
+                                Submitted by {reviewSession.approval?.submittedBy?.username || 'unknown'}; waiting for an approver.
+                              </span>
+                              <button
+                                onClick={() => refreshReviewSession(certificateData.sessionId)}
+                                className="btn-outline"
+                              >
+                                Refresh
+                              </button>
+                            </div>
+                          )}
+                          {reviewSession.step === 'approved' && (
+                            <p className="text-sm text-green-700">
+                              Approved by {reviewSession.approval?.approvedBy?.username || 'an approver'}
+                              {reviewSession.approval?.reviewComment && `: ${reviewSession.approval.reviewComment}`}
+                            </p>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+
                   {/* Deploy Button */}
                   {isDeploying ? (
                     <div className="space-y-4">
@@ -219,13 +591,13 @@ export default function IssueCertificates() {
                     <div className="text-center">
                       <button
                         onClick={deployToBlockchain}
-                        disabled={!merkleRoot || (!certificateData && !merkleRoot)}
+                        disabled={!merkleRoot || reviewSession?.step !== 'approved'}
                         className="bg-primary-600 text-white font-semibold px-8 py-3 rounded-lg hover:bg-primary-700 transition-colors shadow-lg disabled:bg-gray-400 disabled:cursor-not-allowed"
                       >
                         🚀 Deploy to Blockchain
                       </button>
                       <p className="text-sm text-gray-500 mt-2">
-                        This will create ZK proofs and deploy certificate data to the blockchain
+                        Available once the batch has been approved by a second person
                       </p>
                     </div>
                   )}
@@ -239,8 +611,14 @@ export default function IssueCertificates() {
                 <div className="mx-auto h-16 w-16 bg-green-100 rounded-full flex items-center justify-center mb-4">
                   <span className="text-green-600 text-3xl">✓</span>
                 </div>
-                <h2 className="text-2xl font-semibold text-gray-900 mb-2">Successfully Deployed to Blockchain!</h2>
-                <p className="text-gray-600">Your certificates are now immutably stored with ZK proof verification</p>
+                <h2 className="text-2xl font-semibold text-gray-900 mb-2">
+                  {deploymentResults.proposalId ? 'Batch Proposed On-Chain' : 'Successfully Deployed to Blockchain!'}
+                </h2>
+                <p className="text-gray-600">
+                  {deploymentResults.proposalId
+                    ? 'The batch is issued once the other institution signers approve the proposal'
+                    : 'Your certificates are now immutably stored with ZK proof verification'}
+                </p>
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
@@ -251,6 +629,19 @@ export default function IssueCertificates() {
                       <span className="text-gray-600">Total Certificates:</span>
                       <span className="font-semibold">{deploymentResults.totalCertificates}</span>
                     </div>
+                    {deploymentResults.proposalId ? (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Proposal ID:</span>
+                        <span className="font-semibold">
+                          {deploymentResults.proposalId} (needs {deploymentResults.threshold} signer approvals)
+                        </span>
+                      </div>
+                    ) : (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Batch ID:</span>
+                        <span className="font-semibold">{deploymentResults.batchId}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span className="text-gray-600">Gas Used:</span>
                       <span className="font-semibold">{deploymentResults.gasUsed}</span>
@@ -275,10 +666,88 @@ export default function IssueCertificates() {
                         <span className="font-semibold">#{deploymentResults.blockNumber}</span>
                       </div>
                     )}
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Valid Until:</span>
+                      <span className="font-semibold">
+                        {deploymentResults.validUntil ? new Date(deploymentResults.validUntil).toLocaleDateString() : 'No expiry'}
+                      </span>
+                    </div>
                   </div>
                 </div>
               </div>
 
+              {deploymentResults.proposalId && !deploymentResults.batchId && (
+                <div className="bg-yellow-50 border border-yellow-200 p-6 rounded-lg mb-8">
+                  <p className="text-sm text-gray-700 mb-4">
+                    Once the co-signers have approved proposal {deploymentResults.proposalId}, record the issued batch here.
+                  </p>
+                  <button
+                    onClick={syncProposal}
+                    disabled={isSyncingProposal}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    {isSyncingProposal ? 'Checking...' : 'Check Co-Signer Approvals'}
+                  </button>
+                </div>
+              )}
+
+              {deploymentResults.batchId && (certificateData?.certificates || []).length > 0 && (
+                <div className="bg-gray-50 p-6 rounded-lg mb-8">
+                  <h3 className="font-semibold text-gray-900 mb-2">🖨️ Printable Certificates</h3>
+                  <p className="text-sm text-gray-600 mb-4">
+                    Each PDF carries a signed QR code that anyone can scan to check the certificate against the registry.
+                  </p>
+                  <ul className="divide-y divide-gray-200 text-sm">
+                    {certificateData.certificates.map((certificate) => (
+                      <li key={certificate.id} className="flex items-center justify-between py-2">
+                        <span>{certificate.name} <span className="text-gray-500">({certificate.student_id || certificate.id})</span></span>
+                        <button
+                          onClick={() => downloadPdf(certificate)}
+                          disabled={downloadingPdf === certificate.id}
+                          className="btn-outline disabled:opacity-50"
+                        >
+                          {downloadingPdf === certificate.id ? 'Signing...' : 'Download PDF'}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {deploymentResults.batchId && bundleCertificates.length > 0 && (
+                <div className="bg-gray-50 p-6 rounded-lg mb-8">
+                  <h3 className="font-semibold text-gray-900 mb-2">🎓 Holder Bundles</h3>
+                  <p className="text-sm text-gray-600 mb-4">
+                    Send each student their bundle, or their holder link to download it into their wallet. Both give access to
+                    their salt and Merkle path, so treat them like the certificate itself.
+                  </p>
+                  <ul className="divide-y divide-gray-200 text-sm">
+                    {bundleCertificates.map((certificate) => (
+                      <li key={certificate.id} className="flex items-center justify-between py-2">
+                        <span>{certificate.name} <span className="text-gray-500">({certificate.student_id || certificate.id})</span></span>
+                        <div className="flex gap-2">
+                          {holderDownloads.has(String(certificate.id)) && (
+                            <button
+                              onClick={() => copyHolderLink(holderDownloads.get(String(certificate.id)))}
+                              className="btn-outline"
+                            >
+                              Copy Holder Link
+                            </button>
+                          )}
+                          <button
+                            onClick={() => downloadBundle(certificate)}
+                            disabled={downloadingBundle === certificate.id}
+                            className="btn-outline disabled:opacity-50"
+                          >
+                            {downloadingBundle === certificate.id ? 'Signing...' : 'Download Bundle'}
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
                 <button
                   onClick={resetForm}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../src/components/Layout';
+import { saveSession } from '../src/utils/auth';
+
+export default function Login() {
+  const router = useRouter();
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateCredential = (field, value) => {
+    setCredentials(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch('http://localhost:3001/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(credentials)
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Sign in failed');
+      }
+
+      saveSession(result.data);
+      router.push(typeof router.query.next === 'string' ? router.query.next : '/');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Layout title="Sign In - ZK Certificate System">
+      <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="bg-white rounded-xl shadow-sm p-8">
+          <h1 className="text-2xl font-semibold text-gray-900 mb-2">Sign In</h1>
+          <p className="text-sm text-gray-600 mb-6">
+            Issuing, revoking and auditing certificates requires an account. Verification stays open to everyone.
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+              <input
+                type="text"
+                value={credentials.username}
+                onChange={(e) => updateCredential('username', e.target.value)}
+                autoComplete="username"
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+              <input
+                type="password"
+                value={credentials.password}
+                onChange={(e) => updateCredential('password', e.target.value)}
+                autoComplete="current-password"
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full btn-primary disabled:opacity-50"
+            >
+              {isSubmitting ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </Layout>
+  );
+}
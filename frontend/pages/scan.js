@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import Link from 'next/link';
+import Layout from '../src/components/Layout';
+import QRScanner from '../src/components/QRScanner';
+import { isCertificateQR, verifyCertificateQR } from '../src/utils/certificateQR';
+
+// [heading, banner classes] per verify-qr status
+const RESULT_STYLES = {
+  valid: ['Valid Certificate', 'bg-green-50 border-green-200 text-green-800'],
+  revoked: ['Revoked', 'bg-red-50 border-red-200 text-red-800'],
+  expired: ['Expired', 'bg-yellow-50 border-yellow-200 text-yellow-800'],
+  not_yet_valid: ['Not Yet Valid', 'bg-yellow-50 border-yellow-200 text-yellow-800'],
+  unknown: ['Unknown Certificate', 'bg-gray-50 border-gray-200 text-gray-800'],
+  invalid: ['Not Genuine', 'bg-red-50 border-red-200 text-red-800']
+};
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString() : null;
+}
+
+export default function Scan() {
+  const [result, setResult] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [scanError, setScanError] = useState('');
+
+  const handleDecode = async (text) => {
+    setResult(null);
+    setScanError('');
+    if (!isCertificateQR(text)) {
+      setScanError('This QR code is not from a ZK certificate. Only QR codes printed on certificates issued here can be checked.');
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      setResult(await verifyCertificateQR(text));
+    } catch (error) {
+      setScanError(error.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const reset = () => {
+    setResult(null);
+    setScanError('');
+  };
+
+  const [heading, bannerStyle] = result ? RESULT_STYLES[result.status] || RESULT_STYLES.unknown : [];
+
+  return (
+    <Layout title="Scan Certificate - ZK Certificate System">
+      <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Scan a Certificate</h1>
+          <p className="text-gray-600 mt-1">
+            Point your camera at the QR code on a printed certificate to check it against the blockchain registry.
+          </p>
+        </div>
+
+        {!result && !isVerifying && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <QRScanner onDecode={handleDecode} />
+          </div>
+        )}
+
+        {isVerifying && (
+          <div className="bg-white rounded-xl shadow-sm p-6 text-gray-700">
+            Checking the certificate against the registry...
+          </div>
+        )}
+
+        {scanError && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {scanError}
+          </div>
+        )}
+
+        {result && (
+          <div className="bg-white rounded-xl shadow-sm p-6 space-y-6">
+            <div className={`p-6 rounded-lg border text-center ${bannerStyle}`}>
+              <p className="text-2xl font-bold">{heading}</p>
+              <p className="text-sm mt-1">{result.message}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div className="col-span-2">
+                <span className="text-gray-600 block">Issued By</span>
+                {result.issuer ? (
+                  <>
+                    <span className="font-semibold text-lg">{result.issuer.name}</span>
+                    {result.issuer.domain && (
+                      <span className="block text-xs text-gray-500">{result.issuer.domain}</span>
+                    )}
+                    {!result.issuer.active && (
+                      <span className="badge bg-red-100 text-red-800 mt-1">Institution deactivated</span>
+                    )}
+                  </>
+                ) : (
+                  <span className="font-semibold text-red-700">No registered institution vouches for this QR code</span>
+                )}
+              </div>
+              {result.batch && (
+                <>
+                  <div>
+                    <span className="text-gray-600 block">Course</span>
+                    <span className="font-semibold">
+                      {result.batch.courseName}{result.batch.graduationYear ? ` (${result.batch.graduationYear})` : ''}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600 block">Issued</span>
+                    <span className="font-semibold">{formatDate(result.batch.issuedAt)}</span>
+                  </div>
+                </>
+              )}
+              {result.validity && (result.validity.validFrom || result.validity.validUntil) && (
+                <div className="col-span-2">
+                  <span className="text-gray-600 block">Valid</span>
+                  <span className="font-semibold">
+                    {formatDate(result.validity.validFrom) || 'Issue'} - {formatDate(result.validity.validUntil) || 'no expiry'}
+                  </span>
+                </div>
+              )}
+            </div>
+
+            <p className="text-xs text-gray-500">
+              The QR code identifies the certificate; it says nothing about grades. To check grades, ask the holder for a{' '}
+              <Link href="/check">
+                <a className="text-primary-600 underline">verification link</a>
+              </Link>.
+            </p>
+
+            <button onClick={reset} className="btn-primary w-full">
+              Scan Another
+            </button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useCallback } from 'react';
 import Link from 'next/link';
 import Layout from '../src/components/Layout';
+import { authHeaders } from '../src/utils/auth';
 
 export default function VerifyCertificate() {
     const [students, setStudents] = useState([]);
@@ -28,6 +29,7 @@ export default function VerifyCertificate() {
             // Step 1: Parse the file
             const parseResponse = await fetch('http://localhost:3001/api/workflow/parse', {
                 method: 'POST',
+                headers: authHeaders(),
                 body: formData,
             });
 
@@ -43,6 +45,7 @@ export default function VerifyCertificate() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...authHeaders(),
                 },
                 body: JSON.stringify({
                     sessionId: parseData.sessionId,
@@ -106,6 +109,7 @@ export default function VerifyCertificate() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...authHeaders(),
                 },
                 body: JSON.stringify({
                     sessionId,
@@ -0,0 +1,246 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { buildCircuitInput } from '../utils/circuitInputs';
+import { createProofPackage, downloadProofPackage, verificationLink } from '../utils/proofPackage';
+
+const PROOF_TYPES = [
+  { value: 'threshold', label: 'Minimum grade' },
+  { value: 'weightedAverage', label: 'Weighted average (CGPA)' }
+];
+
+// Proves a certificate bundle in the browser; only the verifier challenge is fetched from the backend
+export default function BrowserProver({ bundle, disabled = false }) {
+  const workerRef = useRef(null);
+  const [criteria, setCriteria] = useState({
+    proofType: 'threshold',
+    minPassingGrade: '',
+    requireAllPassed: false,
+    weights: bundle.certificate.subjects.map(() => 1),
+    minAverage: '',
+    challengeId: ''
+  });
+  const [progress, setProgress] = useState(null);
+  const [proofPackage, setProofPackage] = useState(null);
+  const [proofError, setProofError] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const updateCriteria = (field, value) => {
+    setCriteria(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const updateWeight = (index, value) => {
+    setCriteria(prev => ({
+      ...prev,
+      weights: prev.weights.map((weight, i) => (i === index ? value : weight))
+    }));
+  };
+
+  // A verifier's challenge binds the proof's nullifier to them; only its public context is fetched
+  const loadChallengeContext = async (challengeId) => {
+    const response = await fetch(`http://localhost:3001/api/zkproofs/challenges/${encodeURIComponent(challengeId)}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Failed to load challenge');
+    }
+    return data.data.context;
+  };
+
+  const prove = (circuit, input) => new Promise((resolve, reject) => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL('../workers/prover.worker.js', import.meta.url));
+    workerRef.current = worker;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data);
+      } else {
+        worker.terminate();
+        workerRef.current = null;
+        data.type === 'done' ? resolve(data) : reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      workerRef.current = null;
+      reject(new Error(event.message || 'Proof worker failed'));
+    };
+    worker.postMessage({ circuit, input });
+  });
+
+  const copyVerificationLink = async () => {
+    await navigator.clipboard.writeText(verificationLink(proofPackage));
+    setLinkCopied(true);
+  };
+
+  const generateProof = async () => {
+    setProofPackage(null);
+    setLinkCopied(false);
+    setProofError('');
+    setProgress({ stage: 'Preparing inputs' });
+
+    try {
+      const challengeId = criteria.challengeId.trim();
+      const context = challengeId ? await loadChallengeContext(challengeId) : '0';
+      const { circuit, input } = buildCircuitInput(bundle, criteria, context);
+      const { proof, publicSignals } = await prove(circuit, input);
+
+      // The threshold circuit proves isValid = 0 when the grades fall short, which no verifier accepts
+      if (criteria.proofType === 'threshold' && publicSignals[0] === '0') {
+        throw new Error('Your grades do not meet these criteria');
+      }
+
+      setProofPackage(createProofPackage(bundle, {
+        proofType: criteria.proofType,
+        circuit,
+        proof,
+        publicSignals,
+        challengeId
+      }));
+    } catch (error) {
+      setProofError(error.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const progressPercent = progress?.total ? Math.round((progress.received / progress.total) * 100) : null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Generate a Proof</h2>
+        <p className="text-sm text-gray-600">
+          The proof is computed in this browser; your grades and salt never leave it.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">What to prove</label>
+          <select
+            value={criteria.proofType}
+            onChange={(e) => updateCriteria('proofType', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            {PROOF_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Verifier challenge ID (needed for a verification link)</label>
+          <input
+            type="text"
+            value={criteria.challengeId}
+            onChange={(e) => updateCriteria('challengeId', e.target.value)}
+            placeholder="session_..."
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+      </div>
+
+      {criteria.proofType === 'threshold' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Minimum grade ({bundle.certificate.gradeScale})</label>
+            <input
+              type="text"
+              value={criteria.minPassingGrade}
+              onChange={(e) => updateCriteria('minPassingGrade', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 mt-6">
+            <input
+              type="checkbox"
+              checked={criteria.requireAllPassed}
+              onChange={(e) => updateCriteria('requireAllPassed', e.target.checked)}
+            />
+            <span>Every subject meets the minimum</span>
+          </label>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {bundle.certificate.subjects.map((subject, index) => (
+              <div key={subject.name}>
+                <label className="block text-xs text-gray-600 mb-1">{subject.name} credits</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={criteria.weights[index] ?? ''}
+                  onChange={(e) => updateWeight(index, e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Minimum average ({bundle.certificate.gradeScale})</label>
+            <input
+              type="text"
+              value={criteria.minAverage}
+              onChange={(e) => updateCriteria('minAverage', e.target.value)}
+              className="w-full md:w-1/2 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+        </div>
+      )}
+
+      {progress && (
+        <div className="space-y-1">
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>{progress.stage}...</span>
+            {progressPercent !== null && <span>{progressPercent}%</span>}
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`bg-primary-600 h-2 rounded-full transition-all ${progressPercent === null ? 'animate-pulse' : ''}`}
+              style={{ width: `${progressPercent ?? 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {proofError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {proofError}
+        </div>
+      )}
+
+      <button
+        onClick={generateProof}
+        disabled={disabled || progress !== null}
+        className="btn-primary disabled:opacity-50"
+      >
+        {progress ? 'Generating...' : 'Generate Proof'}
+      </button>
+
+      {proofPackage && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg space-y-2 text-sm">
+          <p className="font-semibold text-green-800">Proof generated</p>
+          <p className="text-gray-700">
+            Share the verification link or the proof package with the verifier. Both contain the proof and the criteria, not your grades.
+          </p>
+          {!proofPackage.challengeId && (
+            <p className="text-yellow-800">
+              Verification links only work for proofs made against the verifier&apos;s challenge. Enter their challenge ID and generate the proof again to share a link.
+            </p>
+          )}
+          <div className="flex flex-wrap gap-3">
+            <button onClick={copyVerificationLink} disabled={!proofPackage.challengeId} className="btn-primary disabled:opacity-50">
+              {linkCopied ? 'Link Copied' : 'Copy Verification Link'}
+            </button>
+            <button onClick={() => downloadProofPackage(proofPackage)} className="btn-outline">
+              Download Proof Package
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,19 +2,37 @@ import React from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { clearSession, getSession } from '../utils/auth';
 
 const navigation = [
   { name: 'Dashboard', href: '/' },
   { name: 'Generate Proof', href: '/generate-proof' },
   { name: 'Data Verification', href: '/verify' },
   { name: 'Issue Certificates', href: '/issue' },
+  { name: 'Approvals', href: '/approvals' },
+  { name: 'My Certificates', href: '/holder' },
+  { name: 'Check a Proof', href: '/check' },
+  { name: 'Scan Certificate', href: '/scan' },
   { name: 'Documentation', href: '/docs' }
 ];
 
 export default function Layout({ children, title = 'ZK Certificate System' }) {
   const router = useRouter();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [user, setUser] = useState(null);
+
+  // The session lives in localStorage, so it can only be read after mounting
+  useEffect(() => {
+    const session = getSession();
+    setUser(session ? session.user : null);
+  }, [router.asPath]);
+
+  const signOut = () => {
+    clearSession();
+    setUser(null);
+    router.push('/');
+  };
 
   const isActive = (path) => router.pathname === path;
 
@@ -64,6 +82,20 @@ export default function Layout({ children, title = 'ZK Certificate System' }) {
                     </a>
                   </Link>
                 ))}
+                {user ? (
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-600">
+                      {user.username} <span className="text-gray-400">({user.roles.join(', ')})</span>
+                    </span>
+                    <button onClick={signOut} className="btn-outline">
+                      Sign Out
+                    </button>
+                  </div>
+                ) : (
+                  <Link href="/login">
+                    <a className="btn-outline">Sign In</a>
+                  </Link>
+                )}
               </div>
 
               {/* Mobile menu button */}
@@ -102,6 +134,23 @@ export default function Layout({ children, title = 'ZK Certificate System' }) {
                     </a>
                   </Link>
                 ))}
+                {user ? (
+                  <button
+                    onClick={() => { setMobileMenuOpen(false); signOut(); }}
+                    className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-primary-600 hover:bg-gray-100"
+                  >
+                    Sign Out ({user.username})
+                  </button>
+                ) : (
+                  <Link href="/login">
+                    <a
+                      className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-primary-600 hover:bg-gray-100"
+                      onClick={() => setMobileMenuOpen(false)}
+                    >
+                      Sign In
+                    </a>
+                  </Link>
+                )}
               </div>
             </div>
           )}
@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+
+// Large photos are scaled down before decoding; a printed QR code stays readable well below this
+const MAX_IMAGE_SIZE = 1600;
+
+// Reads a QR code from the device camera, or from an uploaded photo where no camera is available
+export default function QRScanner({ onDecode }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const frameRef = useRef(null);
+  const [cameraState, setCameraState] = useState('idle'); // idle, starting, scanning
+  const [scanError, setScanError] = useState('');
+
+  const decode = (source, width, height, inversionAttempts) => {
+    const canvas = canvasRef.current;
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, width, height);
+    const code = jsQR(context.getImageData(0, 0, width, height).data, width, height, { inversionAttempts });
+    return code ? code.data : null;
+  };
+
+  const stopCamera = () => {
+    cancelAnimationFrame(frameRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setCameraState('idle');
+  };
+
+  // Release the camera when leaving the page mid-scan
+  useEffect(() => () => {
+    cancelAnimationFrame(frameRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+  }, []);
+
+  const scanFrame = () => {
+    const video = videoRef.current;
+    if (video && video.readyState === video.HAVE_ENOUGH_DATA) {
+      const text = decode(video, video.videoWidth, video.videoHeight, 'dontInvert');
+      if (text) {
+        stopCamera();
+        onDecode(text);
+        return;
+      }
+    }
+    frameRef.current = requestAnimationFrame(scanFrame);
+  };
+
+  const startCamera = async () => {
+    setScanError('');
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setScanError('This browser cannot use the camera here (it needs HTTPS). Upload a photo of the QR code instead.');
+      return;
+    }
+
+    setCameraState('starting');
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      videoRef.current.srcObject = streamRef.current;
+      await videoRef.current.play();
+      setCameraState('scanning');
+      frameRef.current = requestAnimationFrame(scanFrame);
+    } catch (error) {
+      stopCamera();
+      setScanError(error.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in the browser, or upload a photo of the QR code instead.'
+        : `Could not start the camera: ${error.message}`);
+    }
+  };
+
+  const decodeImage = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setScanError('');
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const text = decode(image, Math.round(image.naturalWidth * scale), Math.round(image.naturalHeight * scale), 'attemptBoth');
+      if (text) {
+        onDecode(text);
+      } else {
+        setScanError('No QR code found in that image. Try a sharper photo with the whole code in view.');
+      }
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      setScanError(`${file.name} is not an image this browser can read`);
+    };
+    image.src = url;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className={`relative bg-gray-900 rounded-lg overflow-hidden ${cameraState === 'idle' ? 'hidden' : ''}`}>
+        <video ref={videoRef} playsInline muted className="w-full" />
+        <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <div className="w-2/3 aspect-square border-4 border-white/70 rounded-lg" />
+        </div>
+      </div>
+      <canvas ref={canvasRef} className="hidden" />
+
+      {scanError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {scanError}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        {cameraState === 'idle' ? (
+          <button onClick={startCamera} className="btn-primary">
+            Scan With Camera
+          </button>
+        ) : (
+          <button onClick={stopCamera} className="btn-outline">
+            {cameraState === 'starting' ? 'Starting Camera...' : 'Stop Camera'}
+          </button>
+        )}
+        <label className="btn-outline cursor-pointer">
+          Upload Photo
+          <input type="file" accept="image/*" onChange={decodeImage} className="hidden" />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// Session storage for the backend's JWT; API keys are for scripts and are never stored here
+const SESSION_KEY = 'zkcAuthSession';
+
+export function getSession() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const saved = localStorage.getItem(SESSION_KEY);
+  return saved ? JSON.parse(saved) : null;
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token: session.token, user: session.user }));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Headers to spread into fetch options so protected endpoints see the signed-in user
+export function authHeaders() {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+
+// Holder certificate bundles, as produced by the backend's CertificateBundleService
+export const BUNDLE_FORMAT = 'zk-certificate-bundle';
+export const BUNDLE_VERSION = 1;
+
+const WALLET_KEY = 'zkcHolderBundles';
+
+// JSON with object keys sorted at every level; must match CertificateBundleService.canonicalize
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export function bundleDigest(bundle) {
+  const { signature, ...body } = bundle;
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(canonicalize(body)));
+}
+
+// Checks the format and that the issuer address in the bundle signed it; nothing here contacts the issuer
+export function verifyBundle(bundle) {
+  const errors = [];
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return { valid: false, signer: null, errors: ['Not a certificate bundle'] };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    errors.push(`Unsupported bundle version ${bundle.version}`);
+  }
+  ['certificate', 'salt', 'commitment', 'merkleProof', 'batch', 'contract', 'issuer', 'signature'].forEach((field) => {
+    if (!bundle[field]) {
+      errors.push(`Missing ${field}`);
+    }
+  });
+  if (errors.length > 0) {
+    return { valid: false, signer: null, errors };
+  }
+
+  let signer = null;
+  try {
+    signer = ethers.utils.verifyMessage(ethers.utils.arrayify(bundleDigest(bundle)), bundle.signature);
+  } catch (error) {
+    return { valid: false, signer: null, errors: ['Malformed issuer signature'] };
+  }
+
+  if (signer.toLowerCase() !== String(bundle.issuer.address).toLowerCase()) {
+    errors.push('Issuer signature does not match the bundle contents');
+  }
+
+  return { valid: errors.length === 0, signer, errors };
+}
+
+export function bundleKey(bundle) {
+  return `${bundle.contract.chainId}:${bundle.batch.batchId}:${bundle.commitment}`;
+}
+
+// The holder's bundles stay in this browser only
+export function loadWallet() {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+  return JSON.parse(localStorage.getItem(WALLET_KEY) || '[]');
+}
+
+export function saveWallet(bundles) {
+  localStorage.setItem(WALLET_KEY, JSON.stringify(bundles));
+}
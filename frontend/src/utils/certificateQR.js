@@ -0,0 +1,21 @@
+// QR codes printed on deployed certificates: a /check?qr= link with a reference the issuer signed
+const QR_PAYLOAD_PREFIX = 'zkc1.';
+
+export function isCertificateQR(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed.startsWith(QR_PAYLOAD_PREFIX) || /[?&]qr=zkc1\./.test(trimmed);
+}
+
+// The backend checks the signature and reads the certificate's status and issuer from the registry
+export async function verifyCertificateQR(text) {
+  const response = await fetch('http://localhost:3001/api/certificates/verify-qr', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ qrData: String(text).trim() })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'QR verification failed');
+  }
+  return data;
+}
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+
+// Browser copy of the input encoding in the backend's ZKProofService and GradeScale;
+// the circuits reject any other encoding, so keep the two in step
+const FIELD_SIZE = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+const TREE_LEVELS = 20;
+const WEIGHT_SCALE = 100;
+const WEIGHT_BITS = 16;
+const AVERAGE_SCALE = 100;
+const WEIGHTED_CIRCUIT_SUFFIX = '_weighted';
+
+const GRADE_SCALES = {
+  percentage: { type: 'numeric', max: 100, precision: 0 },
+  gpa10: { type: 'numeric', max: 10, precision: 2 },
+  gpa4: { type: 'numeric', max: 4, precision: 2 },
+  letter: { type: 'letter', letters: ['F', 'D-', 'D', 'D+', 'C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A', 'A+'] }
+};
+
+function getScale(name) {
+  const scale = GRADE_SCALES[name];
+  if (!scale) {
+    throw new Error(`Unknown grade scale: ${name}`);
+  }
+  return scale;
+}
+
+function parseNumeric(value, name, scale, what) {
+  const text = String(value ?? '').trim();
+  const number = Number(text.replace(/%$/, ''));
+  if (text === '' || !Number.isFinite(number) || number < 0 || number > scale.max) {
+    throw new Error(`Invalid ${name} ${what} "${text}": expected a number from 0 to ${scale.max}`);
+  }
+  return { text, number };
+}
+
+export function encodeGrade(grade, name) {
+  const scale = getScale(name);
+  const text = String(grade ?? '').trim();
+
+  if (scale.type === 'letter') {
+    const rank = scale.letters.indexOf(text.toUpperCase());
+    if (rank === -1) {
+      throw new Error(`Invalid ${name} grade "${text}": expected one of ${scale.letters.join(', ')}`);
+    }
+    return rank;
+  }
+
+  const { number } = parseNumeric(grade, name, scale, 'grade');
+  const encoded = Math.round(number * 10 ** scale.precision);
+  if (Math.abs(encoded - number * 10 ** scale.precision) > 1e-6) {
+    throw new Error(`Invalid ${name} grade "${text}": at most ${scale.precision} decimal places`);
+  }
+  return encoded;
+}
+
+export function encodeAverage(average, name) {
+  const scale = getScale(name);
+  if (scale.type === 'letter') {
+    return encodeGrade(average, name) * AVERAGE_SCALE;
+  }
+
+  const { text, number } = parseNumeric(average, name, scale, 'average');
+  const factor = 10 ** scale.precision * AVERAGE_SCALE;
+  const encoded = Math.round(number * factor);
+  if (Math.abs(encoded - number * factor) > 1e-6) {
+    throw new Error(`Invalid ${name} average "${text}": too many decimal places`);
+  }
+  return encoded;
+}
+
+export function encodeWeights(weights) {
+  const maxWeight = (2 ** WEIGHT_BITS - 1) / WEIGHT_SCALE;
+  const encoded = weights.map((weight, index) => {
+    const value = Number(weight);
+    const scaled = Math.round(value * WEIGHT_SCALE);
+    if (weight === '' || !Number.isFinite(value) || value < 0 || value > maxWeight ||
+      Math.abs(scaled - value * WEIGHT_SCALE) > 1e-6) {
+      throw new Error(`Invalid weight "${weight}" for subject ${index + 1}: expected 0 to ${maxWeight} with at most 2 decimal places`);
+    }
+    return scaled;
+  });
+
+  if (encoded.every(weight => weight === 0)) {
+    throw new Error('At least one subject must have a non-zero weight');
+  }
+  return encoded;
+}
+
+// Same as ZKProofService.stringToFieldElement: sha256 of the UTF-8 string, reduced into the field
+export function stringToFieldElement(value) {
+  return (BigInt(ethers.utils.sha256(ethers.utils.toUtf8Bytes(value))) % FIELD_SIZE).toString();
+}
+
+function toFieldElement(value) {
+  const text = String(value).trim();
+  return (/^[0-9]+$/.test(text) ? BigInt(text) : BigInt('0x' + text.replace(/^0x/, ''))) % FIELD_SIZE;
+}
+
+// Circuit and witness input for a bundle and the holder's criteria; context is the verifier challenge's (or 0)
+export function buildCircuitInput(bundle, criteria, context = '0') {
+  const baseCircuit = bundle.zkConfig?.circuit;
+  if (!baseCircuit) {
+    throw new Error('No circuit has been built for this certificate\'s subjects and grade scale');
+  }
+
+  const { merkleProof, certificate } = bundle;
+  if (merkleProof.pathElements.length !== TREE_LEVELS || merkleProof.pathIndices.length !== TREE_LEVELS) {
+    throw new Error(`Merkle proof must have ${TREE_LEVELS} levels`);
+  }
+
+  const grades = certificate.subjects.map(subject => encodeGrade(subject.grade, certificate.gradeScale));
+  const membership = {
+    studentId: stringToFieldElement(String(certificate.studentId)),
+    subjects: grades,
+    salt: stringToFieldElement(bundle.salt),
+    pathElements: merkleProof.pathElements.map(element => toFieldElement(element).toString()),
+    pathIndices: merkleProof.pathIndices.map(Number),
+    merkleRoot: toFieldElement(merkleProof.root).toString(),
+    context: toFieldElement(context).toString()
+  };
+
+  if (criteria.proofType === 'weightedAverage') {
+    const weights = encodeWeights(criteria.weights);
+    const minAverage = encodeAverage(criteria.minAverage, certificate.gradeScale);
+
+    // The circuit cannot produce a witness below the minimum, so say so before downloading it
+    const weightedSum = grades.reduce((sum, grade, i) => sum + BigInt(grade) * BigInt(weights[i]), BigInt(0));
+    const totalWeight = weights.reduce((sum, weight) => sum + BigInt(weight), BigInt(0));
+    if (BigInt(AVERAGE_SCALE) * weightedSum < BigInt(minAverage) * totalWeight) {
+      throw new Error('The weighted average of your grades is below the requested minimum');
+    }
+
+    return {
+      circuit: baseCircuit + WEIGHTED_CIRCUIT_SUFFIX,
+      input: { ...membership, weights, minAverage }
+    };
+  }
+
+  return {
+    circuit: baseCircuit,
+    input: {
+      ...membership,
+      minPassingGrade: encodeGrade(criteria.minPassingGrade, certificate.gradeScale),
+      requireAllPassed: criteria.requireAllPassed ? 1 : 0
+    }
+  };
+}
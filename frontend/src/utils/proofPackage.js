@@ -0,0 +1,85 @@
+// Shareable proof package: what a holder gives a verifier, with no grades or salt
+export const PACKAGE_FORMAT = 'zk-proof-package';
+export const PACKAGE_VERSION = 1;
+
+export function createProofPackage(bundle, { proofType, circuit, proof, publicSignals, challengeId }) {
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    proofType,
+    circuit,
+    proof,
+    publicSignals,
+    batchId: String(bundle.batch.batchId),
+    contract: bundle.contract,
+    issuer: {
+      name: bundle.issuer.name,
+      institutionId: bundle.issuer.institutionId,
+      address: bundle.issuer.address
+    },
+    challengeId: challengeId || null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Verification links carry the package in the URL fragment, which browsers never send to a server
+export function encodeProofPackage(proofPackage) {
+  const bytes = new TextEncoder().encode(JSON.stringify(proofPackage));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function verificationLink(proofPackage, origin = window.location.origin) {
+  return `${origin}/check#${encodeProofPackage(proofPackage)}`;
+}
+
+// Accepts a verification link, its fragment on its own, or the package JSON
+export function decodeProofPackage(text) {
+  const trimmed = String(text).trim();
+  let proofPackage;
+
+  if (trimmed.startsWith('{')) {
+    proofPackage = JSON.parse(trimmed);
+  } else {
+    const encoded = trimmed.includes('#') ? trimmed.slice(trimmed.indexOf('#') + 1) : trimmed;
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    proofPackage = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+  }
+
+  if (!proofPackage || proofPackage.format !== PACKAGE_FORMAT) {
+    throw new Error('Not a proof package');
+  }
+  if (proofPackage.version !== PACKAGE_VERSION) {
+    throw new Error(`Unsupported proof package version ${proofPackage.version}`);
+  }
+  return proofPackage;
+}
+
+// Body for /api/zkproofs/verify; the challenge is used up, so a link verifies once, for the verifier who issued it
+export function verifyRequest(proofPackage) {
+  if (!proofPackage.challengeId) {
+    throw new Error('This proof was not made for a verifier challenge, so it could be a copy of someone else\'s. Issue a challenge and ask the holder for a proof against it.');
+  }
+
+  const { pi_a, pi_b, pi_c, protocol } = proofPackage.proof;
+  return {
+    proof: { pi_a, pi_b, pi_c, protocol },
+    publicSignals: proofPackage.publicSignals,
+    circuit: proofPackage.circuit,
+    batchId: Number(proofPackage.batchId),
+    challengeId: proofPackage.challengeId
+  };
+}
+
+export function downloadProofPackage(proofPackage) {
+  const blob = new Blob([JSON.stringify(proofPackage, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `proof-${proofPackage.batchId}-${proofPackage.proofType}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,80 @@
+import { ethers } from 'ethers';
+
+// Read-only view of the CertificateRegistry, straight from the chain rather than through the backend
+const REGISTRY_ABI = [
+  'function getBatchInfo(uint256 batchId) view returns (bytes32 merkleRoot, uint256 institutionId, string institutionName, string courseName, uint256 graduationYear, uint256 totalStudents, uint256 timestamp, bool isValid)',
+  'function batchValidity(uint256 batchId) view returns (uint64 validFrom, uint64 validUntil)',
+  'function institutions(uint256 institutionId) view returns (string name, string domain, string metadataURI, address admin, bool active)',
+  'function getCertificateStatus(uint256 batchId, bytes32 certificateKey) view returns (uint8)'
+];
+
+// Same order as the contract's CertificateStatus enum
+export const CERTIFICATE_STATUSES = ['unknown', 'valid', 'not_yet_valid', 'expired', 'revoked'];
+
+function toDate(timestamp) {
+  const seconds = Number(timestamp);
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+export function toBytes32(value) {
+  return ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+}
+
+// The one registry this site reads; the contract named in a link or package is only checked against it,
+// since whoever made the link could have deployed a look-alike registry of their own
+export function configuredRegistry() {
+  const address = process.env.NEXT_PUBLIC_REGISTRY_ADDRESS;
+  if (!address || !ethers.utils.isAddress(address)) {
+    throw new Error('This site has no certificate registry configured (NEXT_PUBLIC_REGISTRY_ADDRESS)');
+  }
+  return ethers.utils.getAddress(address);
+}
+
+async function openRegistry(contract) {
+  const address = configuredRegistry();
+  if (!contract?.address || !ethers.utils.isAddress(contract.address) || ethers.utils.getAddress(contract.address) !== address) {
+    throw new Error(`The proof is for registry ${contract?.address || '(none)'}, but this site only trusts ${address}`);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(process.env.NEXT_PUBLIC_BLOCKCHAIN_RPC);
+  const { chainId } = await provider.getNetwork();
+  if (!contract.chainId || Number(contract.chainId) !== chainId) {
+    throw new Error(`The proof is for chain ${contract.chainId || '(none)'}, but this site reads chain ${chainId}`);
+  }
+
+  return new ethers.Contract(address, REGISTRY_ABI, provider);
+}
+
+// Batch and issuing institution in the configured registry; null if the batch does not exist
+export async function readBatch(contract, batchId) {
+  const registry = await openRegistry(contract);
+  const [batch, validity] = await Promise.all([
+    registry.getBatchInfo(batchId),
+    registry.batchValidity(batchId)
+  ]);
+  if (batch.merkleRoot === ethers.constants.HashZero) {
+    return null;
+  }
+
+  const institution = batch.institutionId.isZero() ? null : await registry.institutions(batch.institutionId);
+
+  return {
+    batchId: String(batchId),
+    merkleRoot: batch.merkleRoot,
+    institutionId: batch.institutionId.toNumber(),
+    institutionName: institution?.name || batch.institutionName,
+    institutionDomain: institution?.domain || '',
+    institutionActive: institution ? institution.active : null,
+    courseName: batch.courseName,
+    graduationYear: batch.graduationYear.toNumber(),
+    issuedAt: toDate(batch.timestamp),
+    validFrom: toDate(validity.validFrom),
+    validUntil: toDate(validity.validUntil),
+    isValid: batch.isValid
+  };
+}
+
+export async function readCertificateStatus(contract, batchId, commitment) {
+  const registry = await openRegistry(contract);
+  return CERTIFICATE_STATUSES[await registry.getCertificateStatus(batchId, toBytes32(commitment))];
+}
@@ -0,0 +1,53 @@
+import { groth16, wtns } from 'snarkjs';
+
+// Runs snarkjs off the main thread; the witness input (grades and salt) is never sent anywhere
+
+async function download(url, stage) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} is not published; run "npm run export-circuit-assets" on the server`);
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    received += value.length;
+    self.postMessage({ type: 'progress', stage, received, total });
+  }
+
+  const data = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return { type: 'mem', data };
+}
+
+self.onmessage = async ({ data }) => {
+  const { circuit, input } = data;
+
+  try {
+    const wasm = await download(`/circuits/${circuit}.wasm`, 'Downloading circuit');
+    const zkey = await download(`/circuits/${circuit}.zkey`, 'Downloading proving key');
+
+    self.postMessage({ type: 'progress', stage: 'Computing witness' });
+    const witness = { type: 'mem' };
+    await wtns.calculate(input, wasm, witness);
+
+    self.postMessage({ type: 'progress', stage: 'Generating proof' });
+    const { proof, publicSignals } = await groth16.prove(zkey, witness);
+
+    self.postMessage({ type: 'done', proof, publicSignals });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,106 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const ZKProofService = require("../backend/src/services/ZKProofService");
+const MerkleService = require("../backend/src/services/MerkleService");
+
+const NODE_MODULES_DIR = path.join(__dirname, "../node_modules");
+
+/**
+ * Main component of a variant: CertificateVerification with the variant's
+ * subject count and grade range
+ * @param {Object} variant - Variant from ZKProofService.getCircuitVariants
+ * @returns {string} Circom source
+ */
+function variantSource(variant) {
+    return [
+        "pragma circom 2.0.0;",
+        "",
+        "// Generated by scripts/build-circuit-variants.js from circuits/variants.json - do not edit",
+        "include \"../certificate_templates.circom\";",
+        "",
+        `// ${variant.subjects} subjects on the ${variant.gradeScale} scale (encoded 0-${variant.maxGrade}, ${variant.gradeBits} bits)`,
+        "component main {public [merkleRoot, minPassingGrade, requireAllPassed, context]} = " +
+            `CertificateVerification(${MerkleService.POSEIDON_TREE_LEVELS}, ${variant.subjects}, ${variant.maxGrade}, ${variant.gradeBits});`,
+        ""
+    ].join("\n");
+}
+
+/**
+ * Main component of a variant's weighted-average circuit: WeightedAverageVerification
+ * with the variant's subject count and grade range
+ * @param {Object} variant - Variant from ZKProofService.getCircuitVariants
+ * @returns {string} Circom source
+ */
+function weightedVariantSource(variant) {
+    return [
+        "pragma circom 2.0.0;",
+        "",
+        "// Generated by scripts/build-circuit-variants.js from circuits/variants.json - do not edit",
+        "include \"../certificate_templates.circom\";",
+        "",
+        `// Weighted average of ${variant.subjects} subjects on the ${variant.gradeScale} scale (encoded 0-${variant.maxGrade}, ${variant.gradeBits} bits)`,
+        "component main {public [merkleRoot, weights, minAverage, context]} = " +
+            `WeightedAverageVerification(${MerkleService.POSEIDON_TREE_LEVELS}, ${variant.subjects}, ${variant.maxGrade}, ` +
+            `${variant.gradeBits}, ${ZKProofService.WEIGHT_BITS}, ${ZKProofService.AVERAGE_SCALE});`,
+        ""
+    ].join("\n");
+}
+
+/**
+ * Write and compile every configured variant (or only the names given as arguments)
+ * Pass --no-compile to only write the .circom sources.
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const compile = !args.includes("--no-compile");
+    const only = args.filter((arg) => !arg.startsWith("--"));
+
+    const variants = ZKProofService.getCircuitVariants()
+        .filter((variant) => variant.name !== ZKProofService.CIRCUIT_NAME)
+        .filter((variant) => only.length === 0 || only.includes(variant.name));
+
+    if (variants.length === 0) {
+        throw new Error("No matching variants in circuits/variants.json");
+    }
+
+    fs.mkdirSync(ZKProofService.VARIANTS_PATH, { recursive: true });
+
+    for (const variant of variants) {
+        const sources = [
+            [variant.name, variantSource(variant)],
+            [variant.weightedCircuit, weightedVariantSource(variant)]
+        ];
+
+        for (const [name, source] of sources) {
+            const sourcePath = path.join(ZKProofService.VARIANTS_PATH, `${name}.circom`);
+            fs.writeFileSync(sourcePath, source);
+            console.log("Wrote", sourcePath);
+
+            if (compile) {
+                execFileSync(
+                    "circom",
+                    [sourcePath, "--r1cs", "--wasm", "--sym", "-l", NODE_MODULES_DIR, "-o", ZKProofService.VARIANTS_PATH],
+                    { stdio: "inherit" }
+                );
+            }
+        }
+    }
+
+    console.log(`\n${variants.length} variant(s) ready.`);
+    if (compile) {
+        console.log("Create proving keys with POST /api/zkproofs/setup and { \"circuit\": \"<variant name>\" }.");
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error("\nVariant build failed:", error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { main, variantSource, weightedVariantSource };
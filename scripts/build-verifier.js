@@ -0,0 +1,142 @@
+const snarkjs = require("snarkjs");
+const fs = require("fs");
+const path = require("path");
+
+const ZKProofService = require("../backend/src/services/ZKProofService");
+
+const CIRCUITS_DIR = path.join(__dirname, "../circuits");
+const CONTRACTS_DIR = path.join(__dirname, "../contracts");
+
+const CIRCUIT_NAME = process.env.CIRCUIT_NAME || "certificate";
+// Proving key the verifier is exported from. By default this is the backend's key
+// (backend/keys/<CIRCUIT_NAME>.zkey, the one POST /api/zkproofs/setup creates), so proofs
+// from /api/zkproofs/generate verify on-chain. The backend setup is run first when that key
+// is missing or older than the compiled circuit.
+const ZKEY_PATH = process.env.ZKEY_PATH;
+
+// Verifier contract generated for each circuit and the interface ZKCertificateSystem calls it through
+const VERIFIERS = {
+    certificate: { contract: "Groth16Verifier", interface: "IVerifier.sol" },
+    certificate_weighted: { contract: "WeightedAverageVerifier", interface: "IWeightedAverageVerifier.sol" },
+    certificate_nonrevoked: { contract: "NonRevocationVerifier", interface: "INonRevocationVerifier.sol" },
+    certificate_disclosure: { contract: "DisclosureVerifier", interface: "IDisclosureVerifier.sol" }
+};
+
+/**
+ * Verifier contract settings for CIRCUIT_NAME
+ */
+function getVerifierConfig() {
+    const config = VERIFIERS[CIRCUIT_NAME];
+    if (!config) {
+        throw new Error(`No verifier contract for circuit "${CIRCUIT_NAME}". Expected one of: ${Object.keys(VERIFIERS).join(", ")}`);
+    }
+    return {
+        contract: config.contract,
+        verifierPath: path.join(CONTRACTS_DIR, `${config.contract}.sol`),
+        interfacePath: path.join(CONTRACTS_DIR, config.interface)
+    };
+}
+
+/**
+ * Read the number of public signals the verifier interface's verifyProof expects
+ * @param {string} interfacePath - Interface source file
+ */
+function getInterfacePublicSignalCount(interfacePath) {
+    const source = fs.readFileSync(interfacePath, "utf8");
+    const match = source.match(/uint\[(\d+)\]\s+memory\s+_publicSignals/);
+    if (!match) {
+        throw new Error(`Could not find _publicSignals in ${path.basename(interfacePath)}`);
+    }
+    return Number(match[1]);
+}
+
+/**
+ * Whether the backend's proving key was made from the current compiled circuit
+ * @param {string} zkeyPath - Backend proving key
+ */
+function isBackendKeyCurrent(zkeyPath) {
+    const r1csPath = path.join(ZKProofService.getCircuitDirectory(CIRCUIT_NAME), `${CIRCUIT_NAME}.r1cs`);
+    if (!fs.existsSync(zkeyPath)) {
+        return false;
+    }
+    return !fs.existsSync(r1csPath) || fs.statSync(r1csPath).mtimeMs <= fs.statSync(zkeyPath).mtimeMs;
+}
+
+/**
+ * Run the backend's proving-system setup for CIRCUIT_NAME
+ * PTAU_PATH, if set, is used as the Powers of Tau file.
+ * @returns {string} Path of the backend proving key
+ */
+async function runBackendSetup() {
+    console.log("No current proving key for", CIRCUIT_NAME, "- running the backend setup");
+    const result = await ZKProofService.initializeProvingSystem(
+        { circuit: CIRCUIT_NAME },
+        (step) => console.log("  setup:", step)
+    );
+    console.log("Proving key saved to:", result.zkeyPath);
+    return result.zkeyPath;
+}
+
+async function main() {
+    const verifier = getVerifierConfig();
+    console.log(`Building ${verifier.contract} for ${CIRCUIT_NAME}...\n`);
+
+    const vkeyName = CIRCUIT_NAME === "certificate" ? "verification_key.json" : `${CIRCUIT_NAME}_verification_key.json`;
+    const vkeyPath = path.join(CIRCUITS_DIR, vkeyName);
+    let finalZkeyPath;
+
+    if (ZKEY_PATH) {
+        if (!fs.existsSync(ZKEY_PATH)) {
+            throw new Error(`ZKEY_PATH ${ZKEY_PATH} not found.`);
+        }
+        finalZkeyPath = ZKEY_PATH;
+    } else if (isBackendKeyCurrent(ZKProofService.getZkeyPath(CIRCUIT_NAME))) {
+        finalZkeyPath = ZKProofService.getZkeyPath(CIRCUIT_NAME);
+    } else {
+        finalZkeyPath = await runBackendSetup();
+    }
+    console.log("Using proving key", finalZkeyPath);
+
+    // 1. Export verification key
+    const verificationKey = await snarkjs.zKey.exportVerificationKey(finalZkeyPath);
+    fs.writeFileSync(vkeyPath, JSON.stringify(verificationKey, null, 2));
+    console.log("Verification key saved to:", vkeyPath);
+
+    // 2. The verifier is called through its interface, so the signal counts must agree
+    const interfaceName = path.basename(verifier.interfacePath, ".sol");
+    const expectedSignals = getInterfacePublicSignalCount(verifier.interfacePath);
+    if (verificationKey.nPublic !== expectedSignals) {
+        throw new Error(
+            `Circuit has ${verificationKey.nPublic} public signals but ${interfaceName} expects ${expectedSignals}. ` +
+            `Update ${interfaceName}.sol and ZKCertificateSystem.sol to match the circuit.`
+        );
+    }
+
+    // 3. Generate the Solidity verifier
+    const templatePath = path.join(
+        path.dirname(require.resolve("snarkjs")),
+        "../templates/verifier_groth16.sol.ejs"
+    );
+    const verifierSource = await snarkjs.zKey.exportSolidityVerifier(finalZkeyPath, {
+        groth16: fs.readFileSync(templatePath, "utf8")
+    });
+    fs.writeFileSync(
+        verifier.verifierPath,
+        verifierSource.replace("contract Groth16Verifier", `contract ${verifier.contract}`)
+    );
+
+    console.log(`\n${verifier.contract} generated:`, verifier.verifierPath);
+    console.log("Public signals:", verificationKey.nPublic);
+    console.log("Run \"npm run compile\" and \"npm run deploy\" to use it.");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("\nVerifier build failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -1,8 +1,74 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network, artifacts } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
-async function main() {
+// The placeholder verifier accepts any proof, so it may only be used on these networks
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Deploy a verifier generated by scripts/build-verifier.js,
+ * falling back to PlaceholderVerifier on local networks only
+ * @param {string} contractName - Generated verifier contract (Groth16Verifier)
+ */
+async function deployVerifier(contractName) {
+    const isLocalNetwork = LOCAL_NETWORKS.includes(network.name);
+    const hasGeneratedVerifier = await artifacts.artifactExists(contractName);
+    const forcePlaceholder = process.env.USE_PLACEHOLDER_VERIFIER === "true";
+
+    if (hasGeneratedVerifier && !forcePlaceholder) {
+        const GeneratedVerifier = await ethers.getContractFactory(contractName);
+        const verifier = await GeneratedVerifier.deploy();
+        await verifier.deployed();
+        return { name: contractName, contract: verifier };
+    }
+
+    if (!isLocalNetwork) {
+        throw new Error(
+            `Refusing to deploy PlaceholderVerifier for ${contractName} on network "${network.name}". ` +
+            "Run \"npm run build-verifier\" and \"npm run compile\" to generate the Groth16 verifier."
+        );
+    }
+
+    console.warn(`WARNING: ${contractName} not available, deploying PlaceholderVerifier (accepts any proof)`);
+    const PlaceholderVerifier = await ethers.getContractFactory("PlaceholderVerifier");
+    const verifier = await PlaceholderVerifier.deploy();
+    await verifier.deployed();
+    return { name: "PlaceholderVerifier", contract: verifier };
+}
+
+/**
+ * Deploy an optional verifier generated by scripts/build-verifier.js
+ * There is no placeholder for these proof types; without the generated verifier the
+ * system is deployed with that proof type disabled.
+ * @param {string} contractName - Generated verifier contract
+ * @param {string} buildScript - npm script that generates it
+ * @returns {Object|null} - Deployed verifier, or null when it has not been built
+ */
+async function deployOptionalVerifier(contractName, buildScript) {
+    if (!(await artifacts.artifactExists(contractName))) {
+        console.warn(`WARNING: ${contractName} not built, its proof type is disabled. ` +
+            `Run "npm run ${buildScript}" and "npm run compile" to enable it.`);
+        return null;
+    }
+
+    const GeneratedVerifier = await ethers.getContractFactory(contractName);
+    const verifier = await GeneratedVerifier.deploy();
+    await verifier.deployed();
+    console.log(`${contractName} deployed to:`, verifier.address);
+    return verifier;
+}
+
+/**
+ * Deploy the system to the network Hardhat runs against
+ * @param {Object} options - Where to write the outputs
+ * @param {string} options.deploymentsDir - Directory for the deployment records (default deployments/)
+ * @param {string} options.backendEnvFile - Backend environment file (default backend/.env.deployment)
+ * @returns {Object} - Deployment result, as saved to latest.json
+ */
+async function main({
+    deploymentsDir = path.join(__dirname, "../deployments"),
+    backendEnvFile = path.join(__dirname, "../backend/.env.deployment")
+} = {}) {
     console.log("Starting ZK Certificate System deployment...\n");
 
     const [deployer] = await ethers.getSigners();
@@ -35,24 +101,53 @@ async function main() {
             transactionHash: certificateRegistry.deployTransaction.hash
         };
 
-        // 2. Deploy a placeholder Verifier (in real deployment, this would be generated from circuit)
-        console.log("\n Deploying placeholder Verifier...");
-        const PlaceholderVerifier = await ethers.getContractFactory("PlaceholderVerifier");
-        const verifier = await PlaceholderVerifier.deploy();
-        await verifier.deployed();
+        // 2. Deploy the ZK proof verifier
+        console.log("\n Deploying Verifier...");
+        const { name: verifierName, contract: verifier } = await deployVerifier("Groth16Verifier");
 
         const verifierAddress = verifier.address;
-        console.log("Verifier deployed to:", verifierAddress);
+        console.log(`${verifierName} deployed to:`, verifierAddress);
 
         deploymentResult.contracts.Verifier = {
+            name: verifierName,
             address: verifierAddress,
             transactionHash: verifier.deployTransaction.hash
         };
 
+        // Weighted-average, non-revocation and disclosure proofs need their own generated verifiers
+        const optionalVerifierAddresses = {};
+        for (const [contractName, buildScript] of [
+            ["WeightedAverageVerifier", "build-weighted-verifier"],
+            ["NonRevocationVerifier", "build-nonrevocation-verifier"],
+            ["DisclosureVerifier", "build-disclosure-verifier"]
+        ]) {
+            console.log(`\n Deploying ${contractName}...`);
+            const optionalVerifier = await deployOptionalVerifier(contractName, buildScript);
+            optionalVerifierAddresses[contractName] = optionalVerifier
+                ? optionalVerifier.address
+                : ethers.constants.AddressZero;
+
+            if (optionalVerifier) {
+                deploymentResult.contracts[contractName] = {
+                    name: contractName,
+                    address: optionalVerifier.address,
+                    transactionHash: optionalVerifier.deployTransaction.hash
+                };
+            }
+        }
+        const weightedVerifierAddress = optionalVerifierAddresses.WeightedAverageVerifier;
+        const nonRevocationVerifierAddress = optionalVerifierAddresses.NonRevocationVerifier;
+        const disclosureVerifierAddress = optionalVerifierAddresses.DisclosureVerifier;
+
         // 3. Deploy ZKCertificateSystem
         console.log("\n Deploying ZKCertificateSystem...");
         const ZKCertificateSystem = await ethers.getContractFactory("ZKCertificateSystem");
-        const zkCertificateSystem = await ZKCertificateSystem.deploy(verifierAddress);
+        const zkCertificateSystem = await ZKCertificateSystem.deploy(
+            verifierAddress,
+            weightedVerifierAddress,
+            nonRevocationVerifierAddress,
+            disclosureVerifierAddress
+        );
         await zkCertificateSystem.deployed();
 
         const zkSystemAddress = zkCertificateSystem.address;
@@ -66,10 +161,25 @@ async function main() {
         // 4. Setup initial configuration
         console.log("\n Setting up initial configuration...");
 
-        // Authorize the ZKCertificateSystem to issue certificates
-        const authTx = await zkCertificateSystem.setInstitutionAuthorization(deployer.address, true);
-        await authTx.wait();
-        console.log("Institution authorization configured");
+        // Register the deployer's institution so it can issue batches; on public
+        // networks this only happens when INSTITUTION_NAME is configured
+        const institutionName = process.env.INSTITUTION_NAME ||
+            (LOCAL_NETWORKS.includes(network.name) ? "Demo University" : null);
+
+        if (institutionName) {
+            const registerTx = await zkCertificateSystem.registerInstitution(
+                institutionName,
+                process.env.INSTITUTION_DOMAIN || "",
+                process.env.INSTITUTION_METADATA_URI || "",
+                process.env.INSTITUTION_ADMIN || deployer.address
+            );
+            const receipt = await registerTx.wait();
+            const registered = receipt.events.find(event => event.event === "InstitutionRegistered");
+            deploymentResult.institutionId = registered.args.institutionId.toNumber();
+            console.log(`Institution "${institutionName}" registered with ID ${deploymentResult.institutionId}`);
+        } else {
+            console.warn("INSTITUTION_NAME not set, no institution registered; use registerInstitution before issuing");
+        }
 
         // 5. Verify deployments
         console.log("\nVerifying deployments...");
@@ -78,12 +188,11 @@ async function main() {
         const totalBatches = await zkCertificateSystem.getTotalBatches();
         console.log("Total batches:", totalBatches.toString());
 
-        // Test authorization
-        const isAuthorized = await zkCertificateSystem.authorizedInstitutions(deployer.address);
-        console.log("  Deployer authorized:", isAuthorized);
+        // Test signer registration
+        const deployerInstitution = await zkCertificateSystem.signerInstitution(deployer.address);
+        console.log("  Deployer signs for institution:", deployerInstitution.toString());
 
         // 6. Save deployment information
-        const deploymentsDir = path.join(__dirname, "../deployments");
         if (!fs.existsSync(deploymentsDir)) {
             fs.mkdirSync(deploymentsDir, { recursive: true });
         }
@@ -100,6 +209,9 @@ async function main() {
         console.log("\nDeployment Summary:");
         console.log("CertificateRegistry:", registryAddress);
         console.log("Verifier:", verifierAddress);
+        console.log("WeightedAverageVerifier:", weightedVerifierAddress);
+        console.log("NonRevocationVerifier:", nonRevocationVerifierAddress);
+        console.log("DisclosureVerifier:", disclosureVerifierAddress);
         console.log("ZKCertificateSystem:", zkSystemAddress);
 
         // Generate environment variables for backend
@@ -107,20 +219,23 @@ async function main() {
 # Generated deployment configuration
 CERTIFICATE_REGISTRY_ADDRESS=${registryAddress}
 VERIFIER_ADDRESS=${verifierAddress}
+WEIGHTED_AVERAGE_VERIFIER_ADDRESS=${weightedVerifierAddress}
+NON_REVOCATION_VERIFIER_ADDRESS=${nonRevocationVerifierAddress}
+DISCLOSURE_VERIFIER_ADDRESS=${disclosureVerifierAddress}
 ZK_CERTIFICATE_SYSTEM_ADDRESS=${zkSystemAddress}
 DEPLOYMENT_BLOCK=${await ethers.provider.getBlockNumber()}
 DEPLOYMENT_TIMESTAMP=${new Date().toISOString()}
         `.trim();
 
-        const backendEnvFile = path.join(__dirname, "../backend/.env.deployment");
         fs.writeFileSync(backendEnvFile, envVars);
         console.log("🔧 Backend environment variables saved to:", backendEnvFile);
+        console.log("Frontend: set NEXT_PUBLIC_REGISTRY_ADDRESS=" + zkSystemAddress + " so /check only trusts this registry");
 
         return deploymentResult;
 
     } catch (error) {
-        console.error("\nDeployment failed:", error);
-        process.exit(1);
+        console.error("\nDeployment failed:", error.message);
+        throw error;
     }
 }
 
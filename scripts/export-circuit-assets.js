@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+
+const ZKProofService = require("../backend/src/services/ZKProofService");
+
+const PUBLIC_CIRCUITS_DIR = path.join(__dirname, "../frontend/public/circuits");
+
+/**
+ * Copy the WASM and proving key of every proof circuit (or only the names given
+ * as arguments) into the frontend's static assets, where the in-browser prover
+ * downloads them from /circuits/<name>.wasm and /circuits/<name>.zkey
+ */
+function main() {
+    const only = process.argv.slice(2);
+    const circuits = ZKProofService.getProofCircuits()
+        .filter((name) => only.length === 0 || only.includes(name));
+
+    if (circuits.length === 0) {
+        throw new Error("No matching proof circuits");
+    }
+
+    fs.mkdirSync(PUBLIC_CIRCUITS_DIR, { recursive: true });
+
+    let exported = 0;
+    for (const name of circuits) {
+        const wasmPath = ZKProofService.getWasmPath(name);
+        const zkeyPath = ZKProofService.getZkeyPath(name);
+        const missing = [wasmPath, zkeyPath].filter((file) => !fs.existsSync(file));
+
+        if (missing.length > 0) {
+            console.log(`Skipped ${name}: missing ${missing.join(", ")}`);
+            continue;
+        }
+
+        fs.copyFileSync(wasmPath, path.join(PUBLIC_CIRCUITS_DIR, `${name}.wasm`));
+        fs.copyFileSync(zkeyPath, path.join(PUBLIC_CIRCUITS_DIR, `${name}.zkey`));
+        console.log("Exported", name);
+        exported++;
+    }
+
+    console.log(`\n${exported} circuit(s) exported to ${PUBLIC_CIRCUITS_DIR}.`);
+    if (exported < circuits.length) {
+        console.log("Build skipped circuits with npm run build-verifier / build-circuit-variants and POST /api/zkproofs/setup.");
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error("\nCircuit asset export failed:", error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { main };
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+
+const ZKProofService = require("../backend/src/services/ZKProofService");
+const MerkleService = require("../backend/src/services/MerkleService");
+const ChallengeService = require("../backend/src/services/ChallengeService");
+
+const STUDENTS = [
+  { studentId: "STU001", salt: "a1b2c3", subjects: [85, 90, 78, 92, 88] },
+  { studentId: "STU002", salt: "d4e5f6", subjects: [72, 65, 80, 66, 91] },
+  { studentId: "STU003", salt: "0718ab", subjects: [95, 97, 99, 93, 98] }
+];
+
+/**
+ * Proofs come from ZKProofService with the backend's proving key and are checked by the
+ * Groth16Verifier that "npm run build-verifier" exports from that same key.
+ */
+describe("ZKCertificateSystem end to end", function () {
+  this.timeout(600000);
+
+  let zkSystem;
+  let verifierAccount;
+  let batchId;
+  let tree;
+  let commitments;
+
+  before(async function () {
+    const assetsBuilt = fs.existsSync(ZKProofService.getWasmPath()) &&
+      fs.existsSync(ZKProofService.getZkeyPath()) &&
+      await artifacts.artifactExists("Groth16Verifier");
+    if (!assetsBuilt) {
+      console.log("    Circuit, proving key or Groth16Verifier missing: run \"npm run build-verifier\" and \"npm run compile\"");
+      this.skip();
+    }
+
+    const [owner, issuer, verifier] = await ethers.getSigners();
+    verifierAccount = verifier;
+
+    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
+    const groth16Verifier = await Groth16Verifier.deploy();
+    await groth16Verifier.deployed();
+
+    const ZKCertificateSystem = await ethers.getContractFactory("ZKCertificateSystem");
+    zkSystem = await ZKCertificateSystem.deploy(
+      groth16Verifier.address,
+      ethers.constants.AddressZero,
+      ethers.constants.AddressZero,
+      ethers.constants.AddressZero
+    );
+    await zkSystem.deployed();
+
+    await (await zkSystem.connect(owner).registerInstitution("Test University", "test.edu", "", issuer.address)).wait();
+
+    // A Poseidon batch, as the workflow issues it for zk batches
+    commitments = await Promise.all(STUDENTS.map((student) => ZKProofService.calculateCommitment(student)));
+    tree = await MerkleService.buildMerkleTree(commitments.map((commitment) => ({ commitment })), { hash: "poseidon" });
+
+    const receipt = await (await zkSystem.connect(issuer).issueBatch(
+      tree.getHexRoot(),
+      ethers.constants.HashZero,
+      "Computer Science",
+      2024,
+      STUDENTS.length,
+      0,
+      0
+    )).wait();
+    batchId = receipt.events.find((event) => event.event === "BatchIssued").args.batchId;
+  });
+
+  async function proveFor(index, challenge, criteria = {}) {
+    return ZKProofService.generateProof({
+      ...STUDENTS[index],
+      commitment: commitments[index],
+      merkleProof: MerkleService.generateMerkleProof(tree, commitments[index], index),
+      minPassingGrade: 60,
+      requireAllPassed: true,
+      context: ChallengeService.verificationContext(verifierAccount.address, challenge),
+      ...criteria
+    });
+  }
+
+  // verifyAcademicAchievement arguments in parameter order
+  function callArguments(args) {
+    return [
+      args.proof,
+      args.batchId,
+      args.commitment,
+      args.nullifier,
+      args.challenge,
+      args.minPassingGrade,
+      args.requiresAllSubjectsPassed
+    ];
+  }
+
+  it("derives the same verification context as the contract", async function () {
+    const challenge = "123456789";
+
+    expect((await zkSystem.verificationContext(verifierAccount.address, challenge)).toString())
+      .to.equal(ChallengeService.verificationContext(verifierAccount.address, challenge));
+  });
+
+  it("verifies a generated proof on-chain, and only once per nullifier and context", async function () {
+    const challenge = "1001";
+    const proofData = await proveFor(0, challenge);
+    const args = ZKProofService.toContractArguments(proofData, batchId, challenge);
+    const zkAsVerifier = zkSystem.connect(verifierAccount);
+
+    expect(proofData.signals.merkleRoot).to.equal(BigInt(tree.getHexRoot()).toString());
+    expect(await zkAsVerifier.callStatic.verifyAcademicAchievement(...callArguments(args))).to.equal(true);
+    await (await zkAsVerifier.verifyAcademicAchievement(...callArguments(args))).wait();
+
+    // Same nullifier and context again
+    await expect(zkAsVerifier.verifyAcademicAchievement(...callArguments(args)))
+      .to.be.revertedWith("Proof already used");
+
+    // Another account derives another context, which the proof was not made for
+    const [, , , other] = await ethers.getSigners();
+    expect(await zkSystem.connect(other).callStatic.verifyAcademicAchievement(...callArguments(args))).to.equal(false);
+  });
+
+  it("emits ZKProofVerified with the proof's nullifier", async function () {
+    const challenge = "1002";
+    const args = ZKProofService.toContractArguments(await proveFor(2, challenge), batchId, challenge);
+
+    await expect(zkSystem.connect(verifierAccount).verifyAcademicAchievement(...callArguments(args)))
+      .to.emit(zkSystem, "ZKProofVerified")
+      .withArgs(
+        verifierAccount.address,
+        batchId,
+        60,
+        true,
+        ethers.BigNumber.from(challenge),
+        ethers.BigNumber.from(args.nullifier)
+      );
+  });
+
+  it("rejects a proof whose criteria the certificate does not meet", async function () {
+    const challenge = "1003";
+    const proofData = await proveFor(1, challenge, { minPassingGrade: 70 });
+    const args = ZKProofService.toContractArguments(proofData, batchId, challenge);
+
+    expect(proofData.signals.isValid).to.equal("0");
+    expect(await zkSystem.connect(verifierAccount).callStatic.verifyAcademicAchievement(...callArguments(args)))
+      .to.equal(false);
+  });
+});
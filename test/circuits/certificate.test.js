@@ -0,0 +1,154 @@
+const path = require("path");
+const { execSync } = require("child_process");
+const { expect } = require("chai");
+const { wasm: wasmTester } = require("circom_tester");
+
+const ZKProofService = require("../../backend/src/services/ZKProofService");
+const MerkleService = require("../../backend/src/services/MerkleService");
+const Poseidon = require("../../backend/src/services/Poseidon");
+
+const CIRCUIT = path.join(__dirname, "../../circuits/certificate.circom");
+const INCLUDE = path.join(__dirname, "../../node_modules");
+
+// Certificates as the backend commits them: percentage grades for the default 5-subject circuit
+const STUDENTS = [
+  { studentId: "STU001", salt: "a1b2c3", subjects: [85, 90, 78, 92, 88] },
+  { studentId: "STU002", salt: "d4e5f6", subjects: [72, 45, 80, 66, 91] },
+  { studentId: "STU003", salt: "0718ab", subjects: [95, 97, 99, 93, 98] }
+];
+
+// A leaf the backend would refuse to commit: its third grade is above the 0-100 scale
+const OUT_OF_RANGE = { studentId: "STU004", salt: "9c8d7e", subjects: [85, 90, 101, 92, 88] };
+
+async function commitmentOf({ studentId, salt, subjects }) {
+  return Poseidon.hash([
+    ZKProofService.stringToFieldElement(studentId),
+    ZKProofService.stringToFieldElement(salt),
+    ...subjects
+  ]);
+}
+
+// circom_tester compiles the circuit with the circom binary on PATH
+function hasCircomCompiler() {
+  try {
+    execSync("circom --version", { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe("certificate.circom (CertificateVerification)", function () {
+  this.timeout(300000);
+
+  let circuit;
+  let tree;
+
+  before(async function () {
+    if (!hasCircomCompiler()) {
+      console.log("    circom compiler not found: install circom 2 (https://docs.circom.io) to run the circuit tests");
+      this.skip();
+    }
+
+    circuit = await wasmTester(CIRCUIT, { include: INCLUDE });
+
+    const certificates = await Promise.all(STUDENTS.map(async (student) => ({
+      commitment: await ZKProofService.calculateCommitment(student)
+    })));
+    certificates.push({ commitment: Poseidon.toHex(await commitmentOf(OUT_OF_RANGE)) });
+    tree = await MerkleService.buildMerkleTree(certificates, { hash: "poseidon" });
+  });
+
+  async function inputsFor(index, options = {}) {
+    const student = STUDENTS[index];
+
+    return ZKProofService.prepareCircuitInputs({
+      ...student,
+      merkleProof: MerkleService.generateMerkleProof(tree, null, index),
+      minPassingGrade: 60,
+      requireAllPassed: true,
+      context: "12345",
+      ...options
+    });
+  }
+
+  async function expectWitnessFailure(input) {
+    let error = null;
+    try {
+      await circuit.calculateWitness(input, true);
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "witness generation should fail").to.not.equal(null);
+  }
+
+  it("accepts a member whose grades all pass", async function () {
+    const input = await inputsFor(0);
+    const witness = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(witness);
+
+    await circuit.assertOut(witness, { isValid: 1, commitment: await commitmentOf(STUDENTS[0]) });
+  });
+
+  it("reports isValid = 0 when a grade is below minPassingGrade and all must pass", async function () {
+    const input = await inputsFor(1);
+    const witness = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(witness);
+
+    await circuit.assertOut(witness, { isValid: 0 });
+  });
+
+  it("accepts the same grades when not every subject must pass", async function () {
+    const input = await inputsFor(1, { requireAllPassed: false });
+    const witness = await circuit.calculateWitness(input, true);
+
+    await circuit.assertOut(witness, { isValid: 1 });
+  });
+
+  it("binds the nullifier to the verification context", async function () {
+    const nullifiers = [];
+    for (const context of ["1", "2"]) {
+      const input = await inputsFor(0, { context });
+      const nullifier = await Poseidon.hash([input.salt, input.studentId, context]);
+      await circuit.assertOut(await circuit.calculateWitness(input, true), { nullifier });
+      nullifiers.push(nullifier);
+    }
+
+    expect(nullifiers[0]).to.not.equal(nullifiers[1]);
+  });
+
+  it("rejects a leaf that is not in the tree", async function () {
+    // A certificate that was never issued, presented with a member's path
+    const input = await inputsFor(0);
+    input.subjects = [100, 100, 100, 100, 100];
+
+    await expectWitnessFailure(input);
+  });
+
+  it("rejects a proof against the wrong root", async function () {
+    const input = await inputsFor(0);
+    input.merkleRoot = (BigInt(input.merkleRoot) + 1n).toString();
+
+    await expectWitnessFailure(input);
+  });
+
+  it("rejects a grade above the scale's maximum, even for a leaf in the tree", async function () {
+    const input = ZKProofService.prepareCircuitInputs({
+      ...OUT_OF_RANGE,
+      subjects: OUT_OF_RANGE.subjects.map((grade) => Math.min(grade, 100)),
+      merkleProof: MerkleService.generateMerkleProof(tree, null, STUDENTS.length),
+      minPassingGrade: 60,
+      requireAllPassed: true
+    });
+    input.subjects = OUT_OF_RANGE.subjects;
+
+    await expectWitnessFailure(input);
+  });
+
+  it("rejects a minimum passing grade above the scale's maximum", async function () {
+    const input = await inputsFor(0);
+    input.minPassingGrade = 150;
+
+    await expectWitnessFailure(input);
+  });
+});
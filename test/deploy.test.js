@@ -0,0 +1,175 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+
+const { main: deploy } = require("../scripts/deploy");
+const BlockchainService = require("../backend/src/services/BlockchainService");
+
+const MERKLE_ROOT = ethers.utils.id("batch-root");
+
+const OPTIONAL_VERIFIERS = [
+  ["WeightedAverageVerifier", "weightedAverageVerifier"],
+  ["NonRevocationVerifier", "nonRevocationVerifier"],
+  ["DisclosureVerifier", "disclosureVerifier"]
+];
+
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the promise to be rejected");
+}
+
+/**
+ * scripts/deploy.js on the in-process Hardhat network, and the backend issuing batches
+ * through the deployment record it writes. Outputs go to a temporary directory, so the
+ * checked-in deployments/ is left alone.
+ */
+describe("Deployment", function () {
+  this.timeout(120000);
+
+  let outputDir;
+  let deployment;
+  let zkSystem;
+
+  before(async function () {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "zkc-deploy-"));
+    deployment = await deploy({
+      deploymentsDir: outputDir,
+      backendEnvFile: path.join(outputDir, ".env.deployment")
+    });
+    zkSystem = await ethers.getContractAt("ZKCertificateSystem", deployment.contracts.ZKCertificateSystem.address);
+  });
+
+  after(function () {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe("scripts/deploy.js", function () {
+    it("wires the built verifiers into ZKCertificateSystem", async function () {
+      const verifierName = await artifacts.artifactExists("Groth16Verifier") ? "Groth16Verifier" : "PlaceholderVerifier";
+      expect(deployment.contracts.Verifier.name).to.equal(verifierName);
+      expect(await zkSystem.verifier()).to.equal(deployment.contracts.Verifier.address);
+
+      // Verifiers that have not been built leave their proof type disabled
+      for (const [contractName, getter] of OPTIONAL_VERIFIERS) {
+        const built = await artifacts.artifactExists(contractName);
+        expect(Boolean(deployment.contracts[contractName])).to.equal(built);
+        expect(await zkSystem[getter]()).to.equal(built
+          ? deployment.contracts[contractName].address
+          : ethers.constants.AddressZero);
+      }
+    });
+
+    it("registers the deployer's institution on a local network", async function () {
+      const [deployer] = await ethers.getSigners();
+
+      expect(deployment.institutionId).to.equal(1);
+      expect((await zkSystem.institutions(1)).name).to.equal("Demo University");
+      expect(await zkSystem.signerInstitution(deployer.address)).to.equal(1);
+    });
+
+    it("saves the deployment record and the backend environment", async function () {
+      const address = deployment.contracts.ZKCertificateSystem.address;
+
+      const latest = JSON.parse(fs.readFileSync(path.join(outputDir, "latest.json"), "utf8"));
+      expect(latest.contracts.ZKCertificateSystem.address).to.equal(address);
+      expect(fs.readFileSync(path.join(outputDir, ".env.deployment"), "utf8"))
+        .to.include(`ZK_CERTIFICATE_SYSTEM_ADDRESS=${address}`);
+    });
+
+    it("refuses the placeholder verifier outside local networks", async function () {
+      const networkName = network.name;
+      process.env.USE_PLACEHOLDER_VERIFIER = "true";
+      network.name = "sepolia";
+
+      try {
+        const error = await rejectionOf(deploy({
+          deploymentsDir: path.join(outputDir, "refused"),
+          backendEnvFile: path.join(outputDir, "refused.env")
+        }));
+        expect(error.message).to.include("Refusing to deploy PlaceholderVerifier for Groth16Verifier on network \"sepolia\"");
+        expect(error.message).to.include("npm run build-verifier");
+        expect(fs.existsSync(path.join(outputDir, "refused"))).to.equal(false);
+      } finally {
+        network.name = networkName;
+        delete process.env.USE_PLACEHOLDER_VERIFIER;
+      }
+    });
+  });
+
+  describe("BlockchainService", function () {
+    const { getProvider, ARTIFACT_PATH } = BlockchainService;
+    let environment;
+
+    beforeEach(function () {
+      environment = {
+        DEPLOYMENT_FILE: process.env.DEPLOYMENT_FILE,
+        ZK_CERTIFICATE_SYSTEM_ADDRESS: process.env.ZK_CERTIFICATE_SYSTEM_ADDRESS
+      };
+      process.env.DEPLOYMENT_FILE = path.join(outputDir, "latest.json");
+      delete process.env.ZK_CERTIFICATE_SYSTEM_ADDRESS;
+
+      // The backend connects to a node over JSON-RPC; here it uses the in-process network
+      BlockchainService.getProvider = () => ethers.provider;
+    });
+
+    afterEach(function () {
+      BlockchainService.getProvider = getProvider;
+      BlockchainService.ARTIFACT_PATH = ARTIFACT_PATH;
+      for (const [name, value] of Object.entries(environment)) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    });
+
+    function issueBatch() {
+      return BlockchainService.issueBatch({
+        merkleRoot: MERKLE_ROOT,
+        courseName: "Computer Science",
+        graduationYear: 2024,
+        totalStudents: 10
+      });
+    }
+
+    it("issues a batch on the deployed contract and reports the mined transaction", async function () {
+      const issued = await issueBatch();
+
+      const receipt = await ethers.provider.getTransactionReceipt(issued.transactionHash);
+      expect(receipt.status).to.equal(1);
+      expect(receipt.blockNumber).to.equal(issued.blockNumber);
+      expect(receipt.gasUsed.toString()).to.equal(issued.gasUsed);
+
+      expect(issued.contractAddress).to.equal(deployment.contracts.ZKCertificateSystem.address);
+      expect(issued.chainId).to.equal(network.config.chainId);
+      expect(issued.institutionId).to.equal(deployment.institutionId);
+
+      const batch = await zkSystem.getBatchInfo(issued.batchId);
+      expect(batch.merkleRoot).to.equal(MERKLE_ROOT);
+      expect(batch.courseName).to.equal("Computer Science");
+      expect(batch.totalStudents).to.equal(10);
+    });
+
+    it("fails clearly when the contract artifact has not been compiled", async function () {
+      BlockchainService.ARTIFACT_PATH = path.join(outputDir, "artifacts", "ZKCertificateSystem.json");
+
+      const error = await rejectionOf(issueBatch());
+      expect(error.message).to.include(`ZKCertificateSystem artifact not found at ${BlockchainService.ARTIFACT_PATH}`);
+      expect(error.message).to.include("npm run compile");
+    });
+
+    it("fails clearly when the contracts have not been deployed", async function () {
+      process.env.DEPLOYMENT_FILE = path.join(outputDir, "missing.json");
+
+      const error = await rejectionOf(issueBatch());
+      expect(error.message).to.equal("Deployment file not found. Please deploy the contracts first.");
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const MERKLE_ROOT = ethers.utils.id("batch-root");
+
+describe("CertificateRegistry institutions and signers", function () {
+  let registry;
+  let owner;
+  let admin;
+  let signer;
+  let otherAdmin;
+  let stranger;
+
+  beforeEach(async function () {
+    [owner, admin, signer, otherAdmin, stranger] = await ethers.getSigners();
+
+    const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+    registry = await CertificateRegistry.deploy();
+    await registry.deployed();
+  });
+
+  async function registerInstitution(name = "Test University", institutionAdmin = admin) {
+    const receipt = await (await registry.registerInstitution(name, "test.edu", "ipfs://metadata", institutionAdmin.address)).wait();
+    return receipt.events.find((event) => event.event === "InstitutionRegistered").args.institutionId;
+  }
+
+  function issueBatch(from) {
+    return registry.connect(from).issueBatch(MERKLE_ROOT, ethers.constants.HashZero, "Computer Science", 2024, 10, 0, 0);
+  }
+
+  async function issuedBatchId(from) {
+    const receipt = await (await issueBatch(from)).wait();
+    return receipt.events.find((event) => event.event === "BatchIssued").args.batchId;
+  }
+
+  describe("registration", function () {
+    it("registers an institution whose admin becomes its first signer", async function () {
+      await expect(registry.registerInstitution("Test University", "test.edu", "ipfs://metadata", admin.address))
+        .to.emit(registry, "InstitutionRegistered")
+        .withArgs(1, "Test University", "test.edu", admin.address)
+        .and.to.emit(registry, "InstitutionSignerUpdated")
+        .withArgs(1, admin.address, true);
+
+      const institution = await registry.institutions(1);
+      expect(institution.name).to.equal("Test University");
+      expect(institution.domain).to.equal("test.edu");
+      expect(institution.metadataURI).to.equal("ipfs://metadata");
+      expect(institution.admin).to.equal(admin.address);
+      expect(institution.active).to.equal(true);
+      expect(await registry.signerInstitution(admin.address)).to.equal(1);
+      expect(await registry.institutionSignerCount(1)).to.equal(1);
+      expect(await registerInstitution("Second University", otherAdmin)).to.equal(2);
+    });
+
+    it("only lets the owner register institutions", async function () {
+      await expect(registry.connect(stranger).registerInstitution("Fake University", "fake.edu", "", stranger.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("refuses an institution without a name or admin", async function () {
+      await expect(registry.registerInstitution("", "test.edu", "", admin.address))
+        .to.be.revertedWith("Institution name required");
+      await expect(registry.registerInstitution("Test University", "test.edu", "", ethers.constants.AddressZero))
+        .to.be.revertedWith("Invalid admin address");
+    });
+
+    it("issues batches in the name of the signer's institution", async function () {
+      await registerInstitution();
+      const batchId = await issuedBatchId(admin);
+
+      const batch = await registry.getBatchInfo(batchId);
+      expect(batch.institutionId).to.equal(1);
+      expect(batch.institutionName).to.equal("Test University");
+    });
+
+    it("refuses batches from addresses that sign for no institution", async function () {
+      await registerInstitution();
+
+      await expect(issueBatch(stranger)).to.be.revertedWith("Not authorized to issue certificates");
+    });
+  });
+
+  describe("suspension", function () {
+    beforeEach(async function () {
+      await registerInstitution();
+    });
+
+    it("stops a suspended institution from issuing until it is reactivated", async function () {
+      await expect(registry.setInstitutionActive(1, false))
+        .to.emit(registry, "InstitutionStatusChanged")
+        .withArgs(1, false);
+      await expect(issueBatch(admin)).to.be.revertedWith("Not authorized to issue certificates");
+
+      await (await registry.setInstitutionActive(1, true)).wait();
+      await (await issueBatch(admin)).wait();
+    });
+
+    it("only lets the owner suspend an existing institution", async function () {
+      await expect(registry.connect(admin).setInstitutionActive(1, false))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(registry.setInstitutionActive(99, false)).to.be.revertedWith("Institution does not exist");
+    });
+  });
+
+  describe("administration", function () {
+    beforeEach(async function () {
+      await registerInstitution();
+    });
+
+    it("lets the admin update the institution's metadata", async function () {
+      await expect(registry.connect(admin).updateInstitutionMetadata(1, "new.edu", "ipfs://new"))
+        .to.emit(registry, "InstitutionMetadataUpdated")
+        .withArgs(1, "new.edu", "ipfs://new");
+
+      const institution = await registry.institutions(1);
+      expect(institution.domain).to.equal("new.edu");
+      expect(institution.metadataURI).to.equal("ipfs://new");
+    });
+
+    it("only lets the admin manage an existing institution", async function () {
+      await expect(registry.connect(stranger).updateInstitutionMetadata(1, "fake.edu", ""))
+        .to.be.revertedWith("Not authorized to manage this institution");
+      await expect(registry.connect(owner).setInstitutionSigner(1, stranger.address, true))
+        .to.be.revertedWith("Not authorized to manage this institution");
+      await expect(registry.connect(admin).updateInstitutionMetadata(99, "fake.edu", ""))
+        .to.be.revertedWith("Institution does not exist");
+    });
+
+    it("hands the institution over to a new admin", async function () {
+      await expect(registry.connect(admin).changeInstitutionAdmin(1, otherAdmin.address))
+        .to.emit(registry, "InstitutionAdminChanged")
+        .withArgs(1, otherAdmin.address);
+
+      await expect(registry.connect(admin).updateInstitutionMetadata(1, "old.edu", ""))
+        .to.be.revertedWith("Not authorized to manage this institution");
+      await (await registry.connect(otherAdmin).updateInstitutionMetadata(1, "new.edu", "")).wait();
+    });
+
+    it("refuses an empty admin address", async function () {
+      await expect(registry.connect(admin).changeInstitutionAdmin(1, ethers.constants.AddressZero))
+        .to.be.revertedWith("Invalid admin address");
+    });
+  });
+
+  describe("signers", function () {
+    beforeEach(async function () {
+      await registerInstitution();
+    });
+
+    it("lets a delegated signer issue and manage the institution's batches", async function () {
+      await expect(registry.connect(admin).setInstitutionSigner(1, signer.address, true))
+        .to.emit(registry, "InstitutionSignerUpdated")
+        .withArgs(1, signer.address, true);
+      expect(await registry.isInstitutionSigner(1, signer.address)).to.equal(true);
+      expect(await registry.institutionSignerCount(1)).to.equal(2);
+
+      const batchId = await issuedBatchId(signer);
+      await (await registry.connect(signer).revokeCertificate(batchId, ethers.utils.id("certificate-1"), 0)).wait();
+    });
+
+    it("stops a removed signer from issuing or managing batches", async function () {
+      await (await registry.connect(admin).setInstitutionSigner(1, signer.address, true)).wait();
+      const batchId = await issuedBatchId(signer);
+
+      await (await registry.connect(admin).setInstitutionSigner(1, signer.address, false)).wait();
+      expect(await registry.isInstitutionSigner(1, signer.address)).to.equal(false);
+      expect(await registry.institutionSignerCount(1)).to.equal(1);
+
+      await expect(issueBatch(signer)).to.be.revertedWith("Not authorized to issue certificates");
+      await expect(registry.connect(signer).revokeBatch(batchId)).to.be.revertedWith("Not authorized to manage this batch");
+    });
+
+    it("binds each address to one institution", async function () {
+      await registerInstitution("Second University", otherAdmin);
+      await (await registry.connect(admin).setInstitutionSigner(1, signer.address, true)).wait();
+
+      await expect(registry.connect(otherAdmin).setInstitutionSigner(2, signer.address, true))
+        .to.be.revertedWith("Signer already belongs to an institution");
+      await expect(registry.connect(otherAdmin).setInstitutionSigner(2, signer.address, false))
+        .to.be.revertedWith("Not a signer of this institution");
+    });
+
+    it("keeps one institution's signers away from another institution's batches", async function () {
+      await registerInstitution("Second University", otherAdmin);
+      const batchId = await issuedBatchId(admin);
+
+      await expect(registry.connect(otherAdmin).revokeBatch(batchId)).to.be.revertedWith("Not authorized to manage this batch");
+    });
+
+    it("refuses an empty signer address", async function () {
+      await expect(registry.connect(admin).setInstitutionSigner(1, ethers.constants.AddressZero, true))
+        .to.be.revertedWith("Invalid signer address");
+    });
+
+    it("refuses to remove a signer the issuance threshold still needs", async function () {
+      await (await registry.connect(admin).setInstitutionSigner(1, signer.address, true)).wait();
+      await (await registry.connect(admin).setIssuanceThreshold(1, 2)).wait();
+
+      await expect(registry.connect(admin).setInstitutionSigner(1, signer.address, false))
+        .to.be.revertedWith("Removing signer would leave too few signers for the issuance threshold");
+    });
+
+    it("reports no institution 0 signers", async function () {
+      expect(await registry.isInstitutionSigner(0, stranger.address)).to.equal(false);
+    });
+  });
+});
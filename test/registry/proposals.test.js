@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const MERKLE_ROOT = ethers.utils.id("batch-root");
+
+describe("CertificateRegistry M-of-N batch proposals", function () {
+  let registry;
+  let admin;
+  let signers;
+  let stranger;
+
+  beforeEach(async function () {
+    [, admin, stranger, ...signers] = await ethers.getSigners();
+    signers = signers.slice(0, 3);
+
+    const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+    registry = await CertificateRegistry.deploy();
+    await registry.deployed();
+
+    // Four signers: the admin and three delegates
+    await (await registry.registerInstitution("Test University", "test.edu", "", admin.address)).wait();
+    for (const signer of signers) {
+      await (await registry.connect(admin).setInstitutionSigner(1, signer.address, true)).wait();
+    }
+  });
+
+  function propose(from, merkleRoot = MERKLE_ROOT) {
+    return registry.connect(from).proposeBatch(merkleRoot, ethers.constants.HashZero, "Computer Science", 2024, 10, 0, 0);
+  }
+
+  async function proposalId(from) {
+    const receipt = await (await propose(from)).wait();
+    return receipt.events.find((event) => event.event === "BatchProposed").args.proposalId;
+  }
+
+  describe("issuance threshold", function () {
+    it("is set by the admin, up to the number of signers", async function () {
+      await expect(registry.connect(admin).setIssuanceThreshold(1, 4))
+        .to.emit(registry, "IssuanceThresholdUpdated")
+        .withArgs(1, 4);
+      expect(await registry.issuanceThreshold(1)).to.equal(4);
+
+      await expect(registry.connect(admin).setIssuanceThreshold(1, 5))
+        .to.be.revertedWith("Threshold exceeds signer count");
+      await expect(registry.connect(signers[0]).setIssuanceThreshold(1, 2))
+        .to.be.revertedWith("Not authorized to manage this institution");
+    });
+
+    it("stops direct issuance once more than one approval is needed", async function () {
+      await (await registry.connect(admin).setIssuanceThreshold(1, 2)).wait();
+
+      await expect(registry.connect(admin).issueBatch(MERKLE_ROOT, ethers.constants.HashZero, "Computer Science", 2024, 10, 0, 0))
+        .to.be.revertedWith("Institution requires multisig approval");
+    });
+  });
+
+  describe("with a 2-of-4 threshold", function () {
+    beforeEach(async function () {
+      await (await registry.connect(admin).setIssuanceThreshold(1, 2)).wait();
+    });
+
+    it("counts the proposer's approval and issues the batch at the second", async function () {
+      await expect(propose(signers[0]))
+        .to.emit(registry, "BatchProposed")
+        .withArgs(1, 1, MERKLE_ROOT, signers[0].address)
+        .and.to.emit(registry, "BatchProposalApproved")
+        .withArgs(1, signers[0].address, 1);
+
+      let proposal = await registry.getBatchProposal(1);
+      expect(proposal.approvals).to.equal(1);
+      expect(proposal.batchId).to.equal(0);
+      expect(proposal.proposer).to.equal(signers[0].address);
+      expect(await registry.getTotalBatches()).to.equal(0);
+
+      await expect(registry.connect(signers[1]).approveBatchProposal(1))
+        .to.emit(registry, "BatchProposalExecuted")
+        .withArgs(1, 1)
+        .and.to.emit(registry, "BatchIssued");
+
+      proposal = await registry.getBatchProposal(1);
+      expect(proposal.approvals).to.equal(2);
+      expect(proposal.batchId).to.equal(1);
+      expect((await registry.getBatchInfo(1)).merkleRoot).to.equal(MERKLE_ROOT);
+    });
+
+    it("refuses a second approval by the same signer", async function () {
+      const id = await proposalId(signers[0]);
+
+      await expect(registry.connect(signers[0]).approveBatchProposal(id))
+        .to.be.revertedWith("Proposal already approved by this signer");
+    });
+
+    it("only accepts proposals and approvals from the institution's signers", async function () {
+      await expect(propose(stranger)).to.be.revertedWith("Not authorized to issue certificates");
+
+      const id = await proposalId(signers[0]);
+      await expect(registry.connect(stranger).approveBatchProposal(id))
+        .to.be.revertedWith("Not authorized to approve this proposal");
+      await expect(registry.connect(signers[1]).approveBatchProposal(99))
+        .to.be.revertedWith("Proposal does not exist");
+    });
+
+    it("validates the batch when it is proposed", async function () {
+      await expect(propose(signers[0], ethers.constants.HashZero)).to.be.revertedWith("Invalid Merkle root");
+    });
+
+    it("refuses approvals once the proposal has been executed", async function () {
+      const id = await proposalId(signers[0]);
+      await (await registry.connect(signers[1]).approveBatchProposal(id)).wait();
+
+      await expect(registry.connect(signers[2]).approveBatchProposal(id)).to.be.revertedWith("Proposal already executed");
+      await expect(registry.connect(signers[2]).executeBatchProposal(id)).to.be.revertedWith("Proposal already executed");
+      await expect(registry.connect(signers[0]).cancelBatchProposal(id)).to.be.revertedWith("Proposal already executed");
+    });
+  });
+
+  describe("cancellation", function () {
+    let id;
+
+    beforeEach(async function () {
+      await (await registry.connect(admin).setIssuanceThreshold(1, 3)).wait();
+      id = await proposalId(signers[0]);
+    });
+
+    it("lets the proposer withdraw a proposal, which can then no longer be approved", async function () {
+      await expect(registry.connect(signers[0]).cancelBatchProposal(id))
+        .to.emit(registry, "BatchProposalCancelled")
+        .withArgs(id);
+      expect((await registry.getBatchProposal(id)).cancelled).to.equal(true);
+
+      await expect(registry.connect(signers[1]).approveBatchProposal(id)).to.be.revertedWith("Proposal has been cancelled");
+      await expect(registry.connect(signers[0]).cancelBatchProposal(id)).to.be.revertedWith("Proposal already cancelled");
+    });
+
+    it("lets the admin, but no other signer, cancel a proposal", async function () {
+      await expect(registry.connect(signers[1]).cancelBatchProposal(id))
+        .to.be.revertedWith("Not authorized to cancel this proposal");
+
+      await (await registry.connect(admin).cancelBatchProposal(id)).wait();
+      expect((await registry.getBatchProposal(id)).cancelled).to.equal(true);
+    });
+  });
+
+  describe("threshold and signer changes", function () {
+    beforeEach(async function () {
+      await (await registry.connect(admin).setIssuanceThreshold(1, 3)).wait();
+    });
+
+    it("executes a pending proposal once a lowered threshold is met", async function () {
+      const id = await proposalId(signers[0]);
+
+      await expect(registry.connect(signers[0]).executeBatchProposal(id)).to.be.revertedWith("Not enough signer approvals");
+
+      await (await registry.connect(admin).setIssuanceThreshold(1, 1)).wait();
+      await expect(registry.connect(stranger).executeBatchProposal(id))
+        .to.be.revertedWith("Not authorized to execute this proposal");
+      await expect(registry.connect(signers[1]).executeBatchProposal(id))
+        .to.emit(registry, "BatchProposalExecuted")
+        .withArgs(id, 1);
+    });
+
+    it("stops counting the approval of a removed signer", async function () {
+      const id = await proposalId(signers[0]);
+      await (await registry.connect(signers[1]).approveBatchProposal(id)).wait();
+      expect((await registry.getBatchProposal(id)).approvals).to.equal(2);
+
+      await (await registry.connect(admin).setInstitutionSigner(1, signers[1].address, false)).wait();
+      expect((await registry.getBatchProposal(id)).approvals).to.equal(1);
+
+      // Two more approvals are needed now, not one
+      await (await registry.connect(signers[2]).approveBatchProposal(id)).wait();
+      expect((await registry.getBatchProposal(id)).batchId).to.equal(0);
+
+      await expect(registry.connect(admin).approveBatchProposal(id))
+        .to.emit(registry, "BatchProposalExecuted");
+    });
+
+    it("stops a suspended institution's signers from approving", async function () {
+      const id = await proposalId(signers[0]);
+      await (await registry.setInstitutionActive(1, false)).wait();
+
+      await expect(registry.connect(signers[1]).approveBatchProposal(id))
+        .to.be.revertedWith("Not authorized to approve this proposal");
+    });
+  });
+});
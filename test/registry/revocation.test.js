@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Same order as CertificateRegistry.RevocationReason and CertificateStatus
+const REASONS = ["Unspecified", "Misconduct", "IssuedInError", "Superseded", "Other"];
+const STATUS = { Unknown: 0, Valid: 1, NotYetValid: 2, Expired: 3, Revoked: 4 };
+
+const CERTIFICATE = ethers.utils.id("certificate-1");
+const OTHER_CERTIFICATE = ethers.utils.id("certificate-2");
+
+describe("CertificateRegistry certificate revocation", function () {
+  let registry;
+  let owner;
+  let issuer;
+  let stranger;
+  let batchId;
+
+  beforeEach(async function () {
+    [owner, issuer, stranger] = await ethers.getSigners();
+
+    const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+    registry = await CertificateRegistry.deploy();
+    await registry.deployed();
+
+    await (await registry.registerInstitution("Test University", "test.edu", "", issuer.address)).wait();
+
+    // A one-certificate batch: its Merkle root is the certificate's leaf, proven with an empty path
+    const receipt = await (await registry.connect(issuer).issueBatch(
+      CERTIFICATE,
+      ethers.constants.HashZero,
+      "Computer Science",
+      2024,
+      1,
+      0,
+      0
+    )).wait();
+    batchId = receipt.events.find((event) => event.event === "BatchIssued").args.batchId;
+  });
+
+  it("revokes a single certificate with its reason, time and revoker", async function () {
+    const tx = await registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, REASONS.indexOf("Misconduct"));
+    const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+    await expect(tx)
+      .to.emit(registry, "CertificateRevoked")
+      .withArgs(batchId, CERTIFICATE, REASONS.indexOf("Misconduct"), timestamp, issuer.address);
+
+    const revocation = await registry.certificateRevocations(batchId, CERTIFICATE);
+    expect(revocation.reason).to.equal(REASONS.indexOf("Misconduct"));
+    expect(revocation.revokedAt).to.equal(timestamp);
+    expect(revocation.revokedBy).to.equal(issuer.address);
+    expect(await registry.isCertificateRevoked(batchId, CERTIFICATE)).to.equal(true);
+  });
+
+  it("records every revocation reason", async function () {
+    for (let reason = 0; reason < REASONS.length; reason++) {
+      const key = ethers.utils.id(`revoked-${REASONS[reason]}`);
+      await (await registry.connect(issuer).revokeCertificate(batchId, key, reason)).wait();
+      expect((await registry.certificateRevocations(batchId, key)).reason).to.equal(reason);
+    }
+  });
+
+  it("rejects a revoked certificate but leaves the rest of its batch valid", async function () {
+    expect(await registry.verifyCertificate(batchId, CERTIFICATE, [])).to.equal(true);
+
+    await (await registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, 0)).wait();
+
+    await expect(registry.verifyCertificate(batchId, CERTIFICATE, [])).to.be.revertedWith("Certificate is revoked");
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Revoked);
+    expect(await registry.getCertificateStatus(batchId, OTHER_CERTIFICATE)).to.equal(STATUS.Valid);
+    expect((await registry.getBatchInfo(batchId)).isValid).to.equal(true);
+  });
+
+  it("refuses to revoke a certificate twice", async function () {
+    await (await registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, 0)).wait();
+
+    await expect(registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, 1))
+      .to.be.revertedWith("Certificate already revoked");
+  });
+
+  it("refuses an empty certificate key", async function () {
+    await expect(registry.connect(issuer).revokeCertificate(batchId, ethers.constants.HashZero, 0))
+      .to.be.revertedWith("Invalid certificate key");
+  });
+
+  it("refuses revocations in a batch that does not exist", async function () {
+    await expect(registry.connect(issuer).revokeCertificate(99, CERTIFICATE, 0))
+      .to.be.revertedWith("Batch does not exist");
+  });
+
+  it("only lets the issuing institution's signers, or the owner, revoke", async function () {
+    await expect(registry.connect(stranger).revokeCertificate(batchId, CERTIFICATE, 0))
+      .to.be.revertedWith("Not authorized to manage this batch");
+
+    await (await registry.connect(owner).revokeCertificate(batchId, CERTIFICATE, 0)).wait();
+    expect((await registry.certificateRevocations(batchId, CERTIFICATE)).revokedBy).to.equal(owner.address);
+  });
+
+  it("stops a suspended institution's signers from revoking", async function () {
+    await (await registry.setInstitutionActive(1, false)).wait();
+
+    await expect(registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, 0))
+      .to.be.revertedWith("Not authorized to manage this batch");
+  });
+
+  it("revokes a whole batch", async function () {
+    await expect(registry.connect(stranger).revokeBatch(batchId)).to.be.revertedWith("Not authorized to manage this batch");
+
+    await expect(registry.connect(issuer).revokeBatch(batchId))
+      .to.emit(registry, "BatchRevoked")
+      .withArgs(batchId);
+
+    expect((await registry.getBatchInfo(batchId)).isValid).to.equal(false);
+    expect(await registry.getCertificateStatus(batchId, OTHER_CERTIFICATE)).to.equal(STATUS.Revoked);
+    await expect(registry.verifyCertificate(batchId, CERTIFICATE, [])).to.be.revertedWith("Batch is not valid");
+  });
+
+  it("publishes the batch's revocation tree root", async function () {
+    const root = ethers.utils.id("revocation-root");
+
+    await expect(registry.connect(stranger).updateRevocationRoot(batchId, root))
+      .to.be.revertedWith("Not authorized to manage this batch");
+
+    await expect(registry.connect(issuer).updateRevocationRoot(batchId, root))
+      .to.emit(registry, "RevocationRootUpdated")
+      .withArgs(batchId, root);
+    expect(await registry.revocationRoots(batchId)).to.equal(root);
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Same order as CertificateRegistry.CertificateStatus
+const STATUS = { Unknown: 0, Valid: 1, NotYetValid: 2, Expired: 3, Revoked: 4 };
+
+const CERTIFICATE = ethers.utils.id("certificate-1");
+const OTHER_CERTIFICATE = ethers.utils.id("certificate-2");
+const DAY = 24 * 60 * 60;
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+describe("CertificateRegistry validity windows", function () {
+  let registry;
+  let issuer;
+  let stranger;
+
+  beforeEach(async function () {
+    [, issuer, stranger] = await ethers.getSigners();
+
+    const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+    registry = await CertificateRegistry.deploy();
+    await registry.deployed();
+
+    await (await registry.registerInstitution("Test University", "test.edu", "", issuer.address)).wait();
+  });
+
+  // A one-certificate batch: its Merkle root is the certificate's leaf, proven with an empty path
+  async function issueBatch(validFrom, validUntil) {
+    const receipt = await (await registry.connect(issuer).issueBatch(
+      CERTIFICATE,
+      ethers.constants.HashZero,
+      "Computer Science",
+      2024,
+      1,
+      validFrom,
+      validUntil
+    )).wait();
+    return receipt.events.find((event) => event.event === "BatchIssued").args.batchId;
+  }
+
+  it("reports Unknown for a batch that does not exist", async function () {
+    expect(await registry.getCertificateStatus(99, CERTIFICATE)).to.equal(STATUS.Unknown);
+  });
+
+  it("keeps a batch without a window valid indefinitely", async function () {
+    const batchId = await issueBatch(0, 0);
+    await increaseTime(365 * DAY);
+
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Valid);
+    expect(await registry.verifyCertificate(batchId, CERTIFICATE, [])).to.equal(true);
+  });
+
+  it("moves a certificate from not yet valid to valid to expired with its batch window", async function () {
+    const now = await latestTimestamp();
+    const batchId = await issueBatch(now + DAY, now + 10 * DAY);
+
+    const window = await registry.batchValidity(batchId);
+    expect(window.validFrom).to.equal(now + DAY);
+    expect(window.validUntil).to.equal(now + 10 * DAY);
+
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.NotYetValid);
+    await expect(registry.verifyCertificate(batchId, CERTIFICATE, [])).to.be.revertedWith("Certificate not yet valid");
+
+    await increaseTime(2 * DAY);
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Valid);
+    expect(await registry.verifyCertificate(batchId, CERTIFICATE, [])).to.equal(true);
+
+    await increaseTime(10 * DAY);
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Expired);
+    await expect(registry.verifyCertificate(batchId, CERTIFICATE, [])).to.be.revertedWith("Certificate has expired");
+  });
+
+  it("reports Revoked ahead of the validity window", async function () {
+    const now = await latestTimestamp();
+    const batchId = await issueBatch(now + DAY, 0);
+    await (await registry.connect(issuer).revokeCertificate(batchId, CERTIFICATE, 0)).wait();
+
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Revoked);
+  });
+
+  it("refuses a batch whose window ends before it starts", async function () {
+    const now = await latestTimestamp();
+
+    await expect(issueBatch(now + 10 * DAY, now + DAY)).to.be.revertedWith("Invalid validity window");
+    await expect(issueBatch(now + DAY, now + DAY)).to.be.revertedWith("Invalid validity window");
+  });
+
+  it("lets a certificate's own window replace the batch window, and falls back when cleared", async function () {
+    const now = await latestTimestamp();
+    const batchId = await issueBatch(0, now + DAY);
+
+    // A renewal: this certificate stays valid for a year
+    await expect(registry.connect(issuer).setCertificateValidity(batchId, CERTIFICATE, 0, now + 365 * DAY))
+      .to.emit(registry, "CertificateValidityUpdated")
+      .withArgs(batchId, CERTIFICATE, 0, now + 365 * DAY);
+
+    const window = await registry.getValidityWindow(batchId, CERTIFICATE);
+    expect(window.validUntil).to.equal(now + 365 * DAY);
+
+    await increaseTime(2 * DAY);
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Valid);
+    expect(await registry.getCertificateStatus(batchId, OTHER_CERTIFICATE)).to.equal(STATUS.Expired);
+
+    await (await registry.connect(issuer).setCertificateValidity(batchId, CERTIFICATE, 0, 0)).wait();
+    expect((await registry.getValidityWindow(batchId, CERTIFICATE)).validUntil).to.equal(now + DAY);
+    expect(await registry.getCertificateStatus(batchId, CERTIFICATE)).to.equal(STATUS.Expired);
+  });
+
+  it("sets several certificate windows in one transaction", async function () {
+    const now = await latestTimestamp();
+    const batchId = await issueBatch(0, 0);
+
+    await (await registry.connect(issuer).setCertificateValidityBatch(
+      batchId,
+      [CERTIFICATE, OTHER_CERTIFICATE],
+      [0, now + DAY],
+      [now + 2 * DAY, 0]
+    )).wait();
+
+    expect((await registry.certificateValidity(batchId, CERTIFICATE)).validUntil).to.equal(now + 2 * DAY);
+    expect((await registry.certificateValidity(batchId, OTHER_CERTIFICATE)).validFrom).to.equal(now + DAY);
+    expect(await registry.getCertificateStatus(batchId, OTHER_CERTIFICATE)).to.equal(STATUS.NotYetValid);
+  });
+
+  it("refuses invalid certificate windows", async function () {
+    const now = await latestTimestamp();
+    const batchId = await issueBatch(0, 0);
+
+    await expect(registry.connect(issuer).setCertificateValidity(batchId, CERTIFICATE, now + DAY, now))
+      .to.be.revertedWith("Invalid validity window");
+    await expect(registry.connect(issuer).setCertificateValidity(batchId, ethers.constants.HashZero, 0, now + DAY))
+      .to.be.revertedWith("Invalid certificate key");
+    await expect(registry.connect(issuer).setCertificateValidityBatch(batchId, [CERTIFICATE], [0, 0], [now + DAY]))
+      .to.be.revertedWith("Array length mismatch");
+  });
+
+  it("only lets the issuing institution's signers set certificate windows", async function () {
+    const batchId = await issueBatch(0, 0);
+
+    await expect(registry.connect(stranger).setCertificateValidity(batchId, CERTIFICATE, 0, 0))
+      .to.be.revertedWith("Not authorized to manage this batch");
+    await expect(registry.connect(stranger).setCertificateValidityBatch(batchId, [CERTIFICATE], [0], [0]))
+      .to.be.revertedWith("Not authorized to manage this batch");
+    await expect(registry.connect(issuer).setCertificateValidity(99, CERTIFICATE, 0, 0))
+      .to.be.revertedWith("Batch does not exist");
+  });
+});
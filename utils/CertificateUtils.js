@@ -1,10 +1,13 @@
 const crypto = require('crypto');
 const { MerkleTree } = require('merkletreejs');
+const { buildPoseidon } = require('circomlibjs');
 
 /**
  * Utility functions for certificate processing
  */
 class CertificateUtils {
+    static poseidon = null;
+
     /**
      * Generate secure random salt
      * @param {number} length - Salt length in bytes
@@ -16,18 +19,26 @@ class CertificateUtils {
 
     /**
      * Hash student data for commitment
+     * Matches the circuit: Poseidon(studentId, salt, subjects...) with studentId
+     * and salt encoded by stringToFieldElement.
      * @param {Object} studentData - Student information
      * @param {string} salt - Random salt
-     * @returns {string} - Commitment hash
+     * @returns {string} - Commitment hash (32-byte hex)
      */
-    static hashStudentData(studentData, salt) {
-        const dataString = [
-            studentData.studentId,
-            salt,
+    static async hashStudentData(studentData, salt) {
+        if (!this.poseidon) {
+            this.poseidon = buildPoseidon();
+        }
+        const poseidon = await this.poseidon;
+
+        const inputs = [
+            this.stringToFieldElement(studentData.studentId),
+            this.stringToFieldElement(salt),
             ...studentData.subjects
-        ].join('|');
+        ].map(input => BigInt(input));
 
-        return crypto.createHash('sha256').update(dataString).digest('hex');
+        const commitment = poseidon.F.toObject(poseidon(inputs));
+        return commitment.toString(16).padStart(64, '0');
     }
 
     /**
@@ -104,16 +115,27 @@ class CertificateUtils {
 
     /**
      * Generate QR code data for certificate verification
-     * @param {Object} certificateData - Certificate information
+     * The verification URL opens the public /check page on this certificate; it shows
+     * the on-chain batch and status, and grades only through a proof from the holder.
+     * @param {Object} certificateData - Certificate information (contractAddress and chainId locate the registry)
      * @returns {string} - QR code data
      */
     static generateQRCodeData(certificateData) {
+        const params = new URLSearchParams({
+            batchId: String(certificateData.batchId),
+            commitment: certificateData.commitment,
+            contract: certificateData.contractAddress || ''
+        });
+        if (certificateData.chainId) {
+            params.set('chainId', String(certificateData.chainId));
+        }
+
         return JSON.stringify({
             type: 'zk_certificate',
             batchId: certificateData.batchId,
             merkleRoot: certificateData.merkleRoot,
             commitment: certificateData.commitment,
-            verificationUrl: process.env.VERIFICATION_URL || 'http://localhost:3000/verify',
+            verificationUrl: `${process.env.VERIFICATION_URL || 'http://localhost:3000/check'}?${params}`,
             timestamp: new Date().toISOString()
         });
     }